@@ -0,0 +1,236 @@
+// Who may call each route, keyed by router and then "METHOD /path" as written
+// in the route file. Every route must have an entry: routes/*.js refuse to load
+// otherwise (see middleware/routePolicy.js).
+//
+// A policy is one of:
+//   { public: true, reason }               - no authentication, reason says why
+//   { roles: [...], caseAccess: 'caseId' } - logged in with one of the roles; with
+//                                            caseAccess the user must also be allowed
+//                                            to see the case in that route param
+//   { token: { resource, scope } }         - emailed link granting the scope
+
+const ANY_USER = ['admin', 'agent', 'estimator', 'inspector', 'customer'];
+const STAFF = ['admin', 'agent', 'estimator', 'inspector'];
+const QUOTE_MANAGERS = ['admin', 'agent', 'estimator'];
+const ADMIN = ['admin'];
+
+const publicRoute = (reason) => ({ public: true, reason });
+const caseRoute = (roles) => ({ roles, caseAccess: 'caseId' });
+const tokenRoute = (resource, scope) => ({ token: { resource, scope } });
+
+module.exports = {
+  allroutes: {
+    // Auth
+    'GET /auth/me': { roles: ANY_USER },
+    'POST /auth/check-user': publicRoute('Login form checks whether an account exists'),
+
+    // Users
+    'GET /users': { roles: QUOTE_MANAGERS },
+    'POST /users': { roles: ADMIN },
+    'PUT /users/:userId': { roles: ADMIN },
+    'DELETE /users/:userId': { roles: ADMIN },
+    'GET /users/all': { roles: ADMIN },
+    'GET /users/:userId/analytics': { roles: ADMIN },
+    'GET /estimator/analytics': { roles: ['estimator'] },
+
+    // Customers and duplicates
+    'GET /customers': { roles: STAFF },
+    'POST /customers/merge': { roles: ADMIN },
+    'POST /vehicles/merge': { roles: ADMIN },
+    'POST /duplicates/check': { roles: STAFF },
+
+    // Cases
+    'GET /cases': { roles: ANY_USER },
+    'GET /cases/estimator': { roles: ['estimator'] },
+    'GET /cases/trash': { roles: ADMIN },
+    'GET /cases/:caseId': caseRoute(ANY_USER),
+    'GET /customers/:customerId/cases': { roles: ANY_USER },
+    'POST /cases': { roles: STAFF },
+    'PUT /cases/:caseId': caseRoute(STAFF),
+    'DELETE /cases/:caseId': caseRoute(STAFF),
+    'POST /cases/:caseId/restore': { roles: ADMIN },
+    'POST /cases/:caseId/obd2-scan': caseRoute(STAFF),
+    'POST /customer-intake': publicRoute('Walk-in and online customer intake form'),
+    'POST /send-customer-form': { roles: STAFF },
+
+    // Inspections
+    'POST /cases/:caseId/inspection': caseRoute(STAFF),
+    'PUT /cases/:caseId/inspection': caseRoute(STAFF),
+    'POST /cases/:caseId/inspection/cancel': caseRoute(STAFF),
+    'POST /cases/:caseId/inspection/no-show': caseRoute(STAFF),
+    'GET /inspection/:token': tokenRoute('inspection', 'view'),
+    'POST /inspection/:token': tokenRoute('inspection', 'inspect'),
+    'PUT /inspection/:token/pending': tokenRoute('inspection', 'inspect'),
+    'GET /inspections/assigned': { roles: ['inspector'] },
+
+    // Quotes and offers
+    'POST /cases/:caseId/estimator-during-inspection': caseRoute(STAFF),
+    'GET /quote/:token': tokenRoute('quote', 'view'),
+    'POST /quote/:token': tokenRoute('quote', 'estimate'),
+    'PUT /cases/:caseId/quote': caseRoute(QUOTE_MANAGERS),
+    'GET /cases/:caseId/reconditioning': caseRoute(QUOTE_MANAGERS),
+    'GET /cases/:caseId/quote/negotiation': caseRoute(ANY_USER),
+    'POST /cases/:caseId/requote': caseRoute(QUOTE_MANAGERS),
+    'POST /quote/:token/requote': tokenRoute('quote', 'decide'),
+    'POST /quote/:token/decision': tokenRoute('quote', 'decide'),
+    'PUT /cases/:caseId/offer-decision': caseRoute(ANY_USER),
+
+    // Documents and paperwork
+    'POST /upload': { roles: STAFF },
+    'POST /cases/:caseId/bill-of-sale-upload': caseRoute(ANY_USER),
+    'POST /cases/:caseId/driver-license-upload': caseRoute(ANY_USER),
+    'POST /quote/:token/paperwork': tokenRoute('quote', 'sign'),
+    'POST /cases/:caseId/paperwork': caseRoute(QUOTE_MANAGERS),
+    'GET /cases/:caseId/payoff': caseRoute(QUOTE_MANAGERS),
+    'PUT /cases/:caseId/payoff': caseRoute(QUOTE_MANAGERS),
+    'POST /cases/:caseId/payoff/letter': caseRoute(QUOTE_MANAGERS),
+    'POST /cases/:caseId/payoff-confirmation': caseRoute(ANY_USER),
+
+    // Stages and completion
+    'POST /quote/:token/stage': tokenRoute('quote', 'estimate'),
+    'PUT /cases/:caseId/stage': caseRoute(STAFF),
+    'POST /cases/:caseId/complete': caseRoute(STAFF),
+    'POST /quote/:token/complete': tokenRoute('quote', 'complete'),
+    'POST /cases/:caseId/complete-estimator': caseRoute(QUOTE_MANAGERS),
+    'POST /cases/:caseId/completion': caseRoute(QUOTE_MANAGERS),
+    'PUT /cases/:caseId/status': caseRoute(STAFF),
+    'POST /cases/:caseId/send-email': caseRoute(QUOTE_MANAGERS),
+
+    // PDFs
+    'GET /cases/:caseId/pdf': caseRoute(ANY_USER),
+    'GET /quote/:token/pdf': tokenRoute('quote', 'view'),
+    'GET /cases/:caseId/bill-of-sale': caseRoute(ANY_USER),
+    'GET /cases/:caseId/quote-summary': caseRoute(ANY_USER),
+    'POST /cases/:caseId/quote-summary': caseRoute(ANY_USER),
+    'GET /cases/:caseId/documents': caseRoute(ANY_USER),
+    'GET /cases/:caseId/documents/access-log': caseRoute(QUOTE_MANAGERS),
+    'POST /cases/:caseId/documents/:document': caseRoute(STAFF),
+    'GET /cases/:caseId/documents/:document': caseRoute(ANY_USER),
+    'POST /cases/:caseId/documents/:document/signed-url': caseRoute(STAFF),
+    'GET /documents/signed': publicRoute('Expiring HMAC-signed document links sent to customers and Zapier'),
+
+    // Vehicle data
+    'GET /vehicle/pricing/:vin': { roles: STAFF },
+    'GET /vehicle/specs/:vin': publicRoute('VIN decoding for the online seller form'),
+    'GET /vehicle/makes-models': publicRoute('Make and model pickers on the online seller form'),
+    'POST /vehicle/custom': { roles: STAFF },
+
+    // Analytics, time tracking and history
+    'GET /analytics': { roles: STAFF },
+    'GET /cases/:caseId/time-tracking': caseRoute(STAFF),
+    'GET /time-tracking/analytics': { roles: ADMIN },
+    'GET /cases/:caseId/timeline': caseRoute(STAFF),
+    'POST /stage-time': { roles: STAFF },
+
+    // Identity verification, e-signature and webhooks
+    'POST /veriff/webhook': publicRoute('Veriff decision webhook'),
+    'POST /cases/:caseId/veriff/session': caseRoute(ANY_USER),
+    'POST /cases/:caseId/send-pdf-package': caseRoute(STAFF),
+    'GET /cases/:caseId/webhook-status': caseRoute(STAFF),
+    'POST /signnow/zapier': publicRoute('SignNow completion webhook relayed by Zapier')
+  },
+
+  obd2: {
+    'GET /': { roles: STAFF },
+    'GET /:id': { roles: STAFF },
+    'POST /parse-pdf': { roles: ADMIN },
+    'POST /': { roles: ADMIN },
+    'PUT /:id': { roles: ADMIN },
+    'DELETE /:id': { roles: ADMIN }
+  },
+
+  customer: {
+    // Online seller form, filled in before the seller has an account
+    'POST /vehicle-submission': publicRoute('Online seller form'),
+    'GET /vehicle-submission/:id': publicRoute('Online seller form'),
+    'GET /vehicle-submissions/email/:email': publicRoute('Returning sellers look up their submissions'),
+    'PUT /vehicle-submission/:id/vehicle-info': publicRoute('Online seller form'),
+    'PUT /vehicle-submission/:id/basics': publicRoute('Online seller form'),
+    'PUT /vehicle-submission/:id/condition': publicRoute('Online seller form'),
+    'PUT /vehicle-submission/:id/contact-offer': publicRoute('Online seller form'),
+    'POST /vehicle-submission/:id/requote': publicRoute('One-click re-quote from the offer expired email'),
+    'POST /upload-ownership-photo': publicRoute('Online seller form'),
+    'GET /vehicle-submission/:id/ownership-photo/:type': publicRoute('Expiring HMAC-signed links to the seller\'s own photos'),
+    'PUT /vehicle-submission/:id/payout-method': publicRoute('Online seller form'),
+    'GET /vehicle-submission/:id/appointment-slots': publicRoute('Online seller form'),
+    'POST /vehicle-submission/:id/appointment-hold': publicRoute('Online seller form'),
+    'DELETE /vehicle-submission/:id/appointment-hold': publicRoute('Online seller form'),
+    'PUT /vehicle-submission/:id/appointment': publicRoute('Online seller form'),
+    'PUT /vehicle-submission/:id/mobile': publicRoute('Online seller form'),
+
+    'GET /vehicle-submissions': { roles: ADMIN }
+  },
+
+  auth: {
+    'POST /register': publicRoute('Account sign-up'),
+    'POST /login': publicRoute('Login form'),
+    'POST /forgot-password': publicRoute('Password reset request from the login form'),
+    'POST /reset-password/:token': publicRoute('Emailed password reset link; the token is the credential'),
+    'GET /verify': { roles: ANY_USER },
+    'GET /logout': { roles: ANY_USER },
+    'PUT /profile': { roles: ANY_USER },
+    'PUT /password': { roles: ANY_USER }
+  },
+
+  pricing: {
+    'GET /rules': { roles: ADMIN },
+    'PUT /rules': { roles: ADMIN },
+    'GET /rules/history': { roles: ADMIN },
+    'POST /preview/:submissionId': { roles: ADMIN }
+  },
+
+  inspectionTemplates: {
+    'GET /': { roles: ADMIN },
+    'POST /': { roles: ADMIN },
+    'GET /:key': { roles: ANY_USER },
+    'PUT /:key': { roles: ADMIN },
+    'DELETE /:key': { roles: ADMIN },
+    'GET /:key/versions': { roles: ADMIN },
+    'GET /:key/versions/:version': { roles: ANY_USER }
+  },
+
+  linkTokens: {
+    'GET /cases/:caseId': { roles: QUOTE_MANAGERS },
+    'POST /cases/:caseId': { roles: QUOTE_MANAGERS },
+    'POST /cases/:caseId/regenerate': { roles: QUOTE_MANAGERS },
+    'DELETE /:id': { roles: QUOTE_MANAGERS },
+    'GET /:id/access-log': { roles: QUOTE_MANAGERS }
+  },
+
+  locations: {
+    'GET /': { roles: ANY_USER },
+    'POST /': { roles: ADMIN },
+    'GET /:id': { roles: ANY_USER },
+    'PUT /:id': { roles: ADMIN },
+    'DELETE /:id': { roles: ADMIN }
+  },
+
+  lenders: {
+    'GET /': { roles: ANY_USER },
+    'POST /': { roles: QUOTE_MANAGERS },
+    'GET /:id': { roles: ANY_USER },
+    'PUT /:id': { roles: QUOTE_MANAGERS },
+    'DELETE /:id': { roles: ADMIN }
+  },
+
+  settings: {
+    'GET /organization': publicRoute('Public seller pages show the logo and support contact'),
+    'PUT /organization': { roles: ADMIN },
+    'GET /document-checklist': { roles: ANY_USER },
+    'PUT /document-checklist': { roles: ADMIN }
+  },
+
+  inspectors: {
+    'GET /availability': { roles: STAFF },
+    'GET /:userId/availability': { roles: STAFF },
+    'PUT /:userId/availability': { roles: ['admin', 'inspector'] },
+    'POST /:userId/time-off': { roles: ['admin', 'inspector'] },
+    'DELETE /:userId/time-off/:timeOffId': { roles: ['admin', 'inspector'] }
+  },
+
+  calendar: {
+    'POST /feed-token': { roles: ['admin', 'inspector', 'estimator'] },
+    'DELETE /feed-token': { roles: ['admin', 'inspector', 'estimator'] },
+    'GET /feed/:token.ics': publicRoute('Calendar apps fetch the feed without logging in; the token is the credential')
+  }
+};
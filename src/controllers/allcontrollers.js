@@ -9,7 +9,27 @@ const emailService = require('../services/email');
 const pdfService = require('../services/pdf');
 const zapierService = require('../services/zapier');
 const webhookService = require('../services/webhook');
+const caseWorkflow = require('../services/caseWorkflow');
+const caseEvents = require('../services/caseEvents');
+const caseRetention = require('../services/caseRetention');
+const { runInTransaction } = require('../services/dbTransaction');
+const duplicateDetection = require('../services/duplicateDetection');
+const inspectionTemplates = require('../services/inspectionTemplates');
+const inspectionScoring = require('../services/inspectionScoring');
+const reconditioning = require('../services/reconditioning');
+const quoteNegotiation = require('../services/quoteNegotiation');
+const { fetchMarketCheckPricing } = require('../services/marketCheck');
+const quoteExpiry = require('../services/quoteExpiry');
+const linkTokens = require('../services/linkTokens');
+const caseAccess = require('../services/caseAccess');
+const locations = require('../services/locations');
+const inspectorAvailability = require('../services/inspectorAvailability');
+const inspectionCancellation = require('../services/inspectionCancellation');
+const caseDocuments = require('../services/caseDocuments');
+const payoff = require('../services/payoff');
+const uploads = require('../services/uploads');
 const User = require('../models/User');
+const Location = require('../models/Location');
 const path = require('path');
 const fs = require('fs').promises;
 const axios = require('axios');
@@ -21,30 +41,37 @@ const generateDefaultPassword = () => {
 };
 
 // Utility function to create a user account for a customer
-const createCustomerUser = async (customerData) => {
+// Pass the session when called as part of a transaction
+const createCustomerUser = async (customerData, session = null) => {
   try {
     // Generate a default password
     const defaultPassword = generateDefaultPassword();
 
-    if(customerData.email1){
-      const existingUser = await User.findOne({ email: customerData.email1 });
-      if(existingUser){
-        return {
-          user: existingUser,
-          defaultPassword
-        };
-      }
+    // Without an email there is nothing to log in with, so no account is created
+    if (!customerData.email1) {
+      return {
+        user: null,
+        defaultPassword: null
+      };
+    }
+
+    const existingUser = await User.findOne({ email: customerData.email1 }).session(session);
+    if(existingUser){
+      return {
+        user: existingUser,
+        defaultPassword
+      };
     }
     
     // Create user account
-    const user = await User.create({
+    const [user] = await User.create([{
       email: customerData.email1,
       password: defaultPassword,
       firstName: customerData.firstName,
       lastName: customerData.lastName,
       role: 'customer',
       isVerified: false
-    });
+    }], { session });
 
     return {
       user,
@@ -56,6 +83,91 @@ const createCustomerUser = async (customerData) => {
   }
 };
 
+// Quote fields an estimator may set. The reconditioning estimate is calculated
+// by the server, the negotiation thread only grows through new entries and the
+// offer decision is only recorded through the decision routes.
+const QUOTE_EDITABLE_FIELDS = ['estimator', 'offerAmount', 'estimatedValue', 'expiryDate', 'notes', 'titleReminder'];
+
+const pickQuoteFields = (body) => QUOTE_EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) {
+    fields[key] = body[key];
+  }
+  return fields;
+}, {});
+
+// Why an offer decision from a request body can't be recorded, or null when it can
+const offerDecisionProblem = (offerDecision) => {
+  const decisions = Quote.schema.path('offerDecision.decision').enumValues;
+  if (!offerDecision || typeof offerDecision !== 'object') {
+    return 'offerDecision is required';
+  }
+  if (!decisions.includes(offerDecision.decision)) {
+    return `offerDecision.decision must be one of ${decisions.join(', ')}`;
+  }
+  return null;
+};
+
+// Build the sections to store from what the inspector app sent.
+// Inspections pinned to a template take their questions, options and points
+// from the template; older inspections keep the structure the app sends.
+const resolveInspectionSections = async (inspection, submittedSections) => {
+  const template = await inspectionTemplates.getTemplateForInspection(inspection);
+  if (template) {
+    const vehicle = await Vehicle.findById(inspection.vehicle?._id || inspection.vehicle);
+    const { sections, unmatched } = inspectionTemplates.buildInspectionSections(template, vehicle, submittedSections);
+    if (unmatched.length > 0) {
+      console.warn(`Inspection ${inspection._id} kept answers not in template ${template.key} v${template.version} as sent: ${unmatched.join(', ')}`);
+    }
+    return sections;
+  }
+
+  // Validate sections have required fields
+  for (const section of submittedSections) {
+    if (!section.id || !section.name) {
+      const error = new Error('Invalid section data - missing id or name');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  return submittedSections.map(section => {
+    console.log(`Processing section: ${section.name}`, {
+      questionsCount: section.questions?.length || 0,
+    });
+    
+    return {
+      id: section.id,
+      name: section.name,
+      description: section.description || '',
+      icon: section.icon || '',
+      questions: Array.isArray(section.questions) ? section.questions.map(q => ({
+        id: q.id || '',
+        question: q.question || '',
+        type: q.type || 'text',
+        options: Array.isArray(q.options) ? q.options : [],
+        required: q.required || false,
+        answer: q.answer,
+        notes: q.notes || '',
+        photos: Array.isArray(q.photos) ? q.photos : [],
+        subQuestions: Array.isArray(q.subQuestions) ? q.subQuestions.map(sq => ({
+          id: sq.id || '',
+          question: sq.question || '',
+          type: sq.type || 'text',
+          options: Array.isArray(sq.options) ? sq.options : [],
+          answer: sq.answer,
+          notes: sq.notes || '',
+          photos: Array.isArray(sq.photos) ? sq.photos : []
+        })) : []
+      })) : [],
+      rating: section.rating || 0,
+      photos: Array.isArray(section.photos) ? section.photos : [],
+      score: section.score || 0,
+      maxScore: section.maxScore || 0,
+      completed: section.completed || false,
+    };
+  });
+};
+
 // Handle document upload
 exports.uploadDocument = async (req, res) => {
   try {
@@ -66,30 +178,25 @@ exports.uploadDocument = async (req, res) => {
       });
     }
 
-    const file = req.files.file;
-    const uploadDir = path.join(__dirname, '../../uploads');
-
-    // Ensure uploads directory exists
-    await fs.mkdir(uploadDir, { recursive: true });
-
-    // Generate unique filename
-    const uniqueFilename = `${Date.now()}-${file.name}`;
-    const filePath = path.join(uploadDir, uniqueFilename);
-
-    // Move file to uploads directory
-    await file.mv(filePath);
+    // Check the content, then store it under a new unique key
+    const file = await uploads.prepareUpload(req.files.file, { field: 'file', allowed: uploads.DOCUMENT_TYPES });
+    const { key, thumbnailKey } = await uploads.storeUpload('documents', file);
 
     res.status(200).json({
       success: true,
       data: {
-        filename: uniqueFilename,
-        path: `/uploads/${uniqueFilename}`,
-        originalName: file.name,
+        key,
+        thumbnailKey,
+        filename: path.basename(key),
+        originalName: file.originalName,
         size: file.size,
         mimetype: file.mimetype
       }
     });
   } catch (error) {
+    if (uploads.isRejection(error)) {
+      return uploads.sendRejection(res, error);
+    }
     console.error('File upload error:', error);
     res.status(500).json({
       success: false,
@@ -110,21 +217,6 @@ exports.uploadBillOfSaleDocument = async (req, res) => {
       });
     }
 
-    const file = req.files.file;
-    const uploadDir = path.join(__dirname, '../../uploads');
-
-    // Ensure uploads directory exists
-    await fs.mkdir(uploadDir, { recursive: true });
-
-    // Generate unique filename
-    const uniqueFilename = `${Date.now()}-${file.name}`;
-    const filePath = path.join(uploadDir, uniqueFilename);
-
-    // Move file to uploads directory
-    await file.mv(filePath);
-
-    const documentPath = `/uploads/${uniqueFilename}`;
-
     // Find the case
     const caseData = await Case.findById(caseId);
     if (!caseData) {
@@ -134,6 +226,10 @@ exports.uploadBillOfSaleDocument = async (req, res) => {
       });
     }
 
+    // Store the signed bill of sale; the transaction keeps its storage key
+    const file = await uploads.prepareUpload(req.files.file, { field: 'file', allowed: uploads.DOCUMENT_TYPES });
+    const { key: documentKey } = await uploads.storeUpload('bill-of-sale', file);
+
     // Update or create transaction with the document
     let transaction;
     if (caseData.transaction) {
@@ -142,7 +238,7 @@ exports.uploadBillOfSaleDocument = async (req, res) => {
         caseData.transaction,
         {
           $set: {
-            'documents.signedBillOfSale': documentPath
+            'documents.signedBillOfSale': documentKey
           }
         },
         { new: true }
@@ -153,8 +249,9 @@ exports.uploadBillOfSaleDocument = async (req, res) => {
         vehicle: caseData.vehicle,
         customer: caseData.customer,
         quote: caseData.quote,
+        billOfSale: await locations.buyerDetailsForCase(caseData),
         documents: {
-          signedBillOfSale: documentPath
+          signedBillOfSale: documentKey
         },
         createdBy: req.user.id
       });
@@ -172,16 +269,30 @@ exports.uploadBillOfSaleDocument = async (req, res) => {
       });
     }
 
+    await caseEvents.recordCaseEvent({
+      caseId,
+      type: 'document',
+      action: 'bill-of-sale-uploaded',
+      description: 'Signed bill of sale uploaded',
+      actor: caseEvents.actorFromRequest(req),
+      changes: [{ field: 'documents.signedBillOfSale', before: null, after: documentKey }],
+      metadata: { originalName: file.originalName, size: file.size }
+    });
+
     res.status(200).json({
       success: true,
       data: {
-        path: documentPath,
-        filename: uniqueFilename,
-        originalName: file.name,
+        key: documentKey,
+        filename: path.basename(documentKey),
+        url: caseDocuments.signedDocumentUrl(caseId, 'signedBillOfSale').url,
+        originalName: file.originalName,
         transaction: transaction
       }
     });
   } catch (error) {
+    if (uploads.isRejection(error)) {
+      return uploads.sendRejection(res, error);
+    }
     console.error('Bill of sale upload error:', error);
     res.status(500).json({
       success: false,
@@ -232,10 +343,14 @@ exports.getInspectorInspections = async (req, res) => {
       });
     }
 
+    // Inspections for cases in the trash are hidden until the case is restored
+    const deletedCaseIds = await Case.find({ deletedAt: { $ne: null } }).distinct('_id');
+
     // Find inspections where inspector's email matches the current user's email
     const inspections = await Inspection.find({
       'inspector.email': req.user.email,
-      'status': { $ne: 'completed' }, // Only get non-completed inspections
+      caseId: { $nin: deletedCaseIds },
+      'status': { $in: ['scheduled', 'in-progress'] }, // Only inspections still to be done
       'completed': { $ne: true }
     })
     .populate('vehicle')
@@ -257,7 +372,10 @@ exports.getInspectorInspections = async (req, res) => {
 // Get all cases with populated data
 exports.getCases = async (req, res) => {
   try {
-    const cases = await Case.find()
+    // Only the cases the user is allowed to see
+    const filter = await caseAccess.scopeCaseQuery(req.user, { deletedAt: null });
+
+    const cases = await Case.find(filter)
       .populate('customer')
       .populate('vehicle')
       .populate('inspection')
@@ -280,10 +398,10 @@ exports.getCases = async (req, res) => {
 // Get cases assigned to a specific estimator
 exports.getEstimatorCases = async (req, res) => {
   try {
-    const { email } = req.user; // Get the logged-in user's email
-    
-    // Find cases where the quote's estimator email matches the logged-in user's email
-    const cases = await Case.find()
+    // Cases assigned to the logged-in estimator through estimatorId
+    const filter = await caseAccess.scopeCaseQuery(req.user, { deletedAt: null });
+
+    const estimatorCases = await Case.find(filter)
       .populate('customer')
       .populate('vehicle')
       .populate('inspection')
@@ -291,11 +409,6 @@ exports.getEstimatorCases = async (req, res) => {
       .populate('transaction')
       .sort('-updatedAt');
 
-    // Filter cases where the estimator email matches
-    const estimatorCases = cases.filter(caseData => {
-      return caseData.quote && caseData.quote.estimator && caseData.quote.estimator.email === email;
-    });
-
     res.status(200).json({
       success: true,
       data: estimatorCases
@@ -311,12 +424,13 @@ exports.getEstimatorCases = async (req, res) => {
 // Get a single case by ID
 exports.getCase = async (req, res) => {
   try {
-    const caseData = await Case.findById(req.params.caseId)
+    const caseData = await Case.findOne({ _id: req.params.caseId, deletedAt: null })
       .populate('customer')
       .populate('vehicle')
       .populate('inspection')
       .populate('quote')
-      .populate('transaction');
+      .populate('transaction')
+      .populate('location');
 
     if (!caseData) {
       return res.status(404).json({
@@ -340,56 +454,76 @@ exports.getCase = async (req, res) => {
 // Create a new case with customer and vehicle information
 exports.createCase = async (req, res) => {
   try {
-    const { customer: customerData, vehicle: vehicleData, documents, agentInfo } = req.body;
+    const { customer: customerData, vehicle: vehicleData, documents, agentInfo, existingCustomerId, existingVehicleId, locationId } = req.body;
 
-    // Create user account for customer
-    let customerUser;
-    let defaultPassword;
-    try {
-      const userResult = await createCustomerUser(customerData);
-      customerUser = userResult.user;
-      defaultPassword = userResult.defaultPassword;
-    } catch (userError) {
-      console.error('Failed to create customer user account:', userError);
-      // Continue without user account if creation fails
-      customerUser = null;
-      defaultPassword = null;
-    }
-
-    // Create customer record
-    const customer = await Customer.create({
-      ...customerData,
-      customerId: customerUser ? customerUser._id : null,
-      agent: req.user.id,
-      storeLocation: agentInfo.storeLocation
-    });
-
-    // Create vehicle record
-    const vehicle = await Vehicle.create({
-      ...vehicleData,
-      customer: customer._id
-    });
-
-    // Create case record
-    const newCase = await Case.create({
-      customer: customer._id,
-      vehicle: vehicle._id,
-      currentStage: 2,
-      status: 'new',
-      createdBy: req.user.id,
-      documents: {
-        driverLicenseFront: documents.driverLicenseFront,
-        driverLicenseRear: documents.driverLicenseRear,
-        vehicleTitle: documents.vehicleTitle
-      },
-      stageStatuses: {
-        1: 'complete',
-        2: 'active',
-        3: 'pending',
-        4: 'pending',
-        5: 'pending',
-        6: 'pending',
+    // Cases belong to the store picked on the form, or the agent's own store
+    const caseLocation = locationId ? await locations.resolveLocationId(locationId) : await locations.locationIdForUser(req.user);
+
+    // The agent can attach the case to a matched customer/vehicle instead of creating new ones
+    const existingCustomer = existingCustomerId ? await Customer.findById(existingCustomerId) : null;
+    if (existingCustomerId && !existingCustomer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Existing customer not found'
+      });
+    }
+    const existingVehicle = existingVehicleId ? await Vehicle.findById(existingVehicleId) : null;
+    if (existingVehicleId && !existingVehicle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Existing vehicle not found'
+      });
+    }
+
+    // Create the user account, customer, vehicle, case and time tracking together or not at all
+    const { customerUser, defaultPassword, customer, vehicle, newCase } = await runInTransaction(async (session) => {
+      let userResult = { user: null, defaultPassword: null };
+      let customer = existingCustomer;
+      if (!customer) {
+        // Create user account for customer
+        userResult = await createCustomerUser(customerData, session);
+
+        // Create customer record
+        [customer] = await Customer.create([{
+          ...customerData,
+          customerId: userResult.user ? userResult.user._id : null,
+          agent: req.user.id,
+          storeLocation: agentInfo.storeLocation
+        }], { session });
       }
+
+      let vehicle = existingVehicle;
+      if (!vehicle) {
+        // Create vehicle record
+        [vehicle] = await Vehicle.create([{
+          ...vehicleData,
+          customer: customer._id
+        }], { session });
+      }
+
+      // Create case record
+      const [newCase] = await Case.create([{
+        customer: customer._id,
+        vehicle: vehicle._id,
+        ...caseWorkflow.initialState(),
+        location: caseLocation,
+        createdBy: req.user.id,
+        documents: {
+          driverLicenseFront: documents.driverLicenseFront,
+          driverLicenseRear: documents.driverLicenseRear,
+          vehicleTitle: documents.vehicleTitle
+        }
+      }], { session });
+
+      await TimeTracking.create([{ caseId: newCase._id }], { session });
+
+      return {
+        customerUser: userResult.user,
+        defaultPassword: userResult.defaultPassword,
+        customer,
+        vehicle,
+        newCase
+      };
     });
 
     // Populate the references for the response
@@ -397,6 +531,25 @@ exports.createCase = async (req, res) => {
       .populate('customer')
       .populate('vehicle');
 
+    // Matches the agent may want to merge, and open cases for the same VIN
+    const duplicates = await duplicateDetection.findDuplicates(
+      { customer: customer, vehicle: vehicle },
+      { customerId: customer._id, vehicleId: vehicle._id, caseId: newCase._id }
+    );
+
+    await caseEvents.recordCaseEvent({
+      caseId: newCase._id,
+      type: 'case',
+      action: 'created',
+      description: `Case created for ${customer.firstName} ${customer.lastName}`,
+      actor: caseEvents.actorFromRequest(req),
+      metadata: {
+        existingCustomer: !!existingCustomer,
+        existingVehicle: !!existingVehicle,
+        duplicates: duplicateDetection.summarizeDuplicates(duplicates)
+      }
+    });
+
     // Send email notifications
     try {
       // Send customer creation confirmation email
@@ -430,11 +583,17 @@ exports.createCase = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      data: populatedCase
+      data: populatedCase,
+      duplicates: {
+        customers: duplicates.customers,
+        vehicles: duplicates.vehicles,
+        openCases: duplicates.openCases
+      },
+      warnings: duplicates.warnings
     });
   } catch (error) {
     console.error('Create case error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -482,20 +641,37 @@ exports.updateCase = async (req, res) => {
       { new: true }
     );
 
-    // Update case record
+    // Update case record. Only the documents sent are set, path by path, so
+    // the rest of Case.documents (lien release, payoff letter...) is kept
+    const documentUpdate = {};
+    ['driverLicenseFront', 'driverLicenseRear', 'vehicleTitle'].forEach(field => {
+      if (documents && typeof documents === 'object' && documents[field] !== undefined) {
+        documentUpdate[`documents.${field}`] = documents[field];
+      }
+    });
+
     const updatedCase = await Case.findByIdAndUpdate(
       caseId,
-      {
-        documents: typeof documents === 'string' ? documents : {
-          driverLicenseFront: documents?.driverLicenseFront || '',
-          driverLicenseRear: documents?.driverLicenseRear || '',
-          vehicleTitle: documents?.vehicleTitle || ''
-        }
-      },
+      { $set: documentUpdate },
       { new: true }
     ).populate('customer')
      .populate('vehicle');
 
+    const customerChanges = caseEvents.diffFields(existingCase.customer, updatedCustomer, Object.keys(customerData || {}))
+      .map(change => ({ ...change, field: `customer.${change.field}` }));
+    const vehicleChanges = caseEvents.diffFields(existingCase.vehicle, updatedVehicle, Object.keys(vehicleData || {}))
+      .map(change => ({ ...change, field: `vehicle.${change.field}` }));
+    const documentChanges = caseEvents.diffFields(existingCase, updatedCase, ['documents.driverLicenseFront', 'documents.driverLicenseRear', 'documents.vehicleTitle']);
+
+    await caseEvents.recordCaseEvent({
+      caseId,
+      type: 'case',
+      action: 'details-updated',
+      description: 'Customer and vehicle details updated',
+      actor: caseEvents.actorFromRequest(req),
+      changes: [...customerChanges, ...vehicleChanges, ...documentChanges]
+    });
+
     res.status(200).json({
       success: true,
       data: updatedCase
@@ -509,57 +685,85 @@ exports.updateCase = async (req, res) => {
   }
 };
 
-// Delete a case and all related data
+// Move a case to the trash (purged after the retention period)
 exports.deleteCase = async (req, res) => {
   try {
     const { caseId } = req.params;
-    // Find the case and populate all references
-    const caseData = await Case.findById(caseId)
+    const caseData = await Case.findOne({ _id: caseId, deletedAt: null })
       .populate('customer')
-      .populate('vehicle')
-      .populate('inspection')
-      .populate('quote')
-      .populate('transaction');
+      .populate('vehicle');
 
     if (!caseData) {
       return res.status(404).json({ success: false, error: 'Case not found' });
     }
 
-    // Delete TimeTracking
-    await TimeTracking.deleteOne({ caseId: caseData._id });
+    await caseRetention.softDeleteCase(caseData, caseEvents.actorFromRequest(req));
 
-    // Delete Quote (and any OBD2 scan data inside it)
-    if (caseData.quote) {
-      await Quote.findByIdAndDelete(caseData.quote._id || caseData.quote);
-    }
+    res.status(200).json({
+      success: true,
+      message: `Case moved to trash. It will be permanently deleted after ${caseRetention.getRetentionDays()} days.`
+    });
+  } catch (error) {
+    console.error('Error deleting case:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
 
-    // Delete Inspection
-    if (caseData.inspection) {
-      await Inspection.findByIdAndDelete(caseData.inspection._id || caseData.inspection);
-    }
+// Get cases in the trash (admin only)
+exports.getDeletedCases = async (req, res) => {
+  try {
+    const retentionDays = caseRetention.getRetentionDays();
+    const cases = await Case.find({ deletedAt: { $ne: null } })
+      .populate('customer')
+      .populate('vehicle')
+      .populate('deletedBy', 'firstName lastName email')
+      .sort('-deletedAt');
 
-    // Delete Transaction
-    if (caseData.transaction) {
-      await Transaction.findByIdAndDelete(caseData.transaction._id || caseData.transaction);
-    }
+    const data = cases.map(caseData => ({
+      ...caseData.toObject(),
+      purgeAt: new Date(caseData.deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000)
+    }));
 
-    // Delete Vehicle
-    if (caseData.vehicle) {
-      await Vehicle.findByIdAndDelete(caseData.vehicle._id || caseData.vehicle);
-    }
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      retentionDays,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Restore a case from the trash (admin only)
+exports.restoreCase = async (req, res) => {
+  try {
+    const { caseId } = req.params;
+    const caseData = await Case.findOne({ _id: caseId, deletedAt: { $ne: null } });
 
-    // Delete Customer
-    if (caseData.customer) {
-      await Customer.findByIdAndDelete(caseData.customer._id || caseData.customer);
+    if (!caseData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deleted case not found'
+      });
     }
 
-    // Finally, delete the Case itself
-    await Case.findByIdAndDelete(caseId);
+    const restoredCase = await caseRetention.restoreCase(caseData, caseEvents.actorFromRequest(req));
+    const populatedCase = await restoredCase.populate(['customer', 'vehicle', 'inspection', 'quote', 'transaction']);
 
-    res.status(200).json({ success: true, message: 'Case and all related data deleted successfully.' });
+    res.status(200).json({
+      success: true,
+      data: populatedCase
+    });
   } catch (error) {
-    console.error('Error deleting case and related data:', error);
-    res.status(500).json({ success: false, error: error.message });
+    console.error('Error restoring case:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
 };
 
@@ -567,7 +771,7 @@ exports.deleteCase = async (req, res) => {
 exports.scheduleInspection = async (req, res) => {
   try {
     const { caseId } = req.params;
-    const { inspector, scheduledDate, scheduledTime, notesForInspector, dueByDate, dueByTime } = req.body;
+    const { inspector, scheduledDate, scheduledTime, notesForInspector, dueByDate, dueByTime, templateKey } = req.body;
 
     const caseData = await Case.findById(caseId)
       .populate('customer')
@@ -580,6 +784,24 @@ exports.scheduleInspection = async (req, res) => {
       });
     }
 
+    await locations.assertInspectorAtLocation(caseData, inspector);
+
+    // Rejects times outside the inspector's hours, time off or other bookings
+    const appointment = await inspectorAvailability.assertInspectorAvailable({ inspector, scheduledDate, scheduledTime });
+
+    // Make sure the case can move into the inspection stage before creating anything
+    await caseWorkflow.assertTransition(caseId, { stage: 3, status: 'scheduled' }, { hasInspection: true });
+
+    // Pin the inspection to the current version of its checklist
+    const resolvedTemplateKey = templateKey || inspectionTemplates.DEFAULT_TEMPLATE_KEY;
+    const template = await inspectionTemplates.getActiveTemplate(resolvedTemplateKey);
+    if (!template) {
+      return res.status(400).json({
+        success: false,
+        error: `No active inspection template found for "${resolvedTemplateKey}"`
+      });
+    }
+
     // Create inspection record
     const inspection = await Inspection.create({
       caseId: caseId,
@@ -587,21 +809,38 @@ exports.scheduleInspection = async (req, res) => {
       customer: caseData.customer._id,
       inspector,
       scheduledDate,
-      scheduledTime,
+      ...appointment,
       dueByDate,
       dueByTime,
       notesForInspector,
       status: 'scheduled',
+      template: inspectionTemplates.templateRef(template),
       createdBy: req.user.id
     });
 
+    // Another inspection may have been booked into the same time meanwhile
+    await inspectorAvailability.assertStillAvailable(
+      { inspector, scheduledDate, scheduledTime, excludeInspectionId: inspection._id },
+      () => Inspection.deleteOne({ _id: inspection._id })
+    );
+
+    // The emailed link is valid until a while after the inspection date
+    await linkTokens.ensurePrimaryToken('inspection', inspection, { createdBy: req.user.id });
+
     // Update case with inspection reference
-    await Case.findByIdAndUpdate(caseId, {
-      inspection: inspection._id,
-      currentStage: 3,
-      'stageStatuses.2': 'complete',
-      'stageStatuses.3': 'active',
-      status: 'scheduled'
+    await caseWorkflow.transitionCase(caseId, { stage: 3, status: 'scheduled' }, {
+      actor: caseEvents.actorFromRequest(req),
+      update: { inspection: inspection._id }
+    });
+
+    await caseEvents.recordCaseEvent({
+      caseId,
+      type: 'inspection',
+      action: 'scheduled',
+      description: `Inspection scheduled for ${scheduledDate} ${scheduledTime || ''}`.trim(),
+      actor: caseEvents.actorFromRequest(req),
+      changes: caseEvents.diffFields(null, inspection, caseEvents.AUDITED_FIELDS.inspection),
+      metadata: { inspection: inspection._id }
     });
 
     // Send email to inspector
@@ -638,7 +877,7 @@ exports.scheduleInspection = async (req, res) => {
     });
   } catch (error) {
     console.error('Schedule inspection error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -670,17 +909,27 @@ exports.rescheduleInspection = async (req, res) => {
       });
     }
 
+    await locations.assertInspectorAtLocation(caseData, inspector);
+
+    const appointment = await inspectorAvailability.assertInspectorAvailable({
+      inspector,
+      scheduledDate,
+      scheduledTime,
+      excludeInspectionId: caseData.inspection._id
+    });
+
     // Update inspection record
     const updatedInspection = await Inspection.findByIdAndUpdate(
       caseData.inspection._id,
       {
         inspector,
         scheduledDate,
-        scheduledTime,
+        ...appointment,
         dueByDate,
         dueByTime,
         notesForInspector,
-        status: 'scheduled'
+        status: 'scheduled',
+        $inc: { 'calendarEvents.sequence': 1 }
       },
       { new: true }
     ).populate('vehicle').populate('customer');
@@ -692,6 +941,39 @@ exports.rescheduleInspection = async (req, res) => {
       });
     }
 
+    // Another inspection may have been booked into the same time meanwhile
+    const previous = caseData.inspection.toObject();
+    const restore = { $set: {}, $unset: {}, $inc: { 'calendarEvents.sequence': -1 } };
+    ['inspector', 'scheduledDate', 'scheduledTime', 'scheduledStart', 'scheduledEnd', 'dueByDate', 'dueByTime', 'notesForInspector', 'status']
+      .forEach(field => {
+        if (previous[field] === undefined || previous[field] === null) {
+          restore.$unset[field] = 1;
+        } else {
+          restore.$set[field] = previous[field];
+        }
+      });
+    await inspectorAvailability.assertStillAvailable(
+      { inspector, scheduledDate, scheduledTime, excludeInspectionId: previous._id },
+      () => Inspection.updateOne({ _id: previous._id }, restore)
+    );
+
+    // The new appointment gets a new link and the old one stops working
+    const { token: inspectionToken } = await linkTokens.regeneratePrimaryToken('inspection', updatedInspection, {
+      reason: 'rescheduled',
+      createdBy: req.user?.id
+    });
+    updatedInspection.accessToken = inspectionToken;
+
+    await caseEvents.recordCaseEvent({
+      caseId,
+      type: 'inspection',
+      action: 'rescheduled',
+      description: `Inspection rescheduled to ${updatedInspection.scheduledDate ? new Date(updatedInspection.scheduledDate).toDateString() : 'unscheduled'} ${updatedInspection.scheduledTime || ''}`.trim(),
+      actor: caseEvents.actorFromRequest(req),
+      changes: caseEvents.diffFields(caseData.inspection, updatedInspection, caseEvents.AUDITED_FIELDS.inspection),
+      metadata: { inspection: updatedInspection._id }
+    });
+
     // Send Zapier webhook for calendar rescheduling
     console.log('=== RESCHEDULE INSPECTION - ZAPIER CALL ===');
     console.log('About to call Zapier service for inspection rescheduling');
@@ -715,6 +997,19 @@ exports.rescheduleInspection = async (req, res) => {
       } : null
     });
     
+    // Send the inspector the new link
+    try {
+      await emailService.sendInspectionEmail(
+        updatedInspection,
+        caseData.customer,
+        caseData.vehicle,
+        process.env.FRONTEND_URL
+      );
+    } catch (emailError) {
+      console.error('Error sending inspection email:', emailError);
+      // Don't fail the request if email fails
+    }
+
     try {
       const zapierResult = await zapierService.scheduleInspection(updatedInspection, caseData, true);
       console.log('=== RESCHEDULE INSPECTION - ZAPIER RESULT ===');
@@ -736,7 +1031,61 @@ exports.rescheduleInspection = async (req, res) => {
     });
   } catch (error) {
     console.error('Reschedule inspection error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Cancel the scheduled inspection; the case goes back to scheduling
+exports.cancelInspection = async (req, res) => {
+  try {
+    const { caseId } = req.params;
+    const { reason, notifyCustomer } = req.body;
+
+    const result = await inspectionCancellation.closeInspection({
+      caseId,
+      outcome: 'cancelled',
+      reason,
+      notifyCustomer: notifyCustomer !== false,
+      actor: caseEvents.actorFromRequest(req)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Cancel inspection error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Record that the customer didn't show up; the case goes back to scheduling
+exports.markInspectionNoShow = async (req, res) => {
+  try {
+    const { caseId } = req.params;
+    const { reason, notifyCustomer } = req.body;
+
+    const result = await inspectionCancellation.closeInspection({
+      caseId,
+      outcome: 'no-show',
+      reason: reason || 'Customer did not show up',
+      notifyCustomer: notifyCustomer !== false,
+      actor: caseEvents.actorFromRequest(req)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Inspection no-show error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -746,11 +1095,9 @@ exports.rescheduleInspection = async (req, res) => {
 // Get inspection by token
 exports.getInspectionByToken = async (req, res) => {
   try {
-    const { token } = req.params;
-
-    console.log('Retrieving inspection with token:', token);
+    console.log('Retrieving inspection:', req.linkToken.resource);
 
-    const inspection = await Inspection.findOne({ accessToken: token })
+    const inspection = await Inspection.findById(req.linkToken.resource)
       .populate('vehicle')
       .populate('customer');
 
@@ -784,10 +1131,24 @@ exports.getInspectionByToken = async (req, res) => {
 
     console.log('inspectorId', inspection.inspector);
 
+    // Inspections scheduled before templates existed are pinned when first opened
+    if (!inspection.template?.id && inspection.status === 'scheduled' && inspection.sections.length === 0) {
+      const activeTemplate = await inspectionTemplates.getActiveTemplate();
+      inspection.template = inspectionTemplates.templateRef(activeTemplate);
+      await inspection.save();
+    }
+
+    // The checklist comes from the pinned template, with any saved answers filled in
+    const template = await inspectionTemplates.getTemplateForInspection(inspection);
+    const sections = template
+      ? inspectionTemplates.buildInspectionSections(template, inspection.vehicle, inspection.sections).sections
+      : inspection.sections;
+
     res.status(200).json({
       success: true,
       data: {
         ...inspection.toObject(),
+        sections,
         caseId,
         inspectorId: inspectorId, // You can enhance this if you want to look up the User by email
         inspectorName
@@ -805,7 +1166,6 @@ exports.getInspectionByToken = async (req, res) => {
 // Submit inspection results
 exports.submitInspection = async (req, res) => {
   try {
-    const { token } = req.params;
     const inspectionData = req.body;
 
     // Validate inspection data
@@ -816,59 +1176,42 @@ exports.submitInspection = async (req, res) => {
       });
     }
 
-    // Validate sections have required fields
-    for (const section of inspectionData.sections) {
-      if (!section.id || !section.name) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid section data - missing id or name'
-        });
-      }
+    // Make sure the case can move on to the quote stage before saving the results
+    const existingInspection = await Inspection.findById(req.linkToken.resource);
+    if (!existingInspection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invalid or expired inspection token'
+      });
+    }
+    const inspectionCase = await Case.findOne({ inspection: existingInspection._id });
+    if (inspectionCase) {
+      await caseWorkflow.assertTransition(inspectionCase._id, { stage: 4, status: 'quote-ready' }, { inspectionCompleted: true });
     }
 
+    const resolvedSections = await resolveInspectionSections(existingInspection, inspectionData.sections);
+
+    // Required answers and photos must all be there before the inspection is completed
+    const missing = inspectionScoring.findMissingItems(resolvedSections);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Inspection is incomplete: ${missing.length} required item(s) missing`,
+        missing
+      });
+    }
+
+    // Scores are computed from option points, never taken from the client
+    const { sections, overallScore, maxPossibleScore } = inspectionScoring.scoreInspection(resolvedSections);
+
     // Find and update the inspection with comprehensive data
-    const inspection = await Inspection.findOneAndUpdate(
-      { accessToken: token },
+    const inspection = await Inspection.findByIdAndUpdate(
+      req.linkToken.resource,
       {
-        sections: inspectionData.sections.map(section => {
-          console.log(`Processing section: ${section.name}`, {
-            questionsCount: section.questions?.length || 0,
-          });
-          
-          return {
-            id: section.id,
-            name: section.name,
-            description: section.description || '',
-            icon: section.icon || '',
-            questions: Array.isArray(section.questions) ? section.questions.map(q => ({
-              id: q.id || '',
-              question: q.question || '',
-              type: q.type || 'text',
-              options: Array.isArray(q.options) ? q.options : [],
-              required: q.required || false,
-              answer: q.answer,
-              notes: q.notes || '',
-              photos: Array.isArray(q.photos) ? q.photos : [],
-              subQuestions: Array.isArray(q.subQuestions) ? q.subQuestions.map(sq => ({
-                id: sq.id || '',
-                question: sq.question || '',
-                type: sq.type || 'text',
-                options: Array.isArray(sq.options) ? sq.options : [],
-                answer: sq.answer,
-                notes: sq.notes || '',
-                photos: Array.isArray(sq.photos) ? sq.photos : []
-              })) : []
-            })) : [],
-            rating: section.rating || 0,
-            photos: Array.isArray(section.photos) ? section.photos : [],
-            score: section.score || 0,
-            maxScore: section.maxScore || 0,
-            completed: section.completed || false,
-          };
-        }),
+        sections,
         overallRating: inspectionData.overallRating || 0,
-        overallScore: inspectionData.overallScore || 0,
-        maxPossibleScore: inspectionData.maxPossibleScore || 0,
+        overallScore,
+        maxPossibleScore,
         status: 'completed',
         completed: true,
         completedAt: new Date(),
@@ -886,17 +1229,27 @@ exports.submitInspection = async (req, res) => {
       });
     }
 
+    await caseEvents.recordCaseEvent({
+      caseId: inspectionCase?._id || inspection.caseId,
+      type: 'inspection',
+      action: 'completed',
+      description: `Inspection completed with rating ${inspection.overallRating}`,
+      actor: caseEvents.actorFromRequest(req),
+      changes: caseEvents.diffFields(existingInspection, inspection, caseEvents.AUDITED_FIELDS.inspection),
+      metadata: { inspection: inspection._id }
+    });
+
     // Update case status
-    const caseData = await Case.findOneAndUpdate(
-      { inspection: inspection._id },
-      {
-        currentStage: 4,
-        'stageStatuses.3': 'complete',
-        'stageStatuses.4': 'active',
-        status: 'quote-ready'
-      },
-      { new: true }
-    ).populate('customer').populate('vehicle');
+    let caseData = null;
+    if (inspectionCase) {
+      const updatedCase = await caseWorkflow.transitionCase(inspectionCase._id, { stage: 4, status: 'quote-ready' }, { actor: caseEvents.actorFromRequest(req) });
+      caseData = await updatedCase.populate(['customer', 'vehicle']);
+    }
+
+    // A quote made before the inspection (e.g. for an OBD2 upload) gets the repairs found
+    if (inspectionCase?.quote) {
+      await reconditioning.refreshQuoteReconditioning(inspectionCase.quote);
+    }
 
     // Send email notifications about completed inspection
     if (caseData) {
@@ -941,7 +1294,7 @@ exports.submitInspection = async (req, res) => {
     });
   } catch (error) {
     console.error('Error submitting inspection:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -951,7 +1304,6 @@ exports.submitInspection = async (req, res) => {
 // Save pending inspection data
 exports.savePendingInspection = async (req, res) => {
   try {
-    const { token } = req.params;
     const inspectionData = req.body;
 
     // Validate inspection data
@@ -962,59 +1314,25 @@ exports.savePendingInspection = async (req, res) => {
       });
     }
 
-    // Validate sections have required fields
-    for (const section of inspectionData.sections) {
-      if (!section.id || !section.name) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid section data - missing id or name'
-        });
-      }
+    const existingInspection = await Inspection.findById(req.linkToken.resource);
+    if (!existingInspection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invalid or expired inspection token'
+      });
     }
 
+    const resolvedSections = await resolveInspectionSections(existingInspection, inspectionData.sections);
+    const { sections, overallScore, maxPossibleScore } = inspectionScoring.scoreInspection(resolvedSections);
+
     // Find and update the inspection with pending data
-    const inspection = await Inspection.findOneAndUpdate(
-      { accessToken: token },
+    const inspection = await Inspection.findByIdAndUpdate(
+      req.linkToken.resource,
       {
-        sections: inspectionData.sections.map(section => {
-          console.log(`Processing pending section: ${section.name}`, {
-            questionsCount: section.questions?.length || 0,
-          });
-          
-          return {
-            id: section.id,
-            name: section.name,
-            description: section.description || '',
-            icon: section.icon || '',
-            questions: Array.isArray(section.questions) ? section.questions.map(q => ({
-              id: q.id || '',
-              question: q.question || '',
-              type: q.type || 'text',
-              options: Array.isArray(q.options) ? q.options : [],
-              required: q.required || false,
-              answer: q.answer,
-              notes: q.notes || '',
-              photos: Array.isArray(q.photos) ? q.photos : [],
-              subQuestions: Array.isArray(q.subQuestions) ? q.subQuestions.map(sq => ({
-                id: sq.id || '',
-                question: sq.question || '',
-                type: sq.type || 'text',
-                options: Array.isArray(sq.options) ? sq.options : [],
-                answer: sq.answer,
-                notes: sq.notes || '',
-                photos: Array.isArray(sq.photos) ? sq.photos : []
-              })) : []
-            })) : [],
-            rating: section.rating || 0,
-            photos: Array.isArray(section.photos) ? section.photos : [],
-            score: section.score || 0,
-            maxScore: section.maxScore || 0,
-            completed: section.completed || false,
-          };
-        }),
+        sections,
         overallRating: inspectionData.overallRating || 0,
-        overallScore: inspectionData.overallScore || 0,
-        maxPossibleScore: inspectionData.maxPossibleScore || 0,
+        overallScore,
+        maxPossibleScore,
         status: 'in-progress',
         completed: false,
         completedAt: null,
@@ -1032,13 +1350,28 @@ exports.savePendingInspection = async (req, res) => {
       });
     }
 
+    await caseEvents.recordCaseEvent({
+      caseId: inspection.caseId,
+      type: 'inspection',
+      action: 'progress-saved',
+      description: 'Inspection progress saved',
+      actor: caseEvents.actorFromRequest(req),
+      metadata: {
+        inspection: inspection._id,
+        sectionsCompleted: inspection.sections.filter(section => section.completed).length,
+        sectionsTotal: inspection.sections.length
+      }
+    });
+
     res.status(200).json({
       success: true,
-      data: inspection
+      data: inspection,
+      // What still has to be filled in before the inspection can be submitted
+      missing: inspectionScoring.findMissingItems(inspection.sections)
     });
   } catch (error) {
     console.error('Error saving pending inspection:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1071,11 +1404,23 @@ exports.assignEstimatorDuringInspection = async (req, res) => {
     let quote = await Quote.findOne({ caseId: caseId });
     
     if (quote) {
+      const previousEstimatorEmail = quote.estimator?.email;
+
       // Update existing quote with new estimator
       quote = await Quote.findByIdAndUpdate(quote._id, {
         estimator,
         updatedAt: new Date()
       }, { new: true });
+
+      // The previous estimator's link stops working when the quote changes hands
+      if (previousEstimatorEmail && previousEstimatorEmail !== estimator.email) {
+        ({ resource: quote } = await linkTokens.regeneratePrimaryToken('quote', quote, {
+          reason: 'estimator-changed',
+          createdBy: req.user.id
+        }));
+      } else {
+        await linkTokens.ensurePrimaryToken('quote', quote, { createdBy: req.user.id });
+      }
     } else {
       // Create new quote record
       quote = await Quote.create({
@@ -1087,6 +1432,7 @@ exports.assignEstimatorDuringInspection = async (req, res) => {
         status: 'draft',
         createdBy: req.user.id
       });
+      await linkTokens.ensurePrimaryToken('quote', quote, { createdBy: req.user.id });
     }
 
     // Update case with quote reference and estimatorId if not already set
@@ -1102,6 +1448,20 @@ exports.assignEstimatorDuringInspection = async (req, res) => {
       });
     }
 
+    await caseEvents.recordCaseEvent({
+      caseId,
+      type: 'case',
+      action: 'estimator-assigned',
+      description: `Estimator ${estimator.firstName || ''} ${estimator.lastName || ''} assigned`.replace(/\s+/g, ' ').trim(),
+      actor: caseEvents.actorFromRequest(req),
+      changes: [{
+        field: 'estimatorId',
+        before: caseData.estimatorId ? caseData.estimatorId.toString() : null,
+        after: estimatorUser ? estimatorUser._id.toString() : null
+      }],
+      metadata: { quote: quote._id, estimatorEmail: estimator.email }
+    });
+
     // Populate the quote with related data for the response
     const populatedQuote = await Quote.findById(quote._id)
       .populate('caseId')
@@ -1136,12 +1496,25 @@ exports.assignEstimatorDuringInspection = async (req, res) => {
   }
 };
 
+// Refuse a customer's decision on a lapsed quote. The quote is marked expired
+// on the way and the 410 tells the customer to request a re-quote.
+const assertQuoteNotExpired = async (quote, req) => {
+  if (!quoteExpiry.isQuoteExpired(quote)) {
+    return;
+  }
+
+  await quoteExpiry.expireQuote(quote, caseEvents.actorFromRequest(req, 'customer'));
+
+  const expiry = quoteExpiry.getQuoteExpiry(quote);
+  const error = new Error(`This offer expired${expiry ? ` on ${expiry.toLocaleDateString()}` : ''}. Please request a new quote.`);
+  error.statusCode = 410;
+  throw error;
+};
+
 // Get quote by token
 exports.getQuoteByToken = async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const quote = await Quote.findOne({ accessToken: id })
+    let quote = await Quote.findById(req.linkToken.resource)
       .populate('caseId')
       .populate('vehicle')
       .populate('customer')
@@ -1154,9 +1527,26 @@ exports.getQuoteByToken = async (req, res) => {
       });
     }
 
+    // Expire on read so the customer never sees a stale offer as open
+    const expired = quoteExpiry.isQuoteExpired(quote);
+    if (expired && quote.status !== 'expired') {
+      await quoteExpiry.expireQuote(quote, caseEvents.actorFromRequest(req, 'customer'));
+      quote = await Quote.findById(quote._id)
+        .populate('caseId')
+        .populate('vehicle')
+        .populate('customer')
+        .populate('inspection');
+    }
+
     res.status(200).json({
       success: true,
-      data: quote
+      data: {
+        ...quote.toObject(),
+        negotiation: quoteNegotiation.getHistory(quote),
+        currentOffer: quoteNegotiation.getCurrentOffer(quote),
+        expired,
+        expiresAt: quoteExpiry.getQuoteExpiry(quote)
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -1169,11 +1559,11 @@ exports.getQuoteByToken = async (req, res) => {
 // Submit quote
 exports.submitQuote = async (req, res) => {
   try {
-    const { id } = req.params;
-    const quoteData = req.body;
+    const { message } = req.body;
+    const quoteData = pickQuoteFields(req.body);
 
     // First check if quote exists and if it has already been decided
-    const existingQuote = await Quote.findOne({ accessToken: id });
+    const existingQuote = await Quote.findById(req.linkToken.resource);
     if (existingQuote) {
       const isQuoteDecided = existingQuote.offerDecision?.decision === 'accepted' || 
                             existingQuote.offerDecision?.decision === 'declined' ||
@@ -1188,10 +1578,26 @@ exports.submitQuote = async (req, res) => {
       }
     }
 
-    const quote = await Quote.findOneAndUpdate(
-      { accessToken: id },
+    // A changed offer starts a new round of the negotiation
+    if (existingQuote && quoteData.offerAmount) {
+      await quoteNegotiation.appendEntry(existingQuote._id, {
+        kind: 'offer',
+        amount: quoteData.offerAmount,
+        author: quoteNegotiation.estimatorAuthor(req, existingQuote),
+        message
+      });
+    }
+
+    // Submitting a lapsed quote issues it again with a new expiry date
+    if (!quoteData.expiryDate && (!existingQuote?.expiryDate || existingQuote.expiryDate <= new Date())) {
+      quoteData.expiryDate = quoteExpiry.defaultExpiryDate();
+    }
+
+    const quote = await Quote.findByIdAndUpdate(
+      req.linkToken.resource,
       {
         ...quoteData,
+        expiredAt: null,
         status: 'ready'
       },
       { new: true }
@@ -1207,6 +1613,16 @@ exports.submitQuote = async (req, res) => {
       });
     }
 
+    await caseEvents.recordCaseEvent({
+      caseId: quote.caseId?._id || quote.caseId,
+      type: 'quote',
+      action: 'quote-submitted',
+      description: `Quote submitted with offer of $${quote.offerAmount}`,
+      actor: caseEvents.actorFromRequest(req),
+      changes: caseEvents.diffFields(existingQuote, quote, caseEvents.AUDITED_FIELDS.quote),
+      metadata: { quote: quote._id }
+    });
+
     // Create or update transaction with sale price from quote
     if (quote.offerAmount) {
       let transaction = await Transaction.findOne({ quote: quote._id });
@@ -1227,6 +1643,7 @@ exports.submitQuote = async (req, res) => {
           customer: quote.customer._id,
           quote: quote._id,
           billOfSale: {
+            ...await locations.buyerDetailsForCase(await Case.findById(quote.caseId?._id || quote.caseId)),
             salePrice: quote.offerAmount
           }
         });
@@ -1264,7 +1681,7 @@ exports.submitQuote = async (req, res) => {
       data: quote
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1274,11 +1691,57 @@ exports.submitQuote = async (req, res) => {
 // Update offer decision
 exports.updateOfferDecision = async (req, res) => {
   try {
-    const { id } = req.params;
     const { offerDecision } = req.body;
 
-    const quote = await Quote.findOneAndUpdate(
-      { accessToken: id },
+    const problem = offerDecisionProblem(offerDecision);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        error: problem
+      });
+    }
+
+    const existingQuote = await Quote.findById(req.linkToken.resource);
+    if (!existingQuote) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invalid or expired quote token'
+      });
+    }
+
+    await assertQuoteNotExpired(existingQuote, req);
+
+    // Check the decision is allowed for the case before recording it
+    let target = null;
+    if (offerDecision.decision === 'accepted') {
+      target = { stage: 4, status: 'negotiating' };
+    } else if (offerDecision.decision === 'declined') {
+      target = { stage: 6, status: 'quote-declined' };
+    }
+
+    const quoteCase = await Case.findOne({ quote: existingQuote._id });
+    if (quoteCase && target) {
+      await caseWorkflow.assertTransition(quoteCase._id, target, { quoteDecision: offerDecision.decision });
+    }
+
+    // A counter offer becomes the next entry of the negotiation thread
+    if (offerDecision.decision === 'negotiating' && offerDecision.counterOffer) {
+      const customer = await Customer.findById(existingQuote.customer);
+      await quoteNegotiation.appendEntry(existingQuote._id, {
+        kind: 'counter',
+        amount: offerDecision.counterOffer,
+        author: quoteNegotiation.customerAuthor(req, customer),
+        message: offerDecision.customerNotes
+      });
+    }
+
+    // Accepting without an amount accepts the latest estimator offer
+    if (offerDecision.decision === 'accepted' && !offerDecision.finalAmount) {
+      offerDecision.finalAmount = quoteNegotiation.getCurrentOffer(existingQuote, 'offer')?.amount;
+    }
+
+    const quote = await Quote.findByIdAndUpdate(
+      req.linkToken.resource,
       {
         offerDecision: {
           ...offerDecision,
@@ -1291,30 +1754,26 @@ exports.updateOfferDecision = async (req, res) => {
      .populate('customer')
      .populate('inspection');
 
-    if (!quote) {
-      return res.status(404).json({
-        success: false,
-        error: 'Invalid or expired quote token'
-      });
-    }
+    await caseEvents.recordCaseEvent({
+      caseId: quoteCase?._id || quote.caseId?._id,
+      type: 'offer-decision',
+      action: `offer-${offerDecision.decision}`,
+      description: `Offer ${offerDecision.decision} by customer`,
+      actor: caseEvents.actorFromRequest(req, 'customer'),
+      changes: caseEvents.diffFields(existingQuote, quote, caseEvents.AUDITED_FIELDS.quote),
+      metadata: { quote: quote._id }
+    });
 
-    if (offerDecision.decision === 'accepted') {
-      caseUpdate.currentStage = 4;
-    } else if (offerDecision.decision === 'declined') {
-      caseUpdate.status = 'quote-declined';
+    if (quoteCase && target) {
+      await caseWorkflow.transitionCase(quoteCase._id, target, { actor: caseEvents.actorFromRequest(req) });
     }
 
-    await Case.findOneAndUpdate(
-      { quote: quote._id },
-      caseUpdate
-    );
-
     res.status(200).json({
       success: true,
       data: quote
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1324,11 +1783,16 @@ exports.updateOfferDecision = async (req, res) => {
 // Update paperwork
 exports.updatePaperwork = async (req, res) => {
   try {
-    const { id } = req.params;
     const { paperwork } = req.body;
 
-    const quote = await Quote.findOneAndUpdate(
-      { accessToken: id },
+    const existingQuote = await Quote.findById(req.linkToken.resource);
+    const quoteCase = existingQuote && await Case.findOne({ quote: existingQuote._id });
+    if (quoteCase) {
+      await caseWorkflow.assertTransition(quoteCase._id, { stage: 6 });
+    }
+
+    const quote = await Quote.findByIdAndUpdate(
+      req.linkToken.resource,
       {
         paperwork: {
           ...paperwork,
@@ -1348,22 +1812,26 @@ exports.updatePaperwork = async (req, res) => {
       });
     }
 
+    await caseEvents.recordCaseEvent({
+      caseId: quoteCase?._id || quote.caseId?._id,
+      type: 'transaction',
+      action: 'paperwork-submitted',
+      description: 'Paperwork submitted',
+      actor: caseEvents.actorFromRequest(req),
+      metadata: { quote: quote._id }
+    });
+
     // Update case status
-    await Case.findOneAndUpdate(
-      { quote: quote._id },
-      {
-        currentStage: 6,
-        'stageStatuses.5': 'complete',
-        'stageStatuses.6': 'active'
-      }
-    );
+    if (quoteCase) {
+      await caseWorkflow.transitionCase(quoteCase._id, { stage: 6 }, { actor: caseEvents.actorFromRequest(req) });
+    }
 
     res.status(200).json({
       success: true,
       data: quote
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1373,10 +1841,9 @@ exports.updatePaperwork = async (req, res) => {
 // Update case stage
 exports.updateCaseStage = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { currentStage, stageStatuses } = req.body;
+    const { currentStage } = req.body;
 
-    const quote = await Quote.findOne({ accessToken: id });
+    const quote = await Quote.findById(req.linkToken.resource);
     if (!quote) {
       return res.status(404).json({
         success: false,
@@ -1384,27 +1851,24 @@ exports.updateCaseStage = async (req, res) => {
       });
     }
 
-    const caseUpdate = { currentStage };
-    if (stageStatuses) {
-      caseUpdate.stageStatuses = stageStatuses;
+    const quoteCase = await Case.findOne({ quote: quote._id });
+    if (!quoteCase) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found'
+      });
     }
 
-    const updatedCase = await Case.findOneAndUpdate(
-      { quote: quote._id },
-      caseUpdate,
-      { new: true }
-    ).populate('customer')
-     .populate('vehicle')
-     .populate('inspection')
-     .populate('quote')
-     .populate('transaction');
+    // Stage statuses are derived from the new stage by the workflow
+    const transitionedCase = await caseWorkflow.transitionCase(quoteCase._id, { stage: currentStage }, { actor: caseEvents.actorFromRequest(req) });
+    const updatedCase = await transitionedCase.populate(['customer', 'vehicle', 'inspection', 'quote', 'transaction']);
 
     res.status(200).json({
       success: true,
       data: updatedCase
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1415,36 +1879,18 @@ exports.updateCaseStage = async (req, res) => {
 exports.updateCaseStageByCaseId = async (req, res) => {
   try {
     const { caseId } = req.params;
-    const { currentStage, stageStatuses } = req.body;
+    const { currentStage } = req.body;
 
-    const caseUpdate = { currentStage };
-    if (stageStatuses) {
-      caseUpdate.stageStatuses = stageStatuses;
-    }
-
-    const updatedCase = await Case.findByIdAndUpdate(
-      caseId,
-      caseUpdate,
-      { new: true }
-    ).populate('customer')
-     .populate('vehicle')
-     .populate('inspection')
-     .populate('quote')
-     .populate('transaction');
-    
-    if (!updatedCase) {
-      return res.status(404).json({
-        success: false,
-        error: 'Case not found'
-      });
-    }
+    // Stage statuses are derived from the new stage by the workflow
+    const transitionedCase = await caseWorkflow.transitionCase(caseId, { stage: currentStage }, { actor: caseEvents.actorFromRequest(req) });
+    const updatedCase = await transitionedCase.populate(['customer', 'vehicle', 'inspection', 'quote', 'transaction']);
 
     res.status(200).json({
       success: true,
       data: updatedCase
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1470,28 +1916,36 @@ exports.completeCase = async (req, res) => {
       });
     }
 
+    await caseWorkflow.assertTransition(caseId, { stage: 6, status: 'completed' });
+
     // Generate case file PDF
     const pdfResult = await pdfService.generateCasePDF(caseData);
 
     // Update case with PDF path and completion status
-    const updatedCase = await Case.findByIdAndUpdate(
-      caseId,
-      {
-        pdfCaseFile: pdfResult.filePath,
-        currentStage: 6,
-        'stageStatuses.6': 'complete',
-        status: 'completed',
+    const updatedCase = await caseWorkflow.transitionCase(caseId, { stage: 6, status: 'completed' }, {
+      actor: caseEvents.actorFromRequest(req),
+      update: {
+        pdfCaseFile: pdfResult.key,
         thankYouSent: true
-      },
-      { new: true }
-    );
+      }
+    });
+
+    await caseEvents.recordCaseEvent({
+      caseId,
+      type: 'completion',
+      action: 'case-file-generated',
+      description: 'Case completed and case file generated',
+      actor: caseEvents.actorFromRequest(req),
+      metadata: { pdfCaseFile: pdfResult.key }
+    });
 
-    // Send thank you email with PDF
+    // Send thank you email with a signed link to the PDF
+    const pdfUrl = caseDocuments.signedDocumentUrl(caseData._id, 'caseFile').url;
     await emailService.sendCustomerConfirmationEmail(
       caseData.customer,
       caseData.vehicle,
       caseData.transaction,
-      `${process.env.NEXT_PUBLIC_API_URL}/uploads/pdfs/${pdfResult.fileName}`,
+      pdfUrl,
       process.env.FRONTEND_URL
     );
 
@@ -1499,13 +1953,14 @@ exports.completeCase = async (req, res) => {
       success: true,
       data: {
         case: updatedCase,
-        pdfUrl: `${process.env.NEXT_PUBLIC_API_URL}/uploads/pdfs/${pdfResult.fileName}`
+        pdfUrl
       }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      missing: error.details?.missing
     });
   }
 };
@@ -1537,7 +1992,7 @@ exports.generateCaseFile = async (req, res) => {
     res.setHeader('Content-Disposition', `attachment; filename="case-${caseId}.pdf"`);
 
     // Send the PDF file
-    res.sendFile(pdfResult.filePath);
+    res.send(pdfResult.buffer);
   } catch (error) {
     console.error('Generate case file error:', error);
     res.status(500).json({
@@ -1553,31 +2008,18 @@ exports.updateCaseStatus = async (req, res) => {
     const { caseId } = req.params;
     const { status } = req.body;
 
-    const updatedCase = await Case.findByIdAndUpdate(
-      caseId,
-      { status },
-      { new: true }
-    ).populate('customer')
-     .populate('vehicle')
-     .populate('inspection')
-     .populate('quote')
-     .populate('transaction');
-
-    if (!updatedCase) {
-      return res.status(404).json({
-        success: false,
-        error: 'Case not found'
-      });
-    }
+    const transitionedCase = await caseWorkflow.transitionCase(caseId, { status }, { actor: caseEvents.actorFromRequest(req) });
+    const updatedCase = await transitionedCase.populate(['customer', 'vehicle', 'inspection', 'quote', 'transaction']);
 
     res.status(200).json({
       success: true,
       data: updatedCase
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      missing: error.details?.missing
     });
   }
 };
@@ -1585,9 +2027,7 @@ exports.updateCaseStatus = async (req, res) => {
 // Complete case with token (for estimators)
 exports.completeCaseWithToken = async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const quote = await Quote.findOne({ accessToken: id })
+    const quote = await Quote.findById(req.linkToken.resource)
       .populate({
         path: 'caseId',
         populate: [
@@ -1611,6 +2051,8 @@ exports.completeCaseWithToken = async (req, res) => {
     console.log('Quote data:', JSON.stringify(quote, null, 2));
     console.log('Case data:', JSON.stringify(caseData, null, 2));
 
+    await caseWorkflow.assertTransition(caseData._id, { stage: 6, status: 'completed' });
+
     // Ensure we have the quote data in the case for PDF generation
     const caseWithQuote = {
       ...caseData.toObject(),
@@ -1620,28 +2062,32 @@ exports.completeCaseWithToken = async (req, res) => {
     // Generate case file PDF
     const pdfResult = await pdfService.generateCasePDF(caseWithQuote);
 
-    // Update case with PDF path and completion status only - don't automatically advance stages
-    // The frontend will call updateCaseStageByCaseId separately to manage stage status
-    const updatedCase = await Case.findByIdAndUpdate(
-      caseData._id,
-      {
-        pdfCaseFile: pdfResult.filePath,
-        status: 'completed',
+    // Update case with PDF path and completion status; a completed case always sits in stage 6
+    const completedCase = await caseWorkflow.transitionCase(caseData._id, { stage: 6, status: 'completed' }, {
+      actor: caseEvents.actorFromRequest(req),
+      update: {
+        pdfCaseFile: pdfResult.key,
         thankYouSent: true
-      },
-      { new: true }
-    ).populate('customer')
-     .populate('vehicle')
-     .populate('inspection')
-     .populate('quote')
-     .populate('transaction');
+      }
+    });
+    const updatedCase = await completedCase.populate(['customer', 'vehicle', 'inspection', 'quote', 'transaction']);
+
+    await caseEvents.recordCaseEvent({
+      caseId: caseData._id,
+      type: 'completion',
+      action: 'case-file-generated',
+      description: 'Case completed and case file generated',
+      actor: caseEvents.actorFromRequest(req),
+      metadata: { pdfCaseFile: pdfResult.key }
+    });
 
-    // Send thank you email with PDF
+    // Send thank you email with a signed link to the PDF
+    const pdfUrl = caseDocuments.signedDocumentUrl(caseData._id, 'caseFile').url;
     await emailService.sendCustomerConfirmationEmail(
       caseData.customer,
       caseData.vehicle,
       caseData.transaction,
-      `${process.env.NEXT_PUBLIC_API_URL}/uploads/pdfs/${pdfResult.fileName}`,
+      pdfUrl,
       process.env.FRONTEND_URL
     );
 
@@ -1649,14 +2095,15 @@ exports.completeCaseWithToken = async (req, res) => {
       success: true,
       data: {
         case: updatedCase,
-        pdfUrl: `${process.env.NEXT_PUBLIC_API_URL}/uploads/pdfs/${pdfResult.fileName}`
+        pdfUrl
       }
     });
   } catch (error) {
     console.error('Complete case with token error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      missing: error.details?.missing
     });
   }
 };
@@ -1664,9 +2111,7 @@ exports.completeCaseWithToken = async (req, res) => {
 // Generate case file PDF with token (for estimators)
 exports.generateCaseFileWithToken = async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const quote = await Quote.findOne({ accessToken: id })
+    const quote = await Quote.findById(req.linkToken.resource)
       .populate({
         path: 'caseId',
         populate: [
@@ -1704,7 +2149,7 @@ exports.generateCaseFileWithToken = async (req, res) => {
     res.setHeader('Content-Disposition', `attachment; filename="case-${caseData._id}.pdf"`);
 
     // Send the PDF file
-    res.sendFile(pdfResult.filePath);
+    res.send(pdfResult.buffer);
   } catch (error) {
     console.error('Generate case file with token error:', error);
     res.status(500).json({
@@ -1717,7 +2162,7 @@ exports.generateCaseFileWithToken = async (req, res) => {
 // Get users by role
 exports.getUsersByRole = async (req, res) => {
   try {
-    const { role } = req.query;
+    const { role, locationId } = req.query;
 
     if (!role) {
       return res.status(400).json({
@@ -1734,14 +2179,22 @@ exports.getUsersByRole = async (req, res) => {
       });
     }
 
-    const users = await User.find({ role }).select('firstName lastName email location role createdAt');
+    // e.g. inspectors at the case's store
+    const filter = { role };
+    if (locationId) {
+      filter.locationId = await locations.resolveLocationId(locationId);
+    }
+
+    const users = await User.find(filter)
+      .select('firstName lastName email location locationId role createdAt')
+      .populate('locationId', 'name code timezone');
 
     res.status(200).json({
       success: true,
       data: users
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1751,7 +2204,7 @@ exports.getUsersByRole = async (req, res) => {
 // Create new user (admin only)
 exports.createUser = async (req, res) => {
   try {
-    const { email, password, firstName, lastName, role, location } = req.body;
+    const { email, password, firstName, lastName, role, location, locationId } = req.body;
 
     // Validate required fields
     if (!email || !password || !firstName || !lastName || !role) {
@@ -1779,6 +2232,8 @@ exports.createUser = async (req, res) => {
       });
     }
 
+    const userLocation = locationId ? await Location.findById(await locations.resolveLocationId(locationId)) : null;
+
     // Create user
     const user = await User.create({
       email,
@@ -1786,7 +2241,8 @@ exports.createUser = async (req, res) => {
       firstName,
       lastName,
       role,
-      location
+      location: userLocation ? userLocation.name : location,
+      locationId: userLocation ? userLocation._id : null
     });
 
     // Return user data without password
@@ -1797,6 +2253,7 @@ exports.createUser = async (req, res) => {
       lastName: user.lastName,
       role: user.role,
       location: user.location,
+      locationId: user.locationId,
       createdAt: user.createdAt
     };
 
@@ -1806,7 +2263,7 @@ exports.createUser = async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating user:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1817,7 +2274,7 @@ exports.createUser = async (req, res) => {
 exports.updateUser = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { firstName, lastName, email, role, location } = req.body;
+    const { firstName, lastName, email, role, location, locationId } = req.body;
 
     // Validate required fields
     if (!firstName || !lastName || !email || !role) {
@@ -1871,6 +2328,16 @@ exports.updateUser = async (req, res) => {
       });
     }
 
+    // An empty locationId takes the user off their store
+    const locationUpdate = { location };
+    if (locationId !== undefined) {
+      const userLocation = locationId ? await Location.findById(await locations.resolveLocationId(locationId)) : null;
+      locationUpdate.locationId = userLocation ? userLocation._id : null;
+      if (userLocation) {
+        locationUpdate.location = userLocation.name;
+      }
+    }
+
     // Update user
     const updatedUser = await User.findByIdAndUpdate(
       userId,
@@ -1879,7 +2346,7 @@ exports.updateUser = async (req, res) => {
         lastName,
         email,
         role,
-        location
+        ...locationUpdate
       },
       { new: true }
     ).select('-password');
@@ -1890,7 +2357,7 @@ exports.updateUser = async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating user:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -1957,7 +2424,8 @@ exports.getAllUsers = async (req, res) => {
 exports.updateQuoteByCaseId = async (req, res) => {
   try {
     const { caseId } = req.params;
-    const quoteData = req.body;
+    const { message } = req.body;
+    const quoteData = pickQuoteFields(req.body);
 
     // Find the case
     const caseData = await Case.findById(caseId)
@@ -1973,11 +2441,12 @@ exports.updateQuoteByCaseId = async (req, res) => {
     }
 
     let quote;
+    let existingQuote = null;
     
     // Check if quote already exists
     if (caseData.quote) {
       // Check if quote has already been decided (accepted or declined)
-      const existingQuote = await Quote.findById(caseData.quote._id);
+      existingQuote = await Quote.findById(caseData.quote._id);
       if (existingQuote) {
         const isQuoteDecided = existingQuote.offerDecision?.decision === 'accepted' || 
                               existingQuote.offerDecision?.decision === 'declined' ||
@@ -1992,11 +2461,27 @@ exports.updateQuoteByCaseId = async (req, res) => {
         }
       }
       
+      // A changed offer starts a new round of the negotiation
+      if (quoteData.offerAmount) {
+        await quoteNegotiation.appendEntry(caseData.quote._id, {
+          kind: 'offer',
+          amount: quoteData.offerAmount,
+          author: quoteNegotiation.estimatorAuthor(req, existingQuote),
+          message
+        });
+      }
+
+      // Saving a lapsed quote issues it again with a new expiry date
+      if (!quoteData.expiryDate && (!existingQuote?.expiryDate || existingQuote.expiryDate <= new Date())) {
+        quoteData.expiryDate = quoteExpiry.defaultExpiryDate();
+      }
+
       // Update existing quote
       quote = await Quote.findByIdAndUpdate(
         caseData.quote._id,
         {
           ...quoteData,
+          expiredAt: null,
           status: 'ready'
         },
         { new: true }
@@ -2005,6 +2490,9 @@ exports.updateQuoteByCaseId = async (req, res) => {
        .populate('customer')
        .populate('inspection');
     } else {
+      // A new quote moves the case into the quote stage, so check that first
+      await caseWorkflow.assertTransition(caseId, { stage: 4, status: 'quote-ready' });
+
       // Create new quote if none exists
       quote = await Quote.create({
         caseId: caseId,
@@ -2017,6 +2505,16 @@ exports.updateQuoteByCaseId = async (req, res) => {
           email: req.user.email
         },
         ...quoteData,
+        // The first offer opens the negotiation thread
+        negotiation: quoteData.offerAmount
+          ? [quoteNegotiation.buildEntry(1, {
+            kind: 'offer',
+            amount: quoteData.offerAmount,
+            author: quoteNegotiation.estimatorAuthor(req),
+            message
+          })]
+          : [],
+        expiryDate: quoteData.expiryDate || quoteExpiry.defaultExpiryDate(),
         status: 'ready',
         createdBy: req.user.id
       });
@@ -2029,16 +2527,10 @@ exports.updateQuoteByCaseId = async (req, res) => {
         .populate('inspection');
 
       // Update case with quote reference
-      await Case.findByIdAndUpdate(
-        caseId,
-        {
-          quote: quote._id,
-          currentStage: 4,
-          'stageStatuses.3': 'complete',
-          'stageStatuses.4': 'active',
-          status: 'quote-ready'
-        }
-      );
+      await caseWorkflow.transitionCase(caseId, { stage: 4, status: 'quote-ready' }, {
+        actor: caseEvents.actorFromRequest(req),
+        update: { quote: quote._id }
+      });
     }
 
     if (!quote) {
@@ -2048,6 +2540,27 @@ exports.updateQuoteByCaseId = async (req, res) => {
       });
     }
 
+    // Repair costs from the inspection and OBD2 scan, with a suggested offer for the estimator
+    const reconditioningEstimate = await reconditioning.refreshQuoteReconditioning(quote._id);
+    quote.reconditioning = reconditioningEstimate;
+
+    await caseEvents.recordCaseEvent({
+      caseId,
+      type: 'quote',
+      action: existingQuote ? 'quote-updated' : 'quote-created',
+      description: existingQuote && existingQuote.offerAmount !== quote.offerAmount
+        ? `Offer changed from $${existingQuote.offerAmount || 0} to $${quote.offerAmount}`
+        : `Quote ${existingQuote ? 'updated' : 'created'} with offer of $${quote.offerAmount}`,
+      actor: caseEvents.actorFromRequest(req),
+      changes: caseEvents.diffFields(existingQuote, quote, caseEvents.AUDITED_FIELDS.quote),
+      metadata: {
+        quote: quote._id,
+        reconditioningLow: reconditioningEstimate.low,
+        reconditioningHigh: reconditioningEstimate.high,
+        proposedOffer: reconditioningEstimate.proposedOffer
+      }
+    });
+
     // Create or update transaction with sale price from quote
     if (quote.offerAmount) {
       let transaction = await Transaction.findOne({ quote: quote._id });
@@ -2068,6 +2581,7 @@ exports.updateQuoteByCaseId = async (req, res) => {
           customer: caseData.customer._id,
           quote: quote._id,
           billOfSale: {
+            ...await locations.buyerDetailsForCase(caseData),
             salePrice: quote.offerAmount
           },
           createdBy: req.user.id
@@ -2102,10 +2616,51 @@ exports.updateQuoteByCaseId = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: quote
+      data: quote,
+      reconditioning: reconditioningEstimate
     });
   } catch (error) {
     console.error('Error updating quote by case ID:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Get the reconditioning estimate and proposed offer for a case (for estimators)
+exports.getReconditioningEstimate = async (req, res) => {
+  try {
+    const { caseId } = req.params;
+
+    const caseData = await Case.findOne({ _id: caseId, deletedAt: null })
+      .populate('inspection')
+      .populate('quote');
+
+    if (!caseData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found'
+      });
+    }
+
+    // Calculated from the current inspection and OBD2 scan; only saving the quote,
+    // uploading a scan or submitting the inspection stores it on the quote
+    let estimate;
+    if (caseData.quote) {
+      estimate = await reconditioning.calculateQuoteReconditioning(caseData.quote);
+    } else {
+      estimate = reconditioning.estimateReconditioning(caseData.inspection, null);
+      estimate.baseAmount = caseData.estimatedValue || null;
+      estimate.proposedOffer = reconditioning.proposeAdjustedOffer(caseData.estimatedValue, estimate);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: estimate
+    });
+  } catch (error) {
+    console.error('Error getting reconditioning estimate:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -2113,6 +2668,143 @@ exports.updateQuoteByCaseId = async (req, res) => {
   }
 };
 
+// Get the offer/counter-offer history of a case's quote (for estimators)
+exports.getQuoteNegotiation = async (req, res) => {
+  try {
+    const { caseId } = req.params;
+
+    const caseData = await Case.findOne({ _id: caseId, deletedAt: null }).populate('quote');
+
+    if (!caseData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found'
+      });
+    }
+
+    if (!caseData.quote) {
+      return res.status(404).json({
+        success: false,
+        error: 'No quote found for this case'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        quoteId: caseData.quote._id,
+        history: quoteNegotiation.getHistory(caseData.quote),
+        currentOffer: quoteNegotiation.getCurrentOffer(caseData.quote),
+        latestOffer: quoteNegotiation.getCurrentOffer(caseData.quote, 'offer'),
+        latestCounter: quoteNegotiation.getCurrentOffer(caseData.quote, 'counter'),
+        decision: caseData.quote.offerDecision
+      }
+    });
+  } catch (error) {
+    console.error('Error getting quote negotiation:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Re-quote a case at current market pricing (for authenticated estimators)
+exports.requoteCase = async (req, res) => {
+  try {
+    const { caseId } = req.params;
+
+    const caseData = await Case.findOne({ _id: caseId, deletedAt: null }).populate('quote');
+
+    if (!caseData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found'
+      });
+    }
+
+    if (!caseData.quote) {
+      return res.status(404).json({
+        success: false,
+        error: 'No quote found for this case'
+      });
+    }
+
+    const decision = caseData.quote.offerDecision?.decision;
+    if (['accepted', 'declined'].includes(decision) || ['accepted', 'declined'].includes(caseData.quote.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Quote has already been ${decision || caseData.quote.status}. Cannot re-quote a quote that has been decided.`
+      });
+    }
+
+    const result = await quoteExpiry.requoteQuote(caseData.quote, {
+      actor: caseEvents.actorFromRequest(req),
+      author: quoteNegotiation.estimatorAuthor(req, caseData.quote)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.quote,
+      previousAmount: result.previousAmount,
+      marketValue: result.marketValue
+    });
+  } catch (error) {
+    console.error('Error re-quoting case:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Request a new quote for an expired offer (customer one-click re-quote)
+exports.requoteByToken = async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.linkToken.resource);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invalid or expired quote token'
+      });
+    }
+
+    if (!quoteExpiry.isQuoteExpired(quote)) {
+      return res.status(400).json({
+        success: false,
+        error: 'This offer has not expired'
+      });
+    }
+
+    // Record the expiry first so the history shows both steps
+    if (quote.status !== 'expired') {
+      await quoteExpiry.expireQuote(quote, caseEvents.actorFromRequest(req, 'customer'));
+    }
+
+    const result = await quoteExpiry.requoteQuote(quote, {
+      actor: caseEvents.actorFromRequest(req, 'customer')
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...result.quote.toObject(),
+        negotiation: quoteNegotiation.getHistory(result.quote),
+        currentOffer: quoteNegotiation.getCurrentOffer(result.quote),
+        expired: false,
+        expiresAt: quoteExpiry.getQuoteExpiry(result.quote)
+      }
+    });
+  } catch (error) {
+    console.error('Error re-quoting expired offer:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
 // Update offer decision by case ID (for authenticated estimators)
 exports.updateOfferDecisionByCaseId = async (req, res) => {
   try {
@@ -2123,6 +2815,14 @@ exports.updateOfferDecisionByCaseId = async (req, res) => {
     console.log('offerDecision:', offerDecision);
     console.log('User:', req.user ? { id: req.user.id, role: req.user.role } : 'No user');
 
+    const problem = offerDecisionProblem(offerDecision);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        error: problem
+      });
+    }
+
     // Find the case and its quote
     const caseData = await Case.findById(caseId).populate('quote');
     
@@ -2144,6 +2844,36 @@ exports.updateOfferDecisionByCaseId = async (req, res) => {
 
     console.log('Case and quote found successfully');
 
+    await assertQuoteNotExpired(caseData.quote, req);
+
+    // Check the decision is allowed for the case before recording it
+    let target = null;
+    if (offerDecision.decision === 'declined') {
+      target = { stage: 6, status: 'quote-declined' };
+    } else if (offerDecision.decision === 'accepted') {
+      target = { stage: 4, status: 'negotiating' };
+    }
+
+    if (target) {
+      await caseWorkflow.assertTransition(caseId, target, { quoteDecision: offerDecision.decision });
+    }
+
+    // A counter taken by staff is recorded in the thread on the customer's behalf
+    if (offerDecision.decision === 'negotiating' && offerDecision.counterOffer) {
+      const customer = await Customer.findById(caseData.quote.customer);
+      await quoteNegotiation.appendEntry(caseData.quote._id, {
+        kind: 'counter',
+        amount: offerDecision.counterOffer,
+        author: quoteNegotiation.customerAuthor(req, customer),
+        message: offerDecision.customerNotes
+      });
+    }
+
+    // Accepting without an amount accepts the latest estimator offer
+    if (offerDecision.decision === 'accepted' && !offerDecision.finalAmount) {
+      offerDecision.finalAmount = quoteNegotiation.getCurrentOffer(caseData.quote, 'offer')?.amount;
+    }
+
     // Update the quote with offer decision
     const updatedQuote = await Quote.findByIdAndUpdate(
       caseData.quote._id,
@@ -2169,28 +2899,20 @@ exports.updateOfferDecisionByCaseId = async (req, res) => {
 
     console.log('Quote updated successfully');
 
+    await caseEvents.recordCaseEvent({
+      caseId,
+      type: 'offer-decision',
+      action: `offer-${offerDecision.decision}`,
+      description: `Offer decision recorded as ${offerDecision.decision}`,
+      actor: caseEvents.actorFromRequest(req),
+      changes: caseEvents.diffFields(caseData.quote, updatedQuote, caseEvents.AUDITED_FIELDS.quote),
+      metadata: { quote: updatedQuote._id }
+    });
+
     // Update case status and stage based on decision
-    if (offerDecision.decision === 'declined') {
-      await Case.findByIdAndUpdate(
-        caseId,
-        { 
-          status: 'quote-declined',
-          currentStage: 6, // Move to completion stage
-          'stageStatuses.4': 'complete', // Mark offer decision as complete
-          'stageStatuses.6': 'active' // Mark completion as active
-        }
-      );
-      console.log('Case marked as quote-declined and moved to completion stage');
-    } else if (offerDecision.decision === 'accepted') {
-      await Case.findByIdAndUpdate(
-        caseId,
-        { 
-          status: 'negotiating',
-          currentStage: 4, // Move to paperwork stage
-          'stageStatuses.4': 'active', // Mark offer decision as complete
-        }
-      );
-      console.log('Case marked as negotiating and moved to paperwork stage');
+    if (target) {
+      await caseWorkflow.transitionCase(caseId, target, { actor: caseEvents.actorFromRequest(req) });
+      console.log(`Case marked as ${target.status} in stage ${target.stage}`);
     }
 
     console.log('Offer decision updated successfully');
@@ -2201,7 +2923,7 @@ exports.updateOfferDecisionByCaseId = async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating offer decision by case ID:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -2234,27 +2956,33 @@ exports.completeCaseByCaseId = async (req, res) => {
                            (caseData.quote && caseData.quote.offerDecision && 
                             caseData.quote.offerDecision.decision === 'declined');
 
+    // Declined offers are closed as cancelled, successful transactions as completed
+    const target = { stage: 6, status: isDeclinedOffer ? 'cancelled' : 'completed' };
+    // Completing also checks the document checklist
+    await caseWorkflow.assertTransition(caseId, target);
+
     // Generate case file PDF
     const pdfResult = await pdfService.generateCasePDF(caseData);
 
     // Update case with PDF path and completion status
-    const updateData = {
-      pdfCaseFile: pdfResult.filePath,
-      thankYouSent: true
-    };
-
-    // Set appropriate status based on whether it's a declined offer
-    if (isDeclinedOffer) {
-      updateData.status = 'cancelled'; // Mark as cancelled for declined offers
-    } else {
-      updateData.status = 'completed'; // Mark as completed for successful transactions
-    }
+    const updatedCase = await caseWorkflow.transitionCase(caseId, target, {
+      actor: caseEvents.actorFromRequest(req),
+      update: {
+        pdfCaseFile: pdfResult.key,
+        thankYouSent: true
+      }
+    });
 
-    const updatedCase = await Case.findByIdAndUpdate(
+    await caseEvents.recordCaseEvent({
       caseId,
-      updateData,
-      { new: true }
-    );
+      type: 'completion',
+      action: 'case-file-generated',
+      description: isDeclinedOffer ? 'Declined case closed and case file generated' : 'Case completed and case file generated',
+      actor: caseEvents.actorFromRequest(req),
+      metadata: { pdfCaseFile: pdfResult.key }
+    });
+
+    const pdfUrl = caseDocuments.signedDocumentUrl(caseId, 'caseFile').url;
 
     // Send appropriate email based on case type
     if (isDeclinedOffer) {
@@ -2266,7 +2994,7 @@ exports.completeCaseByCaseId = async (req, res) => {
         caseData.customer,
         caseData.vehicle,
         caseData.transaction,
-        `${process.env.NEXT_PUBLIC_API_URL}/uploads/pdfs/${pdfResult.fileName}`,
+        pdfUrl,
         process.env.FRONTEND_URL
       );
     }
@@ -2277,14 +3005,15 @@ exports.completeCaseByCaseId = async (req, res) => {
       success: true,
       data: {
         case: updatedCase,
-        pdfUrl: `${process.env.NEXT_PUBLIC_API_URL}/uploads/pdfs/${pdfResult.fileName}`
+        pdfUrl
       }
     });
   } catch (error) {
     console.error('Error completing case by case ID:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      missing: error.details?.missing
     });
   }
 };
@@ -2384,6 +3113,10 @@ exports.savePaperworkByCaseId = async (req, res) => {
     const customerId = caseData.customer._id || caseData.customer;
     const quoteId = caseData.quote?._id || caseData.quote;
 
+    const previousTransaction = caseData.transaction ? await Transaction.findById(caseData.transaction) : null;
+
+    const buyerDetails = await locations.buyerDetailsForCase(caseData);
+
     // Create or update transaction record with paperwork data
     let transaction;
     
@@ -2427,6 +3160,7 @@ exports.savePaperworkByCaseId = async (req, res) => {
             notaryCommissionExpiry: paperworkData.billOfSale?.notaryCommissionExpiry || '',
             witnessName: paperworkData.billOfSale?.witnessName || '',
             witnessPhone: paperworkData.billOfSale?.witnessPhone || '',
+            ...buyerDetails
           },
           bankDetails: {
             bankName: paperworkData.bankDetails?.bankName || '',
@@ -2484,6 +3218,7 @@ exports.savePaperworkByCaseId = async (req, res) => {
             notaryCommissionExpiry: paperworkData.billOfSale?.notaryCommissionExpiry || '',
             witnessName: paperworkData.billOfSale?.witnessName || '',
             witnessPhone: paperworkData.billOfSale?.witnessPhone || '',
+            ...buyerDetails
           },
           bankDetails: {
             bankName: paperworkData.bankDetails?.bankName || '',
@@ -2540,6 +3275,7 @@ exports.savePaperworkByCaseId = async (req, res) => {
           notaryCommissionExpiry: paperworkData.billOfSale?.notaryCommissionExpiry || '',
                       witnessName: paperworkData.billOfSale?.witnessName || '',
             witnessPhone: paperworkData.billOfSale?.witnessPhone || '',
+            ...buyerDetails
           },
           bankDetails: {
             bankName: paperworkData.bankDetails?.bankName || '',
@@ -2587,6 +3323,16 @@ exports.savePaperworkByCaseId = async (req, res) => {
       });
     }
 
+    await caseEvents.recordCaseEvent({
+      caseId,
+      type: 'transaction',
+      action: previousTransaction ? 'paperwork-updated' : 'paperwork-created',
+      description: 'Bill of sale and payment details saved',
+      actor: caseEvents.actorFromRequest(req),
+      changes: caseEvents.diffFields(previousTransaction, transaction, caseEvents.AUDITED_FIELDS.transaction),
+      metadata: { transaction: transaction._id }
+    });
+
     console.log('Case updated successfully');
 
     console.log('=== savePaperworkByCaseId SUCCESS ===');
@@ -2630,12 +3376,20 @@ exports.generateBillOfSalePDF = async (req, res) => {
     // Generate Bill of Sale PDF
     const pdfResult = await pdfService.generateBillOfSalePDF(caseData);
 
+    // Keep the latest generated bill of sale with the transaction
+    if (caseData.transaction) {
+      await Transaction.findByIdAndUpdate(caseData.transaction._id, {
+        pdfPath: pdfResult.key,
+        pdfGenerated: true
+      });
+    }
+
     // Set appropriate headers for PDF download
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="bill-of-sale-${caseId}.pdf"`);
 
     // Send the PDF file
-    res.sendFile(pdfResult.filePath);
+    res.send(pdfResult.buffer);
   } catch (error) {
     console.error('Generate Bill of Sale PDF error:', error);
     res.status(500).json({
@@ -2687,7 +3441,7 @@ exports.generateQuoteSummary = async (req, res) => {
     res.setHeader('Content-Disposition', `attachment; filename="quote-summary-${caseId}.pdf"`);
 
     // Send the PDF file
-    res.sendFile(pdfResult.filePath);
+    res.send(pdfResult.buffer);
   } catch (error) {
     console.error('Generate Quote Summary PDF error:', error);
     res.status(500).json({
@@ -2751,7 +3505,7 @@ exports.sendCustomerEmail = async (req, res) => {
           caseData.customer,
           caseData.vehicle,
           caseData.transaction,
-          caseData.pdfCaseFile ? `${process.env.NEXT_PUBLIC_API_URL}/uploads/pdfs/${path.basename(caseData.pdfCaseFile)}` : null,
+          caseData.pdfCaseFile ? caseDocuments.signedDocumentUrl(caseData._id, 'caseFile').url : null,
           process.env.FRONTEND_URL
         );
         break;
@@ -2766,6 +3520,15 @@ exports.sendCustomerEmail = async (req, res) => {
         break;
     }
 
+    await caseEvents.recordCaseEvent({
+      caseId,
+      type: 'communication',
+      action: 'email-sent',
+      description: `${emailType} email sent to ${caseData.customer.email1}`,
+      actor: caseEvents.actorFromRequest(req),
+      metadata: { emailType, to: caseData.customer.email1 }
+    });
+
     res.status(200).json({
       success: true,
       data: {
@@ -2805,10 +3568,18 @@ exports.saveCompletionData = async (req, res) => {
       });
     }
 
+    // Declined offers are closed as cancelled, successful transactions as completed
+    const isDeclinedOffer = caseData.status === 'quote-declined' ||
+                           caseData.status === 'cancelled' ||
+                           caseData.quote?.offerDecision?.decision === 'declined';
+
     // Update case with completion data
-    const updatedCase = await Case.findByIdAndUpdate(
-      caseId,
-      {
+    const completedCase = await caseWorkflow.transitionCase(caseId, {
+      stage: 6,
+      status: isDeclinedOffer ? 'cancelled' : 'completed'
+    }, {
+      actor: caseEvents.actorFromRequest(req),
+      update: {
         completion: {
           thankYouSent: completionData.thankYouSent || false,
           sentAt: completionData.sentAt || new Date(),
@@ -2820,16 +3591,26 @@ exports.saveCompletionData = async (req, res) => {
           pdfGenerated: completionData.pdfGenerated || false,
           completedAt: completionData.completedAt || new Date(),
           titleConfirmation: completionData.titleConfirmation || false
-        },
-        status: 'completed',
-        currentStage: 6,
-        'stageStatuses.6': 'complete'
-      },
-      { new: true }
-    ).populate('customer')
-     .populate('vehicle')
-     .populate('quote')
-     .populate('transaction');
+        }
+      }
+    });
+    const updatedCase = await completedCase.populate(['customer', 'vehicle', 'quote', 'transaction']);
+
+    await caseEvents.recordCaseEvent({
+      caseId,
+      type: 'completion',
+      action: 'completion-saved',
+      description: 'Completion checklist saved',
+      actor: caseEvents.actorFromRequest(req),
+      changes: caseEvents.diffFields(caseData, updatedCase, [
+        'completion.thankYouSent',
+        'completion.leaveBehinds.vehicleLeft',
+        'completion.leaveBehinds.keysHandedOver',
+        'completion.leaveBehinds.documentsReceived',
+        'completion.pdfGenerated',
+        'completion.titleConfirmation'
+      ])
+    });
 
     console.log('Completion data saved successfully');
 
@@ -2839,9 +3620,10 @@ exports.saveCompletionData = async (req, res) => {
     });
   } catch (error) {
     console.error('Error saving completion data:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      missing: error.details?.missing
     });
   }
 };
@@ -2849,7 +3631,8 @@ exports.saveCompletionData = async (req, res) => {
 // Get detailed analytics for reports
 exports.getAnalytics = async (req, res) => {
   try {
-    const { timeRange = '30d' } = req.query;
+    const { timeRange = '30d', locationId } = req.query;
+    const locationFilter = await locations.analyticsLocationFilter(req.user, locationId);
     
     const now = new Date();
     let startDate;
@@ -2873,8 +3656,11 @@ exports.getAnalytics = async (req, res) => {
 
     // Get cases with populated data
     const cases = await Case.find({
-      createdAt: { $gte: startDate }
+      createdAt: { $gte: startDate },
+      deletedAt: null,
+      ...locationFilter
     })
+    .populate('location', 'name code')
     .populate('customer')
     .populate('vehicle')
     .populate('inspection')
@@ -3066,13 +3852,41 @@ exports.getAnalytics = async (req, res) => {
       };
     });
 
+    // Cases per store, for comparing locations
+    analytics.location = locationFilter.location || null;
+    analytics.casesByLocation = cases.reduce((acc, case_) => {
+      const name = case_.location?.name || 'Unassigned';
+      acc[name] = (acc[name] || 0) + 1;
+      return acc;
+    }, {});
+
+    // Cancelled and no-show inspections are detached from their case, so read them directly
+    const caseInspections = await Inspection.find({ caseId: { $in: cases.map(case_ => case_._id) } })
+      .select('status completed inspector');
+    analytics.inspectionOutcomes = inspectionCancellation.summarizeOutcomes(caseInspections);
+    analytics.inspectionOutcomesByInspector = Object.values(caseInspections.reduce((acc, inspection) => {
+      const email = inspection.inspector?.email || 'unassigned';
+      if (!acc[email]) {
+        acc[email] = {
+          inspectorName: `${inspection.inspector?.firstName || ''} ${inspection.inspector?.lastName || ''}`.trim() || email,
+          email,
+          inspections: []
+        };
+      }
+      acc[email].inspections.push(inspection);
+      return acc;
+    }, {})).map(({ inspections, ...inspector }) => ({
+      ...inspector,
+      ...inspectionCancellation.summarizeOutcomes(inspections)
+    }));
+
     res.status(200).json({
       success: true,
       data: analytics
     });
   } catch (error) {
     console.error('Error fetching analytics:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -3082,61 +3896,56 @@ exports.getAnalytics = async (req, res) => {
 // Customer intake form submission
 exports.customerIntake = async (req, res) => {
   try {
-    const { customer: customerData, vehicle: vehicleData } = req.body;
+    const { customer: customerData, vehicle: vehicleData, locationId } = req.body;
+    const caseLocation = await locations.resolveLocationId(locationId);
 
     console.log('Customer intake submission received:', {
       customer: customerData.firstName + ' ' + customerData.lastName,
       vehicle: vehicleData.year + ' ' + vehicleData.make + ' ' + vehicleData.model
     });
 
-    // Create user account for customer
-    let customerUser;
-    let defaultPassword;
-    try {
-      const userResult = await createCustomerUser(customerData);
-      customerUser = userResult.user;
-      defaultPassword = userResult.defaultPassword;
-    } catch (userError) {
-      console.error('Failed to create customer user account:', userError);
-      // Continue without user account if creation fails
-      customerUser = null;
-      defaultPassword = null;
-    }
-
-    // Create customer record (without agent assignment)
-    const customer = await Customer.create({
-      ...customerData,
-      customerId: customerUser ? customerUser._id : null,
-      agent: null, // No agent assigned yet
-      storeLocation: '' // Will be assigned by agent later
-    });
-
-    // Create vehicle record
-    const vehicle = await Vehicle.create({
-      ...vehicleData,
-      customer: customer._id
-    });
-
-    // Create case record with initial stage
-    const newCase = await Case.create({
-      customer: customer._id,
-      vehicle: vehicle._id,
-      currentStage: 2,
-      status: 'new',
-      createdBy: null, // No user assigned yet
-      documents: {
-        driverLicenseFront: '',
-        driverLicenseRear: '',
-        vehicleTitle: ''
-      },
-      stageStatuses: {
-        1: 'complete',
-        2: 'active',
-        3: 'pending',
-        4: 'pending',
-        5: 'pending',
-        6: 'pending',
-      }
+    // Create the user account, customer, vehicle, case and time tracking together or not at all
+    const { customerUser, defaultPassword, customer, vehicle, newCase } = await runInTransaction(async (session) => {
+      // Create user account for customer
+      const userResult = await createCustomerUser(customerData, session);
+
+      // Create customer record (without agent assignment)
+      const [customer] = await Customer.create([{
+        ...customerData,
+        customerId: userResult.user ? userResult.user._id : null,
+        agent: null, // No agent assigned yet
+        storeLocation: '' // Will be assigned by agent later
+      }], { session });
+
+      // Create vehicle record
+      const [vehicle] = await Vehicle.create([{
+        ...vehicleData,
+        customer: customer._id
+      }], { session });
+
+      // Create case record with initial stage
+      const [newCase] = await Case.create([{
+        customer: customer._id,
+        vehicle: vehicle._id,
+        ...caseWorkflow.initialState(),
+        location: caseLocation,
+        createdBy: null, // No user assigned yet
+        documents: {
+          driverLicenseFront: '',
+          driverLicenseRear: '',
+          vehicleTitle: ''
+        }
+      }], { session });
+
+      await TimeTracking.create([{ caseId: newCase._id }], { session });
+
+      return {
+        customerUser: userResult.user,
+        defaultPassword: userResult.defaultPassword,
+        customer,
+        vehicle,
+        newCase
+      };
     });
 
     // Populate the references for the response
@@ -3144,6 +3953,21 @@ exports.customerIntake = async (req, res) => {
       .populate('customer')
       .populate('vehicle');
 
+    // Matches are kept on the timeline for the agent; they are not returned to the public form
+    const duplicates = await duplicateDetection.findDuplicates(
+      { customer: customer, vehicle: vehicle },
+      { customerId: customer._id, vehicleId: vehicle._id, caseId: newCase._id }
+    );
+
+    await caseEvents.recordCaseEvent({
+      caseId: newCase._id,
+      type: 'case',
+      action: 'created',
+      description: `Case created from customer intake for ${customer.firstName} ${customer.lastName}`,
+      actor: caseEvents.actorFromRequest(req, 'customer'),
+      metadata: { duplicates: duplicateDetection.summarizeDuplicates(duplicates) }
+    });
+
     // Send email notifications
     try {
       // Send customer creation confirmation email
@@ -3188,7 +4012,7 @@ exports.customerIntake = async (req, res) => {
     });
   } catch (error) {
     console.error('Customer intake error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -3423,10 +4247,41 @@ exports.getTimeTrackingByCaseId = async (req, res) => {
   }
 };
 
+// Get the activity timeline (audit log) for a specific case
+exports.getCaseTimeline = async (req, res) => {
+  try {
+    const { caseId } = req.params;
+    const { type, actor, from, to, limit } = req.query;
+
+    const invalidDate = Object.entries({ from, to }).find(([, value]) => value && isNaN(new Date(value).getTime()));
+    if (invalidDate) {
+      return res.status(400).json({
+        success: false,
+        error: `${invalidDate[0]} must be a date`
+      });
+    }
+
+    const events = await caseEvents.getTimeline(caseId, { type, actor, from, to, limit });
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      data: events
+    });
+  } catch (error) {
+    console.error('Error getting case timeline:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
 // Get analytics for all cases' time tracking
 exports.getTimeTrackingAnalytics = async (req, res) => {
   try {
-    const all = await TimeTracking.find({});
+    const liveCaseIds = await Case.find({ deletedAt: null }).distinct('_id');
+    const all = await TimeTracking.find({ caseId: { $in: liveCaseIds } });
     if (!all.length) return res.status(200).json({ success: true, data: { stageAverages: {}, totalCases: 0 } });
     const stageNames = Object.keys(all[0].stageTimes || {});
     const stageTotals = {};
@@ -3495,24 +4350,12 @@ exports.confirmPayoff = async (req, res) => {
       });
     }
 
-    // Update transaction with payoff confirmation
+    // Update transaction with payoff confirmation; completing records the amount actually paid
     const updateData = {
-      payoffStatus: payoffStatus,
-      payoffNotes: payoffNotes || '',
+      ...payoff.payoffStatusUpdate(caseData.transaction, req.body, { quote: caseData.quote }),
       payoffConfirmedBy: req.user.id
     };
 
-    // Set timestamps based on status
-    if (payoffStatus === 'confirmed') {
-      updateData.payoffConfirmedAt = new Date();
-    } else if (payoffStatus === 'completed') {
-      updateData.payoffCompletedAt = new Date();
-      // If not already confirmed, set confirmed timestamp too
-      if (!caseData.transaction.payoffConfirmedAt) {
-        updateData.payoffConfirmedAt = new Date();
-      }
-    }
-
     const updatedTransaction = await Transaction.findByIdAndUpdate(
       caseData.transaction._id,
       updateData,
@@ -3527,6 +4370,16 @@ exports.confirmPayoff = async (req, res) => {
       });
     }
 
+    await caseEvents.recordCaseEvent({
+      caseId,
+      type: 'transaction',
+      action: `payoff-${payoffStatus}`,
+      description: `Payoff marked as ${payoffStatus}`,
+      actor: caseEvents.actorFromRequest(req),
+      changes: caseEvents.diffFields(caseData.transaction, updatedTransaction, ['payoffStatus', 'payoffNotes', 'payoff.actualAmount']),
+      metadata: { transaction: updatedTransaction._id }
+    });
+
     console.log('Transaction updated successfully:', updatedTransaction._id);
 
     // Update case with updated transaction
@@ -3547,14 +4400,15 @@ exports.confirmPayoff = async (req, res) => {
       success: true,
       data: {
         case: updatedCase,
-        transaction: updatedTransaction
+        transaction: updatedTransaction,
+        payoff: payoff.summarizePayoff(updatedTransaction, { quote: caseData.quote })
       }
     });
   } catch (error) {
     console.error('=== confirmPayoff ERROR ===');
     console.error('Error confirming payoff:', error);
     console.error('Error stack:', error.stack);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -3565,7 +4419,8 @@ exports.confirmPayoff = async (req, res) => {
 exports.getUserAnalytics = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { timeRange = '30d' } = req.query;
+    const { timeRange = '30d', locationId } = req.query;
+    const locationFilter = await locations.analyticsLocationFilter(req.user, locationId);
 
     // Validate user exists
     const user = await User.findById(userId);
@@ -3594,6 +4449,7 @@ exports.getUserAnalytics = async (req, res) => {
         email: user.email,
         role: user.role,
         location: user.location,
+        locationId: user.locationId,
         createdAt: user.createdAt
       },
       overview: {
@@ -3635,13 +4491,17 @@ exports.getUserAnalytics = async (req, res) => {
       // Agent cases - cases they created
       userCases = await Case.find({ 
         createdBy: user._id,
-        createdAt: { $gte: startDate }
+        createdAt: { $gte: startDate },
+        deletedAt: null,
+        ...locationFilter
       }).populate('customer vehicle quote transaction');
     } else if (user.role === 'estimator') {
       // Estimator cases - cases they were assigned to via estimatorId
       userCases = await Case.find({
         estimatorId: user._id,
-        createdAt: { $gte: startDate }
+        createdAt: { $gte: startDate },
+        deletedAt: null,
+        ...locationFilter
       }).populate('customer vehicle quote transaction');
     } else if (user.role === 'inspector') {
       // Inspector cases - inspections they performed
@@ -3650,8 +4510,11 @@ exports.getUserAnalytics = async (req, res) => {
         createdAt: { $gte: startDate }
       });
       const caseIds = inspections.map(inspection => inspection.caseId);
+      analytics.inspectionOutcomes = inspectionCancellation.summarizeOutcomes(inspections);
       userCases = await Case.find({
-        _id: { $in: caseIds }
+        _id: { $in: caseIds },
+        deletedAt: null,
+        ...locationFilter
       }).populate('customer vehicle quote transaction inspection');
     }
 
@@ -3878,7 +4741,8 @@ exports.getUserAnalytics = async (req, res) => {
       // Get cases that have these inspections
       const inspectionIds = inspections.map(inspection => inspection._id);
       const cases = await Case.find({
-        inspection: { $in: inspectionIds }
+        inspection: { $in: inspectionIds },
+        deletedAt: null
       }).populate('customer vehicle');
       
       // Calculate inspection statistics
@@ -4096,7 +4960,7 @@ exports.getUserAnalytics = async (req, res) => {
     });
   } catch (error) {
     console.error('Error getting user analytics:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -4105,7 +4969,6 @@ exports.getUserAnalytics = async (req, res) => {
 
 // Import required modules for photo upload
 const multer = require('multer');
-const { uploadToCloudinary, deleteFromCloudinary } = require('../config/cloudinary');
 
 // Configure multer for inspection photos
 const inspectionPhotoStorage = multer.memoryStorage();
@@ -4248,152 +5111,6 @@ exports.getVehiclePricing = async (req, res) => {
   }
 };
 
-// Fetch vehicle pricing from MarketCheck API
-const fetchMarketCheckPricing = async (vin) => {
-  try {
-
-
-    const marketCheckApiKey = process.env.MARKETCHECK_API_KEY;
-    
-    if (!marketCheckApiKey) {
-      throw new Error('MarketCheck API key not configured. Please set MARKETCHECK_API_KEY environment variable.');
-    }
-
-    // 1. Try MarketCheck's vehicle specs endpoint first
-    const specsUrl = `https://mc-api.marketcheck.com/v2/decode/car/${encodeURIComponent(vin)}/specs?api_key=${marketCheckApiKey}`;
-    try {
-      const response = await axios.get(specsUrl);
-      const data = response.data;
-      
-      // Extract vehicle specs for pricing
-      const {
-        year,
-        make,
-        model,
-        trim,
-        transmission,
-        drivetrain,
-        fuel_type,
-        highway_mpg,
-        city_mpg,
-        engine_size,
-        engine_block,
-        cylinders,
-        doors
-      } = data;
-
-      // 2. Try MarketCheck's price prediction endpoint
-      const transmissionLower = transmission ? transmission.toLowerCase() : '';
-      
-      // Build query parameters, only including valid values
-      const queryParams = new URLSearchParams({
-        api_key: marketCheckApiKey,
-        car_type: "used",
-        year: year || '',
-        make: make || '',
-        model: model || '',
-        trim: trim || '',
-        transmission: transmissionLower === "manual" ? "Manual" : "Automatic",
-        drivetrain: drivetrain?.toLowerCase() === "fwd" ? "FWD" : drivetrain || '',
-        fuel_type: fuel_type || '',
-        latitude: 41.149358, // Default location
-        longitude: -96.145336, // Default location
-        miles: 20000 // Default mileage
-      });
-      
-      // Only add engine parameters if they have valid values
-      if (highway_mpg && !isNaN(parseInt(highway_mpg))) queryParams.append('highway_mpg', highway_mpg);
-      if (city_mpg && !isNaN(parseInt(city_mpg))) queryParams.append('city_mpg', city_mpg);
-      if (doors && !isNaN(parseInt(doors))) queryParams.append('doors', doors);
-      
-      // Extract engine size from engine string (e.g., "2.5L I4" -> "2.5")
-      if (data.engine) {
-        const engineMatch = data.engine.match(/(\d+\.?\d*)L/);
-        if (engineMatch) {
-          queryParams.append('engine_size', engineMatch[1]);
-        }
-      }
-
-      const priceUrl = `https://mc-api.marketcheck.com/v2/predict/car/price?${queryParams.toString()}`;
-      console.log('MarketCheck price prediction URL:', priceUrl);
-      
-      const priceResponse = await axios.get(priceUrl);
-      const priceData = priceResponse.data;
-      console.log('MarketCheck price response:', priceData);
-      
-      if (priceData?.price_range?.lower_bound) {
-        return {
-          estimatedValue: parseFloat(priceData.price_range.lower_bound),
-          source: 'MarketCheck API (Price Prediction)',
-          priceRange: priceData.price_range
-        };
-      }
-    } catch (error) {
-      console.error('MarketCheck specs/price endpoint error:', error.response?.data || error.message);
-    }
-
-    // 3. Try MarketCheck's vehicle history endpoint
-    const historyUrl = `https://mc-api.marketcheck.com/v2/history/car/${encodeURIComponent(vin)}?api_key=${marketCheckApiKey}`;
-    try {
-      const response = await axios.get(historyUrl);
-      const data = response.data;
-      console.log('MarketCheck history response:', data);
-      
-      if (data && Array.isArray(data) && data.length > 0) {
-        // Filter out unrealistic prices (e.g., > $100k for most vehicles)
-        const realisticListings = data.filter(listing => {
-          const price = parseFloat(listing.price);
-          return price && price > 1000 && price < 100000; // Reasonable price range
-        });
-        
-        if (realisticListings.length > 0) {
-          // Get the most recent realistic listing
-          const latestListing = realisticListings[0];
-          return {
-            estimatedValue: parseFloat(latestListing.price),
-            source: 'MarketCheck API (Vehicle History)',
-            listing: latestListing
-          };
-        }
-      }
-    } catch (error) {
-      console.error('MarketCheck history endpoint error:', error.response?.data || error.message);
-    }
-
-    // 4. Try MarketCheck's search endpoint
-    const searchUrl = `https://mc-api.marketcheck.com/v2/search/car/active?api_key=${marketCheckApiKey}&vin=${encodeURIComponent(vin)}`;
-    try {
-      const response = await axios.get(searchUrl);
-      const data = response.data;
-      
-      if (data && data.listings && data.listings.length > 0) {
-        const prices = data.listings
-          .filter(listing => {
-            const price = parseFloat(listing.price);
-            return price && price > 1000 && price < 100000; // Reasonable price range
-          })
-          .map(listing => parseFloat(listing.price));
-        
-        if (prices.length > 0) {
-          const averagePrice = prices.reduce((sum, price) => sum + price, 0) / prices.length;
-          return {
-            estimatedValue: Math.round(averagePrice),
-            source: 'MarketCheck API (Active Listings)'
-          };
-        }
-      }
-    } catch (error) {
-      console.error('MarketCheck search endpoint error:', error.response?.data || error.message);
-    }
-
-    throw new Error('No pricing data available from MarketCheck API');
-
-  } catch (error) {
-    console.error('Error fetching from MarketCheck API:', error);
-    throw error;
-  }
-};
-
 // Get vehicle specifications from VIN using MarketCheck API
 exports.getVehicleSpecs = async (req, res) => {
   try {
@@ -4517,14 +5234,25 @@ exports.getCasesByCustomerId = async (req, res) => {
       });
     }
 
+    // Customers can only list their own cases
+    if (req.user.role === 'customer' && String(req.user._id) !== customerId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access these cases'
+      });
+    }
+
     // Find all cases for this customer by looking for Customer records that have this user's ID as customerId
     // Then find cases that reference those Customer records
     const customerRecords = await Customer.find({ customerId: customerId });
     const customerIds = customerRecords.map(c => c._id);
     
-    const cases = await Case.find({
-      customer: { $in: customerIds }
-    })
+    const filter = await caseAccess.scopeCaseQuery(req.user, {
+      customer: { $in: customerIds },
+      deletedAt: null
+    });
+
+    const cases = await Case.find(filter)
       .populate('customer')
       .populate('vehicle')
       .populate('inspection')
@@ -4563,7 +5291,8 @@ exports.getCustomers = async (req, res) => {
         console.log(`Customer ${customer.email}: Found ${customerRecords.length} customer records, IDs:`, customerIds);
         
         const cases = await Case.find({
-          customer: { $in: customerIds }
+          customer: { $in: customerIds },
+          deletedAt: null
         }).populate('vehicle quote transaction');
         
         console.log(`Customer ${customer.email}: Found ${cases.length} cases`);
@@ -4618,6 +5347,81 @@ exports.getCustomers = async (req, res) => {
     });
   }
 };
+
+// Check intake data for existing customers/vehicles and open cases on the same VIN
+exports.checkDuplicates = async (req, res) => {
+  try {
+    const { customer, vehicle } = req.body;
+
+    if (!customer && !vehicle) {
+      return res.status(400).json({
+        success: false,
+        error: 'Customer or vehicle data is required'
+      });
+    }
+
+    const duplicates = await duplicateDetection.findDuplicates({ customer, vehicle });
+
+    res.status(200).json({
+      success: true,
+      data: duplicates
+    });
+  } catch (error) {
+    console.error('Error checking duplicates:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Merge duplicate customers into one (admin only)
+exports.mergeCustomers = async (req, res) => {
+  try {
+    const { survivorId, duplicateIds } = req.body;
+
+    const result = await duplicateDetection.mergeCustomers(
+      survivorId,
+      duplicateIds,
+      caseEvents.actorFromRequest(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error merging customers:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Merge duplicate vehicles into one (admin only)
+exports.mergeVehicles = async (req, res) => {
+  try {
+    const { survivorId, duplicateIds } = req.body;
+
+    const result = await duplicateDetection.mergeVehicles(
+      survivorId,
+      duplicateIds,
+      caseEvents.actorFromRequest(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error merging vehicles:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
 // Upload driver's license documents and verify with Veriff
 exports.uploadDriverLicenseDocuments = async (req, res) => {
   try {
@@ -4630,45 +5434,14 @@ exports.uploadDriverLicenseDocuments = async (req, res) => {
       contentType: req.headers['content-type']
     });
     
-    if (!req.files || !req.files.driverLicenseFront || !req.files.driverLicenseRear) {
-      return res.status(400).json({
-        success: false,
-        error: 'Both driver license front and rear images are required.'
-      });
-    }
-
-    const frontFile = req.files.driverLicenseFront;
-    const rearFile = req.files.driverLicenseRear;
-
-    // Validate file data
-    if (!frontFile.data || frontFile.data.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Front image file is empty or invalid.'
-      });
-    }
-
-    if (!rearFile.data || rearFile.data.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Rear image file is empty or invalid.'
-      });
-    }
-
-    console.log('File upload details:', {
-      frontFile: {
-        name: frontFile.name,
-        size: frontFile.size,
-        mimetype: frontFile.mimetype,
-        dataLength: frontFile.data ? frontFile.data.length : 0
-      },
-      rearFile: {
-        name: rearFile.name,
-        size: rearFile.size,
-        mimetype: rearFile.mimetype,
-        dataLength: rearFile.data ? rearFile.data.length : 0
+    for (const field of ['driverLicenseFront', 'driverLicenseRear']) {
+      if (!req.files || !req.files[field]) {
+        return uploads.sendRejection(
+          res,
+          uploads.rejectUpload('missing-file', 'Both driver license front and rear images are required.', field)
+        );
       }
-    });
+    }
 
     // Find the case
     const caseData = await Case.findById(caseId)
@@ -4685,33 +5458,40 @@ exports.uploadDriverLicenseDocuments = async (req, res) => {
     // Import Veriff service
     const veriffService = require('../services/veriff');
 
-    // Step 1: Upload both images to Cloudinary (keep existing functionality)
-    console.log('Starting Cloudinary uploads...');
-    
-    const uploadPromises = [
-      uploadToCloudinary(frontFile.data, {
-        folder: 'vos-drivers-licenses',
-        public_id: `case-${caseId}-front-${Date.now()}`
-      }),
-      uploadToCloudinary(rearFile.data, {
-        folder: 'vos-drivers-licenses',
-        public_id: `case-${caseId}-rear-${Date.now()}`
-      })
-    ];
+    // Step 1: Check both photos; they come back upright and without EXIF data
+    const frontFile = await uploads.prepareUpload(req.files.driverLicenseFront, {
+      field: 'driverLicenseFront',
+      allowed: uploads.PHOTO_TYPES
+    });
+    const rearFile = await uploads.prepareUpload(req.files.driverLicenseRear, {
+      field: 'driverLicenseRear',
+      allowed: uploads.PHOTO_TYPES
+    });
+
+    console.log('File upload details:', {
+      frontFile: { name: frontFile.originalName, size: frontFile.size, mimetype: frontFile.mimetype },
+      rearFile: { name: rearFile.originalName, size: rearFile.size, mimetype: rearFile.mimetype }
+    });
 
-    let frontResult, rearResult;
+    // Step 2: Store both images
+    console.log('Storing driver license images...');
+
+    let frontKey, rearKey;
     try {
-      [frontResult, rearResult] = await Promise.all(uploadPromises);
-      console.log('Cloudinary uploads completed successfully');
+      [{ key: frontKey }, { key: rearKey }] = await Promise.all([
+        uploads.storeUpload(`driver-licenses/${caseId}`, { ...frontFile, fileName: `front-${frontFile.fileName}` }),
+        uploads.storeUpload(`driver-licenses/${caseId}`, { ...rearFile, fileName: `rear-${rearFile.fileName}` })
+      ]);
+      console.log('Driver license images stored successfully');
     } catch (uploadError) {
-      console.error('Cloudinary upload error:', uploadError);
+      console.error('Driver license storage error:', uploadError);
       return res.status(500).json({
         success: false,
-        error: 'Failed to upload images to Cloudinary: ' + uploadError.message
+        error: 'Failed to store driver license images: ' + uploadError.message
       });
     }
 
-    // Step 2: Start Veriff verification process
+    // Step 3: Start Veriff verification process
     let veriffResult = null;
     try {
       console.log('Starting Veriff verification process...');
@@ -4726,8 +5506,8 @@ exports.uploadDriverLicenseDocuments = async (req, res) => {
       veriffResult = await veriffService.completeDriverLicenseVerification(
         customerData,
         caseId,
-        frontFile.data,
-        rearFile.data,
+        frontFile.buffer,
+        rearFile.buffer,
         frontFile.mimetype,
         rearFile.mimetype
       );
@@ -4737,20 +5517,20 @@ exports.uploadDriverLicenseDocuments = async (req, res) => {
     } catch (veriffError) {
       console.error('Veriff verification error:', veriffError);
       // Don't fail the entire request if Veriff fails, just log the error
-      // The images are still uploaded to Cloudinary and stored in the case
+      // The images are still stored with the case
     }
 
-    // Step 3: Update case with document URLs and Veriff information
+    // Step 4: Update case with document URLs and Veriff information
     const updateData = {
       documents: {
         driverLicenseFront: {
-          path: frontResult.secure_url,
-          originalName: frontFile.name,
+          key: frontKey,
+          originalName: frontFile.originalName,
           uploadedAt: new Date()
         },
         driverLicenseRear: {
-          path: rearResult.secure_url,
-          originalName: rearFile.name,
+          key: rearKey,
+          originalName: rearFile.originalName,
           uploadedAt: new Date()
         }
       }
@@ -4772,20 +5552,30 @@ exports.uploadDriverLicenseDocuments = async (req, res) => {
       { new: true }
     ).populate('customer').populate('vehicle');
 
-    // Step 4: Send webhook data (keep existing functionality)
+    await caseEvents.recordCaseEvent({
+      caseId,
+      type: 'document',
+      action: 'driver-license-uploaded',
+      description: 'Driver license front and rear uploaded',
+      actor: caseEvents.actorFromRequest(req),
+      changes: caseEvents.diffFields(caseData, updatedCase, ['documents.driverLicenseFront', 'documents.driverLicenseRear']),
+      metadata: veriffResult && veriffResult.success ? { veriffSessionId: veriffResult.sessionId } : undefined
+    });
+
+    // Step 5: Send webhook data (keep existing functionality)
     const webhookData = {
       caseId: caseId,
       customerName: `${caseData.customer.firstName} ${caseData.customer.lastName}`,
       customerEmail: caseData.customer.email1,
       driverLicenseFront: {
-        url: frontResult.secure_url,
-        publicId: frontResult.public_id,
-        originalName: frontFile.name
+        url: caseDocuments.signedDocumentUrl(caseId, 'driverLicenseFront').url,
+        key: frontKey,
+        originalName: frontFile.originalName
       },
       driverLicenseRear: {
-        url: rearResult.secure_url,
-        publicId: rearResult.public_id,
-        originalName: rearFile.name
+        url: caseDocuments.signedDocumentUrl(caseId, 'driverLicenseRear').url,
+        key: rearKey,
+        originalName: rearFile.originalName
       },
       uploadedAt: new Date().toISOString()
     };
@@ -4802,13 +5592,16 @@ exports.uploadDriverLicenseDocuments = async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        frontUrl: frontResult.secure_url,
-        rearUrl: rearResult.secure_url,
+        frontUrl: caseDocuments.signedDocumentUrl(caseId, 'driverLicenseFront').url,
+        rearUrl: caseDocuments.signedDocumentUrl(caseId, 'driverLicenseRear').url,
         case: updatedCase,
         veriff: veriffResult
       }
     });
   } catch (error) {
+    if (uploads.isRejection(error)) {
+      return uploads.sendRejection(res, error);
+    }
     console.error('Driver license upload error:', error);
     res.status(500).json({
       success: false,
@@ -4866,6 +5659,15 @@ exports.createVeriffSession = async (req, res) => {
       }
     });
 
+    await caseEvents.recordCaseEvent({
+      caseId,
+      type: 'document',
+      action: 'identity-verification-started',
+      description: 'Veriff identity verification session created',
+      actor: caseEvents.actorFromRequest(req),
+      metadata: { sessionId: sessionResult.sessionId }
+    });
+
     console.log('Veriff session created successfully:', sessionResult.sessionId);
 
     res.status(200).json({
@@ -4925,6 +5727,16 @@ exports.handleVeriffWebhook = async (req, res) => {
       'veriff.verifiedAt': new Date(),
     });
     
+    await caseEvents.recordCaseEvent({
+      caseId: caseData._id,
+      type: 'document',
+      action: `identity-verification-${verificationStatus}`,
+      description: `Identity verification ${verificationStatus}${reason ? `: ${reason}` : ''}`,
+      actor: { kind: 'webhook', name: 'Veriff' },
+      changes: [{ field: 'veriff.status', before: caseData.veriff?.status || null, after: verificationStatus }],
+      metadata: { sessionId, documentType }
+    });
+
     console.log('Case updated successfully');
 
     caseData.save();
@@ -4982,7 +5794,10 @@ exports.generatePDFPackageAndSendToWebhook = async (req, res) => {
     console.log('Generating complete PDF package...');
     const pdfResult = await pdfService.generateCompletePDFPackage(caseData);
 
-    console.log('PDF package generated successfully:', pdfResult.filePath);
+    console.log('PDF package generated successfully:', pdfResult.key);
+
+    // Keep the package with the case so the signed link sent to Zapier can find it
+    await Case.findByIdAndUpdate(caseId, { 'signnow.sentDocumentKey': pdfResult.key });
 
     // Prepare buyer information (the user handling the case)
     const buyer = {
@@ -5001,18 +5816,9 @@ exports.generatePDFPackageAndSendToWebhook = async (req, res) => {
     const webhookResult = await webhookService.sendPDFPackageToWebhook(
       caseData,
       buyer,
-      pdfResult.filePath
+      caseDocuments.signedDocumentUrl(caseId, 'signingPackage').url
     );
 
-
-    // Clean up the temporary PDF file
-    try {
-      await fs.unlink(pdfResult.filePath);
-      console.log('Temporary PDF file cleaned up');
-    } catch (cleanupError) {
-      console.warn('Failed to clean up temporary PDF file:', cleanupError.message);
-    }
-
     console.log('=== GENERATE PDF PACKAGE AND SEND TO WEBHOOK SUCCESS ===');
 
     // Update the case with the webhook result
@@ -5022,6 +5828,16 @@ exports.generatePDFPackageAndSendToWebhook = async (req, res) => {
       'signnow.sentAt': new Date()
     });
 
+    await caseEvents.recordCaseEvent({
+      caseId,
+      type: 'document',
+      action: 'sent-for-signing',
+      description: 'Document package generated and sent for signing',
+      actor: caseEvents.actorFromRequest(req),
+      changes: [{ field: 'signnow.status', before: caseData.signnow?.status || null, after: 'sent' }],
+      metadata: { pdfUrl: webhookResult?.pdfUrl || null, webhookSuccess: webhookResult?.success || false }
+    });
+
     res.status(200).json({
       success: true,
       data: {
@@ -5110,6 +5926,15 @@ exports.getWebhookStatus = async (req, res) => {
               'signnow.signedDocumentUrl': signnowResult.downloadLink,
               'signnow.completedAt': new Date()
             });
+
+            await caseEvents.recordCaseEvent({
+              caseId,
+              type: 'document',
+              action: 'signed',
+              description: 'Document package signed',
+              actor: { kind: 'system', name: 'SignNow' },
+              changes: [{ field: 'signnow.status', before: caseData.signnow?.status || null, after: 'signed' }]
+            });
             
             // Update webhook status with new data
             webhookStatus.status = 'signed';
@@ -5166,6 +5991,15 @@ exports.handleSignNowZapier = async (req, res) => {
     });
     updatedCase.save();
 
+    await caseEvents.recordCaseEvent({
+      caseId,
+      type: 'document',
+      action: 'signing-document-linked',
+      description: 'SignNow document linked to case',
+      actor: { kind: 'webhook', name: 'Zapier' },
+      changes: [{ field: 'signnow.documentId', before: caseData.signnow?.documentId || null, after: documentId }]
+    });
+
     res.status(200).json({
       success: true,
       message: 'Case updated successfully'
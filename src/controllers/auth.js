@@ -349,7 +349,8 @@ exports.verify = async (req, res, next) => {
         firstName: user.firstName,
         lastName: user.lastName,
         role: user.role,
-        location: user.location
+        location: user.location,
+        locationId: user.locationId
       }
     });
   } catch (error) {
@@ -379,7 +380,8 @@ const sendTokenResponse = (user, statusCode, res) => {
     firstName: user.firstName,
     lastName: user.lastName,
     role: user.role,
-    location: user.location
+    location: user.location,
+    locationId: user.locationId
   };
 
   res.status(statusCode).json({
@@ -401,7 +403,8 @@ exports.updateProfile = async (req, res, next) => {
     if (firstName !== undefined) update.firstName = firstName;
     if (lastName !== undefined) update.lastName = lastName;
     if (email !== undefined) update.email = email;
-    if (location !== undefined) update.location = location;
+    // Users assigned to a store by an admin can't rename their location
+    if (location !== undefined && !req.user.locationId) update.location = location;
 
     const updated = await User.findByIdAndUpdate(userId, { $set: update }, { new: true });
 
@@ -418,6 +421,7 @@ exports.updateProfile = async (req, res, next) => {
         lastName: updated.lastName,
         role: updated.role,
         location: updated.location,
+        locationId: updated.locationId,
       },
     });
   } catch (error) {
@@ -0,0 +1,110 @@
+const User = require('../models/User');
+const calendar = require('../services/calendar');
+
+// Admins manage anyone's feed, everyone else only their own
+const feedOwner = async (req) => {
+  const userId = req.body?.userId || req.query.userId;
+  if (!userId || userId === req.user.id) {
+    return req.user;
+  }
+  if (req.user.role !== 'admin') {
+    const error = new Error('Not authorized to manage another user\'s calendar feed');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return user;
+};
+
+const feedUrl = (req, token) => {
+  const apiUrl = process.env.NEXT_PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${apiUrl}/api/calendar/feed/${token}.ics`;
+};
+
+/**
+ * Create a calendar subscription URL. The previous URL of the user stops working.
+ * @route POST /api/calendar/feed-token
+ * @access Private (Inspector, Estimator; Admin for any user via userId)
+ */
+exports.createFeedToken = async (req, res) => {
+  try {
+    const user = await feedOwner(req);
+    const token = await calendar.issueFeedToken(user);
+    const url = feedUrl(req, token);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        userId: user._id,
+        url,
+        webcalUrl: url.replace(/^https?:/, 'webcal:')
+      }
+    });
+  } catch (error) {
+    console.error('Error creating calendar feed token:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Turn off a calendar subscription URL
+ * @route DELETE /api/calendar/feed-token
+ * @access Private (Inspector, Estimator; Admin for any user via userId)
+ */
+exports.revokeFeedToken = async (req, res) => {
+  try {
+    const user = await feedOwner(req);
+    await calendar.revokeFeedToken(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed URL revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking calendar feed token:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * ICS feed of the user's inspections. Calendar apps can't log in, so the token in
+ * the URL is the credential.
+ * @route GET /api/calendar/feed/:token.ics
+ * @access Public (feed token)
+ */
+exports.getFeed = async (req, res) => {
+  try {
+    const ics = await calendar.feedForToken(req.params.token);
+    if (!ics) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar feed not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="inspections.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.status(200).send(ics);
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
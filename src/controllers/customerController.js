@@ -1,9 +1,17 @@
 const VehicleSubmission = require('../models/customer/customer');
+const Case = require('../models/Case');
 const axios = require('axios');
 const { getVehicleSpecs, getVehiclePricing } = require('./allcontrollers');
-const { uploadToCloudinary } = require('../config/cloudinary');
+const uploads = require('../services/uploads');
 const multer = require('multer');
 const createCaseFromSubmission = require('../services/createCaseFromSubmission');
+const offerPricing = require('../services/offerPricing');
+const quoteExpiry = require('../services/quoteExpiry');
+const slotHolds = require('../services/slotHolds');
+const locations = require('../services/locations');
+const caseDocuments = require('../services/caseDocuments');
+
+const MAX_SLOT_DAYS = 14;
 
 // Helper function to get vehicle data from VIN using the existing getVehicleSpecs and getVehiclePricing
 const getVehicleDataFromVIN = async (vin) => {
@@ -354,6 +362,43 @@ exports.getVehicleSubmission = async (req, res) => {
   }
 };
 
+// Generate a fresh offer for an expired online offer (one-click re-quote)
+exports.requoteOffer = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const submission = await VehicleSubmission.findById(id);
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle submission not found'
+      });
+    }
+
+    if (!quoteExpiry.isOfferExpired(submission)) {
+      return res.status(400).json({
+        success: false,
+        error: 'This offer has not expired'
+      });
+    }
+
+    const updatedSubmission = await quoteExpiry.requoteSubmissionOffer(submission);
+
+    res.json({
+      success: true,
+      data: updatedSubmission
+    });
+
+  } catch (error) {
+    console.error('Error re-quoting vehicle submission offer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while generating a new offer'
+    });
+  }
+};
+
 // Get all vehicle submissions (for admin/agent use)
 exports.getAllVehicleSubmissions = async (req, res) => {
   try {
@@ -399,7 +444,7 @@ exports.updateContactAndGenerateOffer = async (req, res) => {
     }
 
     // Generate offer amount based on vehicle data and condition
-    const offerAmount = generateOfferAmount(submission);
+    const { amount: offerAmount, breakdown } = await offerPricing.generateOffer(submission);
     const expiresAt = new Date();
     expiresAt.setDate(expiresAt.getDate() + 7); // 7 days from now
 
@@ -410,6 +455,7 @@ exports.updateContactAndGenerateOffer = async (req, res) => {
         $set: { 
           'contact.email': email,
           'offer.amount': offerAmount,
+          'offer.breakdown': breakdown,
           'offer.expiresAt': expiresAt,
           'offer.generated': true,
           'offer.generatedAt': new Date()
@@ -432,36 +478,15 @@ exports.updateContactAndGenerateOffer = async (req, res) => {
   }
 };
 
-// Helper function to generate offer amount
-const generateOfferAmount = (submission) => {
-  // Use estimated price from VIN decode if available, otherwise use default
-  let baseAmount = 15000; // Default base amount
-  
-  if (submission.vinOrPlate && submission.vinOrPlate.estimatedPrice > 0) {
-    baseAmount = submission.vinOrPlate.estimatedPrice;
-  }
-  
-  // Round to nearest 100
-  return Math.round(baseAmount / 100) * 100;
-};
-
 // Configure multer for memory storage
-const storage = multer.memoryStorage();
+const memoryStorage = multer.memoryStorage();
 const upload = multer({
-  storage: storage,
+  storage: memoryStorage,
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB limit
     fieldSize: 10 * 1024 * 1024, // 10MB field size limit
     fields: 10,
     files: 1
-  },
-  fileFilter: (req, file, cb) => {
-    console.log('File received:', file.originalname, file.mimetype);
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'), false);
-    }
   }
 });
 
@@ -470,13 +495,14 @@ exports.uploadOwnershipPhoto = async (req, res) => {
   // Use multer middleware manually to better handle errors
   upload.single('photo')(req, res, async (err) => {
     try {
+      if (err) {
+        throw err instanceof multer.MulterError ? uploads.fromMulterError(err, 'photo') : err;
+      }
+
       const { submissionId, type } = req.body;
       
       if (!req.file) {
-        return res.status(400).json({
-          success: false,
-          error: 'No photo file provided'
-        });
+        throw uploads.rejectUpload('missing-file', 'No photo file provided', 'photo');
       }
 
       if (!submissionId || !type) {
@@ -502,39 +528,21 @@ exports.uploadOwnershipPhoto = async (req, res) => {
         });
       }
 
-      // Check Cloudinary configuration
-      if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
-        console.error('Cloudinary configuration missing');
-        return res.status(500).json({
-          success: false,
-          error: 'Cloudinary configuration missing. Please check environment variables.'
-        });
-      }
-
-      // Upload to Cloudinary
-      const uploadOptions = {
-        folder: `vos-ownership-verification/${submissionId}`,
-        public_id: `${type}_${Date.now()}`,
-        transformation: [
-          { width: 1000, height: 1000, crop: 'limit', quality: 'auto' }
-        ]
-      };
+      // Checked and re-encoded without EXIF data, so the stored photo carries no location
+      const photo = await uploads.prepareUpload(req.file, { field: 'photo', allowed: uploads.PHOTO_TYPES });
 
-      console.log(`Uploading ${type} photo to Cloudinary for submission ${submissionId}`);
-      console.log('File size:', req.file.size, 'bytes');
-      console.log('File mimetype:', req.file.mimetype);
-      
-      const cloudinaryResult = await uploadToCloudinary(req.file.buffer, uploadOptions);
-      
-      console.log('Cloudinary upload successful:', cloudinaryResult.secure_url);
+      const { key, thumbnailKey } = await uploads.storeUpload(`ownership/${submissionId}`, {
+        ...photo,
+        fileName: `${type}-${photo.fileName}`
+      });
 
-      // Update the submission with the photo URL
+      // Update the submission with the photo's storage key
       const updateField = type === 'odometer' ? 'ownership.odometerPhoto' : 'ownership.photoID';
       const updatedSubmission = await VehicleSubmission.findByIdAndUpdate(
         submissionId,
         { 
           $set: { 
-            [updateField]: cloudinaryResult.secure_url,
+            [updateField]: key,
             'ownership.titleVerified': true // Auto-verify title when photos are uploaded
           }
         },
@@ -543,26 +551,22 @@ exports.uploadOwnershipPhoto = async (req, res) => {
 
       console.log(`${type} photo uploaded and submission updated successfully`);
 
+      // The stored photo is private; photoUrl is a signed link the form can display
       res.json({
         success: true,
         data: {
-          photoUrl: cloudinaryResult.secure_url,
+          photoUrl: caseDocuments.signedOwnershipPhotoUrl(submissionId, type).url,
+          photoKey: key,
+          thumbnailKey,
           submission: updatedSubmission
         }
       });
 
     } catch (error) {
-      console.error('Error uploading ownership photo:', error);
-      
-      // Handle multer errors
-      if (error instanceof multer.MulterError) {
-        if (error.code === 'LIMIT_FILE_SIZE') {
-          return res.status(400).json({
-            success: false,
-            error: 'File size too large. Maximum size is 10MB'
-          });
-        }
+      if (uploads.isRejection(error)) {
+        return uploads.sendRejection(res, error);
       }
+      console.error('Error uploading ownership photo:', error);
 
       res.status(500).json({
         success: false,
@@ -616,11 +620,133 @@ exports.updatePayoutMethod = async (req, res) => {
   }
 };
 
+// Open inspection slots the seller can pick from (Step 10)
+exports.getAppointmentSlots = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), MAX_SLOT_DAYS);
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Date must be in YYYY-MM-DD format'
+      });
+    }
+
+    const submission = await VehicleSubmission.findById(id);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle submission not found'
+      });
+    }
+
+    const locationId = req.query.locationId
+      ? await locations.resolveLocationId(req.query.locationId)
+      : submission.appointment?.location || null;
+
+    const slots = await slotHolds.customerSlots({ submissionId: id, locationId, date, days });
+    const hold = await slotHolds.activeHold(id);
+
+    res.json({
+      success: true,
+      data: {
+        ...slots,
+        hold: hold && {
+          start: hold.scheduledStart,
+          end: hold.scheduledEnd,
+          expiresAt: hold.expiresAt
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting appointment slots:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error while getting appointment slots'
+    });
+  }
+};
+
+// Hold a slot while the seller finishes the form
+exports.holdAppointmentSlot = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { start, locationId } = req.body;
+
+    if (!start) {
+      return res.status(400).json({
+        success: false,
+        error: 'Slot start time is required'
+      });
+    }
+
+    const submission = await VehicleSubmission.findById(id);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle submission not found'
+      });
+    }
+
+    if (quoteExpiry.isOfferExpired(submission)) {
+      return res.status(410).json({
+        success: false,
+        error: 'This offer has expired. Please request an updated offer.'
+      });
+    }
+
+    const location = locationId
+      ? await locations.resolveLocationId(locationId)
+      : submission.appointment?.location || null;
+
+    const hold = await slotHolds.holdSlot({ submissionId: id, locationId: location, start });
+
+    // Nothing to hold when the location has no inspectors; staff schedule the inspection instead
+    res.status(hold ? 201 : 200).json({
+      success: true,
+      data: hold && {
+        start: hold.scheduledStart,
+        end: hold.scheduledEnd,
+        expiresAt: hold.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error holding appointment slot:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error while holding appointment slot'
+    });
+  }
+};
+
+// Give up a held slot, e.g. when the seller goes back to pick another day
+exports.releaseAppointmentSlot = async (req, res) => {
+  try {
+    const released = await slotHolds.releaseHold(req.params.id);
+
+    res.json({
+      success: true,
+      released
+    });
+
+  } catch (error) {
+    console.error('Error releasing appointment slot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while releasing appointment slot'
+    });
+  }
+};
+
 // Update appointment details (Step 10)
 exports.updateAppointment = async (req, res) => {
   try {
     const { id } = req.params;
-    const { appointmentType, appointmentDateTime, address, notes } = req.body;
+    const { appointmentType, appointmentDateTime, address, notes, locationId } = req.body;
 
     if (!appointmentType || !appointmentDateTime) {
       return res.status(400).json({
@@ -629,11 +755,44 @@ exports.updateAppointment = async (req, res) => {
       });
     }
 
+    // Booking the appointment accepts the offer, which has to still be valid
+    const existingSubmission = await VehicleSubmission.findById(id);
+    if (existingSubmission && quoteExpiry.isOfferExpired(existingSubmission)) {
+      return res.status(410).json({
+        success: false,
+        error: 'This offer has expired. Please request an updated offer.'
+      });
+    }
+
+    // Only real open slots can be booked: keep the slot held for the seller, or hold the time now.
+    // Locations without inspectors get no hold, and staff schedule the inspection later.
+    let hold = null;
+    if (existingSubmission) {
+      const booked = await Case.exists({ submission: id, inspection: { $ne: null } });
+      if (booked) {
+        if (new Date(appointmentDateTime).getTime() !== existingSubmission.appointmentDateTime?.getTime()) {
+          return res.status(409).json({
+            success: false,
+            error: 'This inspection is already booked. Please contact us to reschedule.'
+          });
+        }
+      } else {
+        const location = locationId
+          ? await locations.resolveLocationId(locationId)
+          : existingSubmission.appointment?.location || null;
+        hold = await slotHolds.holdSlot({ submissionId: id, locationId: location, start: appointmentDateTime });
+      }
+    }
+
     const updateData = {
       'appointment.type': appointmentType,
-      'appointmentDateTime': new Date(appointmentDateTime)
+      'appointmentDateTime': hold ? hold.scheduledStart : new Date(appointmentDateTime)
     };
 
+    if (hold?.location) {
+      updateData['appointment.location'] = hold.location;
+    }
+
     // Add address if provided (for any appointment type)
     if (address) {
       updateData['appointment.address'] = address;
@@ -671,19 +830,44 @@ exports.updateAppointment = async (req, res) => {
     try {
       console.log('Creating case from submission:', id);
       const caseResult = await createCaseFromSubmission(id);
-      console.log('Case created successfully:', {
+      console.log(caseResult.created ? 'Case created successfully:' : 'Case already exists for submission:', {
         caseId: caseResult.case._id,
         customerId: caseResult.customer._id,
         vehicleId: caseResult.vehicle._id
       });
 
+      const caseInfo = {
+        id: caseResult.case._id,
+        customerId: caseResult.customer._id,
+        vehicleId: caseResult.vehicle._id,
+        created: caseResult.created
+      };
+
+      // Schedule the inspection with the inspector who holds the slot
+      let inspection = null;
+      if (hold) {
+        try {
+          inspection = await slotHolds.bookHold(hold, caseResult);
+        } catch (bookError) {
+          console.error('Error booking held slot:', bookError);
+          await slotHolds.releaseHold(id);
+          return res.status(bookError.statusCode || 500).json({
+            success: false,
+            error: bookError.statusCode ? bookError.message : 'Server error while booking the inspection',
+            data: submission,
+            case: caseInfo
+          });
+        }
+      }
+
       res.json({
         success: true,
         data: submission,
-        case: {
-          id: caseResult.case._id,
-          customerId: caseResult.customer._id,
-          vehicleId: caseResult.vehicle._id
+        case: caseInfo,
+        inspection: inspection && {
+          id: inspection._id,
+          scheduledStart: inspection.scheduledStart,
+          scheduledEnd: inspection.scheduledEnd
         }
       });
     } catch (caseError) {
@@ -698,9 +882,9 @@ exports.updateAppointment = async (req, res) => {
 
   } catch (error) {
     console.error('Error updating appointment:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Server error while updating appointment'
+      error: error.statusCode ? error.message : 'Server error while updating appointment'
     });
   }
 };
@@ -0,0 +1,277 @@
+const DocumentAccessLog = require('../models/DocumentAccessLog');
+const caseDocuments = require('../services/caseDocuments');
+const documentChecklist = require('../services/documentChecklist');
+const caseEvents = require('../services/caseEvents');
+const uploads = require('../services/uploads');
+
+// Quotes and line breaks would end the header value early
+const headerFileName = (fileName) => String(fileName).replace(/[^\x20-\x7e]|["\\]/g, '_');
+
+/**
+ * Stream a document's file, or redirect to files still kept elsewhere
+ * @returns {Promise<boolean>} - false when the stored file is missing
+ */
+const sendDocument = async (req, res, file) => {
+  if (file.url) {
+    res.redirect(file.url);
+    return true;
+  }
+
+  const variant = req.query.variant === 'thumbnail' ? 'thumbnail' : undefined;
+  const stored = await caseDocuments.openDocument(file, { variant });
+  if (!stored) {
+    return false;
+  }
+
+  const fileName = variant ? `thumbnail-${file.fileName.replace(/\.[^.]+$/, '')}.jpg` : file.fileName;
+  const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+  res.set({
+    'Content-Type': stored.contentType,
+    'Content-Disposition': `${disposition}; filename="${headerFileName(fileName)}"`,
+    'Cache-Control': 'private, no-store'
+  });
+  if (stored.size) {
+    res.set('Content-Length', String(stored.size));
+  }
+
+  stored.stream.on('error', (error) => {
+    console.error('Error streaming document:', error);
+    res.destroy(error);
+  });
+  stored.stream.pipe(res);
+  return true;
+};
+
+/**
+ * Get a case's document checklist: required documents, what is missing and
+ * every document on file
+ * @route GET /api/cases/:caseId/documents
+ * @access Private (users who can see the case)
+ */
+exports.getCaseDocumentChecklist = async (req, res) => {
+  try {
+    const checklist = await documentChecklist.getCaseChecklist(req.params.caseId);
+
+    res.status(200).json({
+      success: true,
+      data: checklist
+    });
+  } catch (error) {
+    console.error('Error getting case document checklist:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Upload a document kept on the case itself (vehicle title, lien release,
+ * payoff letter) from the `file` field. Replaces the previous file.
+ * @route POST /api/cases/:caseId/documents/:document
+ * @access Private (Staff who can see the case)
+ */
+exports.uploadCaseDocument = async (req, res) => {
+  try {
+    const { caseId, document } = req.params;
+    const { key, file } = await caseDocuments.saveCaseDocument(
+      caseId,
+      document,
+      req.files?.file,
+      caseEvents.actorFromRequest(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      data: {
+        document,
+        key,
+        originalName: file.originalName,
+        mimetype: file.mimetype,
+        size: file.size
+      }
+    });
+  } catch (error) {
+    if (uploads.isRejection(error)) {
+      return uploads.sendRejection(res, error);
+    }
+    console.error('Error uploading case document:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Download a case document. Add ?download=true to save instead of display,
+ * and ?variant=thumbnail for the small preview of an uploaded photo.
+ * @route GET /api/cases/:caseId/documents/:document
+ * @access Private (users who can see the case)
+ */
+exports.getCaseDocument = async (req, res) => {
+  const { caseId, document } = req.params;
+  try {
+    const file = await caseDocuments.findCaseDocument(caseId, document);
+    const sent = await sendDocument(req, res, file);
+
+    await caseDocuments.recordDownload({
+      caseId,
+      document,
+      key: file.key || file.url,
+      via: 'user',
+      outcome: sent ? 'allowed' : 'missing',
+      req
+    });
+
+    if (!sent) {
+      res.status(404).json({
+        success: false,
+        error: 'Document file not found'
+      });
+    }
+  } catch (error) {
+    console.error('Error downloading case document:', error);
+    if (res.headersSent) return;
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Create a short-lived link to a case document that works without logging in
+ * @route POST /api/cases/:caseId/documents/:document/signed-url
+ * @access Private (Staff who can see the case)
+ */
+exports.createSignedDocumentUrl = async (req, res) => {
+  try {
+    const { caseId, document } = req.params;
+    await caseDocuments.findCaseDocument(caseId, document);
+
+    const expiresInHours = Number(req.body?.expiresInHours);
+    const signed = caseDocuments.signedDocumentUrl(
+      caseId,
+      document,
+      expiresInHours > 0 ? { expiresInHours: Math.min(expiresInHours, 7 * 24) } : undefined
+    );
+
+    res.status(201).json({
+      success: true,
+      data: signed
+    });
+  } catch (error) {
+    console.error('Error creating signed document URL:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Download a case document through a signed link; takes ?download and ?variant too
+ * @route GET /api/documents/signed
+ * @access Public (signed link)
+ */
+exports.getSignedDocument = async (req, res) => {
+  const { case: caseId, document } = req.query;
+  try {
+    const outcome = caseDocuments.verifySignedUrl(req.query);
+    if (outcome !== 'allowed') {
+      await caseDocuments.recordDownload({ caseId, document, via: 'signed-url', outcome, req });
+      return res.status(outcome === 'expired' ? 410 : 403).json({
+        success: false,
+        error: outcome === 'expired' ? 'This link has expired' : 'Invalid document link'
+      });
+    }
+
+    const file = await caseDocuments.findCaseDocument(caseId, document);
+    const sent = await sendDocument(req, res, file);
+
+    await caseDocuments.recordDownload({
+      caseId,
+      document,
+      key: file.key || file.url,
+      via: 'signed-url',
+      outcome: sent ? 'allowed' : 'missing',
+      req
+    });
+
+    if (!sent) {
+      res.status(404).json({
+        success: false,
+        error: 'Document file not found'
+      });
+    }
+  } catch (error) {
+    console.error('Error downloading signed document:', error);
+    if (res.headersSent) return;
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * View an online seller's ownership photo through a signed link; takes ?variant too
+ * @route GET /api/customer/vehicle-submission/:id/ownership-photo/:type
+ * @access Public (signed link)
+ */
+exports.getSignedOwnershipPhoto = async (req, res) => {
+  try {
+    const { id, type } = req.params;
+    const outcome = caseDocuments.verifyOwnershipPhotoUrl(id, type, req.query);
+    if (outcome !== 'allowed') {
+      return res.status(outcome === 'expired' ? 410 : 403).json({
+        success: false,
+        error: outcome === 'expired' ? 'This link has expired' : 'Invalid photo link'
+      });
+    }
+
+    const file = await caseDocuments.findOwnershipPhoto(id, type);
+    const sent = await sendDocument(req, res, file);
+    if (!sent) {
+      res.status(404).json({
+        success: false,
+        error: 'Photo file not found'
+      });
+    }
+  } catch (error) {
+    console.error('Error viewing ownership photo:', error);
+    if (res.headersSent) return;
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Get who downloaded a case's documents, newest first
+ * @route GET /api/cases/:caseId/documents/access-log
+ * @access Private (Staff who can see the case)
+ */
+exports.getDocumentAccessLog = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const entries = await DocumentAccessLog.find({ caseId: req.params.caseId })
+      .populate('user', 'firstName lastName email role')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+  } catch (error) {
+    console.error('Error getting document access log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,247 @@
+const InspectionTemplate = require('../models/InspectionTemplate');
+const Inspection = require('../models/Inspection');
+const Vehicle = require('../models/Vehicle');
+const inspectionTemplates = require('../services/inspectionTemplates');
+
+/**
+ * Get the active version of every inspection template
+ * @route GET /api/inspection-templates
+ * @access Private (Admin)
+ */
+exports.getInspectionTemplates = async (req, res) => {
+  try {
+    // Make sure the standard template exists before listing
+    await inspectionTemplates.getActiveTemplate();
+
+    const templates = await InspectionTemplate.find({ active: true })
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ key: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+  } catch (error) {
+    console.error('Error getting inspection templates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Get the active version of a template, optionally filtered for a vehicle
+ * @route GET /api/inspection-templates/:key?vehicleId=
+ * @access Private
+ */
+exports.getInspectionTemplate = async (req, res) => {
+  try {
+    const template = await inspectionTemplates.getActiveTemplate(req.params.key);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Inspection template not found'
+      });
+    }
+
+    let data = template.toObject();
+    if (req.query.vehicleId) {
+      const vehicle = await Vehicle.findById(req.query.vehicleId);
+      data = { ...data, sections: inspectionTemplates.sectionsForVehicle(template, vehicle) };
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error getting inspection template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Get every saved version of a template
+ * @route GET /api/inspection-templates/:key/versions
+ * @access Private (Admin)
+ */
+exports.getInspectionTemplateVersions = async (req, res) => {
+  try {
+    const versions = await InspectionTemplate.find({ key: req.params.key.toLowerCase() })
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ version: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      data: versions
+    });
+  } catch (error) {
+    console.error('Error getting inspection template versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Get one version of a template, e.g. the one an old inspection was pinned to
+ * @route GET /api/inspection-templates/:key/versions/:version
+ * @access Private
+ */
+exports.getInspectionTemplateVersion = async (req, res) => {
+  try {
+    const template = await InspectionTemplate.findOne({
+      key: req.params.key.toLowerCase(),
+      version: parseInt(req.params.version)
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Inspection template version not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Error getting inspection template version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Create a new inspection template
+ * @route POST /api/inspection-templates
+ * @access Private (Admin)
+ */
+exports.createInspectionTemplate = async (req, res) => {
+  try {
+    const { key, name, description, sections, notes } = req.body;
+
+    const existing = key && await InspectionTemplate.findOne({ key: String(key).trim().toLowerCase() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: `An inspection template with key "${key}" already exists`
+      });
+    }
+
+    const template = await inspectionTemplates.saveTemplateVersion(
+      key,
+      { name, description, sections },
+      req.user.id,
+      notes
+    );
+
+    res.status(201).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Error creating inspection template:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Save a new version of a template. Earlier versions are kept for the
+ * inspections pinned to them.
+ * @route PUT /api/inspection-templates/:key
+ * @access Private (Admin)
+ */
+exports.updateInspectionTemplate = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { name, description, sections, notes } = req.body;
+
+    const current = await inspectionTemplates.getActiveTemplate(key);
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        error: 'Inspection template not found'
+      });
+    }
+
+    const template = await inspectionTemplates.saveTemplateVersion(
+      key,
+      {
+        name: name || current.name,
+        description: description !== undefined ? description : current.description,
+        sections: sections || current.sections
+      },
+      req.user.id,
+      notes
+    );
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Error updating inspection template:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Retire a template so new inspections can no longer use it.
+ * Versions are never deleted because inspections stay pinned to them.
+ * @route DELETE /api/inspection-templates/:key
+ * @access Private (Admin)
+ */
+exports.retireInspectionTemplate = async (req, res) => {
+  try {
+    const key = req.params.key.toLowerCase();
+
+    if (key === inspectionTemplates.DEFAULT_TEMPLATE_KEY) {
+      return res.status(400).json({
+        success: false,
+        error: 'The standard inspection template cannot be retired'
+      });
+    }
+
+    const result = await InspectionTemplate.updateMany({ key, active: true }, { active: false });
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Inspection template not found'
+      });
+    }
+
+    const pinnedInspections = await Inspection.countDocuments({ 'template.key': key });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        key,
+        pinnedInspections
+      }
+    });
+  } catch (error) {
+    console.error('Error retiring inspection template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,284 @@
+const mongoose = require('mongoose');
+const InspectorAvailability = require('../models/InspectorAvailability');
+const User = require('../models/User');
+const inspectorAvailability = require('../services/inspectorAvailability');
+const locations = require('../services/locations');
+
+const MAX_DAYS = 14;
+
+// Inspectors manage their own calendar, admins manage everyone's
+const canEdit = (req, userId) => req.user.role === 'admin' || req.user.id === userId;
+
+const findInspector = async (userId) => {
+  const inspector = await User.findOne({ _id: userId, role: 'inspector' });
+  if (!inspector) {
+    const error = new Error('Inspector not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return inspector;
+};
+
+const validateWorkingHours = (workingHours) => {
+  if (!Array.isArray(workingHours)) {
+    return 'Working hours must be a list of { dayOfWeek, start, end }';
+  }
+  for (const hours of workingHours) {
+    const start = inspectorAvailability.parseTimeOfDay(hours.start);
+    const end = inspectorAvailability.parseTimeOfDay(hours.end);
+    if (!Number.isInteger(hours.dayOfWeek) || hours.dayOfWeek < 0 || hours.dayOfWeek > 6) {
+      return 'dayOfWeek must be 0 (Sunday) to 6 (Saturday)';
+    }
+    if (start === null || end === null || start >= end) {
+      return `Working hours for day ${hours.dayOfWeek} need a start before the end`;
+    }
+  }
+  return null;
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get open inspection slots per inspector per day
+ * @route GET /api/inspectors/availability?date=YYYY-MM-DD&days=&inspectorId=&locationId=
+ * @access Private (Staff)
+ */
+exports.getOpenSlots = async (req, res) => {
+  try {
+    const { inspectorId, locationId } = req.query;
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+    const days = Math.min(Math.max(parseInt(req.query.days) || 1, 1), MAX_DAYS);
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Date must be in YYYY-MM-DD format'
+      });
+    }
+
+    const filter = { role: 'inspector' };
+    if (inspectorId) {
+      if (!mongoose.Types.ObjectId.isValid(inspectorId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid inspectorId'
+        });
+      }
+      filter._id = inspectorId;
+    }
+    if (locationId) {
+      filter.locationId = await locations.resolveLocationId(locationId);
+    }
+
+    const inspectors = await User.find(filter).select('firstName lastName email locationId');
+
+    const data = [];
+    for (const inspector of inspectors) {
+      const slots = await inspectorAvailability.openSlots(inspector, date, days);
+      data.push({
+        inspector: {
+          id: inspector._id,
+          firstName: inspector.firstName,
+          lastName: inspector.lastName,
+          email: inspector.email,
+          locationId: inspector.locationId
+        },
+        ...slots
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error getting inspector availability:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Get an inspector's working hours, time off and buffers
+ * @route GET /api/inspectors/:userId/availability
+ * @access Private (Staff)
+ */
+exports.getInspectorAvailability = async (req, res) => {
+  try {
+    const inspector = await findInspector(req.params.userId);
+    const availability = await inspectorAvailability.getAvailability(inspector);
+
+    res.status(200).json({
+      success: true,
+      data: availability
+    });
+  } catch (error) {
+    console.error('Error getting inspector availability:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Set an inspector's working hours, timezone and buffers.
+ * Existing bookings are kept even if they now fall outside the hours.
+ * @route PUT /api/inspectors/:userId/availability
+ * @access Private (Admin, or the inspector)
+ */
+exports.updateInspectorAvailability = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!canEdit(req, userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to change this inspector\'s availability'
+      });
+    }
+
+    const inspector = await findInspector(userId);
+    const { workingHours, timezone, travelBufferMinutes, inspectionDurationMinutes } = req.body;
+
+    const update = { updatedBy: req.user.id };
+    if (workingHours !== undefined) {
+      const problem = validateWorkingHours(workingHours);
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          error: problem
+        });
+      }
+      update.workingHours = workingHours.map(hours => ({
+        dayOfWeek: hours.dayOfWeek,
+        start: inspectorAvailability.formatTimeOfDay(inspectorAvailability.parseTimeOfDay(hours.start)),
+        end: inspectorAvailability.formatTimeOfDay(inspectorAvailability.parseTimeOfDay(hours.end))
+      }));
+    }
+    if (timezone !== undefined) {
+      if (timezone && !isValidTimezone(timezone)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown timezone "${timezone}"`
+        });
+      }
+      update.timezone = timezone || null;
+    }
+    if (travelBufferMinutes !== undefined) update.travelBufferMinutes = travelBufferMinutes;
+    if (inspectionDurationMinutes !== undefined) update.inspectionDurationMinutes = inspectionDurationMinutes;
+
+    await InspectorAvailability.findOneAndUpdate(
+      { inspector: inspector._id },
+      update,
+      { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: await inspectorAvailability.getAvailability(inspector)
+    });
+  } catch (error) {
+    console.error('Error updating inspector availability:', error);
+    const isValidation = error.name === 'ValidationError' || error.name === 'CastError';
+    res.status(error.statusCode || (isValidation ? 400 : 500)).json({
+      success: false,
+      error: error.statusCode || isValidation ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Block out time, e.g. a day off or an appointment
+ * @route POST /api/inspectors/:userId/time-off
+ * @access Private (Admin, or the inspector)
+ */
+exports.addTimeOff = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!canEdit(req, userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to change this inspector\'s availability'
+      });
+    }
+
+    const inspector = await findInspector(userId);
+    const start = new Date(req.body.start);
+    const end = new Date(req.body.end);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+      return res.status(400).json({
+        success: false,
+        error: 'Time off needs a start before the end'
+      });
+    }
+
+    await InspectorAvailability.findOneAndUpdate(
+      { inspector: inspector._id },
+      { $push: { timeOff: { start, end, reason: req.body.reason, createdBy: req.user.id } } },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: await inspectorAvailability.getAvailability(inspector)
+    });
+  } catch (error) {
+    console.error('Error adding inspector time off:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Remove a time off block
+ * @route DELETE /api/inspectors/:userId/time-off/:timeOffId
+ * @access Private (Admin, or the inspector)
+ */
+exports.removeTimeOff = async (req, res) => {
+  try {
+    const { userId, timeOffId } = req.params;
+    if (!canEdit(req, userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to change this inspector\'s availability'
+      });
+    }
+
+    const inspector = await findInspector(userId);
+    const result = await InspectorAvailability.updateOne(
+      { inspector: inspector._id },
+      { $pull: { timeOff: { _id: timeOffId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Time off not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await inspectorAvailability.getAvailability(inspector)
+    });
+  } catch (error) {
+    console.error('Error removing inspector time off:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error'
+    });
+  }
+};
@@ -0,0 +1,196 @@
+const Lender = require('../models/Lender');
+const Transaction = require('../models/Transaction');
+
+const EDITABLE_FIELDS = [
+  'name', 'payoffPhone', 'payoffFax', 'payoffEmail', 'website', 'address',
+  'payment', 'electronicTitle', 'lienReleaseDays', 'notes', 'active'
+];
+
+const pickEditable = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) {
+    fields[key] = body[key];
+  }
+  return fields;
+}, {});
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lender names are matched case-insensitively so the directory has no duplicates
+const findByName = (name, excludeId) => Lender.findOne({
+  name: new RegExp(`^${escapeRegex(String(name).trim())}$`, 'i'),
+  ...(excludeId ? { _id: { $ne: excludeId } } : {})
+});
+
+/**
+ * Get the lender directory
+ * @route GET /api/lenders?search=ally&includeInactive=true
+ * @access Private
+ */
+exports.getLenders = async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === 'true' ? {} : { active: true };
+    if (req.query.search) {
+      filter.name = new RegExp(escapeRegex(req.query.search), 'i');
+    }
+    const lenders = await Lender.find(filter).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: lenders.length,
+      data: lenders
+    });
+  } catch (error) {
+    console.error('Error getting lenders:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Get a lender with the number of open payoffs with it
+ * @route GET /api/lenders/:id
+ * @access Private
+ */
+exports.getLender = async (req, res) => {
+  try {
+    const lender = await Lender.findById(req.params.id);
+
+    if (!lender) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lender not found'
+      });
+    }
+
+    const openPayoffs = await Transaction.countDocuments({
+      'payoff.lender': lender._id,
+      payoffStatus: { $in: ['pending', 'confirmed'] }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...lender.toObject(),
+        counts: { openPayoffs }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting lender:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Add a lender to the directory
+ * @route POST /api/lenders
+ * @access Private (Admin, Agent, Estimator)
+ */
+exports.createLender = async (req, res) => {
+  try {
+    const fields = pickEditable(req.body);
+
+    if (!fields.name || !String(fields.name).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name is required'
+      });
+    }
+
+    const existing = await findByName(fields.name);
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: `A lender named "${existing.name}" already exists`
+      });
+    }
+
+    const lender = await Lender.create({ ...fields, createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      data: lender
+    });
+  } catch (error) {
+    console.error('Error creating lender:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.name === 'ValidationError' ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Update a lender. Payoffs already recorded keep the lender name they were made with.
+ * @route PUT /api/lenders/:id
+ * @access Private (Admin, Agent, Estimator)
+ */
+exports.updateLender = async (req, res) => {
+  try {
+    const fields = pickEditable(req.body);
+
+    if (fields.name) {
+      const existing = await findByName(fields.name, req.params.id);
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          error: `A lender named "${existing.name}" already exists`
+        });
+      }
+    }
+
+    const lender = await Lender.findByIdAndUpdate(req.params.id, fields, { new: true, runValidators: true });
+
+    if (!lender) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lender not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: lender
+    });
+  } catch (error) {
+    console.error('Error updating lender:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.name === 'ValidationError' ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Deactivate a lender. Existing payoffs keep pointing at it, but it can no
+ * longer be picked for new ones.
+ * @route DELETE /api/lenders/:id
+ * @access Private (Admin)
+ */
+exports.deactivateLender = async (req, res) => {
+  try {
+    const lender = await Lender.findByIdAndUpdate(req.params.id, { active: false }, { new: true });
+
+    if (!lender) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lender not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: lender
+    });
+  } catch (error) {
+    console.error('Error deactivating lender:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,232 @@
+const Case = require('../models/Case');
+const LinkToken = require('../models/LinkToken');
+const LinkAccessLog = require('../models/LinkAccessLog');
+const linkTokens = require('../services/linkTokens');
+const caseEvents = require('../services/caseEvents');
+
+// The inspection or quote of a case that a link audience points at
+const findCaseResource = async (caseId, resourceType) => {
+  const caseData = await Case.findOne({ _id: caseId, deletedAt: null }).populate(resourceType);
+
+  if (!caseData) {
+    const error = new Error('Case not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!caseData[resourceType]) {
+    const error = new Error(`No ${resourceType} found for this case`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return caseData[resourceType];
+};
+
+/**
+ * Get every link issued for a case
+ * @route GET /api/links/cases/:caseId
+ * @access Private (Admin, Agent, Estimator)
+ */
+exports.getCaseLinks = async (req, res) => {
+  try {
+    const links = await LinkToken.find({ caseId: req.params.caseId })
+      .populate('createdBy', 'firstName lastName email')
+      .populate('revokedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: links.length,
+      data: links.map(linkTokens.serializeLinkToken)
+    });
+  } catch (error) {
+    console.error('Error getting case links:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Issue a new link, e.g. a view and decide link for the customer.
+ * The token is only returned here, it cannot be looked up later.
+ * @route POST /api/links/cases/:caseId
+ * @access Private (Admin, Agent, Estimator)
+ */
+exports.createCaseLink = async (req, res) => {
+  try {
+    const { audience, scopes, expiresAt, expiresInHours } = req.body;
+
+    const preset = linkTokens.AUDIENCES[audience];
+    if (!preset) {
+      return res.status(400).json({
+        success: false,
+        error: `Audience must be one of: ${Object.keys(linkTokens.AUDIENCES).join(', ')}`
+      });
+    }
+
+    const resource = await findCaseResource(req.params.caseId, preset.resourceType);
+
+    const { token, linkToken } = await linkTokens.issueLinkToken({
+      resourceType: preset.resourceType,
+      resource,
+      audience,
+      scopes,
+      expiresAt: expiresInHours ? new Date(Date.now() + Number(expiresInHours) * 60 * 60 * 1000) : expiresAt,
+      createdBy: req.user.id
+    });
+
+    await caseEvents.recordCaseEvent({
+      caseId: req.params.caseId,
+      type: 'communication',
+      action: 'link-issued',
+      description: `${audience.charAt(0).toUpperCase() + audience.slice(1)} link issued (${linkToken.scopes.join(', ')})`,
+      actor: caseEvents.actorFromRequest(req),
+      metadata: { linkToken: linkToken._id, expiresAt: linkToken.expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...linkTokens.serializeLinkToken(linkToken),
+        token,
+        url: linkTokens.buildLinkUrl(audience, token)
+      }
+    });
+  } catch (error) {
+    console.error('Error creating case link:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Replace the inspector or estimator link of a case. The old link stops working.
+ * @route POST /api/links/cases/:caseId/regenerate
+ * @access Private (Admin, Agent, Estimator)
+ */
+exports.regenerateCaseLink = async (req, res) => {
+  try {
+    const { resourceType } = req.body;
+
+    if (!linkTokens.PRIMARY_AUDIENCE[resourceType]) {
+      return res.status(400).json({
+        success: false,
+        error: `Resource type must be one of: ${Object.keys(linkTokens.PRIMARY_AUDIENCE).join(', ')}`
+      });
+    }
+
+    const resource = await findCaseResource(req.params.caseId, resourceType);
+    const { token, linkToken } = await linkTokens.regeneratePrimaryToken(resourceType, resource, {
+      reason: 'regenerated',
+      createdBy: req.user.id
+    });
+
+    await caseEvents.recordCaseEvent({
+      caseId: req.params.caseId,
+      type: 'communication',
+      action: 'link-regenerated',
+      description: `${resourceType.charAt(0).toUpperCase() + resourceType.slice(1)} link regenerated`,
+      actor: caseEvents.actorFromRequest(req),
+      metadata: { linkToken: linkToken._id, expiresAt: linkToken.expiresAt }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...linkTokens.serializeLinkToken(linkToken),
+        token,
+        url: linkTokens.buildLinkUrl(linkToken.audience, token)
+      }
+    });
+  } catch (error) {
+    console.error('Error regenerating case link:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Revoke a link
+ * @route DELETE /api/links/:id
+ * @access Private (Admin, Agent, Estimator)
+ */
+exports.revokeLink = async (req, res) => {
+  try {
+    const linkToken = await linkTokens.revokeLinkToken(req.params.id, {
+      reason: req.body?.reason,
+      revokedBy: req.user.id
+    });
+
+    if (!linkToken) {
+      return res.status(404).json({
+        success: false,
+        error: 'Link not found or already revoked'
+      });
+    }
+
+    await caseEvents.recordCaseEvent({
+      caseId: linkToken.caseId,
+      type: 'communication',
+      action: 'link-revoked',
+      description: `${linkToken.audience.charAt(0).toUpperCase() + linkToken.audience.slice(1)} link revoked`,
+      actor: caseEvents.actorFromRequest(req),
+      metadata: { linkToken: linkToken._id, reason: linkToken.revokedReason }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: linkTokens.serializeLinkToken(linkToken)
+    });
+  } catch (error) {
+    console.error('Error revoking link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Get when a link was opened or used, newest first
+ * @route GET /api/links/:id/access-log
+ * @access Private (Admin, Agent, Estimator)
+ */
+exports.getLinkAccessLog = async (req, res) => {
+  try {
+    const linkToken = await LinkToken.findById(req.params.id);
+
+    if (!linkToken) {
+      return res.status(404).json({
+        success: false,
+        error: 'Link not found'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const entries = await LinkAccessLog.find({ linkToken: linkToken._id })
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: {
+        link: linkTokens.serializeLinkToken(linkToken),
+        entries
+      }
+    });
+  } catch (error) {
+    console.error('Error getting link access log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
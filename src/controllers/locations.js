@@ -0,0 +1,204 @@
+const Location = require('../models/Location');
+const User = require('../models/User');
+const Case = require('../models/Case');
+
+const EDITABLE_FIELDS = ['name', 'code', 'address', 'phone', 'email', 'timezone', 'legalEntity', 'businessLicense', 'isDefault', 'active'];
+
+const pickEditable = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) {
+    fields[key] = body[key];
+  }
+  return fields;
+}, {});
+
+// Only one location provides the buyer details for cases without a location
+const clearOtherDefaults = (locationId) =>
+  Location.updateMany({ _id: { $ne: locationId }, isDefault: true }, { isDefault: false });
+
+/**
+ * Get all locations
+ * @route GET /api/locations?includeInactive=true
+ * @access Private
+ */
+exports.getLocations = async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === 'true' ? {} : { active: true };
+    const locations = await Location.find(filter).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: locations.length,
+      data: locations
+    });
+  } catch (error) {
+    console.error('Error getting locations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Get a location with the number of users and cases at it
+ * @route GET /api/locations/:id
+ * @access Private
+ */
+exports.getLocation = async (req, res) => {
+  try {
+    const location = await Location.findById(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        error: 'Location not found'
+      });
+    }
+
+    const [users, cases] = await Promise.all([
+      User.countDocuments({ locationId: location._id }),
+      Case.countDocuments({ location: location._id, deletedAt: null })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...location.toObject(),
+        counts: { users, cases }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting location:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Create a location
+ * @route POST /api/locations
+ * @access Private (Admin)
+ */
+exports.createLocation = async (req, res) => {
+  try {
+    const fields = pickEditable(req.body);
+
+    if (!fields.name || !fields.code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name and code are required'
+      });
+    }
+
+    const existing = await Location.findOne({ code: String(fields.code).trim().toUpperCase() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: `A location with code "${fields.code}" already exists`
+      });
+    }
+
+    const location = await Location.create({ ...fields, createdBy: req.user.id });
+    if (location.isDefault) {
+      await clearOtherDefaults(location._id);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: location
+    });
+  } catch (error) {
+    console.error('Error creating location:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.name === 'ValidationError' ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Update a location. Bills of sale already generated keep the buyer details
+ * they were created with.
+ * @route PUT /api/locations/:id
+ * @access Private (Admin)
+ */
+exports.updateLocation = async (req, res) => {
+  try {
+    const fields = pickEditable(req.body);
+
+    if (fields.code) {
+      const existing = await Location.findOne({ code: String(fields.code).trim().toUpperCase(), _id: { $ne: req.params.id } });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          error: `A location with code "${fields.code}" already exists`
+        });
+      }
+    }
+
+    const location = await Location.findByIdAndUpdate(req.params.id, fields, { new: true, runValidators: true });
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        error: 'Location not found'
+      });
+    }
+
+    if (location.isDefault) {
+      await clearOtherDefaults(location._id);
+    }
+
+    // Keep the display name on users in step
+    if (fields.name) {
+      await User.updateMany({ locationId: location._id }, { location: location.name });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: location
+    });
+  } catch (error) {
+    console.error('Error updating location:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.name === 'ValidationError' ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Deactivate a location. Its cases and users keep pointing at it so history
+ * and analytics stay intact, but it can no longer be picked.
+ * @route DELETE /api/locations/:id
+ * @access Private (Admin)
+ */
+exports.deactivateLocation = async (req, res) => {
+  try {
+    const location = await Location.findByIdAndUpdate(
+      req.params.id,
+      { active: false, isDefault: false },
+      { new: true }
+    );
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        error: 'Location not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: location
+    });
+  } catch (error) {
+    console.error('Error deactivating location:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
@@ -1,7 +1,9 @@
 const OBD2Code = require('../models/OBD2Code');
-const fs = require('fs').promises;
 const path = require('path');
 const pdfParse = require('pdf-parse');
+const reconditioning = require('../services/reconditioning');
+const storage = require('../services/storage');
+const caseDocuments = require('../services/caseDocuments');
 
 // Regular expression to find OBD2 codes in text
 // Enhanced regex to catch more variations of OBD2 codes
@@ -233,19 +235,9 @@ exports.parseOBD2PDF = async (req, res) => {
       });
     }
 
-    // Create directory if it doesn't exist
-    const uploadDir = path.join(__dirname, '../../uploads/obd2');
-    await fs.mkdir(uploadDir, { recursive: true });
-
-    // Generate unique filename
-    const uniqueFilename = `${Date.now()}-${file.name}`;
-    const filePath = path.join(uploadDir, uniqueFilename);
-
-    // Save the file
-    await file.mv(filePath);
-
-    // Read the PDF file
-    const dataBuffer = await fs.readFile(filePath);
+    // Store the scan
+    const key = await storage.putObject(storage.buildKey('obd2', file.name), file.data, { contentType: file.mimetype });
+    const dataBuffer = file.data;
     
     // Parse the PDF
     const pdfData = await pdfParse(dataBuffer);
@@ -279,8 +271,8 @@ exports.parseOBD2PDF = async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        filePath: `/uploads/obd2/${uniqueFilename}`,
-        filename: uniqueFilename,
+        key,
+        filename: path.basename(key),
         extractedCodes: uniqueCodes,
         matchingCodes,
         unknownCodes,
@@ -323,19 +315,9 @@ exports.uploadOBD2ScanToCase = async (req, res) => {
       });
     }
 
-    // Create directory if it doesn't exist
-    const uploadDir = path.join(__dirname, '../../uploads/obd2');
-    await fs.mkdir(uploadDir, { recursive: true });
-
-    // Generate unique filename
-    const uniqueFilename = `case-${caseId}-obd2-${Date.now()}-${file.name}`;
-    const filePath = path.join(uploadDir, uniqueFilename);
-
-    // Save the file
-    await file.mv(filePath);
-
-    // Read the PDF file
-    const dataBuffer = await fs.readFile(filePath);
+    // Store the scan with the case's other OBD2 scans
+    const key = await storage.putObject(storage.buildKey(`obd2/${caseId}`, file.name), file.data, { contentType: file.mimetype });
+    const dataBuffer = file.data;
     
     // Parse the PDF
     const pdfData = await pdfParse(dataBuffer);
@@ -396,7 +378,7 @@ exports.uploadOBD2ScanToCase = async (req, res) => {
       {
         obd2Scan: {
           scanDate: new Date(),
-          filePath: `/uploads/obd2/${uniqueFilename}`,
+          filePath: key,
           extractedCodes: uniqueCodes,
           criticalCodes: matchingCodes.filter(code => code.criticality >= 4).map(code => ({
             code: code.code,
@@ -409,12 +391,17 @@ exports.uploadOBD2ScanToCase = async (req, res) => {
       { new: true }
     );
 
+    // Critical codes change the repair estimate on the quote
+    const reconditioningEstimate = await reconditioning.refreshQuoteReconditioning(updatedQuote._id);
+
     // Return the result
     res.status(200).json({
       success: true,
       data: {
-        filePath: `/uploads/obd2/${uniqueFilename}`,
-        filename: uniqueFilename,
+        reconditioning: reconditioningEstimate,
+        key,
+        url: caseDocuments.signedDocumentUrl(caseId, 'obd2Scan').url,
+        filename: path.basename(key),
         extractedCodes: uniqueCodes,
         matchingCodes,
         unknownCodes,
@@ -0,0 +1,97 @@
+const payoff = require('../services/payoff');
+const caseDocuments = require('../services/caseDocuments');
+const caseEvents = require('../services/caseEvents');
+const uploads = require('../services/uploads');
+
+/**
+ * Get a case's loan payoff: lender, latest quote, expected vs actual amount,
+ * net proceeds to the seller and negative equity
+ * @route GET /api/cases/:caseId/payoff?asOf=2025-01-31
+ * @access Private (Admin, Agent, Estimator who can see the case)
+ */
+exports.getCasePayoff = async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : undefined;
+    if (asOf && isNaN(asOf.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'asOf must be a date'
+      });
+    }
+
+    const summary = await payoff.getCasePayoff(req.params.caseId, { asOf });
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error getting case payoff:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Set the lender and loan number, and/or record a payoff quote:
+ * { lender, loanNumber, quote: { amount, perDiem, goodThrough, quotedAt, reference } }
+ * @route PUT /api/cases/:caseId/payoff
+ * @access Private (Admin, Agent, Estimator who can see the case)
+ */
+exports.updateCasePayoff = async (req, res) => {
+  try {
+    const summary = await payoff.updateCasePayoff(req.params.caseId, req.body || {}, {
+      userId: req.user.id,
+      actor: caseEvents.actorFromRequest(req)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error updating case payoff:', error);
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+      success: false,
+      error: error.statusCode || error.name === 'ValidationError' ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Upload the lender's payoff letter from the `file` field. It is kept with the
+ * case documents and counts toward the document checklist.
+ * @route POST /api/cases/:caseId/payoff/letter
+ * @access Private (Admin, Agent, Estimator who can see the case)
+ */
+exports.uploadPayoffLetter = async (req, res) => {
+  try {
+    const { caseId } = req.params;
+    const { key, file } = await caseDocuments.saveCaseDocument(
+      caseId,
+      'payoffLetter',
+      req.files?.file,
+      caseEvents.actorFromRequest(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      data: {
+        key,
+        originalName: file.originalName,
+        url: caseDocuments.signedDocumentUrl(caseId, 'payoffLetter').url
+      }
+    });
+  } catch (error) {
+    if (uploads.isRejection(error)) {
+      return uploads.sendRejection(res, error);
+    }
+    console.error('Error uploading payoff letter:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error'
+    });
+  }
+};
@@ -0,0 +1,126 @@
+const PricingRuleSet = require('../models/PricingRuleSet');
+const VehicleSubmission = require('../models/customer/customer');
+const offerPricing = require('../services/offerPricing');
+
+/**
+ * Get the active offer pricing rules
+ * @route GET /api/pricing/rules
+ * @access Private (Admin)
+ */
+exports.getPricingRules = async (req, res) => {
+  try {
+    const ruleSet = await offerPricing.getActiveRuleSet();
+
+    res.status(200).json({
+      success: true,
+      data: ruleSet
+    });
+  } catch (error) {
+    console.error('Error getting pricing rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Save a new version of the offer pricing rules
+ * @route PUT /api/pricing/rules
+ * @access Private (Admin)
+ */
+exports.updatePricingRules = async (req, res) => {
+  try {
+    const { rules, notes } = req.body;
+
+    if (!rules || typeof rules !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: 'Rules object is required'
+      });
+    }
+
+    const ruleSet = await offerPricing.saveRuleSet(rules, req.user.id, notes);
+
+    res.status(200).json({
+      success: true,
+      data: ruleSet
+    });
+  } catch (error) {
+    console.error('Error updating pricing rules:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Get every saved version of the offer pricing rules
+ * @route GET /api/pricing/rules/history
+ * @access Private (Admin)
+ */
+exports.getPricingRuleHistory = async (req, res) => {
+  try {
+    const ruleSets = await PricingRuleSet.find()
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ version: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: ruleSets.length,
+      data: ruleSets
+    });
+  } catch (error) {
+    console.error('Error getting pricing rule history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Preview the offer a submission would get, optionally with draft rule changes
+ * @route POST /api/pricing/preview/:submissionId
+ * @access Private (Admin)
+ */
+exports.previewOffer = async (req, res) => {
+  try {
+    const submission = await VehicleSubmission.findById(req.params.submissionId);
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle submission not found'
+      });
+    }
+
+    const activeRuleSet = await offerPricing.getActiveRuleSet();
+    const rules = offerPricing.mergeRules(activeRuleSet.rules, req.body.rules || {});
+
+    const errors = offerPricing.validateRules(rules);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid pricing rules: ${errors.join(', ')}`
+      });
+    }
+
+    const offer = offerPricing.calculateOffer(submission, { ...activeRuleSet, rules });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        current: submission.offer,
+        preview: offer
+      }
+    });
+  } catch (error) {
+    console.error('Error previewing offer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
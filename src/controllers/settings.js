@@ -0,0 +1,93 @@
+const organizationSettings = require('../services/organizationSettings');
+const documentChecklist = require('../services/documentChecklist');
+
+/**
+ * Get the organization settings (legal name, address, dealer license, logo,
+ * email sender and support contact)
+ * @route GET /api/settings/organization
+ * @access Public
+ */
+exports.getOrganizationSettings = async (req, res) => {
+  try {
+    const settings = await organizationSettings.getSettings();
+
+    res.status(200).json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    console.error('Error getting organization settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Update the organization settings. Bills of sale already generated keep the
+ * buyer details they were created with.
+ * @route PUT /api/settings/organization
+ * @access Private (Admin)
+ */
+exports.updateOrganizationSettings = async (req, res) => {
+  try {
+    const settings = await organizationSettings.updateSettings(req.body, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    console.error('Error updating organization settings:', error);
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+      success: false,
+      error: error.statusCode || error.name === 'ValidationError' ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Get the documents cases need before they can be completed
+ * @route GET /api/settings/document-checklist
+ * @access Private
+ */
+exports.getDocumentChecklist = async (req, res) => {
+  try {
+    const checklist = await documentChecklist.getRequirements();
+
+    res.status(200).json({
+      success: true,
+      data: checklist
+    });
+  } catch (error) {
+    console.error('Error getting document checklist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Replace the document checklist with req.body.requirements; null or an empty
+ * list restores the defaults
+ * @route PUT /api/settings/document-checklist
+ * @access Private (Admin)
+ */
+exports.updateDocumentChecklist = async (req, res) => {
+  try {
+    const checklist = await documentChecklist.updateRequirements(req.body.requirements, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: checklist
+    });
+  } catch (error) {
+    console.error('Error updating document checklist:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error'
+    });
+  }
+};
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Case = require('../models/Case');
+const caseAccess = require('../services/caseAccess');
 const mongoose = require('mongoose');
 
 // Validate MongoDB ObjectId
@@ -110,6 +112,50 @@ exports.isAdminOrAgent = exports.authorize('admin', 'agent');
 exports.isAdminOrEstimator = exports.authorize('admin', 'estimator');
 exports.isAdminOrInspector = exports.authorize('admin', 'inspector');
 
+// Only let users reach cases within their access scope (see services/caseAccess.js)
+exports.requireCaseAccess = (paramName = 'caseId') => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Not authorized to access this route'
+        });
+      }
+
+      const id = req.params[paramName];
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid ${paramName} format. Must be a valid MongoDB ObjectId.`
+        });
+      }
+
+      if (!(await Case.exists({ _id: id }))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Case not found'
+        });
+      }
+
+      if (!(await caseAccess.canAccessCase(req.user, id))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to access this case'
+        });
+      }
+
+      next();
+    } catch (err) {
+      console.error('Case access middleware error:', err);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error while checking case access'
+      });
+    }
+  };
+};
+
 // Middleware for quote management (admin, agent, or estimator)
 exports.isQuoteManager = (req, res, next) => {
   if (!req.user) {
@@ -0,0 +1,44 @@
+const linkTokens = require('../services/linkTokens');
+
+// Messages for links that exist but can't be used
+const REFUSED = {
+  revoked: { status: 410, error: 'This link has been revoked. Please ask for a new link.' },
+  expired: { status: 410, error: 'This link has expired. Please ask for a new link.' },
+  forbidden: { status: 403, error: 'This link does not allow this action' }
+};
+
+// Check the :token link grants the scope and log the access.
+// Sets req.linkToken for the controller to load the inspection or quote.
+exports.requireLinkScope = (resourceType, scope) => {
+  return async (req, res, next) => {
+    try {
+      const linkToken = await linkTokens.resolveLinkToken(req.params.token, resourceType);
+
+      if (!linkToken) {
+        return res.status(404).json({
+          success: false,
+          error: `Invalid or expired ${resourceType} token`
+        });
+      }
+
+      const outcome = linkTokens.checkAccess(linkToken, scope);
+      await linkTokens.recordAccess(linkToken, req, scope, outcome);
+
+      if (outcome !== 'allowed') {
+        return res.status(REFUSED[outcome].status).json({
+          success: false,
+          error: REFUSED[outcome].error
+        });
+      }
+
+      req.linkToken = linkToken;
+      next();
+    } catch (err) {
+      console.error('Link token middleware error:', err);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error while checking link'
+      });
+    }
+  };
+};
@@ -0,0 +1,101 @@
+const { protect, authorize, requireCaseAccess } = require('./auth');
+const { requireLinkScope } = require('./linkToken');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Routers that went through applyRoutePolicies
+const policedRouters = new WeakSet();
+
+// Middleware enforcing a single policy from config/routePolicies.js
+const policyMiddleware = (key, policy) => {
+  if (policy.public) {
+    if (!policy.reason) {
+      throw new Error(`Route policy for "${key}" is public but gives no reason`);
+    }
+    return [];
+  }
+
+  if (policy.token) {
+    return [requireLinkScope(policy.token.resource, policy.token.scope)];
+  }
+
+  if (Array.isArray(policy.roles) && policy.roles.length > 0) {
+    const middleware = [protect, authorize(...policy.roles)];
+    if (policy.caseAccess) {
+      middleware.push(requireCaseAccess(policy.caseAccess));
+    }
+    return middleware;
+  }
+
+  throw new Error(`Route policy for "${key}" must be public, list roles or require a token`);
+};
+
+/**
+ * Put the declared policy in front of every route of a router. Throws when a
+ * route has no policy or a policy has no route, so the server won't start
+ * with an undeclared route.
+ * @param {Object} router - Express router with all routes registered
+ * @param {Object} policies - Policies for this router, keyed by "METHOD /path"
+ * @param {string} routerName - Used in error messages
+ * @returns {Object} - The router
+ */
+exports.applyRoutePolicies = (router, policies, routerName) => {
+  const undeclared = [];
+  const declared = new Set();
+
+  router.stack
+    .filter(layer => layer.route)
+    .forEach(layer => {
+      const { route } = layer;
+      HTTP_METHODS.filter(method => route.methods[method]).forEach(method => {
+        const key = `${method.toUpperCase()} ${route.path}`;
+        const policy = policies[key];
+
+        if (!policy) {
+          undeclared.push(key);
+          return;
+        }
+        declared.add(key);
+
+        const middleware = policyMiddleware(key, policy);
+        if (middleware.length > 0) {
+          // Register through the route, then move the new layers to the front
+          route[method](...middleware);
+          route.stack.unshift(...route.stack.splice(-middleware.length));
+        }
+      });
+    });
+
+  const unused = Object.keys(policies).filter(key => !declared.has(key));
+
+  if (undeclared.length > 0 || unused.length > 0) {
+    const problems = [
+      ...undeclared.map(key => `no policy declared for ${key}`),
+      ...unused.map(key => `policy declared for missing route ${key}`)
+    ];
+    throw new Error(`Route policies for ${routerName} are incomplete:\n  ${problems.join('\n  ')}`);
+  }
+
+  policedRouters.add(router);
+  return router;
+};
+
+/**
+ * Make sure a router, and every router mounted inside it, had its policies
+ * applied. Used when mounting routers so a new route file without policies
+ * stops the server from starting.
+ * @param {Object} router - Express router
+ * @param {string} routerName - Used in error messages
+ * @returns {Object} - The router
+ */
+exports.assertPoliced = (router, routerName) => {
+  if (!policedRouters.has(router)) {
+    throw new Error(`Router ${routerName} has no route policies; declare them in config/routePolicies.js and call applyRoutePolicies`);
+  }
+
+  router.stack
+    .filter(layer => !layer.route && typeof layer.handle?.stack === 'object')
+    .forEach(layer => exports.assertPoliced(layer.handle, `${routerName} ${layer.regexp}`));
+
+  return router;
+};
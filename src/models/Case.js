@@ -23,7 +23,8 @@ const CaseSchema = new mongoose.Schema({
   },
   documents: {
     driverLicenseFront: {
-      path: String,
+      key: String, // Storage key
+      path: String, // URL or "/uploads/..." path of files uploaded before storage keys
       originalName: String,
       uploadedAt: {
         type: Date,
@@ -31,7 +32,8 @@ const CaseSchema = new mongoose.Schema({
       }
     },
     driverLicenseRear: {
-      path: String,
+      key: String, // Storage key
+      path: String, // URL or "/uploads/..." path of files uploaded before storage keys
       originalName: String,
       uploadedAt: {
         type: Date,
@@ -39,13 +41,25 @@ const CaseSchema = new mongoose.Schema({
       }
     },
     vehicleTitle: {
-      path: String,
+      key: String, // Storage key
+      path: String, // URL or "/uploads/..." path of files uploaded before storage keys
       originalName: String,
       uploadedAt: {
         type: Date,
         default: Date.now
       }
     },
+    // Required by the document checklist while the vehicle still has a loan
+    lienRelease: {
+      key: String, // Storage key
+      originalName: String,
+      uploadedAt: Date
+    },
+    payoffLetter: {
+      key: String, // Storage key
+      originalName: String,
+      uploadedAt: Date
+    },
     driverLicenseVerified: {
       type: Boolean,
       default: false
@@ -74,6 +88,7 @@ const CaseSchema = new mongoose.Schema({
       default: 'pending'
     },
     sentDocumentUrl: String,
+    sentDocumentKey: String, // Storage key of the package sent for signing
     sentAt: Date,
     completedAt: Date,
     signedDocumentUrl: String
@@ -168,7 +183,7 @@ const CaseSchema = new mongoose.Schema({
       default: Date.now
     }
   },
-  pdfCaseFile: String,
+  pdfCaseFile: String, // Storage key of the case file PDF
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -189,9 +204,41 @@ const CaseSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     default: null
+  },
+  // Store handling the case; scopes case lists, inspector assignment and analytics
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  // Online submission this case was created from (one case per submission)
+  submission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VehicleSubmission'
+  },
+  // Soft delete marker; deleted cases are purged after CASE_RETENTION_DAYS
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
   timestamps: true
 });
 
+CaseSchema.index({ deletedAt: 1 });
+// Row-level access (services/caseAccess.js)
+CaseSchema.index({ estimatorId: 1 });
+CaseSchema.index({ customer: 1 });
+CaseSchema.index({ inspection: 1 });
+CaseSchema.index({ location: 1, createdAt: -1 });
+CaseSchema.index(
+  { submission: 1 },
+  { unique: true, partialFilterExpression: { submission: { $type: 'objectId' } } }
+);
+
 module.exports = mongoose.model('Case', CaseSchema); 
\ No newline at end of file
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Append-only audit trail of everything that happens to a case
+const caseEventSchema = new mongoose.Schema({
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['case', 'status', 'inspection', 'quote', 'offer-decision', 'transaction', 'document', 'completion', 'communication'],
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  description: String,
+  actor: {
+    kind: {
+      type: String,
+      enum: ['user', 'customer', 'token', 'webhook', 'system'],
+      default: 'system'
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    email: String,
+    role: String
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+caseEventSchema.index({ caseId: 1, createdAt: -1 });
+caseEventSchema.index({ caseId: 1, type: 1 });
+caseEventSchema.index({ 'actor.user': 1 });
+
+// Events are never edited or removed once written
+const rejectMutation = function(next) {
+  next(new Error('Case events are append-only'));
+};
+
+caseEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach(operation => {
+  caseEventSchema.pre(operation, rejectMutation);
+});
+
+module.exports = mongoose.model('CaseEvent', caseEventSchema);
@@ -50,4 +50,11 @@ const CustomerSchema = new mongoose.Schema({
 }
 );
 
+// Used by duplicate detection on intake
+CustomerSchema.index({ email1: 1 });
+CustomerSchema.index({ lastName: 1, firstName: 1 });
+// Row-level access (services/caseAccess.js)
+CustomerSchema.index({ customerId: 1 });
+CustomerSchema.index({ storeLocation: 1 });
+
 module.exports = mongoose.model('Customer', CustomerSchema); 
\ No newline at end of file
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Every download of a case document, including refused signed links
+const documentAccessLogSchema = new mongoose.Schema({
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: true
+  },
+  document: {
+    type: String,
+    required: true
+  },
+  // Storage key or external URL that was served
+  key: String,
+  via: {
+    type: String,
+    enum: ['user', 'signed-url'],
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['allowed', 'expired', 'invalid', 'missing'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: String,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+documentAccessLogSchema.index({ caseId: 1, createdAt: -1 });
+documentAccessLogSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DocumentAccessLog', documentAccessLogSchema);
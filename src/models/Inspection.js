@@ -24,6 +24,10 @@ const InspectionQuestionSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  minPhotos: {
+    type: Number,
+    default: 0
+  },
   answer: mongoose.Schema.Types.Mixed,
   notes: String,
   photos: [{
@@ -74,6 +78,10 @@ const InspectionSectionSchema = new mongoose.Schema({
   },
   description: String,
   icon: String,
+  minPhotos: {
+    type: Number,
+    default: 0
+  },
   questions: [InspectionQuestionSchema],
   rating: {
     type: Number,
@@ -133,9 +141,19 @@ const InspectionSchema = new mongoose.Schema({
   scheduledDate: {
     type: Date,
   },
+  // "HH:mm" in the inspector's timezone
   scheduledTime: {
     type: String,
   },
+  // Appointment start and end, used to check the inspector isn't double booked
+  scheduledStart: {
+    type: Date,
+    default: null
+  },
+  scheduledEnd: {
+    type: Date,
+    default: null
+  },
   dueByDate: {
     type: Date,
   },
@@ -147,15 +165,33 @@ const InspectionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['scheduled', 'in-progress', 'completed', 'cancelled'],
+    enum: ['scheduled', 'in-progress', 'completed', 'cancelled', 'no-show'],
     default: 'scheduled'
   },
+  // Why a cancelled or no-show inspection didn't happen
+  cancellation: {
+    reason: String,
+    recordedAt: Date,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   accessToken: {
     type: String,
     default: function() {
       return crypto.randomBytes(20).toString('hex');
     }
   },
+  // Checklist template version this inspection was started with
+  template: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InspectionTemplate'
+    },
+    key: String,
+    version: Number
+  },
   sections: [InspectionSectionSchema],
   overallRating: {
     type: Number,
@@ -218,7 +254,12 @@ const InspectionSchema = new mongoose.Schema({
   calendarEvents: {
     inspectorEventId: String,
     estimatorEventId: String,
-    lastSyncAt: Date
+    lastSyncAt: Date,
+    // ICS revision; raised on every reschedule or cancel so calendars apply the change
+    sequence: {
+      type: Number,
+      default: 0
+    }
   }
 },
 {
@@ -226,4 +267,7 @@ const InspectionSchema = new mongoose.Schema({
 }
 );
 
+// Row-level access for inspectors (services/caseAccess.js) and double booking checks
+InspectionSchema.index({ 'inspector.email': 1, scheduledStart: 1 });
+
 module.exports = mongoose.model('Inspection', InspectionSchema); 
\ No newline at end of file
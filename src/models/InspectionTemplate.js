@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+const QUESTION_TYPES = ['radio', 'checkbox', 'text', 'rating', 'photo', 'yesno', 'number'];
+
+const TemplateOptionSchema = new mongoose.Schema({
+  value: {
+    type: String,
+    required: true
+  },
+  label: String,
+  points: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const TemplateQuestionSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  question: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: true
+  },
+  options: [TemplateOptionSchema],
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Number of photos the inspector must attach to this question
+  minPhotos: {
+    type: Number,
+    default: 0
+  },
+  // Ids older inspector app versions still send for this question
+  legacyIds: [String],
+  subQuestions: [{
+    _id: false,
+    id: String,
+    question: String,
+    type: {
+      type: String,
+      enum: QUESTION_TYPES
+    },
+    options: [TemplateOptionSchema]
+  }]
+}, { _id: false });
+
+const TemplateSectionSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  icon: String,
+  // Which vehicles get this section, based on Vehicle.isElectric
+  appliesTo: {
+    type: String,
+    enum: ['all', 'electric', 'non-electric'],
+    default: 'all'
+  },
+  // Number of section level photos the inspector must attach
+  minPhotos: {
+    type: Number,
+    default: 0
+  },
+  // Ids older inspector app versions still send for this section
+  legacyIds: [String],
+  questions: [TemplateQuestionSchema]
+}, { _id: false });
+
+// Every change to a checklist is saved as a new version; inspections keep a
+// reference to the version they were started with so old results stay comparable.
+const InspectionTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  version: {
+    type: Number,
+    required: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  sections: [TemplateSectionSchema],
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+},
+{
+  timestamps: true
+}
+);
+
+InspectionTemplateSchema.index({ key: 1, version: 1 }, { unique: true });
+InspectionTemplateSchema.index({ key: 1, active: 1, version: -1 });
+
+InspectionTemplateSchema.statics.QUESTION_TYPES = QUESTION_TYPES;
+
+module.exports = mongoose.model('InspectionTemplate', InspectionTemplateSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const WorkingHoursSchema = new mongoose.Schema({
+  // 0 = Sunday ... 6 = Saturday
+  dayOfWeek: {
+    type: Number,
+    min: 0,
+    max: 6,
+    required: true
+  },
+  // "HH:mm" in the inspector's timezone
+  start: {
+    type: String,
+    match: TIME_OF_DAY,
+    required: true
+  },
+  end: {
+    type: String,
+    match: TIME_OF_DAY,
+    required: true
+  }
+}, { _id: false });
+
+const TimeOffSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  reason: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+const InspectorAvailabilitySchema = new mongoose.Schema({
+  inspector: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // IANA zone the working hours are in; defaults to the inspector's location
+  timezone: String,
+  workingHours: [WorkingHoursSchema],
+  timeOff: [TimeOffSchema],
+  // Kept free between two inspections for driving to the next customer
+  travelBufferMinutes: {
+    type: Number,
+    min: 0,
+    default: 30
+  },
+  inspectionDurationMinutes: {
+    type: Number,
+    min: 15,
+    default: 60
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('InspectorAvailability', InspectorAvailabilitySchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const AddressSchema = new mongoose.Schema({
+  street: String,
+  city: String,
+  state: String,
+  zipCode: String
+}, { _id: false });
+
+// Banks and finance companies we pay off loans with
+const LenderSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Department that issues payoff quotes and releases liens
+  payoffPhone: String,
+  payoffFax: String,
+  payoffEmail: String,
+  website: String,
+  address: AddressSchema,
+  // Where payoffs are sent
+  payment: {
+    method: {
+      type: String,
+      enum: ['wire', 'ach', 'check', 'online', 'other'],
+      default: 'wire'
+    },
+    instructions: String
+  },
+  // Whether the lender holds titles electronically (ELT), so no paper title comes back
+  electronicTitle: {
+    type: Boolean,
+    default: false
+  },
+  // Typical days from payoff to lien release
+  lienReleaseDays: Number,
+  notes: String,
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+LenderSchema.index({ active: 1, name: 1 });
+
+module.exports = mongoose.model('Lender', LenderSchema);
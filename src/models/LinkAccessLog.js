@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Every time an emailed link is opened or used, including refused attempts
+const linkAccessLogSchema = new mongoose.Schema({
+  linkToken: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LinkToken',
+    required: true
+  },
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case'
+  },
+  resourceType: String,
+  resource: mongoose.Schema.Types.ObjectId,
+  scope: String,
+  outcome: {
+    type: String,
+    enum: ['allowed', 'expired', 'revoked', 'forbidden'],
+    required: true
+  },
+  method: String,
+  // Route pattern, never the token itself
+  route: String,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+linkAccessLogSchema.index({ linkToken: 1, createdAt: -1 });
+linkAccessLogSchema.index({ caseId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LinkAccessLog', linkAccessLogSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Scopes a link can grant, per resource
+const LINK_SCOPES = {
+  inspection: ['view', 'inspect'],
+  quote: ['view', 'estimate', 'decide', 'sign', 'complete']
+};
+
+// Emailed links to an inspection or quote. Only a hash of the token is stored.
+const linkTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Last characters of the token so staff can tell links apart
+  tokenHint: String,
+  resourceType: {
+    type: String,
+    enum: Object.keys(LINK_SCOPES),
+    required: true
+  },
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case'
+  },
+  audience: {
+    type: String,
+    enum: ['inspector', 'estimator', 'customer'],
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: [...new Set(Object.values(LINK_SCOPES).flat())]
+  }],
+  // The token stored as accessToken on the inspection or quote
+  primary: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedReason: String,
+  lastAccessedAt: Date,
+  accessCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+linkTokenSchema.index({ resourceType: 1, resource: 1 });
+linkTokenSchema.index({ caseId: 1, createdAt: -1 });
+
+linkTokenSchema.statics.LINK_SCOPES = LINK_SCOPES;
+
+module.exports = mongoose.model('LinkToken', linkTokenSchema);
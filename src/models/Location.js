@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const AddressSchema = new mongoose.Schema({
+  street: String,
+  city: String,
+  state: String,
+  zipCode: String
+}, { _id: false });
+
+const LocationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Short code shown in lists and matched against the old free-text location fields
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  address: AddressSchema,
+  phone: String,
+  email: String,
+  // IANA zone, e.g. America/Chicago, used for appointments at this store
+  timezone: {
+    type: String,
+    default: 'America/Chicago'
+  },
+  // The company that buys the vehicle, printed as the buyer on the bill of sale
+  legalEntity: {
+    name: String,
+    address: AddressSchema
+  },
+  businessLicense: {
+    number: String,
+    state: String,
+    expiresAt: Date
+  },
+  // Cases without a location use the buyer details of the default location
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+LocationSchema.index({ active: 1, name: 1 });
+
+module.exports = mongoose.model('Location', LocationSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const OrganizationSettingsSchema = new mongoose.Schema({
+  // There is a single settings document
+  key: {
+    type: String,
+    default: 'organization',
+    unique: true
+  },
+  // Buyer of record on bills of sale when a location has no legal entity of its own
+  legalName: String,
+  // Brand used in email subjects, headings and PDF titles, e.g. "VIN On Spot"
+  displayName: String,
+  // Short brand used in running text, e.g. "The VOS Team"
+  shortName: String,
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String
+  },
+  dealerLicense: {
+    number: String,
+    state: String,
+    expiresAt: Date
+  },
+  logoUrl: String,
+  emailSender: {
+    name: String,
+    email: String
+  },
+  supportPhone: String,
+  supportEmail: String,
+  website: String,
+  // Documents a case needs before it can be completed; shape is defined by
+  // DEFAULT_REQUIREMENTS in services/documentChecklist.js. Unset means the defaults.
+  documentChecklist: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('OrganizationSettings', OrganizationSettingsSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Each admin change to the offer deduction rules is saved as a new version so
+// every generated offer can be traced back to the exact rules that priced it.
+const PricingRuleSetSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Shape is defined by DEFAULT_RULES in services/offerPricing.js
+  rules: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+},
+{
+  timestamps: true
+}
+);
+
+PricingRuleSetSchema.index({ active: 1, version: -1 });
+
+module.exports = mongoose.model('PricingRuleSet', PricingRuleSetSchema);
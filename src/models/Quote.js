@@ -37,6 +37,8 @@ const QuoteSchema = new mongoose.Schema({
   expiryDate: {
     type: Date,
   },
+  // Set by the expiry scheduler when the offer lapses without a decision
+  expiredAt: Date,
   notes: String,
   titleReminder: {
     type: Boolean,
@@ -66,10 +68,46 @@ const QuoteSchema = new mongoose.Schema({
     decisionDate: Date,
     reason: String
   },
+  // Every estimator offer and customer counter, oldest first (see services/quoteNegotiation.js)
+  negotiation: [{
+    _id: false,
+    version: {
+      type: Number,
+      required: true
+    },
+    kind: {
+      type: String,
+      enum: ['offer', 'counter'],
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    author: {
+      kind: {
+        type: String,
+        enum: ['estimator', 'customer'],
+        required: true
+      },
+      name: String,
+      email: String,
+      // Logged in user who entered it (an estimator may record a counter taken by phone)
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    },
+    message: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   // OBD2 scan data
   obd2Scan: {
     scanDate: Date,
-    filePath: String,
+    filePath: String, // Storage key of the scan PDF
     extractedCodes: [String],
     criticalCodes: [{
       code: String,
@@ -78,6 +116,26 @@ const QuoteSchema = new mongoose.Schema({
       estimatedRepairCost: String
     }]
   },
+  // Repair costs from inspection issues and OBD2 codes (see services/reconditioning.js)
+  reconditioning: {
+    low: Number,
+    high: Number,
+    items: [{
+      _id: false,
+      source: {
+        type: String,
+        enum: ['safety', 'maintenance', 'obd2']
+      },
+      description: String,
+      low: Number,
+      high: Number
+    }],
+    unpricedItems: Number,
+    // Vehicle value before repairs that proposedOffer was worked out from
+    baseAmount: Number,
+    proposedOffer: Number,
+    calculatedAt: Date
+  },
   emailSent: {
     type: Boolean,
     default: false
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// An inspection slot reserved for an online seller while they finish the form
+const SlotHoldSchema = new mongoose.Schema({
+  submission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VehicleSubmission',
+    required: true
+  },
+  inspector: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  // Calendar day and "HH:mm" in the inspector's timezone
+  scheduledDate: {
+    type: String,
+    required: true
+  },
+  scheduledTime: {
+    type: String,
+    required: true
+  },
+  scheduledStart: {
+    type: Date,
+    required: true
+  },
+  scheduledEnd: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['held', 'booked', 'released'],
+    default: 'held'
+  },
+  // Unset once booked so the booking record is kept
+  expiresAt: Date,
+  inspection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inspection',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+SlotHoldSchema.index({ submission: 1, status: 1 });
+SlotHoldSchema.index({ inspector: 1, scheduledStart: 1, status: 1 });
+
+// Two customers can't hold the same start with the same inspector
+SlotHoldSchema.index(
+  { inspector: 1, scheduledStart: 1 },
+  { unique: true, partialFilterExpression: { status: 'held' }, name: 'inspector_start_held_unique' }
+);
+
+// Expired and released holds are removed by MongoDB
+SlotHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SlotHold', SlotHoldSchema);
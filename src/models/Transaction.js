@@ -27,30 +27,13 @@ const TransactionSchema = new mongoose.Schema({
     sellerEmail: String,
     sellerDLNumber: String,
     sellerDLState: String,
-    buyerName: {
-      type: String,
-      default: 'VOS - Vehicle Offer Service'
-    },
-    buyerAddress: {
-      type: String,
-      default: '123 Business Ave'
-    },
-    buyerCity: {
-      type: String,
-      default: 'Business City'
-    },
-    buyerState: {
-      type: String,
-      default: 'BC'
-    },
-    buyerZip: {
-      type: String,
-      default: '12345'
-    },
-    buyerBusinessLicense: {
-      type: String,
-      default: 'VOS-12345-AB'
-    },
+    // Buyer block comes from the case's location or the organization settings (services/locations.js)
+    buyerName: String,
+    buyerAddress: String,
+    buyerCity: String,
+    buyerState: String,
+    buyerZip: String,
+    buyerBusinessLicense: String,
     buyerRepName: String,
     vehicleVIN: String,
     vehicleYear: String,
@@ -95,11 +78,43 @@ const TransactionSchema = new mongoose.Schema({
     witnessPhone: String
   },
   preferredPaymentMethod: { type: String, default: 'Wire' },
+  // Summary of payoff below, kept for the paperwork screens and PDFs
   bankDetails: {
     bankName: String,
     loanNumber: String,
     payoffAmount: Number
   },
+  // Loan paid off on the seller's behalf (services/payoff.js)
+  payoff: {
+    lender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lender'
+    },
+    lenderName: String,
+    loanNumber: String,
+    // Latest payoff quote from the lender; amount is valid through goodThrough,
+    // after that perDiem is added for each extra day
+    quote: {
+      amount: Number,
+      perDiem: Number,
+      goodThrough: Date,
+      quotedAt: Date,
+      reference: String,
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reminderSentAt: Date
+    },
+    actualAmount: Number,
+    paidAt: Date,
+    paymentReference: String,
+    // Payoff is more than the sale price, so the seller owes the difference
+    negativeEquity: {
+      type: Boolean,
+      default: false
+    }
+  },
   // Payoff confirmation fields
   payoffStatus: {
     type: String,
@@ -114,7 +129,7 @@ const TransactionSchema = new mongoose.Schema({
   },
   payoffNotes: String,
   documents: {
-    signedBillOfSale: String,
+    signedBillOfSale: String, // Storage key
   },
   paymentStatus: {
     type: String,
@@ -125,7 +140,7 @@ const TransactionSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  pdfPath: String,
+  pdfPath: String, // Storage key of the generated bill of sale
   submittedAt: Date,
   completedAt: Date,
   createdBy: {
@@ -142,4 +157,7 @@ const TransactionSchema = new mongoose.Schema({
 }
 );
 
+// Payoff quotes about to lapse (services/payoff.js)
+TransactionSchema.index({ payoffStatus: 1, 'payoff.quote.goodThrough': 1 });
+
 module.exports = mongoose.model('Transaction', TransactionSchema); 
\ No newline at end of file
@@ -23,9 +23,14 @@ const UserSchema = new mongoose.Schema({
     enum: ['admin', 'agent', 'estimator', 'inspector','customer'],
     default: 'agent'
   },
+  // Free-text location from before stores were set up, kept for display
   location: {
     type: String
   },
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
   isVerified: {
     type: Boolean,
     default: false
@@ -39,6 +44,11 @@ const UserSchema = new mongoose.Schema({
   resetPasswordExpire: {
     type: Date
   },
+  // Hash of the token in the user's calendar subscription URL
+  calendarFeedToken: {
+    type: String,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -68,7 +78,8 @@ UserSchema.methods.getSignedJwtToken = function() {
       firstName: this.firstName,
       lastName: this.lastName,
       role: this.role,
-      location: this.location
+      location: this.location,
+      locationId: this.locationId
     },
     process.env.JWT_SECRET,
     {
@@ -75,4 +75,8 @@ const VehicleSchema = new mongoose.Schema({
 }
 );
 
+// Used by duplicate detection on intake
+VehicleSchema.index({ vin: 1 });
+VehicleSchema.index({ licensePlate: 1 });
+
 module.exports = mongoose.model('Vehicle', VehicleSchema); 
\ No newline at end of file
@@ -50,6 +50,10 @@ const VehicleSubmissionSchema = new mongoose.Schema({
     hasModifications: Boolean,
     smokedIn: Boolean,
     keyCount: Number,
+    titleStatus: {
+      type: String,
+      enum: ['clean', 'salvage', 'rebuilt', 'lemon', 'flood', 'junk', 'not-sure'],
+    },
     overallCondition: {
       type: String,
     },
@@ -65,8 +69,28 @@ const VehicleSubmissionSchema = new mongoose.Schema({
   offer: {
     amount: Number,
     expiresAt: Date,
+    // Set by the expiry scheduler once expiresAt has passed
+    expired: { type: Boolean, default: false },
+    expiredAt: Date,
     generated: { type: Boolean, default: false },
     generatedAt: Date,
+    // Itemised pricing produced by services/offerPricing.js
+    breakdown: {
+      baseAmount: Number,
+      baseSource: { type: String, enum: ['marketcheck', 'default'] },
+      adjustments: [{
+        key: String,
+        label: String,
+        detail: String,
+        amount: Number,
+        _id: false
+      }],
+      totalDeductions: Number,
+      floorApplied: Boolean,
+      ruleSet: { type: mongoose.Schema.Types.ObjectId, ref: 'PricingRuleSet' },
+      ruleSetVersion: Number,
+      calculatedAt: Date,
+    },
   },
 
   // STEP 7: Sale Details
@@ -80,8 +104,8 @@ const VehicleSubmissionSchema = new mongoose.Schema({
 
   // STEP 8: Ownership Verification
   ownership: {
-    odometerPhoto: String, // File URL or path
-    photoID: String,       // File URL or path
+    odometerPhoto: String, // Storage key, or Cloudinary URL for older submissions
+    photoID: String,       // Storage key, or Cloudinary URL for older submissions
     titleVerified: { type: Boolean, default: false },
   },
 
@@ -101,6 +125,11 @@ const VehicleSubmissionSchema = new mongoose.Schema({
     notes: {
       type: String,
     },
+    // Store the seller picked; the case is created there
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+    },
   },
   appointmentDateTime: Date,
 
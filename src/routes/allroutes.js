@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const { protect, isAdmin, isEstimator, isInspector, isQuoteManager, isUserManager } = require('../middleware/auth');
+const { validateObjectId } = require('../middleware/auth');
+const { applyRoutePolicies } = require('../middleware/routePolicy');
+const routePolicies = require('../config/routePolicies');
 const updateStageTime = require('../services/updateStageTime');
 const {
   createCase,
@@ -8,6 +10,8 @@ const {
   customerIntake,
   scheduleInspection,
   rescheduleInspection,
+  cancelInspection,
+  markInspectionNoShow,
   getInspectionByToken,
   submitInspection,
   savePendingInspection,
@@ -15,6 +19,10 @@ const {
   getQuoteByToken,
   submitQuote,
   updateQuoteByCaseId,
+  getReconditioningEstimate,
+  getQuoteNegotiation,
+  requoteCase,
+  requoteByToken,
   updateOfferDecision,
   updateOfferDecisionByCaseId,
   updatePaperwork,
@@ -51,6 +59,9 @@ const {
   generateQuoteSummary,
   sendCustomerFormEmail,
   getTimeTrackingByCaseId,
+  getCaseTimeline,
+  getDeletedCases,
+  restoreCase,
   getTimeTrackingAnalytics,
   getUserAnalytics,
   confirmPayoff,
@@ -58,6 +69,9 @@ const {
   checkUserExists,
   getCasesByCustomerId,
   getCustomers,
+  checkDuplicates,
+  mergeCustomers,
+  mergeVehicles,
   handleVeriffWebhook,
   createVeriffSession,
   generatePDFPackageAndSendToWebhook,
@@ -68,41 +82,56 @@ const {
 // Import OBD2 controllers
 const { uploadOBD2ScanToCase } = require('../controllers/obd2');
 
+// Import document download controllers
+const {
+  getCaseDocumentChecklist,
+  uploadCaseDocument,
+  getCaseDocument,
+  createSignedDocumentUrl,
+  getSignedDocument,
+  getDocumentAccessLog
+} = require('../controllers/documents');
+
 // Import customer routes
 const customerRoutes = require('./customer');
 
 // Auth routes
-router.get('/auth/me', protect, getCurrentUser);
+router.get('/auth/me', getCurrentUser);
 router.post('/auth/check-user', checkUserExists);
 
 // User management routes
-router.get('/users', protect, isUserManager, getUsersByRole);
-router.post('/users', protect, isAdmin, createUser);
-router.put('/users/:userId', protect, isAdmin, updateUser);
-router.delete('/users/:userId', protect, isAdmin, deleteUser);
-router.get('/users/all', protect, isAdmin, getAllUsers);
-router.get('/users/:userId/analytics', protect, isAdmin, getUserAnalytics);
+router.get('/users', getUsersByRole);
+router.post('/users', createUser);
+router.put('/users/:userId', updateUser);
+router.delete('/users/:userId', deleteUser);
+router.get('/users/all', getAllUsers);
+router.get('/users/:userId/analytics', getUserAnalytics);
 // Estimator-specific analytics route
-router.get('/estimator/analytics', protect, isEstimator, async (req, res) => {
+router.get('/estimator/analytics', async (req, res) => {
   // Set the userId to the current user's ID
   req.params.userId = req.user._id.toString();
   getUserAnalytics(req, res);
 });
 
 // Customer management routes
-router.get('/customers', protect, getCustomers);
+router.get('/customers', getCustomers);
+router.post('/customers/merge', mergeCustomers);
+router.post('/vehicles/merge', mergeVehicles);
+router.post('/duplicates/check', checkDuplicates);
 
-// Case management routes (protected)
-router.get('/cases', protect, getCases);
-router.get('/cases/estimator', protect, isEstimator, getEstimatorCases);
-router.get('/cases/:caseId', protect, getCase);
-router.get('/customers/:customerId/cases', protect, getCasesByCustomerId);
-router.post('/cases', protect, createCase);
-router.put('/cases/:caseId', protect, updateCase);
-router.delete('/cases/:caseId', protect, deleteCase);
+// Case management routes
+router.get('/cases', getCases);
+router.get('/cases/estimator', getEstimatorCases);
+router.get('/cases/trash', getDeletedCases);
+router.get('/cases/:caseId', getCase);
+router.get('/customers/:customerId/cases', getCasesByCustomerId);
+router.post('/cases', createCase);
+router.put('/cases/:caseId', updateCase);
+router.delete('/cases/:caseId', deleteCase);
+router.post('/cases/:caseId/restore', validateObjectId('caseId'), restoreCase);
 
 // OBD2 scan upload for a specific case
-router.post('/cases/:caseId/obd2-scan', protect, uploadOBD2ScanToCase);
+router.post('/cases/:caseId/obd2-scan', uploadOBD2ScanToCase);
 
 // Customer intake route (public - no authentication required)
 router.post('/customer-intake', customerIntake);
@@ -110,88 +139,114 @@ router.post('/customer-intake', customerIntake);
 // Customer vehicle submission routes
 router.use('/customer', customerRoutes);
 
-// Send customer form email (protected - requires authentication)
+// Send customer form email
 router.post('/send-customer-form', sendCustomerFormEmail);
 
-// Inspection scheduling (protected)
-router.post('/cases/:caseId/inspection', protect, scheduleInspection);
-router.put('/cases/:caseId/inspection', protect, rescheduleInspection);
+// Inspection scheduling
+router.post('/cases/:caseId/inspection', scheduleInspection);
+router.put('/cases/:caseId/inspection', rescheduleInspection);
+router.post('/cases/:caseId/inspection/cancel', validateObjectId('caseId'), cancelInspection);
+router.post('/cases/:caseId/inspection/no-show', validateObjectId('caseId'), markInspectionNoShow);
 router.get('/inspection/:token', getInspectionByToken);
 router.post('/inspection/:token', submitInspection);
 router.put('/inspection/:token/pending', savePendingInspection);
-router.get('/inspections/assigned', protect, isInspector, getInspectorInspections);
+router.get('/inspections/assigned', getInspectorInspections);
 
-// Quote routes (protected)
-router.post('/cases/:caseId/estimator-during-inspection', protect, assignEstimatorDuringInspection);
+// Quote routes
+router.post('/cases/:caseId/estimator-during-inspection', assignEstimatorDuringInspection);
 router.get('/quote/:token', getQuoteByToken);
 router.post('/quote/:token', submitQuote);
-router.put('/cases/:caseId/quote', protect, isQuoteManager, updateQuoteByCaseId);
+router.put('/cases/:caseId/quote', updateQuoteByCaseId);
+router.get('/cases/:caseId/reconditioning', validateObjectId('caseId'), getReconditioningEstimate);
+router.get('/cases/:caseId/quote/negotiation', validateObjectId('caseId'), getQuoteNegotiation);
+router.post('/cases/:caseId/requote', validateObjectId('caseId'), requoteCase);
+router.post('/quote/:token/requote', requoteByToken);
 
 // Offer Decision routes
 router.post('/quote/:token/decision', updateOfferDecision);
-router.put('/cases/:caseId/offer-decision', protect, updateOfferDecisionByCaseId); // Remove isQuoteManager restriction
+router.put('/cases/:caseId/offer-decision', updateOfferDecisionByCaseId);
 
 // Document upload routes
-router.post('/upload', protect, uploadDocument);
-router.post('/cases/:caseId/bill-of-sale-upload', protect, uploadBillOfSaleDocument);
-router.post('/cases/:caseId/driver-license-upload', protect, uploadDriverLicenseDocuments);
+router.post('/upload', uploadDocument);
+router.post('/cases/:caseId/bill-of-sale-upload', uploadBillOfSaleDocument);
+router.post('/cases/:caseId/driver-license-upload', uploadDriverLicenseDocuments);
 
 // Paperwork routes
 router.post('/quote/:token/paperwork', updatePaperwork);
-router.post('/cases/:caseId/paperwork', protect, isQuoteManager, savePaperworkByCaseId);
+router.post('/cases/:caseId/paperwork', savePaperworkByCaseId);
 
-// Payoff confirmation route
-router.post('/cases/:caseId/payoff-confirmation', protect, confirmPayoff);
+// Loan payoff: lender, payoff quote and letter, then confirmation once paid
+const {
+  getCasePayoff,
+  updateCasePayoff,
+  uploadPayoffLetter
+} = require('../controllers/payoff');
+router.get('/cases/:caseId/payoff', getCasePayoff);
+router.put('/cases/:caseId/payoff', updateCasePayoff);
+router.post('/cases/:caseId/payoff/letter', uploadPayoffLetter);
+router.post('/cases/:caseId/payoff-confirmation', confirmPayoff);
 
 // Case stage updates
 router.post('/quote/:token/stage', updateCaseStage);
-router.put('/cases/:caseId/stage', protect, updateCaseStageByCaseId);
+router.put('/cases/:caseId/stage', updateCaseStageByCaseId);
 
 // Completion routes
 router.post('/cases/:caseId/complete', completeCase);
 router.post('/quote/:token/complete', completeCaseWithToken);
-router.post('/cases/:caseId/complete-estimator', protect, isQuoteManager, completeCaseByCaseId);
-router.post('/cases/:caseId/completion', protect, isQuoteManager, saveCompletionData);
+router.post('/cases/:caseId/complete-estimator', completeCaseByCaseId);
+router.post('/cases/:caseId/completion', saveCompletionData);
 
 // PDF generation
 router.get('/cases/:caseId/pdf', generateCaseFile);
 router.get('/quote/:token/pdf', generateCaseFileWithToken);
-router.get('/cases/:caseId/bill-of-sale', protect, generateBillOfSalePDF);
-router.get('/cases/:caseId/quote-summary', protect, generateQuoteSummary);
-router.post('/cases/:caseId/quote-summary', protect, generateQuoteSummary);
+router.get('/cases/:caseId/bill-of-sale', generateBillOfSalePDF);
+router.get('/cases/:caseId/quote-summary', generateQuoteSummary);
+router.post('/cases/:caseId/quote-summary', generateQuoteSummary);
+
+// Stored case documents (licenses, bills of sale, case files...) and the checklist of
+// documents a case needs before completion; every download is logged
+router.get('/cases/:caseId/documents', getCaseDocumentChecklist);
+router.get('/cases/:caseId/documents/access-log', getDocumentAccessLog);
+router.post('/cases/:caseId/documents/:document', uploadCaseDocument);
+router.get('/cases/:caseId/documents/:document', getCaseDocument);
+router.post('/cases/:caseId/documents/:document/signed-url', createSignedDocumentUrl);
+router.get('/documents/signed', getSignedDocument);
 
 // Status update
-router.put('/cases/:caseId/status', protect, updateCaseStatus);
+router.put('/cases/:caseId/status', updateCaseStatus);
 
 // Email sending
-router.post('/cases/:caseId/send-email', protect, isQuoteManager, sendCustomerEmail);
+router.post('/cases/:caseId/send-email', sendCustomerEmail);
 
 // Vehicle data routes
 router.get('/vehicle/pricing/:vin', getVehiclePricing);
 router.get('/vehicle/specs/:vin', getVehicleSpecs);
 router.get('/vehicle/makes-models', getVehicleMakesAndModels);
-router.post('/vehicle/custom', protect, saveCustomVehicle);
+router.post('/vehicle/custom', saveCustomVehicle);
 
 // Analytics
-router.get('/analytics', protect, getAnalytics);
+router.get('/analytics', getAnalytics);
 
 // Time tracking endpoints
-router.get('/cases/:caseId/time-tracking', protect, getTimeTrackingByCaseId);
-router.get('/time-tracking/analytics', protect, isAdmin, getTimeTrackingAnalytics);
+router.get('/cases/:caseId/time-tracking', getTimeTrackingByCaseId);
+router.get('/time-tracking/analytics', getTimeTrackingAnalytics);
+
+// Case activity timeline (filter with ?type=quote,status&actor=<userId|kind>)
+router.get('/cases/:caseId/timeline', validateObjectId('caseId'), getCaseTimeline);
 
 // Veriff integration endpoints
 router.post('/veriff/webhook', handleVeriffWebhook); // Public endpoint for Veriff webhook
-router.post('/cases/:caseId/veriff/session', protect, createVeriffSession);
+router.post('/cases/:caseId/veriff/session', createVeriffSession);
 
 // PDF package and webhook endpoints
-router.post('/cases/:caseId/send-pdf-package', protect, generatePDFPackageAndSendToWebhook);
-router.get('/cases/:caseId/webhook-status', protect, getWebhookStatus);
+router.post('/cases/:caseId/send-pdf-package', generatePDFPackageAndSendToWebhook);
+router.get('/cases/:caseId/webhook-status', getWebhookStatus);
 
 
 router.post('/signnow/zapier', handleSignNowZapier);
 
 
-router.post('/stage-time', protect, async (req, res) => {
+router.post('/stage-time', async (req, res) => {
   try {
     const { caseId, stageName, startTime, endTime, extraFields } = req.body;
     await updateStageTime(caseId, stageName, new Date(startTime), new Date(endTime), extraFields || {});
@@ -202,4 +257,7 @@ router.post('/stage-time', protect, async (req, res) => {
   }
 });
 
+// Who may call each route is declared in config/routePolicies.js
+applyRoutePolicies(router, routePolicies.allroutes, 'allroutes');
+
 module.exports = router;
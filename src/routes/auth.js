@@ -1,6 +1,7 @@
 const express = require('express');
 const { register, login, verify, logout, updateProfile, changePassword, forgotPassword, resetPassword } = require('../controllers/auth');
-const { protect } = require('../middleware/auth');
+const { applyRoutePolicies } = require('../middleware/routePolicy');
+const routePolicies = require('../config/routePolicies');
 
 const router = express.Router();
 
@@ -9,9 +10,12 @@ router.post('/register', register);
 router.post('/login', login); // Keep login public
 router.post('/forgot-password', forgotPassword); // Forgot password - public
 router.post('/reset-password/:token', resetPassword); // Reset password - public
-router.get('/verify', protect, verify);
-router.get('/logout', protect, logout);
-router.put('/profile', protect, updateProfile);
-router.put('/password', protect, changePassword);
+router.get('/verify', verify);
+router.get('/logout', logout);
+router.put('/profile', updateProfile);
+router.put('/password', changePassword);
 
-module.exports = router; 
\ No newline at end of file
+// Who may call each route is declared in config/routePolicies.js
+applyRoutePolicies(router, routePolicies.auth, 'auth');
+
+module.exports = router;
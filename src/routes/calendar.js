@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { applyRoutePolicies } = require('../middleware/routePolicy');
+const routePolicies = require('../config/routePolicies');
+const {
+  createFeedToken,
+  revokeFeedToken,
+  getFeed
+} = require('../controllers/calendar');
+
+// Subscription URLs for inspectors' and estimators' calendar apps
+router.post('/feed-token', createFeedToken);
+router.delete('/feed-token', revokeFeedToken);
+
+// Calendar apps fetch the feed without logging in; the token is the credential
+router.get('/feed/:token.ics', getFeed);
+
+// Who may call each route is declared in config/routePolicies.js
+applyRoutePolicies(router, routePolicies.calendar, 'calendar');
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { protect, isAdmin } = require('../middleware/auth');
+const { applyRoutePolicies } = require('../middleware/routePolicy');
+const routePolicies = require('../config/routePolicies');
 const {
   createVehicleSubmission,
   updateVehicleInfo,
@@ -9,12 +10,17 @@ const {
   getVehicleSubmission,
   getAllVehicleSubmissions,
   updateContactAndGenerateOffer,
+  requoteOffer,
   uploadOwnershipPhoto,
   updatePayoutMethod,
+  getAppointmentSlots,
+  holdAppointmentSlot,
+  releaseAppointmentSlot,
   updateAppointment,
   updateMobile,
   getVehicleSubmissionsByEmail
 } = require('../controllers/customerController');
+const { getSignedOwnershipPhoto } = require('../controllers/documents');
 
 
 // Public routes (no authentication required for customer submissions)
@@ -25,12 +31,20 @@ router.put('/vehicle-submission/:id/vehicle-info', updateVehicleInfo);
 router.put('/vehicle-submission/:id/basics', updateVehicleBasics);
 router.put('/vehicle-submission/:id/condition', updateVehicleCondition);
 router.put('/vehicle-submission/:id/contact-offer', updateContactAndGenerateOffer);
+router.post('/vehicle-submission/:id/requote', requoteOffer);
 router.post('/upload-ownership-photo', uploadOwnershipPhoto);
+router.get('/vehicle-submission/:id/ownership-photo/:type', getSignedOwnershipPhoto);
 router.put('/vehicle-submission/:id/payout-method', updatePayoutMethod);
+router.get('/vehicle-submission/:id/appointment-slots', getAppointmentSlots);
+router.post('/vehicle-submission/:id/appointment-hold', holdAppointmentSlot);
+router.delete('/vehicle-submission/:id/appointment-hold', releaseAppointmentSlot);
 router.put('/vehicle-submission/:id/appointment', updateAppointment);
 router.put('/vehicle-submission/:id/mobile', updateMobile);
 
 // Protected routes (require authentication)
-router.get('/vehicle-submissions', protect, isAdmin, getAllVehicleSubmissions);
+router.get('/vehicle-submissions', getAllVehicleSubmissions);
+
+// Who may call each route is declared in config/routePolicies.js
+applyRoutePolicies(router, routePolicies.customer, 'customer');
 
 module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { applyRoutePolicies } = require('../middleware/routePolicy');
+const routePolicies = require('../config/routePolicies');
+const {
+  getInspectionTemplates,
+  getInspectionTemplate,
+  getInspectionTemplateVersions,
+  getInspectionTemplateVersion,
+  createInspectionTemplate,
+  updateInspectionTemplate,
+  retireInspectionTemplate
+} = require('../controllers/inspectionTemplates');
+
+// Inspection checklist templates (changes are admin only)
+router.get('/', getInspectionTemplates);
+router.post('/', createInspectionTemplate);
+router.get('/:key', getInspectionTemplate);
+router.put('/:key', updateInspectionTemplate);
+router.delete('/:key', retireInspectionTemplate);
+
+// Saved versions
+router.get('/:key/versions', getInspectionTemplateVersions);
+router.get('/:key/versions/:version', getInspectionTemplateVersion);
+
+// Who may call each route is declared in config/routePolicies.js
+applyRoutePolicies(router, routePolicies.inspectionTemplates, 'inspectionTemplates');
+
+module.exports = router;
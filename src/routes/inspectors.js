@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { validateObjectId } = require('../middleware/auth');
+const { applyRoutePolicies } = require('../middleware/routePolicy');
+const routePolicies = require('../config/routePolicies');
+const {
+  getOpenSlots,
+  getInspectorAvailability,
+  updateInspectorAvailability,
+  addTimeOff,
+  removeTimeOff
+} = require('../controllers/inspectorAvailability');
+
+// Open slots for scheduling inspections
+router.get('/availability', getOpenSlots);
+
+// Working hours, buffers and time off of one inspector
+router.get('/:userId/availability', validateObjectId('userId'), getInspectorAvailability);
+router.put('/:userId/availability', validateObjectId('userId'), updateInspectorAvailability);
+router.post('/:userId/time-off', validateObjectId('userId'), addTimeOff);
+router.delete('/:userId/time-off/:timeOffId', validateObjectId('userId'), validateObjectId('timeOffId'), removeTimeOff);
+
+// Who may call each route is declared in config/routePolicies.js
+applyRoutePolicies(router, routePolicies.inspectors, 'inspectors');
+
+module.exports = router;
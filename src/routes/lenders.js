@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { validateObjectId } = require('../middleware/auth');
+const { applyRoutePolicies } = require('../middleware/routePolicy');
+const routePolicies = require('../config/routePolicies');
+const {
+  getLenders,
+  getLender,
+  createLender,
+  updateLender,
+  deactivateLender
+} = require('../controllers/lenders');
+
+// Lender directory for loan payoffs (staff handling quotes keep it up to date)
+router.get('/', getLenders);
+router.post('/', createLender);
+router.get('/:id', validateObjectId('id'), getLender);
+router.put('/:id', validateObjectId('id'), updateLender);
+router.delete('/:id', validateObjectId('id'), deactivateLender);
+
+// Who may call each route is declared in config/routePolicies.js
+applyRoutePolicies(router, routePolicies.lenders, 'lenders');
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { validateObjectId } = require('../middleware/auth');
+const { applyRoutePolicies } = require('../middleware/routePolicy');
+const routePolicies = require('../config/routePolicies');
+const {
+  getCaseLinks,
+  createCaseLink,
+  regenerateCaseLink,
+  revokeLink,
+  getLinkAccessLog
+} = require('../controllers/linkTokens');
+
+// Emailed inspector, estimator and customer links of a case
+router.get('/cases/:caseId', validateObjectId('caseId'), getCaseLinks);
+router.post('/cases/:caseId', validateObjectId('caseId'), createCaseLink);
+router.post('/cases/:caseId/regenerate', validateObjectId('caseId'), regenerateCaseLink);
+
+// Single links
+router.delete('/:id', validateObjectId('id'), revokeLink);
+router.get('/:id/access-log', validateObjectId('id'), getLinkAccessLog);
+
+// Who may call each route is declared in config/routePolicies.js
+applyRoutePolicies(router, routePolicies.linkTokens, 'linkTokens');
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { validateObjectId } = require('../middleware/auth');
+const { applyRoutePolicies } = require('../middleware/routePolicy');
+const routePolicies = require('../config/routePolicies');
+const {
+  getLocations,
+  getLocation,
+  createLocation,
+  updateLocation,
+  deactivateLocation
+} = require('../controllers/locations');
+
+// Stores (changes are admin only)
+router.get('/', getLocations);
+router.post('/', createLocation);
+router.get('/:id', validateObjectId('id'), getLocation);
+router.put('/:id', validateObjectId('id'), updateLocation);
+router.delete('/:id', validateObjectId('id'), deactivateLocation);
+
+// Who may call each route is declared in config/routePolicies.js
+applyRoutePolicies(router, routePolicies.locations, 'locations');
+
+module.exports = router;
@@ -9,6 +9,9 @@ const {
   parseOBD2PDF,
   bulkImportOBD2Codes
 } = require('../controllers/obd2');
+const { applyRoutePolicies } = require('../middleware/routePolicy');
+const routePolicies = require('../config/routePolicies');
+
 // Get all OBD2 codes
 router.get('/', getAllOBD2Codes);
 
@@ -28,4 +31,7 @@ router.put('/:id', updateOBD2Code);
 // Delete OBD2 code
 router.delete('/:id', deleteOBD2Code);
 
+// Who may call each route is declared in config/routePolicies.js
+applyRoutePolicies(router, routePolicies.obd2, 'obd2');
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { applyRoutePolicies } = require('../middleware/routePolicy');
+const routePolicies = require('../config/routePolicies');
+const {
+  getPricingRules,
+  updatePricingRules,
+  getPricingRuleHistory,
+  previewOffer
+} = require('../controllers/pricing');
+
+// Offer pricing rules (admin only)
+router.get('/rules', getPricingRules);
+router.put('/rules', updatePricingRules);
+router.get('/rules/history', getPricingRuleHistory);
+
+// Preview an offer against the active or draft rules
+router.post('/preview/:submissionId', previewOffer);
+
+// Who may call each route is declared in config/routePolicies.js
+applyRoutePolicies(router, routePolicies.pricing, 'pricing');
+
+module.exports = router;
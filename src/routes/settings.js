@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { applyRoutePolicies } = require('../middleware/routePolicy');
+const routePolicies = require('../config/routePolicies');
+const {
+  getOrganizationSettings,
+  updateOrganizationSettings,
+  getDocumentChecklist,
+  updateDocumentChecklist
+} = require('../controllers/settings');
+
+// Organization settings; the public seller pages show the logo and support contact
+router.get('/organization', getOrganizationSettings);
+router.put('/organization', updateOrganizationSettings);
+
+// Documents required before a case can be completed
+router.get('/document-checklist', getDocumentChecklist);
+router.put('/document-checklist', updateDocumentChecklist);
+
+// Who may call each route is declared in config/routePolicies.js
+applyRoutePolicies(router, routePolicies.settings, 'settings');
+
+module.exports = router;
@@ -2,13 +2,20 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const connectDB = require('./config/db');
-const path = require('path');
-const fs = require('fs');
 const fileUpload = require('express-fileupload');
+const uploads = require('./services/uploads');
+const caseRetention = require('./services/caseRetention');
+const quoteExpiry = require('./services/quoteExpiry');
+const payoff = require('./services/payoff');
+const storage = require('./services/storage');
+const { assertPoliced } = require('./middleware/routePolicy');
 
 // Load env vars
 dotenv.config();
 
+// Fail on boot rather than on the first upload when file storage is misconfigured
+storage.getDriver();
+
 // Connect to database
 connectDB();
 
@@ -60,67 +67,46 @@ app.use((req, res, next) => {
   fileUpload({
     createParentPath: true,
     limits: {
-      fileSize: 10 * 1024 * 1024 // 10MB max file size
+      fileSize: uploads.MAX_UPLOAD_BYTES
     },
     abortOnLimit: true,
+    // Answer with the same shape as the upload routes' own rejections
+    limitHandler: (req, res) => {
+      uploads.sendRejection(res, uploads.tooLarge(null));
+    },
     useTempFiles: false, // Changed to false to use memory instead of temp files
     debug: process.env.NODE_ENV === 'development'
   })(req, res, next);
 });
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, '../uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-  fs.mkdirSync(path.join(uploadsDir, 'pdfs'), { recursive: true });
-  fs.mkdirSync(path.join(uploadsDir, 'images'), { recursive: true });
-}
-
-// Serve static files from the uploads folder
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
-
-// Serve PDF files from the pdfs folder with proper debugging
-app.use('/files', (req, res, next) => {
-  console.log('PDF file requested:', req.url);
-  
-  // Clean the URL (remove any query parameters)
-  const cleanUrl = req.url.split('?')[0];
-  const filePath = path.join(__dirname, '../uploads/pdfs', cleanUrl);
-  
-  console.log('Full path:', filePath);
-  
-  // Check if file exists
-  fs.access(filePath, fs.constants.F_OK, (err) => {
-    if (err) {
-      console.log('File not found:', filePath);
-      console.log('Error:', err.message);
-      
-      // List available files for debugging
-      fs.readdir(path.join(__dirname, '../uploads/pdfs'), (dirErr, files) => {
-        if (!dirErr) {
-          console.log('Available files in pdfs directory:', files);
-        }
-        res.status(404).send('File not found');
-      });
-    } else {
-      console.log('File exists, serving:', filePath);
-      // Set content type for PDF
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', 'inline; filename=' + path.basename(filePath));
-      next();
-    }
-  });
-}, express.static(path.join(__dirname, '../uploads/pdfs')));
+// Uploaded and generated files are not served statically; they are downloaded
+// through /api/cases/:caseId/documents/:document or a signed /api/documents/signed link
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const allRoutes = require('./routes/allroutes');
 const obd2Routes = require('./routes/obd2');
-
-// Mount routes
-app.use('/api/auth', authRoutes);
-app.use('/api/obd2', obd2Routes);
-app.use('/api', allRoutes);
+const pricingRoutes = require('./routes/pricing');
+const inspectionTemplateRoutes = require('./routes/inspectionTemplates');
+const linkTokenRoutes = require('./routes/linkTokens');
+const locationRoutes = require('./routes/locations');
+const lenderRoutes = require('./routes/lenders');
+const settingsRoutes = require('./routes/settings');
+const inspectorRoutes = require('./routes/inspectors');
+const calendarRoutes = require('./routes/calendar');
+
+// Mount routes; a router without route policies stops the server from starting
+app.use('/api/auth', assertPoliced(authRoutes, 'auth'));
+app.use('/api/obd2', assertPoliced(obd2Routes, 'obd2'));
+app.use('/api/pricing', assertPoliced(pricingRoutes, 'pricing'));
+app.use('/api/inspection-templates', assertPoliced(inspectionTemplateRoutes, 'inspectionTemplates'));
+app.use('/api/links', assertPoliced(linkTokenRoutes, 'linkTokens'));
+app.use('/api/locations', assertPoliced(locationRoutes, 'locations'));
+app.use('/api/lenders', assertPoliced(lenderRoutes, 'lenders'));
+app.use('/api/settings', assertPoliced(settingsRoutes, 'settings'));
+app.use('/api/inspectors', assertPoliced(inspectorRoutes, 'inspectors'));
+app.use('/api/calendar', assertPoliced(calendarRoutes, 'calendar'));
+app.use('/api', assertPoliced(allRoutes, 'allroutes'));
 
 // Basic route
 app.get('/', (req, res) => {
@@ -140,4 +126,13 @@ const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-}); 
\ No newline at end of file
+});
+
+// Permanently remove cases that have been in the trash past the retention period
+caseRetention.startPurgeSchedule();
+
+// Expire quotes and online offers that passed their expiry date without a decision
+quoteExpiry.startExpirySchedule();
+
+// Remind staff about loan payoff quotes that are about to lapse
+payoff.startReminderSchedule(); 
\ No newline at end of file
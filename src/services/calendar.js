@@ -0,0 +1,304 @@
+const crypto = require('crypto');
+const Inspection = require('../models/Inspection');
+const Case = require('../models/Case');
+const User = require('../models/User');
+const inspectorAvailability = require('./inspectorAvailability');
+const organizationSettings = require('./organizationSettings');
+const linkTokens = require('./linkTokens');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Past inspections stay in subscribed calendars for this long
+const getFeedPastDays = () => parseInt(process.env.CALENDAR_FEED_PAST_DAYS, 10) || 30;
+
+// Roles with a calendar of their own inspections
+const FEED_ROLES = ['inspector', 'estimator'];
+
+/**
+ * Domain part of event UIDs. Must never change, or calendars duplicate every event.
+ * @returns {string}
+ */
+function uidDomain() {
+  if (process.env.CALENDAR_UID_DOMAIN) {
+    return process.env.CALENDAR_UID_DOMAIN;
+  }
+  try {
+    return new URL(process.env.FRONTEND_URL).hostname || 'vossystem.com';
+  } catch (error) {
+    return 'vossystem.com';
+  }
+}
+
+/**
+ * Stable UID of an inspection's event, so updates replace the event instead of adding one
+ * @param {Object} inspection
+ * @returns {string}
+ */
+function inspectionUid(inspection) {
+  return `inspection-${inspection._id}@${uidDomain()}`;
+}
+
+// TEXT values escape backslashes, separators and newlines (RFC 5545 3.3.11)
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+
+// A populated reference, or null while it's still an id
+const populated = (ref) => (ref && typeof ref === 'object' && ref._bsontype !== 'ObjectId' ? ref : null);
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Start and end of an inspection's event. Inspections booked before start and end
+ * times were stored are read from their date and time, or become all day events.
+ * @param {Object} inspection
+ * @returns {Object|null} - { start, end, allDay }
+ */
+function eventWindow(inspection) {
+  if (inspection.scheduledStart && inspection.scheduledEnd) {
+    return { start: inspection.scheduledStart, end: inspection.scheduledEnd, allDay: false };
+  }
+  if (!inspection.scheduledDate) {
+    return null;
+  }
+
+  const window = inspectorAvailability.appointmentWindow(inspection.scheduledDate, inspection.scheduledTime, {
+    timezone: inspectorAvailability.DEFAULT_TIMEZONE,
+    inspectionDurationMinutes: 60
+  });
+  if (window) {
+    return { start: window.scheduledStart, end: window.scheduledEnd, allDay: false };
+  }
+
+  const day = new Date(inspectorAvailability.toDateKey(inspection.scheduledDate));
+  return { start: day, end: new Date(day.getTime() + DAY_MS), allDay: true };
+}
+
+/**
+ * VEVENT lines of an inspection
+ * @param {Object} inspection - Inspection, with customer and vehicle populated when available
+ * @param {Object} options
+ * @param {Object} options.organization - From organizationSettings.getSettings()
+ * @param {boolean} options.cancelled - Mark the event cancelled
+ * @param {boolean} options.includeLink - Add the inspector's inspection link
+ * @param {string} options.location - Where the inspection takes place
+ * @returns {Array<string>}
+ */
+function inspectionEventLines(inspection, { organization, cancelled = false, includeLink = false, location } = {}) {
+  const window = eventWindow(inspection);
+  if (!window) {
+    return [];
+  }
+
+  const customer = populated(inspection.customer);
+  const vehicle = populated(inspection.vehicle);
+  const vehicleName = vehicle ? [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ') : '';
+  const customerName = customer ? `${customer.firstName || ''} ${customer.lastName || ''}`.trim() : '';
+  const inspectorName = `${inspection.inspector?.firstName || ''} ${inspection.inspector?.lastName || ''}`.trim();
+  const link = includeLink && inspection.accessToken ? linkTokens.buildLinkUrl('inspector', inspection.accessToken) : null;
+
+  const description = [
+    customerName && `Customer: ${customerName}`,
+    customer?.cellPhone && `Phone: ${customer.cellPhone}`,
+    vehicleName && `Vehicle: ${vehicleName}`,
+    vehicle?.vin && `VIN: ${vehicle.vin}`,
+    inspectorName && `Inspector: ${inspectorName}`,
+    inspection.notesForInspector && `Notes: ${inspection.notesForInspector}`,
+    link && `Inspection form: ${link}`
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${inspectionUid(inspection)}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `SEQUENCE:${inspection.calendarEvents?.sequence || 0}`,
+    window.allDay ? `DTSTART;VALUE=DATE:${formatDate(window.start)}` : `DTSTART:${formatUtc(window.start)}`,
+    window.allDay ? `DTEND;VALUE=DATE:${formatDate(window.end)}` : `DTEND:${formatUtc(window.end)}`,
+    `SUMMARY:${escapeText(`${cancelled ? 'Cancelled: ' : ''}Vehicle Inspection${vehicleName ? ` - ${vehicleName}` : ''}${customerName ? ` (${customerName})` : ''}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  }
+  if (link) {
+    lines.push(`URL:${link}`);
+  }
+  if (organization?.emailSender?.email) {
+    lines.push(`ORGANIZER;CN=${escapeText(organization.emailSender.name)}:mailto:${organization.emailSender.email}`);
+  }
+  if (inspection.inspector?.email) {
+    lines.push(`ATTENDEE;CN=${escapeText(inspectorName || inspection.inspector.email)};ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:${inspection.inspector.email}`);
+  }
+  if (inspection.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatUtc(inspection.updatedAt)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Wrap events in a VCALENDAR
+ * @param {Array<Array<string>>} events - VEVENT lines per event
+ * @param {Object} options
+ * @param {Object} options.organization - From organizationSettings.getSettings()
+ * @param {string} options.method - 'REQUEST' or 'CANCEL' for email invites, none for feeds
+ * @param {string} options.name - Calendar name shown by subscribing apps
+ * @returns {string} - ICS file content
+ */
+function buildCalendar(events, { organization, method, name } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${escapeText(organization?.shortName || 'VOS')}//Inspections//EN`,
+    'CALSCALE:GREGORIAN'
+  ];
+  if (method) {
+    lines.push(`METHOD:${method}`);
+  }
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  events.forEach(eventLines => lines.push(...eventLines));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Email attachment inviting the inspector to an inspection, or cancelling it
+ * @param {Object} inspection - Inspection document
+ * @param {Object} customer - Customer document
+ * @param {Object} vehicle - Vehicle document
+ * @param {Object} options
+ * @param {boolean} options.cancelled - Send a cancellation
+ * @returns {Promise<Object>} - { filename, content, contentType }
+ */
+async function inspectionInvite(inspection, customer, vehicle, { cancelled = false } = {}) {
+  const organization = await organizationSettings.getSettings();
+  const data = {
+    ...(inspection.toObject ? inspection.toObject() : inspection),
+    customer,
+    vehicle
+  };
+  const method = cancelled ? 'CANCEL' : 'REQUEST';
+
+  return {
+    filename: cancelled ? 'inspection-cancelled.ics' : 'inspection.ics',
+    content: buildCalendar([inspectionEventLines(data, { organization, cancelled, includeLink: !cancelled })], { organization, method }),
+    contentType: `text/calendar; charset=utf-8; method=${method}`
+  };
+}
+
+/**
+ * Create a new subscription URL token for a user; the previous URL stops working.
+ * Only the hash is stored.
+ * @param {Object} user - Inspector or estimator User
+ * @returns {Promise<string>} - The raw token
+ */
+async function issueFeedToken(user) {
+  if (!FEED_ROLES.includes(user.role)) {
+    const error = new Error('Calendar feeds are available to inspectors and estimators');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const token = crypto.randomBytes(24).toString('hex');
+  await User.updateOne({ _id: user._id }, { calendarFeedToken: linkTokens.hashToken(token) });
+  return token;
+}
+
+/**
+ * Stop a user's subscription URL from working
+ * @param {Object} user
+ * @returns {Promise<void>}
+ */
+async function revokeFeedToken(user) {
+  await User.updateOne({ _id: user._id }, { $unset: { calendarFeedToken: 1 } });
+}
+
+/**
+ * ICS feed of a user's inspections, looked up by their subscription token
+ * @param {string} token - Raw token from the subscription URL
+ * @returns {Promise<string|null>} - ICS content, null for an unknown token
+ */
+async function feedForToken(token) {
+  const user = token ? await User.findOne({ calendarFeedToken: linkTokens.hashToken(token) }) : null;
+  if (!user || !FEED_ROLES.includes(user.role)) {
+    return null;
+  }
+
+  const since = new Date(Date.now() - getFeedPastDays() * DAY_MS);
+  const filter = {
+    $or: [
+      { scheduledStart: { $gte: since } },
+      { scheduledStart: null, scheduledDate: { $gte: since } }
+    ]
+  };
+
+  if (user.role === 'inspector') {
+    filter['inspector.email'] = user.email;
+  } else {
+    const cases = await Case.find({ estimatorId: user._id, inspection: { $ne: null }, deletedAt: null }).select('inspection');
+    filter._id = { $in: cases.map(caseData => caseData.inspection) };
+  }
+
+  const inspections = await Inspection.find(filter)
+    .populate('customer')
+    .populate('vehicle')
+    .populate({ path: 'caseId', select: 'deletedAt location', populate: { path: 'location', select: 'name address' } })
+    .sort('scheduledStart scheduledDate');
+
+  const organization = await organizationSettings.getSettings();
+  const events = inspections
+    .filter(inspection => inspection.caseId && !inspection.caseId.deletedAt)
+    .map(inspection => {
+      const store = inspection.caseId.location;
+      return inspectionEventLines(inspection, {
+        organization,
+        cancelled: inspection.status === 'cancelled',
+        includeLink: user.role === 'inspector' && inspection.status !== 'cancelled',
+        location: store ? [store.name, organizationSettings.formatAddress(store.address)].filter(Boolean).join(', ') : undefined
+      });
+    })
+    .filter(eventLines => eventLines.length > 0);
+
+  return buildCalendar(events, {
+    organization,
+    name: `${organization.shortName} Inspections - ${`${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email}`
+  });
+}
+
+module.exports = {
+  FEED_ROLES,
+  inspectionUid,
+  escapeText,
+  inspectionEventLines,
+  buildCalendar,
+  inspectionInvite,
+  issueFeedToken,
+  revokeFeedToken,
+  feedForToken
+};
@@ -0,0 +1,83 @@
+const Case = require('../models/Case');
+const Customer = require('../models/Customer');
+const Inspection = require('../models/Inspection');
+const locations = require('./locations');
+
+/**
+ * Mongo filter for the cases a user may see.
+ * - admins see every case
+ * - customers see cases of the Customer records linked to them through customerId
+ * - inspectors see cases whose inspection is assigned to them
+ * - estimators see cases assigned to them through estimatorId
+ * - agents see cases at their location. Cases from before locations existed fall
+ *   back to the customer's free-text store location, and cases without any location
+ *   are visible to every agent. Agents without a location are not restricted
+ *   (single store setups never set one).
+ * @param {Object} user - The logged in User
+ * @returns {Promise<Object>} - Filter to combine with other Case conditions
+ */
+async function caseScopeFilter(user) {
+  if (!user) {
+    return { _id: null };
+  }
+
+  switch (user.role) {
+    case 'admin':
+      return {};
+
+    case 'customer': {
+      const customerIds = await Customer.find({ customerId: user._id }).distinct('_id');
+      return { customer: { $in: customerIds } };
+    }
+
+    case 'inspector': {
+      const inspectionIds = await Inspection.find({ 'inspector.email': user.email }).distinct('_id');
+      return { inspection: { $in: inspectionIds } };
+    }
+
+    case 'estimator':
+      return { estimatorId: user._id };
+
+    case 'agent': {
+      const locationId = await locations.locationIdForUser(user);
+      if (!locationId && !user.location) {
+        return {};
+      }
+      const storeLocations = [user.location, null, ''].filter(value => value !== undefined);
+      const customerIds = await Customer.find({ storeLocation: { $in: storeLocations } }).distinct('_id');
+      const unassigned = { location: null, customer: { $in: customerIds } };
+      return locationId ? { $or: [{ location: locationId }, unassigned] } : unassigned;
+    }
+
+    default:
+      return { _id: null };
+  }
+}
+
+/**
+ * Combine a Case query with the user's access scope
+ * @param {Object} user - The logged in User
+ * @param {Object} filter - Case conditions
+ * @returns {Promise<Object>} - Filter only matching cases the user may see
+ */
+async function scopeCaseQuery(user, filter = {}) {
+  const scope = await caseScopeFilter(user);
+  return Object.keys(scope).length > 0 ? { $and: [filter, scope] } : filter;
+}
+
+/**
+ * Whether a user may see a case
+ * @param {Object} user - The logged in User
+ * @param {string} caseId - The case ID
+ * @returns {Promise<boolean>}
+ */
+async function canAccessCase(user, caseId) {
+  const filter = await scopeCaseQuery(user, { _id: caseId });
+  return !!(await Case.exists(filter));
+}
+
+module.exports = {
+  caseScopeFilter,
+  scopeCaseQuery,
+  canAccessCase
+};
@@ -0,0 +1,398 @@
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
+const Case = require('../models/Case');
+const VehicleSubmission = require('../models/customer/customer');
+const DocumentAccessLog = require('../models/DocumentAccessLog');
+const storage = require('./storage');
+const caseEvents = require('./caseEvents');
+const uploads = require('./uploads');
+
+// How long signed document links work
+const getSignedUrlHours = () => parseInt(process.env.SIGNED_URL_TTL_HOURS, 10) || 24;
+
+// Documents that can be downloaded from a case, and where each one is kept.
+// `field` marks the ones staff upload directly onto the case.
+const DOCUMENTS = {
+  driverLicenseFront: { label: 'driver\'s license (front)', file: caseData => caseData.documents?.driverLicenseFront },
+  driverLicenseRear: { label: 'driver\'s license (rear)', file: caseData => caseData.documents?.driverLicenseRear },
+  vehicleTitle: { label: 'vehicle title', file: caseData => caseData.documents?.vehicleTitle, field: 'documents.vehicleTitle' },
+  lienRelease: { label: 'lien release', file: caseData => caseData.documents?.lienRelease, field: 'documents.lienRelease' },
+  payoffLetter: { label: 'payoff letter', file: caseData => caseData.documents?.payoffLetter, field: 'documents.payoffLetter' },
+  signedBillOfSale: { label: 'signed bill of sale', file: caseData => caseData.transaction?.documents?.signedBillOfSale },
+  billOfSale: { label: 'bill of sale', file: caseData => caseData.transaction?.pdfPath },
+  caseFile: { label: 'case file', file: caseData => caseData.pdfCaseFile },
+  obd2Scan: { label: 'OBD2 scan', file: caseData => caseData.quote?.obd2Scan?.filePath },
+  signingPackage: { label: 'signing package', file: caseData => caseData.signnow?.sentDocumentKey },
+  signedSigningPackage: { label: 'signed SignNow copy', file: caseData => caseData.signnow?.signedDocumentUrl },
+  odometerPhoto: { label: 'odometer photo', file: caseData => caseData.submission?.ownership?.odometerPhoto },
+  photoID: { label: 'photo ID', file: caseData => caseData.submission?.ownership?.photoID }
+};
+
+// Ownership photos sellers upload on the online form, by the upload's photo type
+const OWNERSHIP_PHOTOS = {
+  odometer: submission => submission.ownership?.odometerPhoto,
+  photoID: submission => submission.ownership?.photoID
+};
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const signingSecret = () => {
+  const secret = process.env.DOCUMENT_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('DOCUMENT_URL_SECRET or JWT_SECRET must be set to sign document links');
+  }
+  return secret;
+};
+
+// `subject` names what the link opens, e.g. "<caseId>:<document>"
+const sign = (subject, expires) => crypto
+  .createHmac('sha256', signingSecret())
+  .update(`${subject}:${expires}`)
+  .digest('hex');
+
+const signedParams = (subject, expiresInHours) => {
+  const expires = Math.floor(Date.now() / 1000) + Math.round(expiresInHours * 60 * 60);
+  return { expires, signature: sign(subject, expires) };
+};
+
+const checkSignature = (subject, expires, signature) => {
+  if (!/^\d+$/.test(expires || '') || !/^[0-9a-f]{64}$/.test(signature || '')) {
+    return 'invalid';
+  }
+
+  const expected = Buffer.from(sign(subject, expires), 'hex');
+  if (!crypto.timingSafeEqual(Buffer.from(signature, 'hex'), expected)) {
+    return 'invalid';
+  }
+  if (Number(expires) * 1000 <= Date.now()) {
+    return 'expired';
+  }
+  return 'allowed';
+};
+
+/**
+ * Where a stored value points. Older records hold Cloudinary URLs or
+ * "/uploads/..." paths instead of storage keys.
+ * @param {Object|string} value - { key, path, originalName } or a key, path or URL
+ * @returns {Object|null} - { key } or { url }, with originalName when known
+ */
+function storedFile(value) {
+  if (!value) {
+    return null;
+  }
+
+  const details = typeof value === 'object' ? value : {};
+  const stored = typeof value === 'object' ? (value.key || value.path) : value;
+  if (!stored) {
+    return null;
+  }
+  if (/^https?:\/\//i.test(stored)) {
+    return { url: stored, originalName: details.originalName };
+  }
+
+  const key = storage.keyFromPath(stored);
+  return key ? { key, originalName: details.originalName } : null;
+}
+
+/**
+ * Load the case records holding documents
+ * @param {string} caseId
+ * @returns {Promise<Object|null>} - Case with vehicle, transaction, quote and submission populated
+ */
+async function loadCase(caseId) {
+  return Case.findById(caseId)
+    .populate('vehicle', 'titleStatus loanStatus')
+    .populate('transaction', 'documents pdfPath')
+    .populate('quote', 'obd2Scan.filePath')
+    .populate('submission', 'ownership');
+}
+
+/**
+ * Find a case's document
+ * @param {string} caseId
+ * @param {string} document - One of DOCUMENTS
+ * @returns {Promise<Object>} - { caseId, document, key or url, fileName }
+ */
+async function findCaseDocument(caseId, document) {
+  const config = DOCUMENTS[document];
+  if (!config) {
+    throw createError(`Unknown document '${document}'`, 404);
+  }
+
+  const caseData = await loadCase(caseId);
+  if (!caseData) {
+    throw createError('Case not found', 404);
+  }
+
+  const file = storedFile(config.file(caseData));
+  if (!file) {
+    throw createError(`This case has no ${config.label}`, 404);
+  }
+
+  return {
+    ...file,
+    caseId: caseData._id,
+    document,
+    fileName: file.originalName || (file.key ? path.basename(file.key) : document)
+  };
+}
+
+/**
+ * Which of a case's documents are on file
+ * @param {Object} caseData - From loadCase
+ * @returns {Array<Object>} - { document, label, present, fileName, uploadedAt, uploadable } for every document
+ */
+function listCaseDocuments(caseData) {
+  return Object.entries(DOCUMENTS).map(([document, config]) => {
+    const value = config.file(caseData);
+    const file = storedFile(value);
+    return {
+      document,
+      label: config.label,
+      present: Boolean(file),
+      fileName: file ? file.originalName || (file.key ? path.basename(file.key) : null) : null,
+      uploadedAt: (file && value.uploadedAt) || null,
+      uploadable: Boolean(config.field)
+    };
+  });
+}
+
+/**
+ * Check and store an uploaded file as one of the documents kept on the case
+ * itself (those with a `field`), replacing the previous file. Throws upload
+ * rejections (see services/uploads).
+ * @param {string} caseId
+ * @param {string} document - One of DOCUMENTS with a field
+ * @param {Object} upload - From express-fileupload
+ * @param {Object} actor - Actor from caseEvents.actorFromRequest
+ * @returns {Promise<Object>} - { key, file, case }
+ */
+async function saveCaseDocument(caseId, document, upload, actor) {
+  const config = DOCUMENTS[document];
+  if (!config || !config.field) {
+    const uploadable = Object.keys(DOCUMENTS).filter(name => DOCUMENTS[name].field);
+    throw createError(`Documents that can be uploaded here: ${uploadable.join(', ')}`, 400);
+  }
+
+  const caseData = await Case.findById(caseId);
+  if (!caseData) {
+    throw createError('Case not found', 404);
+  }
+
+  const file = await uploads.prepareUpload(upload, { field: 'file', allowed: uploads.DOCUMENT_TYPES });
+  const { key } = await uploads.storeUpload(`case-documents/${caseId}`, file);
+
+  const updatedCase = await Case.findByIdAndUpdate(
+    caseId,
+    { $set: { [config.field]: { key, originalName: file.originalName, uploadedAt: new Date() } } },
+    { new: true }
+  );
+
+  await caseEvents.recordCaseEvent({
+    caseId,
+    type: 'document',
+    action: `${document}-uploaded`,
+    description: `${config.label.charAt(0).toUpperCase()}${config.label.slice(1)} uploaded`,
+    actor,
+    changes: caseEvents.diffFields(caseData, updatedCase, [config.field]),
+    metadata: { originalName: file.originalName, size: file.size }
+  });
+
+  return { key, file, case: updatedCase };
+}
+
+/**
+ * Short-lived link to a case document that works without logging in, for emails
+ * and services like Zapier. The link always serves the document's current file.
+ * @param {string} caseId
+ * @param {string} document - One of DOCUMENTS
+ * @param {Object} options
+ * @param {number} options.expiresInHours - SIGNED_URL_TTL_HOURS (24) by default
+ * @returns {Object} - { url, expiresAt }
+ */
+function signedDocumentUrl(caseId, document, { expiresInHours = getSignedUrlHours() } = {}) {
+  if (!DOCUMENTS[document]) {
+    throw createError(`Unknown document '${document}'`, 404);
+  }
+
+  const { expires, signature } = signedParams(`${caseId}:${document}`, expiresInHours);
+  const params = new URLSearchParams({
+    case: String(caseId),
+    document,
+    expires: String(expires),
+    signature
+  });
+
+  return {
+    url: `${process.env.NEXT_PUBLIC_API_URL || ''}/api/documents/signed?${params}`,
+    expiresAt: new Date(expires * 1000)
+  };
+}
+
+/**
+ * Check a signed link's query parameters
+ * @param {Object} query - { case, document, expires, signature }
+ * @returns {string} - 'allowed', 'expired' or 'invalid'
+ */
+function verifySignedUrl({ case: caseId, document, expires, signature } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(caseId) || !DOCUMENTS[document]) {
+    return 'invalid';
+  }
+  return checkSignature(`${caseId}:${document}`, expires, signature);
+}
+
+/**
+ * Short-lived link to an ownership photo of an online submission, for the
+ * seller form before there is a case
+ * @param {string} submissionId
+ * @param {string} type - One of OWNERSHIP_PHOTOS
+ * @param {Object} options
+ * @param {number} options.expiresInHours - SIGNED_URL_TTL_HOURS (24) by default
+ * @returns {Object} - { url, expiresAt }
+ */
+function signedOwnershipPhotoUrl(submissionId, type, { expiresInHours = getSignedUrlHours() } = {}) {
+  if (!OWNERSHIP_PHOTOS[type]) {
+    throw createError(`Unknown photo type '${type}'`, 404);
+  }
+
+  const { expires, signature } = signedParams(`submission:${submissionId}:${type}`, expiresInHours);
+  const params = new URLSearchParams({ expires: String(expires), signature });
+
+  return {
+    url: `${process.env.NEXT_PUBLIC_API_URL || ''}/api/customer/vehicle-submission/${submissionId}/ownership-photo/${type}?${params}`,
+    expiresAt: new Date(expires * 1000)
+  };
+}
+
+/**
+ * Check a signed ownership photo link
+ * @param {string} submissionId
+ * @param {string} type
+ * @param {Object} query - { expires, signature }
+ * @returns {string} - 'allowed', 'expired' or 'invalid'
+ */
+function verifyOwnershipPhotoUrl(submissionId, type, { expires, signature } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(submissionId) || !OWNERSHIP_PHOTOS[type]) {
+    return 'invalid';
+  }
+  return checkSignature(`submission:${submissionId}:${type}`, expires, signature);
+}
+
+/**
+ * Find an ownership photo of an online submission. Older submissions hold
+ * Cloudinary URLs, which are returned as { url }.
+ * @param {string} submissionId
+ * @param {string} type - One of OWNERSHIP_PHOTOS
+ * @returns {Promise<Object>} - { key or url, fileName }
+ */
+async function findOwnershipPhoto(submissionId, type) {
+  const submission = await VehicleSubmission.findById(submissionId).select('ownership');
+  if (!submission) {
+    throw createError('Vehicle submission not found', 404);
+  }
+
+  const file = storedFile(OWNERSHIP_PHOTOS[type](submission));
+  if (!file) {
+    throw createError('This submission has no such photo', 404);
+  }
+  return { ...file, fileName: file.key ? path.basename(file.key) : type };
+}
+
+/**
+ * Open a document's file for streaming
+ * @param {Object} file - From findCaseDocument, with a key
+ * @param {Object} options
+ * @param {string} options.variant - 'thumbnail' for the preview made of uploaded photos
+ * @returns {Promise<Object|null>} - { stream, size, contentType }, null when the file is gone
+ */
+async function openDocument(file, { variant } = {}) {
+  return storage.getObjectStream(variant === 'thumbnail' ? uploads.thumbnailKeyFor(file.key) : file.key);
+}
+
+/**
+ * Write a download log entry. Never throws, so logging can't break a download.
+ * @param {Object} params
+ * @param {string} params.caseId
+ * @param {string} params.document
+ * @param {string} params.key - Storage key or URL served
+ * @param {string} params.via - 'user' or 'signed-url'
+ * @param {string} params.outcome - 'allowed', 'expired', 'invalid' or 'missing'
+ * @param {Object} params.req - Express request
+ * @returns {Promise<Object|null>} - The DocumentAccessLog document
+ */
+async function recordDownload({ caseId, document, key, via, outcome, req }) {
+  if (!mongoose.Types.ObjectId.isValid(caseId)) {
+    return null;
+  }
+
+  try {
+    return await DocumentAccessLog.create({
+      caseId,
+      document: String(document || ''),
+      key,
+      via,
+      outcome,
+      user: req.user?._id,
+      role: req.user?.role,
+      ip: req.ip,
+      userAgent: req.get ? req.get('user-agent') : undefined
+    });
+  } catch (error) {
+    console.error('Error recording document download:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete every stored file of a case; files elsewhere (Cloudinary) are left alone
+ * @param {string} caseId
+ * @returns {Promise<number>} - Number of files deleted
+ */
+async function deleteCaseDocuments(caseId) {
+  const caseData = await loadCase(caseId);
+  if (!caseData) {
+    return 0;
+  }
+
+  const keys = new Set(Object.values(DOCUMENTS)
+    .map(config => storedFile(config.file(caseData)))
+    .filter(file => file && file.key)
+    .map(file => file.key));
+
+  // Thumbnails only exist for photos; deleting a missing key is a no-op
+  for (const key of [...keys]) {
+    keys.add(uploads.thumbnailKeyFor(key));
+  }
+
+  let deleted = 0;
+  for (const key of keys) {
+    try {
+      await storage.deleteObject(key);
+      deleted += 1;
+    } catch (error) {
+      console.error(`Error deleting stored document ${key}:`, error);
+    }
+  }
+  return deleted;
+}
+
+module.exports = {
+  DOCUMENTS,
+  loadCase,
+  listCaseDocuments,
+  saveCaseDocument,
+  findCaseDocument,
+  signedDocumentUrl,
+  verifySignedUrl,
+  signedOwnershipPhotoUrl,
+  verifyOwnershipPhotoUrl,
+  findOwnershipPhoto,
+  openDocument,
+  recordDownload,
+  deleteCaseDocuments
+};
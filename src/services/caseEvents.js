@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const CaseEvent = require('../models/CaseEvent');
+const Case = require('../models/Case');
+
+// Fields compared when recording before/after diffs for each related document
+const AUDITED_FIELDS = {
+  quote: [
+    'offerAmount', 'estimatedValue', 'expiryDate', 'notes', 'status', 'estimator.email',
+    'offerDecision.decision', 'offerDecision.counterOffer', 'offerDecision.finalAmount', 'offerDecision.reason'
+  ],
+  inspection: [
+    'inspector.email', 'scheduledDate', 'scheduledTime', 'dueByDate', 'dueByTime', 'status',
+    'overallRating', 'overallScore', 'maxPossibleScore', 'completed', 'cancellation.reason'
+  ],
+  transaction: [
+    'billOfSale.salePrice', 'billOfSale.saleDate', 'billOfSale.paymentMethod', 'billOfSale.odometerReading',
+    'billOfSale.titleStatus', 'preferredPaymentMethod', 'bankDetails.bankName', 'bankDetails.payoffAmount',
+    'payoffStatus', 'paymentStatus', 'documents.signedBillOfSale'
+  ],
+  case: ['estimatorId', 'status', 'currentStage', 'priority', 'documents.driverLicenseFront', 'documents.driverLicenseRear', 'documents.vehicleTitle',
+    'documents.lienRelease', 'documents.payoffLetter']
+};
+
+/**
+ * Build the actor for an event from the request that caused it
+ * @param {Object} req - Express request (req.user is set on protected routes)
+ * @param {string} fallbackKind - Actor kind when there is no logged in user ('customer', 'token', 'webhook', 'system')
+ * @returns {Object} - Actor stored on the event
+ */
+function actorFromRequest(req, fallbackKind = 'token') {
+  if (req && req.user) {
+    return {
+      kind: 'user',
+      user: req.user.id || req.user._id,
+      name: [req.user.firstName, req.user.lastName].filter(Boolean).join(' '),
+      email: req.user.email,
+      role: req.user.role
+    };
+  }
+  return { kind: fallbackKind };
+}
+
+const getPath = (obj, fieldPath) => fieldPath.split('.').reduce(
+  (value, key) => (value === null || value === undefined ? undefined : value[key]),
+  obj
+);
+
+const toPlain = (value) => {
+  if (value && typeof value.toObject === 'function') {
+    return value.toObject();
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return value.toString();
+  }
+  return value;
+};
+
+/**
+ * Compare two versions of a document and list the fields that changed
+ * @param {Object} before - Document (or plain object) before the change
+ * @param {Object} after - Document (or plain object) after the change
+ * @param {Array<string>} fields - Dot paths to compare
+ * @returns {Array<Object>} - [{ field, before, after }] for every changed field
+ */
+function diffFields(before, after, fields) {
+  const beforeObj = toPlain(before) || {};
+  const afterObj = toPlain(after) || {};
+
+  return fields.reduce((changes, field) => {
+    const oldValue = toPlain(getPath(beforeObj, field));
+    const newValue = toPlain(getPath(afterObj, field));
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, before: oldValue, after: newValue });
+    }
+    return changes;
+  }, []);
+}
+
+/**
+ * Append an event to a case's timeline and refresh Case.lastActivity.
+ * Failures are logged and swallowed so auditing never breaks the request.
+ * @param {Object} event
+ * @param {string} event.caseId - The case the event belongs to
+ * @param {string} event.type - Event type (see CaseEvent.type enum)
+ * @param {string} event.action - Short machine readable action, e.g. 'offer-updated'
+ * @param {string} event.description - Human readable summary
+ * @param {Object} event.actor - Actor from actorFromRequest
+ * @param {Array<Object>} event.changes - Field diffs from diffFields
+ * @param {Object} event.metadata - Any extra context
+ * @returns {Promise<Object|null>} - The created CaseEvent, or null on failure
+ */
+async function recordCaseEvent({ caseId, type, action, description, actor, changes = [], metadata }) {
+  try {
+    if (!caseId) {
+      return null;
+    }
+
+    const event = await CaseEvent.create({
+      caseId,
+      type,
+      action,
+      description,
+      actor: actor || { kind: 'system' },
+      changes,
+      metadata
+    });
+
+    const caseUpdate = {
+      lastActivity: {
+        description: description || action,
+        timestamp: event.createdAt
+      }
+    };
+    if (actor && actor.user) {
+      caseUpdate.$push = { updatedBy: { user: actor.user, timestamp: event.createdAt } };
+    }
+    await Case.updateOne({ _id: caseId }, caseUpdate);
+
+    return event;
+  } catch (error) {
+    console.error('Error recording case event:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the events for a case, newest first
+ * @param {string} caseId - The case ID
+ * @param {Object} filters
+ * @param {string|Array<string>} filters.type - Only these event types
+ * @param {string} filters.actor - Only events by this user ID, or by this actor kind
+ * @param {string} filters.from - Only events on or after this date
+ * @param {string} filters.to - Only events on or before this date
+ * @param {number} filters.limit - Maximum number of events to return
+ * @returns {Promise<Array>} - CaseEvent documents
+ */
+async function getTimeline(caseId, { type, actor, from, to, limit = 200 } = {}) {
+  const query = { caseId };
+
+  if (type) {
+    const types = Array.isArray(type) ? type : String(type).split(',');
+    query.type = { $in: types.map(t => t.trim()).filter(Boolean) };
+  }
+
+  if (actor) {
+    if (mongoose.Types.ObjectId.isValid(actor)) {
+      query['actor.user'] = actor;
+    } else {
+      query['actor.kind'] = actor;
+    }
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  return CaseEvent.find(query)
+    .populate('actor.user', 'firstName lastName email role')
+    .sort({ createdAt: -1 })
+    .limit(Math.min(parseInt(limit) || 200, 1000));
+}
+
+module.exports = {
+  AUDITED_FIELDS,
+  actorFromRequest,
+  diffFields,
+  recordCaseEvent,
+  getTimeline
+};
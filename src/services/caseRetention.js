@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const Case = require('../models/Case');
+const Customer = require('../models/Customer');
+const Vehicle = require('../models/Vehicle');
+const Inspection = require('../models/Inspection');
+const Quote = require('../models/Quote');
+const Transaction = require('../models/Transaction');
+const TimeTracking = require('../models/TimeTracking');
+const LinkToken = require('../models/LinkToken');
+const LinkAccessLog = require('../models/LinkAccessLog');
+const DocumentAccessLog = require('../models/DocumentAccessLog');
+const caseEvents = require('./caseEvents');
+const caseDocuments = require('./caseDocuments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a soft deleted case stays in the trash before it is purged
+const getRetentionDays = () => parseInt(process.env.CASE_RETENTION_DAYS) || 30;
+
+// Hours between purge runs
+const getPurgeIntervalHours = () => parseFloat(process.env.CASE_PURGE_INTERVAL_HOURS) || 24;
+
+/**
+ * Move a case to the trash
+ * @param {Object} caseData - Case populated with customer and vehicle
+ * @param {Object} actor - Actor from caseEvents.actorFromRequest
+ * @returns {Promise<Object>} - The updated Case document
+ */
+async function softDeleteCase(caseData, actor) {
+  const deletedCase = await Case.findByIdAndUpdate(
+    caseData._id,
+    {
+      deletedAt: new Date(),
+      deletedBy: actor && actor.user ? actor.user : null
+    },
+    { new: true }
+  );
+
+  await caseEvents.recordCaseEvent({
+    caseId: caseData._id,
+    type: 'case',
+    action: 'deleted',
+    description: `Case moved to trash, purged after ${getRetentionDays()} days`,
+    actor,
+    metadata: {
+      customer: caseData.customer ? `${caseData.customer.firstName} ${caseData.customer.lastName}` : null,
+      vehicle: caseData.vehicle ? `${caseData.vehicle.year} ${caseData.vehicle.make} ${caseData.vehicle.model}` : null,
+      vin: caseData.vehicle?.vin || null
+    }
+  });
+
+  return deletedCase;
+}
+
+/**
+ * Take a case back out of the trash
+ * @param {Object} caseData - The deleted Case document
+ * @param {Object} actor - Actor from caseEvents.actorFromRequest
+ * @returns {Promise<Object>} - The restored Case document
+ */
+async function restoreCase(caseData, actor) {
+  const restoredCase = await Case.findByIdAndUpdate(
+    caseData._id,
+    {
+      deletedAt: null,
+      deletedBy: null
+    },
+    { new: true }
+  );
+
+  await caseEvents.recordCaseEvent({
+    caseId: caseData._id,
+    type: 'case',
+    action: 'restored',
+    description: 'Case restored from trash',
+    actor,
+    changes: [{ field: 'deletedAt', before: caseData.deletedAt, after: null }]
+  });
+
+  return restoredCase;
+}
+
+/**
+ * Whether any case other than this one points at a customer or vehicle
+ * @param {string} field - 'customer' or 'vehicle'
+ * @param {string} id
+ * @param {string} caseId - The case being purged
+ * @returns {Promise<boolean>}
+ */
+async function isUsedByOtherCases(field, id, caseId) {
+  const count = await Case.countDocuments({ [field]: id, _id: { $ne: caseId } });
+  return count > 0;
+}
+
+/**
+ * Permanently delete a case and all related data.
+ * Case events are kept so the audit trail outlives the case.
+ * @param {Object} caseData - The Case document (unpopulated refs are fine)
+ * @returns {Promise<void>}
+ */
+async function purgeCase(caseData) {
+  const refId = (ref) => (ref && ref._id ? ref._id : ref);
+
+  await TimeTracking.deleteOne({ caseId: caseData._id });
+
+  // Emailed links and their access history
+  await LinkToken.deleteMany({ caseId: caseData._id });
+  await LinkAccessLog.deleteMany({ caseId: caseData._id });
+
+  // Stored files (licenses, bills of sale, PDFs) and their download history,
+  // while the records pointing at them still exist
+  await caseDocuments.deleteCaseDocuments(caseData._id);
+  await DocumentAccessLog.deleteMany({ caseId: caseData._id });
+
+  // Quote (and any OBD2 scan data inside it)
+  if (caseData.quote) {
+    await Quote.findByIdAndDelete(refId(caseData.quote));
+  }
+
+  if (caseData.inspection) {
+    await Inspection.findByIdAndDelete(refId(caseData.inspection));
+  }
+
+  if (caseData.transaction) {
+    await Transaction.findByIdAndDelete(refId(caseData.transaction));
+  }
+
+  // Customers and vehicles can be shared with other cases (repeat sellers,
+  // merged duplicates); only delete them once no other case, trashed or not, uses them
+  if (caseData.vehicle && !(await isUsedByOtherCases('vehicle', refId(caseData.vehicle), caseData._id))) {
+    await Vehicle.findByIdAndDelete(refId(caseData.vehicle));
+  }
+
+  if (caseData.customer && !(await isUsedByOtherCases('customer', refId(caseData.customer), caseData._id))) {
+    await Customer.findByIdAndDelete(refId(caseData.customer));
+  }
+
+  await Case.findByIdAndDelete(caseData._id);
+
+  await caseEvents.recordCaseEvent({
+    caseId: caseData._id,
+    type: 'case',
+    action: 'purged',
+    description: 'Case and related records permanently deleted',
+    actor: { kind: 'system' },
+    metadata: { deletedAt: caseData.deletedAt, deletedBy: caseData.deletedBy }
+  });
+}
+
+/**
+ * Purge every case that has been in the trash longer than the retention period
+ * @param {number} retentionDays - Override for CASE_RETENTION_DAYS
+ * @returns {Promise<number>} - Number of cases purged
+ */
+async function purgeExpiredCases(retentionDays = getRetentionDays()) {
+  const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+  const expiredCases = await Case.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+  let purged = 0;
+  for (const caseData of expiredCases) {
+    try {
+      await purgeCase(caseData);
+      purged++;
+    } catch (error) {
+      console.error(`Error purging case ${caseData._id}:`, error);
+    }
+  }
+
+  if (purged > 0) {
+    console.log(`Purged ${purged} case(s) deleted more than ${retentionDays} days ago`);
+  }
+
+  return purged;
+}
+
+/**
+ * Run the purge on an interval for the lifetime of the process
+ * @returns {Object} - The interval handle
+ */
+function startPurgeSchedule() {
+  const run = () => purgeExpiredCases().catch(error => {
+    console.error('Error running case purge:', error);
+  });
+
+  // First run as soon as the database is available
+  if (mongoose.connection.readyState === 1) {
+    run();
+  } else {
+    mongoose.connection.once('open', run);
+  }
+
+  const interval = setInterval(run, getPurgeIntervalHours() * 60 * 60 * 1000);
+  // Don't keep the process alive just for the purge
+  interval.unref();
+  return interval;
+}
+
+module.exports = {
+  getRetentionDays,
+  softDeleteCase,
+  restoreCase,
+  purgeCase,
+  purgeExpiredCases,
+  startPurgeSchedule
+};
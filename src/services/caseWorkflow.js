@@ -0,0 +1,297 @@
+const Case = require('../models/Case');
+const caseEvents = require('./caseEvents');
+const documentChecklist = require('./documentChecklist');
+
+/**
+ * Central definition of the case workflow. Every controller that changes
+ * Case.currentStage, Case.stageStatuses or Case.status goes through here so
+ * that a case always has a single active stage and a status that matches it.
+ */
+
+const STAGES = {
+  1: 'intake',
+  2: 'scheduleInspection',
+  3: 'inspection',
+  4: 'quoteAndDecision',
+  5: 'paperwork',
+  6: 'completion'
+};
+
+// Stages a case may move to from each stage (staying put is always allowed)
+const STAGE_TRANSITIONS = {
+  1: [2],
+  2: [1, 3],
+  3: [2, 4],
+  4: [3, 5, 6],
+  5: [4, 6],
+  6: [5]
+};
+
+// Statuses a case may move to from each status (staying put is always allowed)
+const STATUS_TRANSITIONS = {
+  new: ['active', 'scheduled', 'cancelled'],
+  active: ['new', 'scheduled', 'quote-ready', 'cancelled'],
+  scheduled: ['new', 'active', 'quote-ready', 'cancelled'],
+  'quote-ready': ['scheduled', 'negotiating', 'quote-declined', 'completed', 'cancelled'],
+  negotiating: ['quote-ready', 'quote-declined', 'completed', 'cancelled'],
+  'quote-declined': ['negotiating', 'cancelled'],
+  completed: [],
+  cancelled: ['active']
+};
+
+// Stages each status is allowed to be in
+const STATUS_STAGES = {
+  new: [1, 2],
+  active: [1, 2, 3],
+  scheduled: [3],
+  'quote-ready': [4],
+  negotiating: [4, 5, 6],
+  'quote-declined': [4, 6],
+  completed: [6],
+  cancelled: [1, 2, 3, 4, 5, 6]
+};
+
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+// Prerequisites for entering a stage; each returns an error message when unmet
+const STAGE_REQUIREMENTS = {
+  3: facts => !facts.hasInspection && 'An inspection must be scheduled before the inspection stage',
+  4: facts => !facts.inspectionCompleted && 'The inspection must be completed before the quote stage',
+  5: facts => facts.quoteDecision !== 'accepted' && 'An accepted quote is required before the paperwork stage',
+  6: facts => !['accepted', 'declined'].includes(facts.quoteDecision) && 'The offer must be accepted or declined before the completion stage'
+};
+
+// Prerequisites for moving into a status; each returns an error message when unmet
+const STATUS_REQUIREMENTS = {
+  scheduled: facts => !facts.hasInspection && 'A case cannot be scheduled without an inspection',
+  'quote-ready': facts => !facts.inspectionCompleted && 'A case cannot be quote-ready before the inspection is completed',
+  negotiating: facts => !facts.hasQuote && 'A case cannot be negotiating without a quote',
+  'quote-declined': facts => facts.quoteDecision !== 'declined' && 'A case can only be quote-declined when the offer was declined',
+  completed: facts => facts.quoteDecision !== 'accepted' && 'A case can only be completed when the offer was accepted'
+};
+
+class CaseTransitionError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CaseTransitionError';
+    this.statusCode = 409;
+    this.details = details;
+  }
+}
+
+/**
+ * Build the stageStatuses map for a case sitting in the given stage
+ * @param {number} stage - The current stage (1-6)
+ * @param {Object} options
+ * @param {boolean} options.closed - Whether the case is completed or cancelled
+ * @param {boolean} options.skipPaperwork - Leave paperwork pending (declined offers)
+ * @returns {Object} - Map of stage number to 'complete' | 'active' | 'pending'
+ */
+function buildStageStatuses(stage, { closed = false, skipPaperwork = false } = {}) {
+  const statuses = {};
+  Object.keys(STAGES).map(Number).forEach(number => {
+    if (number < stage) {
+      statuses[number] = skipPaperwork && number === 5 ? 'pending' : 'complete';
+    } else if (number === stage) {
+      statuses[number] = closed ? 'complete' : 'active';
+    } else {
+      statuses[number] = 'pending';
+    }
+  });
+  return statuses;
+}
+
+/**
+ * Initial workflow fields for a newly created case (intake already captured)
+ * @returns {Object} - currentStage, status and stageStatuses
+ */
+function initialState() {
+  return {
+    currentStage: 2,
+    status: 'new',
+    stageStatuses: buildStageStatuses(2)
+  };
+}
+
+/**
+ * Collect the facts the prerequisite checks need from a populated case
+ * @param {Object} caseData - Case populated with inspection and quote
+ * @returns {Object} - Workflow facts
+ */
+function getCaseFacts(caseData) {
+  const inspection = caseData.inspection || null;
+  const quote = caseData.quote || null;
+
+  let quoteDecision = quote?.offerDecision?.decision || 'pending';
+  if (quoteDecision === 'pending' && ['accepted', 'declined'].includes(quote?.status)) {
+    quoteDecision = quote.status;
+  }
+
+  return {
+    hasInspection: !!inspection,
+    inspectionCompleted: !!(inspection && (inspection.completed || inspection.status === 'completed')),
+    hasQuote: !!quote,
+    quoteDecision
+  };
+}
+
+/**
+ * Check a requested transition and build the Case update that applies it
+ * @param {Object} caseData - Case populated with inspection and quote
+ * @param {Object} target - { stage, status }; omitted values stay unchanged
+ * @param {Object} factOverrides - Facts that will be true once the caller's pending writes land
+ * @returns {Object} - Mongo update for currentStage, status and stageStatuses
+ */
+function planTransition(caseData, target, factOverrides = {}) {
+  const fromStage = caseData.currentStage;
+  const fromStatus = caseData.status;
+  const toStage = target.stage !== undefined ? Number(target.stage) : fromStage;
+  const toStatus = target.status !== undefined ? target.status : fromStatus;
+  const details = { caseId: caseData._id, fromStage, toStage, fromStatus, toStatus };
+  const facts = { ...getCaseFacts(caseData), ...factOverrides };
+
+  if (!STAGES[toStage]) {
+    throw new CaseTransitionError(`Invalid stage ${target.stage}. Must be between 1 and 6`, details);
+  }
+
+  if (!STATUS_TRANSITIONS[toStatus]) {
+    throw new CaseTransitionError(`Invalid status '${toStatus}'`, details);
+  }
+
+  if (toStage !== fromStage) {
+    if (!(STAGE_TRANSITIONS[fromStage] || []).includes(toStage)) {
+      throw new CaseTransitionError(`Cannot move case from stage ${fromStage} (${STAGES[fromStage]}) to stage ${toStage} (${STAGES[toStage]})`, details);
+    }
+    const unmet = STAGE_REQUIREMENTS[toStage] && STAGE_REQUIREMENTS[toStage](facts);
+    if (unmet) {
+      throw new CaseTransitionError(unmet, details);
+    }
+  }
+
+  if (toStatus !== fromStatus) {
+    if (!(STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus)) {
+      throw new CaseTransitionError(`Cannot change case status from '${fromStatus}' to '${toStatus}'`, details);
+    }
+    const unmet = STATUS_REQUIREMENTS[toStatus] && STATUS_REQUIREMENTS[toStatus](facts);
+    if (unmet) {
+      throw new CaseTransitionError(unmet, details);
+    }
+  }
+
+  if (!STATUS_STAGES[toStatus].includes(toStage)) {
+    throw new CaseTransitionError(`A case with status '${toStatus}' cannot be in stage ${toStage} (${STAGES[toStage]})`, details);
+  }
+
+  return {
+    currentStage: toStage,
+    status: toStatus,
+    stageStatuses: buildStageStatuses(toStage, {
+      closed: CLOSED_STATUSES.includes(toStatus),
+      skipPaperwork: facts.quoteDecision === 'declined'
+    })
+  };
+}
+
+/**
+ * A purchase can only be completed once every document on the checklist is on
+ * file. Checked here so that every way of completing a case is covered.
+ * @param {Object} caseData - The case being completed
+ * @param {Object} details - Transition details for the error
+ */
+async function assertDocumentsComplete(caseData, details) {
+  const checklist = await documentChecklist.getCaseChecklist(caseData._id);
+  if (!checklist.complete) {
+    throw new CaseTransitionError(
+      `Missing required documents: ${checklist.missing.map(item => item.label).join(', ')}`,
+      { ...details, missing: checklist.missing }
+    );
+  }
+}
+
+/**
+ * Load a case and validate a transition without writing anything.
+ * Completing a case also needs its document checklist to be complete.
+ * @param {string} caseId - The case ID
+ * @param {Object} target - { stage, status }
+ * @param {Object} factOverrides - Facts that will be true once the caller's pending writes land
+ * @returns {Promise<Object>} - { caseData, update }
+ */
+async function assertTransition(caseId, target, factOverrides = {}) {
+  const caseData = await Case.findById(caseId)
+    .populate('inspection')
+    .populate('quote');
+
+  if (!caseData) {
+    const error = new Error('Case not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const update = planTransition(caseData, target, factOverrides);
+
+  if (update.status === 'completed' && caseData.status !== 'completed') {
+    await assertDocumentsComplete(caseData, {
+      caseId: caseData._id,
+      fromStage: caseData.currentStage,
+      toStage: update.currentStage,
+      fromStatus: caseData.status,
+      toStatus: update.status
+    });
+  }
+
+  return { caseData, update };
+}
+
+/**
+ * Validate and apply a transition to a case
+ * @param {string} caseId - The case ID
+ * @param {Object} target - { stage, status }
+ * @param {Object} options
+ * @param {Object} options.update - Extra fields to write in the same update
+ * @param {Object} options.facts - Facts that will be true once the caller's pending writes land
+ * @param {Object} options.actor - Who made the change, recorded on the case timeline
+ * @returns {Promise<Object>} - The updated Case document
+ */
+async function transitionCase(caseId, target, { update = {}, facts = {}, actor } = {}) {
+  const { caseData, update: workflowUpdate } = await assertTransition(caseId, target, facts);
+
+  // Guard against a concurrent transition having moved the case in the meantime
+  const updatedCase = await Case.findOneAndUpdate(
+    { _id: caseData._id, currentStage: caseData.currentStage, status: caseData.status },
+    { ...update, ...workflowUpdate },
+    { new: true }
+  );
+
+  if (!updatedCase) {
+    throw new CaseTransitionError('Case was modified by another request, please reload and try again', {
+      caseId: caseData._id
+    });
+  }
+
+  const changes = caseEvents.diffFields(caseData, updatedCase, ['currentStage', 'status']);
+  if (changes.length > 0) {
+    await caseEvents.recordCaseEvent({
+      caseId: caseData._id,
+      type: 'status',
+      action: 'transition',
+      description: `Case moved to stage ${updatedCase.currentStage} (${STAGES[updatedCase.currentStage]}) with status '${updatedCase.status}'`,
+      actor,
+      changes
+    });
+  }
+
+  return updatedCase;
+}
+
+module.exports = {
+  STAGES,
+  STAGE_TRANSITIONS,
+  STATUS_TRANSITIONS,
+  CaseTransitionError,
+  buildStageStatuses,
+  initialState,
+  getCaseFacts,
+  planTransition,
+  assertTransition,
+  transitionCase
+};
@@ -3,13 +3,43 @@ const Case = require('../models/Case');
 const Customer = require('../models/Customer');
 const Vehicle = require('../models/Vehicle');
 const User = require('../models/User');
+const TimeTracking = require('../models/TimeTracking');
+const caseWorkflow = require('./caseWorkflow');
+const caseEvents = require('./caseEvents');
+const { runInTransaction } = require('./dbTransaction');
+const duplicateDetection = require('./duplicateDetection');
+const locations = require('./locations');
 
 /**
- * Creates a Case, Customer, and Vehicle record from a customer submission
+ * Find the case already created for a submission, if any
+ * @param {Object} submission - The VehicleSubmission document
+ * @returns {Object|null} - Same shape as createCaseFromSubmission, with created: false
+ */
+const findCaseForSubmission = async (submission) => {
+  const existingCase = await Case.findOne({ submission: submission._id })
+    .populate('customer')
+    .populate('vehicle');
+
+  if (!existingCase) {
+    return null;
+  }
+
+  return {
+    case: existingCase,
+    customer: existingCase.customer,
+    vehicle: existingCase.vehicle,
+    submission: submission,
+    created: false
+  };
+};
+
+/**
+ * Creates a Case, Customer, Vehicle and TimeTracking record from a customer submission.
+ * All records are written in one transaction, and a submission only ever gets one case:
+ * calling this again for the same submission returns the existing case.
  * @param {string} submissionId - The _id of the VehicleSubmission
- * @param {string} createdBy - The user ID who is creating the case
  * @param {string} agentId - The agent ID assigned to the case (optional)
- * @returns {Object} - Object containing the created case, customer, and vehicle
+ * @returns {Object} - Object containing the case, customer, vehicle and whether it was just created
  */
 const createCaseFromSubmission = async (submissionId, agentId = null) => {
   try {
@@ -20,11 +50,21 @@ const createCaseFromSubmission = async (submissionId, agentId = null) => {
       throw new Error('Customer submission not found');
     }
 
+    // Re-submitting the same appointment returns the case created the first time
+    const existing = await findCaseForSubmission(submission);
+    if (existing) {
+      return existing;
+    }
+
     const user = await User.findOne({email: submission.contact?.email});
     
     const createdBy = user?._id;
 
-    // Create Customer record
+    // Online cases go to the store the seller picked, else the assigned agent's store
+    const agent = agentId ? await User.findById(agentId) : null;
+    const location = submission.appointment?.location || await locations.locationIdForUser(agent);
+
+    // Customer record data
     const customerData = {
       firstName: user?.firstName || '', // Will be extracted from contact info if available
       lastName: user?.lastName || '', // Will be extracted from contact info if available
@@ -35,12 +75,8 @@ const createCaseFromSubmission = async (submissionId, agentId = null) => {
       createdAt: new Date()
     };
 
-    const customer = new Customer(customerData);
-    await customer.save();
-
-    // Create Vehicle record
+    // Vehicle record data (linked to the customer inside the transaction)
     const vehicleData = {
-      customer: customer._id,
       year: submission.vinOrPlate?.year?.toString() || '',
       make: submission.vinOrPlate?.make || '',
       model: submission.vinOrPlate?.model || '',
@@ -51,7 +87,7 @@ const createCaseFromSubmission = async (submissionId, agentId = null) => {
       licensePlate: submission.vinOrPlate?.licensePlate || '',
       licenseState: '', // Not available in submission
       titleNumber: '', // Not available in submission
-      titleStatus: 'clean', // Default value
+      titleStatus: submission.condition?.titleStatus || 'clean',
       loanStatus: submission.basics?.loanLeaseStatus === 'loan' ? 'still-has-loan' : 
                   submission.basics?.loanLeaseStatus === 'lease' ? 'still-has-loan' : 'paid-off',
       loanAmount: submission.basics?.loanDetails?.loanBalance || 
@@ -69,23 +105,10 @@ const createCaseFromSubmission = async (submissionId, agentId = null) => {
       createdAt: new Date()
     };
 
-    const vehicle = new Vehicle(vehicleData);
-    await vehicle.save();
-
-    // Create Case record
+    // Case record data
     const caseData = {
-      customer: customer._id,
-      vehicle: vehicle._id,
-      currentStage: 2,
-      stageStatuses: {
-        1: 'complete',
-        2: 'active',
-        3: 'pending',
-        4: 'pending',
-        5: 'pending',
-        6: 'pending'
-      },
-      status: 'new',
+      submission: submission._id,
+      ...caseWorkflow.initialState(),
       priority: 'medium',
       estimatedValue: submission.vinOrPlate?.estimatedPrice || 0,
       thankYouSent: false,
@@ -109,17 +132,63 @@ const createCaseFromSubmission = async (submissionId, agentId = null) => {
         timestamp: new Date()
       }],
       estimatorId: agentId,
+      location,
       createdAt: new Date()
     };
 
-    const caseRecord = new Case(caseData);
-    await caseRecord.save();
+    let result;
+    try {
+      result = await runInTransaction(async (session) => {
+        const customer = new Customer(customerData);
+        await customer.save({ session });
+
+        const vehicle = new Vehicle({ ...vehicleData, customer: customer._id });
+        await vehicle.save({ session });
+
+        const caseRecord = new Case({ ...caseData, customer: customer._id, vehicle: vehicle._id });
+        await caseRecord.save({ session });
+
+        await TimeTracking.create([{ caseId: caseRecord._id }], { session });
+
+        return { caseRecord, customer, vehicle };
+      });
+    } catch (error) {
+      // A concurrent request created the case for this submission first
+      if (error.code === 11000) {
+        const concurrent = await findCaseForSubmission(submission);
+        if (concurrent) {
+          return concurrent;
+        }
+      }
+      throw error;
+    }
+
+    const { caseRecord, customer, vehicle } = result;
+
+    // Flag repeat sellers and VINs with an open case so the agent can merge them
+    const duplicates = await duplicateDetection.findDuplicates(
+      { customer: customer, vehicle: vehicle },
+      { customerId: customer._id, vehicleId: vehicle._id, caseId: caseRecord._id }
+    );
+
+    await caseEvents.recordCaseEvent({
+      caseId: caseRecord._id,
+      type: 'case',
+      action: 'created',
+      description: `Case created from online submission for ${customer.firstName} ${customer.lastName}`,
+      actor: createdBy ? { kind: 'user', user: createdBy } : { kind: 'customer' },
+      metadata: {
+        submission: submission._id,
+        duplicates: duplicateDetection.summarizeDuplicates(duplicates)
+      }
+    });
 
     return {
       case: caseRecord,
       customer: customer,
       vehicle: vehicle,
-      submission: submission
+      submission: submission,
+      created: true
     };
 
   } catch (error) {
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Flipped off the first time the server tells us it can't run transactions
+let transactionsSupported = true;
+
+// Standalone mongod (typical for local development) rejects transactions with these
+const isTransactionUnsupported = (error) => error && (
+  error.code === 20 ||
+  /Transaction numbers are only allowed on a replica set member or mongos/i.test(error.message || '')
+);
+
+/**
+ * Run a unit of work inside a MongoDB transaction so that either every write
+ * commits or none do. The work function receives the session and must pass it
+ * to every query and save; it may be retried on transient errors, so it should
+ * create its documents from scratch each time.
+ * On a server without transaction support the work runs once without a session.
+ * @param {Function} work - async (session) => result
+ * @returns {Promise<*>} - Whatever the work function returns
+ */
+async function runInTransaction(work) {
+  if (!transactionsSupported) {
+    return work(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (isTransactionUnsupported(error)) {
+      transactionsSupported = false;
+      console.warn('MongoDB server does not support transactions, running writes without one');
+      return work(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = {
+  runInTransaction
+};
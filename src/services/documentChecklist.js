@@ -0,0 +1,209 @@
+const OrganizationSettings = require('../models/OrganizationSettings');
+const Vehicle = require('../models/Vehicle');
+const caseDocuments = require('./caseDocuments');
+
+/**
+ * Documents a case needs before it can be completed, used until an admin saves
+ * a checklist. A requirement is met by any document in `anyOf` (names from
+ * caseDocuments.DOCUMENTS) and only applies to cases matching every `when`
+ * condition: titleStatus and loanStatus list vehicle statuses, online: true
+ * means cases that came from an online submission.
+ */
+const DEFAULT_REQUIREMENTS = [
+  { id: 'driverLicenseFront', label: 'Driver\'s license (front)', anyOf: ['driverLicenseFront'] },
+  { id: 'driverLicenseRear', label: 'Driver\'s license (rear)', anyOf: ['driverLicenseRear'] },
+  { id: 'vehicleTitle', label: 'Vehicle title', anyOf: ['vehicleTitle'] },
+  { id: 'signedBillOfSale', label: 'Signed bill of sale', anyOf: ['signedBillOfSale', 'signedSigningPackage'] },
+  { id: 'odometerPhoto', label: 'Odometer photo', anyOf: ['odometerPhoto'], when: { online: true } },
+  { id: 'photoID', label: 'Photo ID', anyOf: ['photoID'], when: { online: true } },
+  { id: 'lienRelease', label: 'Lien release', anyOf: ['lienRelease'], when: { loanStatus: ['still-has-loan'] } },
+  { id: 'payoffLetter', label: 'Payoff letter', anyOf: ['payoffLetter'], when: { loanStatus: ['still-has-loan'] } }
+];
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate a checklist supplied by an admin
+ * @param {Array<Object>} requirements
+ * @returns {Array<string>} - List of validation errors (empty when valid)
+ */
+function validateRequirements(requirements) {
+  if (!Array.isArray(requirements)) {
+    return ['requirements must be an array'];
+  }
+
+  const statuses = {
+    titleStatus: Vehicle.schema.path('titleStatus').enumValues,
+    loanStatus: Vehicle.schema.path('loanStatus').enumValues
+  };
+  const errors = [];
+  const ids = new Set();
+
+  requirements.forEach((requirement, index) => {
+    const prefix = `requirements[${index}]`;
+    if (!isPlainObject(requirement)) {
+      errors.push(`${prefix} must be an object`);
+      return;
+    }
+
+    if (typeof requirement.id !== 'string' || !requirement.id.trim()) {
+      errors.push(`${prefix}.id is required`);
+    } else if (ids.has(requirement.id)) {
+      errors.push(`${prefix}.id '${requirement.id}' is used twice`);
+    } else {
+      ids.add(requirement.id);
+    }
+
+    if (typeof requirement.label !== 'string' || !requirement.label.trim()) {
+      errors.push(`${prefix}.label is required`);
+    }
+
+    if (!Array.isArray(requirement.anyOf) || requirement.anyOf.length === 0) {
+      errors.push(`${prefix}.anyOf must list at least one document`);
+    } else {
+      requirement.anyOf
+        .filter(document => !caseDocuments.DOCUMENTS[document])
+        .forEach(document => errors.push(`${prefix}.anyOf has unknown document '${document}'`));
+    }
+
+    if (requirement.when === undefined) {
+      return;
+    }
+    if (!isPlainObject(requirement.when)) {
+      errors.push(`${prefix}.when must be an object`);
+      return;
+    }
+    Object.entries(requirement.when).forEach(([condition, value]) => {
+      if (condition === 'online') {
+        if (typeof value !== 'boolean') {
+          errors.push(`${prefix}.when.online must be true or false`);
+        }
+      } else if (statuses[condition]) {
+        if (!Array.isArray(value) || value.length === 0) {
+          errors.push(`${prefix}.when.${condition} must list at least one status`);
+        } else {
+          value
+            .filter(status => !statuses[condition].includes(status))
+            .forEach(status => errors.push(`${prefix}.when.${condition} has unknown status '${status}'`));
+        }
+      } else {
+        errors.push(`${prefix}.when has unknown condition '${condition}'`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * The checklist in use: the admin's when saved, otherwise the defaults
+ * @returns {Promise<Object>} - { requirements, custom }
+ */
+async function getRequirements() {
+  const saved = await OrganizationSettings.findOne({ key: 'organization' }).select('documentChecklist').lean();
+
+  if (!saved || !Array.isArray(saved.documentChecklist) || saved.documentChecklist.length === 0) {
+    return { requirements: DEFAULT_REQUIREMENTS, custom: false };
+  }
+  return { requirements: saved.documentChecklist, custom: true };
+}
+
+/**
+ * Save the checklist; null or an empty list goes back to the defaults.
+ * Cases already completed are not checked again.
+ * @param {Array<Object>|null} requirements
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} - { requirements, custom }
+ */
+async function updateRequirements(requirements, userId) {
+  const reset = requirements === null || (Array.isArray(requirements) && requirements.length === 0);
+
+  if (!reset) {
+    const errors = validateRequirements(requirements);
+    if (errors.length > 0) {
+      throw createError(errors.join('; '), 400);
+    }
+  }
+
+  const cleaned = reset ? undefined : requirements.map(requirement => ({
+    id: requirement.id.trim(),
+    label: requirement.label.trim(),
+    anyOf: requirement.anyOf,
+    ...(requirement.when && Object.keys(requirement.when).length > 0 ? { when: requirement.when } : {})
+  }));
+
+  await OrganizationSettings.findOneAndUpdate(
+    { key: 'organization' },
+    reset ? { $unset: { documentChecklist: 1 }, updatedBy: userId } : { documentChecklist: cleaned, updatedBy: userId },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return reset ? { requirements: DEFAULT_REQUIREMENTS, custom: false } : { requirements: cleaned, custom: true };
+}
+
+// Whether a requirement applies to a case with these conditions
+const applies = (requirement, conditions) => Object.entries(requirement.when || {}).every(([condition, value]) => (
+  condition === 'online' ? conditions.online === value : value.includes(conditions[condition])
+));
+
+/**
+ * A case's document checklist: which required documents are on file and which are missing
+ * @param {string} caseId
+ * @returns {Promise<Object>} - { caseId, conditions, complete, requirements, missing, documents }
+ */
+async function getCaseChecklist(caseId) {
+  const caseData = await caseDocuments.loadCase(caseId);
+  if (!caseData) {
+    throw createError('Case not found', 404);
+  }
+
+  const conditions = {
+    titleStatus: caseData.vehicle?.titleStatus || null,
+    loanStatus: caseData.vehicle?.loanStatus || null,
+    online: Boolean(caseData.submission)
+  };
+
+  const documents = caseDocuments.listCaseDocuments(caseData);
+  const present = new Set(documents.filter(document => document.present).map(document => document.document));
+
+  const { requirements } = await getRequirements();
+  const items = requirements
+    .filter(requirement => applies(requirement, conditions))
+    .map(requirement => {
+      const satisfiedBy = requirement.anyOf.find(document => present.has(document)) || null;
+      return {
+        id: requirement.id,
+        label: requirement.label,
+        anyOf: requirement.anyOf,
+        satisfied: Boolean(satisfiedBy),
+        satisfiedBy
+      };
+    });
+
+  const missing = items
+    .filter(item => !item.satisfied)
+    .map(item => ({ id: item.id, label: item.label, anyOf: item.anyOf }));
+
+  return {
+    caseId: caseData._id,
+    conditions,
+    complete: missing.length === 0,
+    requirements: items,
+    missing,
+    documents
+  };
+}
+
+module.exports = {
+  DEFAULT_REQUIREMENTS,
+  validateRequirements,
+  getRequirements,
+  updateRequirements,
+  getCaseChecklist
+};
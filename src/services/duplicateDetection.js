@@ -0,0 +1,437 @@
+const mongoose = require('mongoose');
+const Case = require('../models/Case');
+const Customer = require('../models/Customer');
+const Vehicle = require('../models/Vehicle');
+const Inspection = require('../models/Inspection');
+const Quote = require('../models/Quote');
+const Transaction = require('../models/Transaction');
+const caseEvents = require('./caseEvents');
+const { runInTransaction } = require('./dbTransaction');
+
+// Statuses after which a case no longer counts as open for its vehicle
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+// How much each kind of match counts towards a candidate's score
+const CUSTOMER_MATCH_WEIGHTS = { email: 3, phone: 2, name: 1 };
+const VEHICLE_MATCH_WEIGHTS = { vin: 3, plate: 2 };
+
+// Fields copied onto the surviving record when it has no value of its own
+const CUSTOMER_MERGE_FIELDS = ['customerId', 'middleInitial', 'cellPhone', 'homePhone', 'hearAboutVOS', 'source', 'notes', 'agent', 'storeLocation'];
+const VEHICLE_MERGE_FIELDS = ['year', 'make', 'model', 'currentMileage', 'vin', 'color', 'bodyStyle', 'licensePlate', 'licenseState', 'titleNumber'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive exact match
+const exactMatch = (value) => new RegExp(`^${escapeRegex(value)}$`, 'i');
+
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+// Last 10 digits, so "+1 (555) 123-4567" and "555.123.4567" compare equal
+const normalizePhone = (phone) => (phone || '').replace(/\D/g, '').slice(-10);
+
+const normalizeVin = (vin) => (vin || '').replace(/[^a-z0-9]/gi, '').toUpperCase();
+
+const normalizePlate = (plate) => (plate || '').replace(/[^a-z0-9]/gi, '').toUpperCase();
+
+// Matches the digits of a phone number whatever formatting it was stored with
+const phoneMatch = (digits) => new RegExp(`${digits.split('').join('\\D*')}\\D*$`);
+
+const customerEmails = (customer) => [customer.email1, customer.email2, customer.email3]
+  .map(normalizeEmail)
+  .filter(Boolean);
+
+const customerPhones = (customer) => [customer.cellPhone, customer.homePhone]
+  .map(normalizePhone)
+  .filter(phone => phone.length >= 7);
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Find existing customers that look like the same person
+ * @param {Object} customerData - Customer fields from an intake form
+ * @param {Object} options
+ * @param {string} options.excludeId - Customer to leave out (e.g. the one just created)
+ * @returns {Promise<Array>} - [{ customer, matchedOn, score }] best match first
+ */
+async function findCustomerMatches(customerData, { excludeId } = {}) {
+  if (!customerData) {
+    return [];
+  }
+
+  const emails = customerEmails(customerData);
+  const phones = customerPhones(customerData);
+  const firstName = (customerData.firstName || '').trim();
+  const lastName = (customerData.lastName || '').trim();
+
+  const or = [];
+  emails.forEach(email => {
+    ['email1', 'email2', 'email3'].forEach(field => or.push({ [field]: exactMatch(email) }));
+  });
+  phones.forEach(phone => {
+    ['cellPhone', 'homePhone'].forEach(field => or.push({ [field]: phoneMatch(phone) }));
+  });
+  if (firstName && lastName) {
+    or.push({ firstName: exactMatch(firstName), lastName: exactMatch(lastName) });
+  }
+
+  if (or.length === 0) {
+    return [];
+  }
+
+  const query = { $or: or };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  const candidates = await Customer.find(query).limit(25);
+
+  return candidates
+    .map(customer => {
+      const matchedOn = [];
+      if (customerEmails(customer).some(email => emails.includes(email))) {
+        matchedOn.push('email');
+      }
+      if (customerPhones(customer).some(phone => phones.includes(phone))) {
+        matchedOn.push('phone');
+      }
+      if (firstName && lastName &&
+          (customer.firstName || '').trim().toLowerCase() === firstName.toLowerCase() &&
+          (customer.lastName || '').trim().toLowerCase() === lastName.toLowerCase()) {
+        matchedOn.push('name');
+      }
+      const score = matchedOn.reduce((sum, reason) => sum + CUSTOMER_MATCH_WEIGHTS[reason], 0);
+      return { customer, matchedOn, score };
+    })
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Find existing vehicles with the same VIN or licence plate
+ * @param {Object} vehicleData - Vehicle fields from an intake form
+ * @param {Object} options
+ * @param {string} options.excludeId - Vehicle to leave out (e.g. the one just created)
+ * @returns {Promise<Array>} - [{ vehicle, matchedOn, score }] best match first
+ */
+async function findVehicleMatches(vehicleData, { excludeId } = {}) {
+  if (!vehicleData) {
+    return [];
+  }
+
+  const vin = normalizeVin(vehicleData.vin);
+  const plate = normalizePlate(vehicleData.licensePlate);
+  const state = (vehicleData.licenseState || '').trim();
+
+  const or = [];
+  if (vin) {
+    or.push({ vin: exactMatch(vin) });
+  }
+  if (plate) {
+    // Plates are stored as typed, so allow spaces and dashes between characters
+    const plateQuery = {
+      licensePlate: new RegExp(`^\\W*${plate.split('').join('\\W*')}\\W*$`, 'i')
+    };
+    if (state) {
+      plateQuery.licenseState = { $in: [exactMatch(state), '', null] };
+    }
+    or.push(plateQuery);
+  }
+
+  if (or.length === 0) {
+    return [];
+  }
+
+  const query = { $or: or };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  const candidates = await Vehicle.find(query).populate('customer').limit(25);
+
+  return candidates
+    .map(vehicle => {
+      const matchedOn = [];
+      if (vin && normalizeVin(vehicle.vin) === vin) {
+        matchedOn.push('vin');
+      }
+      if (plate && normalizePlate(vehicle.licensePlate) === plate) {
+        matchedOn.push('plate');
+      }
+      const score = matchedOn.reduce((sum, reason) => sum + VEHICLE_MATCH_WEIGHTS[reason], 0);
+      return { vehicle, matchedOn, score };
+    })
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Find open (not completed or cancelled, not in the trash) cases for a VIN
+ * @param {string} vin - Vehicle identification number
+ * @param {Object} options
+ * @param {string} options.excludeCaseId - Case to leave out (e.g. the one just created)
+ * @returns {Promise<Array>} - Case documents populated with customer and vehicle
+ */
+async function findOpenCasesForVin(vin, { excludeCaseId } = {}) {
+  const normalizedVin = normalizeVin(vin);
+  if (!normalizedVin) {
+    return [];
+  }
+
+  const vehicles = await Vehicle.find({ vin: exactMatch(normalizedVin) }).select('_id');
+  if (vehicles.length === 0) {
+    return [];
+  }
+
+  const query = {
+    vehicle: { $in: vehicles.map(v => v._id) },
+    status: { $nin: CLOSED_STATUSES },
+    deletedAt: null
+  };
+  if (excludeCaseId) {
+    query._id = { $ne: excludeCaseId };
+  }
+
+  return Case.find(query)
+    .select('customer vehicle status currentStage createdAt')
+    .populate('customer', 'firstName lastName email1 cellPhone')
+    .populate('vehicle', 'year make model vin licensePlate')
+    .sort('-createdAt');
+}
+
+/**
+ * Run every duplicate check for an intake
+ * @param {Object} input
+ * @param {Object} input.customer - Customer fields
+ * @param {Object} input.vehicle - Vehicle fields
+ * @param {Object} exclude - Records to leave out of the results { customerId, vehicleId, caseId }
+ * @returns {Promise<Object>} - { customers, vehicles, openCases, warnings }
+ */
+async function findDuplicates({ customer, vehicle }, { customerId, vehicleId, caseId } = {}) {
+  const [customers, vehicles, openCases] = await Promise.all([
+    findCustomerMatches(customer, { excludeId: customerId }),
+    findVehicleMatches(vehicle, { excludeId: vehicleId }),
+    findOpenCasesForVin(vehicle?.vin, { excludeCaseId: caseId })
+  ]);
+
+  const warnings = [];
+  if (openCases.length > 0) {
+    warnings.push({
+      code: 'vin-open-case',
+      message: `VIN ${normalizeVin(vehicle.vin)} already has ${openCases.length} open case(s)`,
+      caseIds: openCases.map(c => c._id)
+    });
+  }
+  if (customers.length > 0) {
+    warnings.push({
+      code: 'possible-duplicate-customer',
+      message: `${customers.length} existing customer(s) match this customer`
+    });
+  }
+  if (vehicles.length > 0) {
+    warnings.push({
+      code: 'possible-duplicate-vehicle',
+      message: `${vehicles.length} existing vehicle(s) match this vehicle`
+    });
+  }
+
+  return { customers, vehicles, openCases, warnings };
+}
+
+/**
+ * Short summary of duplicate check results, for case event metadata
+ * @param {Object} duplicates - Result of findDuplicates
+ * @returns {Object|undefined} - undefined when nothing matched
+ */
+function summarizeDuplicates(duplicates) {
+  if (!duplicates || duplicates.warnings.length === 0) {
+    return undefined;
+  }
+  return {
+    customerMatches: duplicates.customers.map(m => ({ id: m.customer._id, matchedOn: m.matchedOn })),
+    vehicleMatches: duplicates.vehicles.map(m => ({ id: m.vehicle._id, matchedOn: m.matchedOn })),
+    openCases: duplicates.openCases.map(c => c._id)
+  };
+}
+
+const validateMergeIds = (survivorId, duplicateIds) => {
+  const ids = Array.isArray(duplicateIds) ? duplicateIds : [duplicateIds];
+  const cleaned = [...new Set(ids.filter(Boolean).map(String))].filter(id => id !== String(survivorId));
+
+  if (!mongoose.Types.ObjectId.isValid(survivorId)) {
+    throw badRequest('A valid survivorId is required');
+  }
+  if (cleaned.length === 0) {
+    throw badRequest('At least one duplicate ID different from the survivor is required');
+  }
+  if (cleaned.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw badRequest('Duplicate IDs must be valid IDs');
+  }
+  return cleaned;
+};
+
+// Fill the survivor's blank fields from the duplicates, first duplicate wins
+const fillBlankFields = (survivor, duplicates, fields) => {
+  const filled = [];
+  fields.forEach(field => {
+    if (!isBlank(survivor[field])) {
+      return;
+    }
+    const source = duplicates.find(duplicate => !isBlank(duplicate[field]));
+    if (source) {
+      survivor[field] = source[field];
+      filled.push(field);
+    }
+  });
+  return filled;
+};
+
+/**
+ * Merge duplicate customers into one. Cases, vehicles, inspections, quotes and
+ * transactions are re-pointed to the survivor and the duplicates are deleted.
+ * @param {string} survivorId - Customer that is kept
+ * @param {Array<string>} duplicateIds - Customers merged into the survivor
+ * @param {Object} actor - Actor from caseEvents.actorFromRequest
+ * @returns {Promise<Object>} - { customer, mergedIds, filledFields, caseIds }
+ */
+async function mergeCustomers(survivorId, duplicateIds, actor) {
+  const mergedIds = validateMergeIds(survivorId, duplicateIds);
+
+  const result = await runInTransaction(async (session) => {
+    const survivor = await Customer.findById(survivorId).session(session);
+    if (!survivor) {
+      throw notFound('Surviving customer not found');
+    }
+
+    const duplicates = await Customer.find({ _id: { $in: mergedIds } }).session(session);
+    if (duplicates.length !== mergedIds.length) {
+      throw notFound('One or more duplicate customers not found');
+    }
+
+    const filledFields = fillBlankFields(survivor, duplicates, CUSTOMER_MERGE_FIELDS);
+
+    // Keep every distinct email address, up to the three slots available
+    const emails = [...new Set([survivor, ...duplicates].flatMap(customerEmails))].slice(0, 3);
+    ['email1', 'email2', 'email3'].forEach((field, index) => {
+      const email = emails[index] || survivor[field];
+      if (normalizeEmail(survivor[field]) !== normalizeEmail(email)) {
+        survivor[field] = email;
+        filledFields.push(field);
+      }
+    });
+
+    await survivor.save({ session });
+
+    const affectedCases = await Case.find({ customer: { $in: mergedIds } }).select('_id customer').session(session);
+
+    const filter = { customer: { $in: mergedIds } };
+    const update = { $set: { customer: survivor._id } };
+    await Case.updateMany(filter, update, { session });
+    await Vehicle.updateMany(filter, update, { session });
+    await Inspection.updateMany(filter, update, { session });
+    await Quote.updateMany(filter, update, { session });
+    await Transaction.updateMany(filter, update, { session });
+
+    await Customer.deleteMany({ _id: { $in: mergedIds } }, { session });
+
+    return { customer: survivor, filledFields, affectedCases };
+  });
+
+  for (const caseData of result.affectedCases) {
+    await caseEvents.recordCaseEvent({
+      caseId: caseData._id,
+      type: 'case',
+      action: 'customer-merged',
+      description: `Duplicate customer merged into ${result.customer.firstName} ${result.customer.lastName}`,
+      actor,
+      changes: [{ field: 'customer', before: caseData.customer.toString(), after: result.customer._id.toString() }]
+    });
+  }
+
+  return {
+    customer: result.customer,
+    mergedIds,
+    filledFields: result.filledFields,
+    caseIds: result.affectedCases.map(c => c._id)
+  };
+}
+
+/**
+ * Merge duplicate vehicles into one. Cases, inspections, quotes and transactions
+ * are re-pointed to the survivor and the duplicates are deleted.
+ * @param {string} survivorId - Vehicle that is kept
+ * @param {Array<string>} duplicateIds - Vehicles merged into the survivor
+ * @param {Object} actor - Actor from caseEvents.actorFromRequest
+ * @returns {Promise<Object>} - { vehicle, mergedIds, filledFields, caseIds }
+ */
+async function mergeVehicles(survivorId, duplicateIds, actor) {
+  const mergedIds = validateMergeIds(survivorId, duplicateIds);
+
+  const result = await runInTransaction(async (session) => {
+    const survivor = await Vehicle.findById(survivorId).session(session);
+    if (!survivor) {
+      throw notFound('Surviving vehicle not found');
+    }
+
+    const duplicates = await Vehicle.find({ _id: { $in: mergedIds } }).session(session);
+    if (duplicates.length !== mergedIds.length) {
+      throw notFound('One or more duplicate vehicles not found');
+    }
+
+    const filledFields = fillBlankFields(survivor, duplicates, VEHICLE_MERGE_FIELDS);
+    await survivor.save({ session });
+
+    const affectedCases = await Case.find({ vehicle: { $in: mergedIds } }).select('_id vehicle').session(session);
+
+    const filter = { vehicle: { $in: mergedIds } };
+    const update = { $set: { vehicle: survivor._id } };
+    await Case.updateMany(filter, update, { session });
+    await Inspection.updateMany(filter, update, { session });
+    await Quote.updateMany(filter, update, { session });
+    await Transaction.updateMany(filter, update, { session });
+
+    await Vehicle.deleteMany({ _id: { $in: mergedIds } }, { session });
+
+    return { vehicle: survivor, filledFields, affectedCases };
+  });
+
+  for (const caseData of result.affectedCases) {
+    await caseEvents.recordCaseEvent({
+      caseId: caseData._id,
+      type: 'case',
+      action: 'vehicle-merged',
+      description: `Duplicate vehicle merged into ${result.vehicle.year} ${result.vehicle.make} ${result.vehicle.model}`,
+      actor,
+      changes: [{ field: 'vehicle', before: caseData.vehicle.toString(), after: result.vehicle._id.toString() }]
+    });
+  }
+
+  return {
+    vehicle: result.vehicle,
+    mergedIds,
+    filledFields: result.filledFields,
+    caseIds: result.affectedCases.map(c => c._id)
+  };
+}
+
+module.exports = {
+  normalizeVin,
+  findCustomerMatches,
+  findVehicleMatches,
+  findOpenCasesForVin,
+  findDuplicates,
+  summarizeDuplicates,
+  mergeCustomers,
+  mergeVehicles
+};
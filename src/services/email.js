@@ -1,5 +1,7 @@
 const Brevo = require('@getbrevo/brevo');
 const User = require('../models/User');
+const organizationSettings = require('./organizationSettings');
+const calendar = require('./calendar');
 const dotenv = require('dotenv');
 
 dotenv.config();
@@ -28,6 +30,51 @@ async function getAllAdminUsers() {
   }
 }
 
+/**
+ * Add the organization logo above and the support contact below an HTML email
+ * @param {string} html - Email body
+ * @param {Object} org - Organization settings
+ * @returns {string}
+ */
+function brandHtml(html, org) {
+  if (!html) {
+    return html;
+  }
+
+  const logo = org.logoUrl
+    ? `<div style="text-align: center; margin-bottom: 20px;"><img src="${org.logoUrl}" alt="${org.displayName}" style="max-height: 60px;"></div>`
+    : '';
+  const contact = [org.supportPhone, org.supportEmail].filter(Boolean).join(' | ');
+  const footer = contact
+    ? `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 20px auto 0; color: #6b7280; font-size: 12px; text-align: center;">Questions? Contact ${org.displayName}: ${contact}</div>`
+    : '';
+
+  return `${logo}${html}${footer}`;
+}
+
+/**
+ * Add the support contact to a plain text email
+ * @param {string} text - Email body
+ * @param {Object} org - Organization settings
+ * @returns {string}
+ */
+function brandText(text, org) {
+  const contact = [org.supportPhone, org.supportEmail].filter(Boolean).join(' | ');
+  return text && contact ? `${text}\n\nQuestions? Contact ${org.displayName}: ${contact}` : text;
+}
+
+/**
+ * Brevo takes attachments as base64 content
+ * @param {Array} attachments - [{ filename, content }]
+ * @returns {Array} - [{ name, content }]
+ */
+function toBrevoAttachments(attachments) {
+  return attachments.map(attachment => ({
+    name: attachment.filename,
+    content: Buffer.from(attachment.content).toString('base64')
+  }));
+}
+
 /**
  * Send email to multiple recipients
  * @param {Object} mailOptions - The email options
@@ -47,12 +94,13 @@ async function sendEmailToMultipleRecipients(mailOptions, recipients) {
     const sendSmtpEmail = new Brevo.SendSmtpEmail();
     sendSmtpEmail.to = emailAddresses.map(email => ({ email }));
     sendSmtpEmail.subject = mailOptions.subject;
-    sendSmtpEmail.htmlContent = mailOptions.html;
-    sendSmtpEmail.textContent = mailOptions.text;
-    sendSmtpEmail.sender = { 
-      name: 'VIN On Spot', 
-      email: process.env.EMAIL_FROM || 'no-reply@vossystem.com' 
-    };
+    const org = await organizationSettings.getSettings();
+    sendSmtpEmail.htmlContent = brandHtml(mailOptions.html, org);
+    sendSmtpEmail.textContent = brandText(mailOptions.text, org);
+    sendSmtpEmail.sender = { ...org.emailSender };
+    if (mailOptions.attachments?.length) {
+      sendSmtpEmail.attachment = toBrevoAttachments(mailOptions.attachments);
+    }
 
     const info = await apiInstance.sendTransacEmail(sendSmtpEmail);
     
@@ -72,19 +120,22 @@ async function sendEmailToMultipleRecipients(mailOptions, recipients) {
  * @returns {Promise} - Promise resolving to the email info
  */
 async function sendInspectionEmail(inspectionData, customerData, vehicleData, baseUrl) {
+  const org = await organizationSettings.getSettings();
   const inspectionUrl = `${baseUrl}/inspection/${inspectionData.accessToken}`;
+  // Same UID every time, so a rescheduled invite moves the existing calendar event
+  const invite = await calendar.inspectionInvite(inspectionData, customerData, vehicleData);
   
   const formattedDate = new Date(inspectionData.scheduledDate).toLocaleDateString();
   const formattedDueDate = inspectionData.dueByDate ? new Date(inspectionData.dueByDate).toLocaleDateString() : 'Not specified';
   const formattedDueTime = inspectionData.dueByTime || 'Not specified';
   
   const mailOptions = {
-    from: process.env.EMAIL_FROM || '"VIN On Spot" <no-reply@vossystem.com>',
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
     to: inspectionData.inspector.email,
-    subject: `VIN On Spot: Vehicle Inspection Request - ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}`,
+    subject: `${org.displayName}: Vehicle Inspection Request - ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #3b82f6;">VIN On Spot: Vehicle Inspection Request</h2>
+        <h2 style="color: #3b82f6;">${org.displayName}: Vehicle Inspection Request</h2>
         <p>Hello ${inspectionData.inspector.firstName} ${inspectionData.inspector.lastName},</p>
         <p>You have been assigned to inspect the following vehicle:</p>
         
@@ -131,7 +182,8 @@ async function sendInspectionEmail(inspectionData, customerData, vehicleData, ba
         <p>Thank you for your assistance.</p>
         <p>VIN on Spot</p>
       </div>
-    `
+    `,
+    attachments: [invite]
   };
 
   try {
@@ -144,6 +196,94 @@ async function sendInspectionEmail(inspectionData, customerData, vehicleData, ba
   }
 };
 
+/**
+ * Tell the inspector an inspection is off; the attached cancellation removes the calendar event
+ * @param {Object} inspectionData - The inspection data
+ * @param {Object} customerData - The customer data
+ * @param {Object} vehicleData - The vehicle data
+ * @param {String} reason - Why the inspection was cancelled
+ * @param {Object} options - { noShow } when the customer didn't show up
+ * @returns {Promise} - Promise resolving to the email info
+ */
+async function sendInspectionCancelledEmail(inspectionData, customerData, vehicleData, reason, { noShow = false } = {}) {
+  const org = await organizationSettings.getSettings();
+  const invite = await calendar.inspectionInvite(inspectionData, customerData, vehicleData, { cancelled: true });
+  const formattedDate = new Date(inspectionData.scheduledDate).toLocaleDateString();
+  const title = noShow ? 'Customer No-Show Recorded' : 'Inspection Cancelled';
+
+  const mailOptions = {
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
+    to: inspectionData.inspector.email,
+    subject: `${org.displayName}: ${title} - ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #dc2626;">${org.displayName}: ${title}</h2>
+        <p>Hello ${inspectionData.inspector.firstName} ${inspectionData.inspector.lastName},</p>
+        <p>${noShow ? 'The customer did not show up for the following inspection. It has been closed' : 'The following inspection has been cancelled'} and removed from your calendar:</p>
+
+        <div style="background: #f3f4f6; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Customer:</strong> ${customerData.firstName} ${customerData.lastName}</p>
+          <p><strong>Vehicle:</strong> ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}</p>
+          <p><strong>Scheduled Date:</strong> ${formattedDate}</p>
+          <p><strong>Time Slot:</strong> ${inspectionData.scheduledTime || 'Not specified'}</p>
+          ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ''}
+        </div>
+
+        <p>No further action is needed.</p>
+      </div>
+    `,
+    attachments: [invite]
+  };
+
+  try {
+    const info = await sendEmail(mailOptions);
+    return info;
+  } catch (error) {
+    console.error('Error sending inspection cancelled email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Let the customer know their inspection appointment is off and how to book a new one
+ * @param {Object} customerData - The customer data
+ * @param {Object} vehicleData - The vehicle data
+ * @param {Object} inspectionData - The cancelled inspection
+ * @param {Object} options - { noShow } when the customer didn't show up
+ * @returns {Promise} - Promise resolving to the email info
+ */
+async function sendCustomerInspectionCancelledEmail(customerData, vehicleData, inspectionData, { noShow = false } = {}) {
+  const org = await organizationSettings.getSettings();
+  const formattedDate = new Date(inspectionData.scheduledDate).toLocaleDateString();
+  const contact = [org.supportPhone, org.supportEmail].filter(Boolean).join(' or ');
+
+  const mailOptions = {
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
+    to: customerData.email1,
+    subject: `${org.displayName}: ${noShow ? 'We Missed You' : 'Inspection Appointment Cancelled'} - ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #3b82f6;">${org.displayName}: ${noShow ? 'We Missed You' : 'Inspection Appointment Cancelled'}</h2>
+        <p>Dear ${customerData.firstName} ${customerData.lastName},</p>
+        <p>${noShow
+          ? `Our inspector was scheduled to inspect your ${vehicleData.year} ${vehicleData.make} ${vehicleData.model} on ${formattedDate}${inspectionData.scheduledTime ? ` at ${inspectionData.scheduledTime}` : ''}, but we weren't able to meet you.`
+          : `Your inspection appointment for your ${vehicleData.year} ${vehicleData.make} ${vehicleData.model} on ${formattedDate}${inspectionData.scheduledTime ? ` at ${inspectionData.scheduledTime}` : ''} has been cancelled.`}</p>
+        ${!noShow && inspectionData.cancellation?.reason ? `<p><strong>Reason:</strong> ${inspectionData.cancellation.reason}</p>` : ''}
+        <p>We'd still love to make you an offer. ${contact ? `Contact us at ${contact} to book a new time.` : 'Reply to this email to book a new time.'}</p>
+        <p>Thank you,<br>${org.displayName}</p>
+      </div>
+    `
+  };
+
+  try {
+    const info = await sendEmail(mailOptions);
+    return info;
+  } catch (error) {
+    console.error('Error sending customer inspection cancelled email:', error);
+    throw error;
+  }
+};
+
 /**
  * Send email to estimator with quote preparation link
  * @param {Object} quoteData - The quote data
@@ -154,15 +294,16 @@ async function sendInspectionEmail(inspectionData, customerData, vehicleData, ba
  * @returns {Promise} - Promise resolving to the email info
  */
 async function sendEstimatorEmail(quoteData, inspectionData, customerData, vehicleData, baseUrl) {
+  const org = await organizationSettings.getSettings();
   const quoteUrl = `${baseUrl}/estimator/${quoteData.accessToken}`;
   
   const mailOptions = {
-    from: process.env.EMAIL_FROM || '"VIN On Spot" <no-reply@vossystem.com>',
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
     to: quoteData.estimator.email,
-    subject: `VIN On Spot: Quote Preparation Request - ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}`,
+    subject: `${org.displayName}: Quote Preparation Request - ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #3b82f6;">VIN On Spot: Quote Preparation Request</h2>
+        <h2 style="color: #3b82f6;">${org.displayName}: Quote Preparation Request</h2>
         <p>Hello ${quoteData.estimator.firstName} ${quoteData.estimator.lastName},</p>
         <p>You have been assigned to prepare a quote for the following vehicle:</p>
         
@@ -215,6 +356,7 @@ async function sendEstimatorEmail(quoteData, inspectionData, customerData, vehic
  * @returns {Promise} - Promise resolving to the email info
  */
 async function sendCustomerConfirmationEmail(customerData, vehicleData, transactionData, pdfUrl, baseUrl) {
+  const org = await organizationSettings.getSettings();
   // Add null checks and default values
   const customer = customerData || {};
   const vehicle = vehicleData || {};
@@ -222,14 +364,14 @@ async function sendCustomerConfirmationEmail(customerData, vehicleData, transact
   const billOfSale = transaction.billOfSale || {};
 
   const mailOptions = {
-    from: process.env.EMAIL_FROM || '"VIN On Spot" <no-reply@vossystem.com>',
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
     to: customer.email1 || customer.email || 'customer@example.com',
-    subject: `VIN On Spot: Vehicle Purchase Confirmation - ${vehicle.year || 'Unknown'} ${vehicle.make || 'Unknown'} ${vehicle.model || 'Unknown'}`,
+    subject: `${org.displayName}: Vehicle Purchase Confirmation - ${vehicle.year || 'Unknown'} ${vehicle.make || 'Unknown'} ${vehicle.model || 'Unknown'}`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #3b82f6;">VIN On Spot: Vehicle Purchase Confirmation</h2>
+        <h2 style="color: #3b82f6;">${org.displayName}: Vehicle Purchase Confirmation</h2>
         <p>Hello ${customer.firstName || 'Valued Customer'},</p>
-        <p>Thank you for selling your vehicle to VOS. Your transaction has been completed successfully!</p>
+        <p>Thank you for selling your vehicle to ${org.shortName}. Your transaction has been completed successfully!</p>
         
         <div style="background: #f3f4f6; padding: 15px; border-radius: 5px; margin: 20px 0;">
           <p><strong>Vehicle:</strong> ${vehicle.year || 'Unknown'} ${vehicle.make || 'Unknown'} ${vehicle.model || 'Unknown'}</p>
@@ -254,8 +396,8 @@ async function sendCustomerConfirmationEmail(customerData, vehicleData, transact
         </div>
         
         <p>If you have any questions regarding your transaction, please don't hesitate to contact us.</p>
-        <p>Thank you for choosing VOS!</p>
-        <p>The VOS Team</p>
+        <p>Thank you for choosing ${org.shortName}!</p>
+        <p>The ${org.shortName} Team</p>
       </div>
     `
   };
@@ -279,13 +421,14 @@ async function sendCustomerConfirmationEmail(customerData, vehicleData, transact
  * @returns {Promise} - Promise resolving to the email info
  */
 async function sendQuoteUpdateEmail(quoteData, customerData, vehicleData, baseUrl) {
+  const org = await organizationSettings.getSettings();
   const mailOptions = {
-    from: process.env.EMAIL_FROM || '"VIN On Spot" <no-reply@vossystem.com>',
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
     to: customerData.email1,
-    subject: `VIN On Spot: Vehicle Quote Update - ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}`,
+    subject: `${org.displayName}: Vehicle Quote Update - ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #3b82f6;">VIN On Spot: Vehicle Quote Update</h2>
+        <h2 style="color: #3b82f6;">${org.displayName}: Vehicle Quote Update</h2>
         <p>Hello ${customerData.firstName},</p>
         <p>We have an update regarding the quote for your vehicle:</p>
         
@@ -299,8 +442,8 @@ async function sendQuoteUpdateEmail(quoteData, customerData, vehicleData, baseUr
         
         <p>Please contact us to discuss this offer or to schedule the next steps.</p>
         
-        <p>Thank you for choosing VOS!</p>
-        <p>The VOS Team</p>
+        <p>Thank you for choosing ${org.shortName}!</p>
+        <p>The ${org.shortName} Team</p>
       </div>
     `
   };
@@ -317,13 +460,14 @@ async function sendQuoteUpdateEmail(quoteData, customerData, vehicleData, baseUr
  * @returns {Promise} - Promise resolving to the email info
  */
 async function sendNegotiationUpdateEmail(quoteData, customerData, vehicleData, baseUrl) {
+  const org = await organizationSettings.getSettings();
   const mailOptions = {
-    from: process.env.EMAIL_FROM || '"VIN On Spot" <no-reply@vossystem.com>',
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
     to: customerData.email1,
-    subject: `VIN On Spot: Quote Negotiation Update - ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}`,
+    subject: `${org.displayName}: Quote Negotiation Update - ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #3b82f6;">VIN On Spot: Quote Negotiation Update</h2>
+        <h2 style="color: #3b82f6;">${org.displayName}: Quote Negotiation Update</h2>
         <p>Hello ${customerData.firstName},</p>
         
         <div style="background: #f3f4f6; padding: 15px; border-radius: 5px; margin: 20px 0;">
@@ -341,8 +485,8 @@ async function sendNegotiationUpdateEmail(quoteData, customerData, vehicleData,
         
         <p>Please contact us to discuss this further or to proceed with the transaction.</p>
         
-        <p>Thank you for your interest in VOS!</p>
-        <p>The VOS Team</p>
+        <p>Thank you for your interest in ${org.shortName}!</p>
+        <p>The ${org.shortName} Team</p>
       </div>
     `
   };
@@ -359,13 +503,14 @@ async function sendNegotiationUpdateEmail(quoteData, customerData, vehicleData,
  * @returns {Promise} - Promise resolving to the email info
  */
 async function sendInspectionCompletedEmail(inspectionData, customerData, vehicleData, baseUrl) {
+  const org = await organizationSettings.getSettings();
   const mailOptions = {
-    from: process.env.EMAIL_FROM || '"VIN On Spot" <no-reply@vossystem.com>',
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
     to: customerData.email1,
-    subject: `VIN On Spot: Vehicle Inspection Completed - ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}`,
+    subject: `${org.displayName}: Vehicle Inspection Completed - ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #3b82f6;">VIN On Spot: Vehicle Inspection Complete</h2>
+        <h2 style="color: #3b82f6;">${org.displayName}: Vehicle Inspection Complete</h2>
         <p>Hello ${customerData.firstName},</p>
         <p>The inspection of your vehicle has been completed. Here are the details:</p>
         
@@ -390,8 +535,8 @@ async function sendInspectionCompletedEmail(inspectionData, customerData, vehicl
         
         <p>Our team will review the inspection results and prepare a quote for your vehicle. You will receive another email once the quote is ready.</p>
         
-        <p>Thank you for choosing VOS!</p>
-        <p>The VOS Team</p>
+        <p>Thank you for choosing ${org.shortName}!</p>
+        <p>The ${org.shortName} Team</p>
       </div>
     `
   };
@@ -417,12 +562,13 @@ async function sendEmail(mailOptions) {
     const sendSmtpEmail = new Brevo.SendSmtpEmail();
     sendSmtpEmail.to = [{ email: mailOptions.to }];
     sendSmtpEmail.subject = mailOptions.subject;
-    sendSmtpEmail.htmlContent = mailOptions.html;
-    sendSmtpEmail.textContent = mailOptions.text;
-    sendSmtpEmail.sender = { 
-      name: 'VIN On Spot', 
-      email: process.env.EMAIL_FROM || 'no-reply@vossystem.com' 
-    };
+    const org = await organizationSettings.getSettings();
+    sendSmtpEmail.htmlContent = brandHtml(mailOptions.html, org);
+    sendSmtpEmail.textContent = brandText(mailOptions.text, org);
+    sendSmtpEmail.sender = { ...org.emailSender };
+    if (mailOptions.attachments?.length) {
+      sendSmtpEmail.attachment = toBrevoAttachments(mailOptions.attachments);
+    }
 
     const info = await apiInstance.sendTransacEmail(sendSmtpEmail);
     
@@ -435,17 +581,18 @@ async function sendEmail(mailOptions) {
 
 // Send quote email to customer
 async function sendQuoteEmail(customer, vehicle, quote, baseUrl) {
+  const org = await organizationSettings.getSettings();
   try {
     const offerAmount = quote.offerAmount ? quote.offerAmount.toLocaleString() : 'N/A';
     const expiryDate = quote.expiryDate ? new Date(quote.expiryDate).toLocaleDateString() : 'N/A';
     
     const mailOptions = {
-      from: process.env.EMAIL_FROM || '"VIN On Spot" <no-reply@vossystem.com>',
+      from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
       to: customer.email1,
-      subject: `VIN On Spot: Vehicle Offer - ${vehicle.year} ${vehicle.make} ${vehicle.model}`,
+      subject: `${org.displayName}: Vehicle Offer - ${vehicle.year} ${vehicle.make} ${vehicle.model}`,
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #3b82f6;">VIN On Spot: Your Vehicle Offer</h2>
+          <h2 style="color: #3b82f6;">${org.displayName}: Your Vehicle Offer</h2>
           <p>Dear ${customer.firstName} ${customer.lastName},</p>
           <p>We're pleased to present you with an offer for your ${vehicle.year} ${vehicle.make} ${vehicle.model}.</p>
           
@@ -473,8 +620,8 @@ async function sendQuoteEmail(customer, vehicle, quote, baseUrl) {
             </ul>
           </div>
           
-          <p>Thank you for choosing VOS!</p>
-          <p>Best regards,<br>The VOS Team</p>
+          <p>Thank you for choosing ${org.shortName}!</p>
+          <p>Best regards,<br>The ${org.shortName} Team</p>
           
           <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb; text-align: center; color: #6b7280; font-size: 12px;">
             <p>This offer is valid until ${expiryDate}. Please contact us before this date to proceed.</p>
@@ -497,6 +644,7 @@ async function sendQuoteEmail(customer, vehicle, quote, baseUrl) {
 
 // Send decision confirmation email
 async function sendDecisionEmail(customer, vehicle, quote, baseUrl) {
+  const org = await organizationSettings.getSettings();
   try {
     const offerAmount = quote.offerAmount ? quote.offerAmount.toLocaleString() : 'N/A';
     const decision = quote.offerDecision?.decision || 'pending';
@@ -504,8 +652,8 @@ async function sendDecisionEmail(customer, vehicle, quote, baseUrl) {
     let subject, heading, message, statusColor;
     
     if (decision === 'accepted') {
-      subject = 'VIN On Spot: Your Offer Acceptance Confirmation';
-      heading = 'VIN On Spot: Offer Acceptance Confirmed';
+      subject = `${org.displayName}: Your Offer Acceptance Confirmation`;
+      heading = `${org.displayName}: Offer Acceptance Confirmed`;
       statusColor = '#059669';
       message = `
         <p>We're pleased to confirm that you've accepted our offer of $${offerAmount} for your ${vehicle.year} ${vehicle.make} ${vehicle.model}.</p>
@@ -517,16 +665,16 @@ async function sendDecisionEmail(customer, vehicle, quote, baseUrl) {
         </ol>
       `;
     } else if (decision === 'declined') {
-      subject = 'VIN On Spot: Your Offer Decision Confirmation';
-      heading = 'VIN On Spot: Offer Decline Confirmed';
+      subject = `${org.displayName}: Your Offer Decision Confirmation`;
+      heading = `${org.displayName}: Offer Decline Confirmed`;
       statusColor = '#dc2626';
       message = `
         <p>We confirm that you've declined our offer of $${offerAmount} for your ${vehicle.year} ${vehicle.make} ${vehicle.model}.</p>
         <p>We appreciate your consideration and would be happy to assist you in the future if you change your mind.</p>
       `;
     } else {
-      subject = 'VIN On Spot: Your Offer Status Update';
-      heading = 'VIN On Spot: Offer Status Update';
+      subject = `${org.displayName}: Your Offer Status Update`;
+      heading = `${org.displayName}: Offer Status Update`;
       statusColor = '#f59e0b';
       message = `
         <p>This email confirms the current status of our offer of $${offerAmount} for your ${vehicle.year} ${vehicle.make} ${vehicle.model}.</p>
@@ -535,7 +683,7 @@ async function sendDecisionEmail(customer, vehicle, quote, baseUrl) {
     }
     
     const mailOptions = {
-      from: process.env.EMAIL_FROM || '"VIN On Spot" <no-reply@vossystem.com>',
+      from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
       to: customer.email1,
       subject: subject,
       html: `
@@ -569,8 +717,8 @@ async function sendDecisionEmail(customer, vehicle, quote, baseUrl) {
             </div>
           ` : ''}
           
-          <p>Thank you for choosing VOS!</p>
-          <p>Best regards,<br>The VOS Team</p>
+          <p>Thank you for choosing ${org.shortName}!</p>
+          <p>Best regards,<br>The ${org.shortName} Team</p>
           
           <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb; text-align: center; color: #6b7280; font-size: 12px;">
             <p>If you have any questions, please contact us at (555) 123-4567 or reply to this email.</p>
@@ -591,10 +739,11 @@ async function sendDecisionEmail(customer, vehicle, quote, baseUrl) {
 
 // Send customer intake notification to all admins
 async function sendCustomerIntakeNotification(customer, vehicle, caseData, baseUrl) {
+  const org = await organizationSettings.getSettings();
   try {
     const adminUsers = await getAllAdminUsers();
     
-    const subject = `VIN On Spot: New Customer Intake: ${customer.firstName} ${customer.lastName}`;
+    const subject = `${org.displayName}: New Customer Intake: ${customer.firstName} ${customer.lastName}`;
     
     // Add the source information to the email context
     function getSourceLabel(sourceKey) {
@@ -617,7 +766,7 @@ async function sendCustomerIntakeNotification(customer, vehicle, caseData, baseU
     const htmlContent = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #2563eb; border-bottom: 2px solid #2563eb; padding-bottom: 10px;">
-          VIN On Spot: New Customer Intake Submission
+          ${org.displayName}: New Customer Intake Submission
         </h2>
         
         <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
@@ -628,7 +777,7 @@ async function sendCustomerIntakeNotification(customer, vehicle, caseData, baseU
           <p><strong>Source:</strong> ${getSourceLabel(customer.source)}</p>
           ${customer.homePhone ? `<p><strong>Home Phone:</strong> ${customer.homePhone}</p>` : ''}
           ${customer.email2 ? `<p><strong>Secondary Email:</strong> ${customer.email2}</p>` : ''}
-          ${customer.hearAboutVOS ? `<p><strong>Heard about VOS:</strong> ${customer.hearAboutVOS}</p>` : ''}
+          ${customer.hearAboutVOS ? `<p><strong>Heard about ${org.shortName}:</strong> ${customer.hearAboutVOS}</p>` : ''}
           ${customer.receivedOtherQuote ? `<p><strong>Other Quote:</strong> ${customer.otherQuoteOfferer} - $${customer.otherQuoteAmount}</p>` : ''}
           ${customer.notes ? `<p><strong>Notes:</strong> ${customer.notes}</p>` : ''}
         </div>
@@ -674,7 +823,7 @@ Email: ${customer.email1}
 Source: ${getSourceLabel(customer.source)}
 ${customer.homePhone ? `Home Phone: ${customer.homePhone}` : ''}
 ${customer.email2 ? `Secondary Email: ${customer.email2}` : ''}
-${customer.hearAboutVOS ? `Heard about VOS: ${customer.hearAboutVOS}` : ''}
+${customer.hearAboutVOS ? `Heard about ${org.shortName}: ${customer.hearAboutVOS}` : ''}
 ${customer.receivedOtherQuote ? `Other Quote: ${customer.otherQuoteOfferer} - $${customer.otherQuoteAmount}` : ''}
 ${customer.notes ? `Notes: ${customer.notes}` : ''}
 
@@ -700,7 +849,7 @@ Note: This customer intake was submitted through the public form and requires ag
     `;
     
     const mailOptions = {
-      from: process.env.EMAIL_FROM || '"VIN On Spot" <no-reply@vossystem.com>',
+      from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
       subject: subject,
       text: textContent,
       html: htmlContent
@@ -723,15 +872,16 @@ Note: This customer intake was submitted through the public form and requires ag
  * @returns {Promise} - Promise resolving to the email info
  */
 const sendCustomerFormEmail = async (customerEmail, customerName, formUrl) => {
+  const org = await organizationSettings.getSettings();
   const mailOptions = {
-      from: process.env.EMAIL_FROM || '"VIN On Spot" <no-reply@vossystem.com>',
+      from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
     to: customerEmail,
-    subject: 'VIN On Spot: Complete Your Vehicle Information',
+    subject: `${org.displayName}: Complete Your Vehicle Information`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #3b82f6;">VIN On Spot: Complete Your Vehicle Information</h2>
+        <h2 style="color: #3b82f6;">${org.displayName}: Complete Your Vehicle Information</h2>
         <p>Hello ${customerName},</p>
-        <p>Thank you for your interest in selling your vehicle to VOS. To help us provide you with the best possible offer, we need some additional information about your vehicle.</p>
+        <p>Thank you for your interest in selling your vehicle to ${org.shortName}. To help us provide you with the best possible offer, we need some additional information about your vehicle.</p>
         
         <div style="background: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
           <h3 style="color: #1e293b; margin-top: 0;">What you'll need to provide:</h3>
@@ -763,7 +913,7 @@ const sendCustomerFormEmail = async (customerEmail, customerName, formUrl) => {
         </div>
         
         <p>We look forward to helping you get the best value for your vehicle!</p>
-        <p>Best regards,<br>The VOS Team</p>
+        <p>Best regards,<br>The ${org.shortName} Team</p>
       </div>
     `
   };
@@ -786,13 +936,14 @@ const sendCustomerFormEmail = async (customerEmail, customerName, formUrl) => {
  * @returns {Promise} - Promise resolving to the email info
  */
 async function sendCustomerCreationEmail(customerData, vehicleData, baseUrl) {
+  const org = await organizationSettings.getSettings();
   const mailOptions = {
-    from: process.env.EMAIL_FROM || '"VIN On Spot" <no-reply@vossystem.com>',
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
     to: customerData.email1 || customerData.email,
-    subject: `VIN On Spot: Vehicle Intake Confirmation`,
+    subject: `${org.displayName}: Vehicle Intake Confirmation`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #3b82f6;">VIN On Spot: Vehicle Intake Recorded</h2>
+        <h2 style="color: #3b82f6;">${org.displayName}: Vehicle Intake Recorded</h2>
         <p>Hello ${customerData.firstName} ${customerData.lastName},</p>
 
         <p>Thank you for visiting our store! One of our agents has successfully completed the intake process for you and your vehicle.</p>
@@ -821,14 +972,14 @@ async function sendCustomerCreationEmail(customerData, vehicleData, baseUrl) {
           </ul>
         </div>
 
-        <p>If any information above is incorrect or needs updating, feel free to reply to this email or contact us directly at your nearest VOS store.</p>
+        <p>If any information above is incorrect or needs updating, feel free to reply to this email or contact us directly at your nearest ${org.shortName} store.</p>
 
         <p>We appreciate your time and look forward to helping you get the best value for your vehicle.</p>
 
-        <p>Best regards,<br>The VOS Team</p>
+        <p>Best regards,<br>The ${org.shortName} Team</p>
 
         <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb; text-align: center; color: #6b7280; font-size: 12px;">
-          <p>This email confirms that your vehicle intake information has been recorded at a VOS location.</p>
+          <p>This email confirms that your vehicle intake information has been recorded at a ${org.shortName} location.</p>
           <p>If you did not visit our store or believe this is a mistake, please contact us immediately.</p>
         </div>
       </div>
@@ -855,15 +1006,16 @@ async function sendCustomerCreationEmail(customerData, vehicleData, baseUrl) {
  * @returns {Promise} - Promise resolving to the email info
  */
 async function sendAdminCustomerCreationNotification(customerData, vehicleData, agentData, baseUrl) {
+  const org = await organizationSettings.getSettings();
   const adminUsers = await getAllAdminUsers();
   
   const mailOptions = {
-    from: process.env.EMAIL_FROM || '"VIN On Spot" <no-reply@vossystem.com>',
-    subject: `VIN On Spot: New Customer Created: ${customerData.firstName} ${customerData.lastName}`,
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
+    subject: `${org.displayName}: New Customer Created: ${customerData.firstName} ${customerData.lastName}`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #2563eb; border-bottom: 2px solid #2563eb; padding-bottom: 10px;">
-          VIN On Spot: New Customer Intake Recorded
+          ${org.displayName}: New Customer Intake Recorded
         </h2>
         
         <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
@@ -873,7 +1025,7 @@ async function sendAdminCustomerCreationNotification(customerData, vehicleData,
           <p><strong>Email:</strong> ${customerData.email1 || customerData.email}</p>
           ${customerData.homePhone ? `<p><strong>Home Phone:</strong> ${customerData.homePhone}</p>` : ''}
           ${customerData.email2 ? `<p><strong>Secondary Email:</strong> ${customerData.email2}</p>` : ''}
-          ${customerData.hearAboutVOS ? `<p><strong>Heard about VOS:</strong> ${customerData.hearAboutVOS}</p>` : ''}
+          ${customerData.hearAboutVOS ? `<p><strong>Heard about ${org.shortName}:</strong> ${customerData.hearAboutVOS}</p>` : ''}
           ${customerData.source ? `<p><strong>Source:</strong> ${customerData.source}</p>` : ''}
           ${customerData.receivedOtherQuote ? `<p><strong>Other Quote:</strong> ${customerData.otherQuoteOfferer} - $${customerData.otherQuoteAmount}</p>` : ''}
           ${customerData.notes ? `<p><strong>Notes:</strong> ${customerData.notes}</p>` : ''}
@@ -938,15 +1090,16 @@ async function sendAdminCustomerCreationNotification(customerData, vehicleData,
  * @returns {Promise} - Promise resolving to the email info
  */
 async function sendAdminInspectionCompletedNotification(inspectionData, customerData, vehicleData, baseUrl) {
+  const org = await organizationSettings.getSettings();
   const adminUsers = await getAllAdminUsers();
   
   const mailOptions = {
-    from: process.env.EMAIL_FROM || '"VIN On Spot" <no-reply@vossystem.com>',
-    subject: `VIN On Spot: Inspection Completed: ${customerData.firstName} ${customerData.lastName} - ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}`,
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
+    subject: `${org.displayName}: Inspection Completed: ${customerData.firstName} ${customerData.lastName} - ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #2563eb; border-bottom: 2px solid #2563eb; padding-bottom: 10px;">
-          VIN On Spot: Vehicle Inspection Completed
+          ${org.displayName}: Vehicle Inspection Completed
         </h2>
         
         <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
@@ -1028,13 +1181,14 @@ async function sendAdminInspectionCompletedNotification(inspectionData, customer
  * @returns {Promise} - Promise resolving to the email info
  */
 async function sendEstimatorInspectionCompletedNotification(inspectionData, customerData, vehicleData, estimatorData, baseUrl) {
+  const org = await organizationSettings.getSettings();
   const mailOptions = {
-    from: process.env.EMAIL_FROM || '"VIN On Spot" <no-reply@vossystem.com>',
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
     to: estimatorData.email,
-    subject: `VIN On Spot: Inspection Completed - Ready for Quote: ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}`,
+    subject: `${org.displayName}: Inspection Completed - Ready for Quote: ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #3b82f6;">VIN On Spot: Inspection Completed - Ready for Quote</h2>
+        <h2 style="color: #3b82f6;">${org.displayName}: Inspection Completed - Ready for Quote</h2>
         <p>Hello ${estimatorData.firstName} ${estimatorData.lastName},</p>
         <p>The vehicle inspection has been completed and is now ready for quote preparation.</p>
         
@@ -1122,13 +1276,14 @@ async function sendEstimatorInspectionCompletedNotification(inspectionData, cust
  * @returns {Promise} - Promise resolving to the email info
  */
 async function sendEstimatorAssignmentEmail(estimatorData, customerData, vehicleData, caseData, baseUrl) {
+  const org = await organizationSettings.getSettings();
   const mailOptions = {
-    from: process.env.EMAIL_FROM || '"VIN On Spot" <no-reply@vossystem.com>',
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
     to: estimatorData.email,
-    subject: `VIN On Spot: New Customer Assignment - ${customerData.firstName} ${customerData.lastName}`,
+    subject: `${org.displayName}: New Customer Assignment - ${customerData.firstName} ${customerData.lastName}`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #3b82f6;">VIN On Spot: New Customer Assignment</h2>
+        <h2 style="color: #3b82f6;">${org.displayName}: New Customer Assignment</h2>
         <p>Hello ${estimatorData.firstName} ${estimatorData.lastName},</p>
         <p>You have been assigned to a new customer case. Here are the details:</p>
         
@@ -1139,7 +1294,7 @@ async function sendEstimatorAssignmentEmail(estimatorData, customerData, vehicle
           <p><strong>Email:</strong> ${customerData.email1}</p>
           ${customerData.homePhone ? `<p><strong>Home Phone:</strong> ${customerData.homePhone}</p>` : ''}
           ${customerData.email2 ? `<p><strong>Secondary Email:</strong> ${customerData.email2}</p>` : ''}
-          ${customerData.hearAboutVOS ? `<p><strong>Heard about VOS:</strong> ${customerData.hearAboutVOS}</p>` : ''}
+          ${customerData.hearAboutVOS ? `<p><strong>Heard about ${org.shortName}:</strong> ${customerData.hearAboutVOS}</p>` : ''}
           ${customerData.source ? `<p><strong>Source:</strong> ${customerData.source}</p>` : ''}
           ${customerData.receivedOtherQuote ? `<p><strong>Other Quote:</strong> ${customerData.otherQuoteOfferer} - $${customerData.otherQuoteAmount}</p>` : ''}
           ${customerData.notes ? `<p><strong>Notes:</strong> ${customerData.notes}</p>` : ''}
@@ -1217,16 +1372,17 @@ async function sendEstimatorAssignmentEmail(estimatorData, customerData, vehicle
  * @returns {Promise} - Promise resolving to the email info
  */
 async function sendDeclinedOfferFollowupEmail(customerData, vehicleData, quoteData, baseUrl) {
+  const org = await organizationSettings.getSettings();
   const mailOptions = {
-    from: process.env.EMAIL_FROM || '"VIN On Spot" <no-reply@vossystem.com>',
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
     to: customerData.email1,
-    subject: `VIN On Spot: Thank You for Your Interest - ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}`,
+    subject: `${org.displayName}: Thank You for Your Interest - ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #3b82f6;">VIN On Spot: Thank You for Your Interest</h2>
+        <h2 style="color: #3b82f6;">${org.displayName}: Thank You for Your Interest</h2>
         <p>Dear ${customerData.firstName} ${customerData.middleInitial || ''} ${customerData.lastName},</p>
         
-        <p>Thank you for considering VIN On Spot for your ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}. We appreciate the time you took to work with us throughout the inspection and quote process.</p>
+        <p>Thank you for considering ${org.displayName} for your ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}. We appreciate the time you took to work with us throughout the inspection and quote process.</p>
         
         <div style="padding: 15px; border-radius: 5px; margin: 20px 0;">
           <h3 style="color: #1e293b; margin-top: 0;">Your Vehicle Information</h3>
@@ -1270,8 +1426,8 @@ async function sendDeclinedOfferFollowupEmail(customerData, vehicleData, quoteDa
         </div>
         
         <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb; text-align: center; color: #6b7280; font-size: 12px;">
-          <p>Thank you for choosing VIN On Spot. We value your business and look forward to serving you in the future.</p>
-          <p>Best regards,<br>The VIN On Spot Team</p>
+          <p>Thank you for choosing ${org.displayName}. We value your business and look forward to serving you in the future.</p>
+          <p>Best regards,<br>The ${org.shortName} Team</p>
         </div>
       </div>
     `
@@ -1286,6 +1442,179 @@ async function sendDeclinedOfferFollowupEmail(customerData, vehicleData, quoteDa
   }
 }
 
+/**
+ * Let the customer know their quote has expired, with a link to request a new one
+ * @param {Object} customerData - The customer data
+ * @param {Object} vehicleData - The vehicle data
+ * @param {Object} quoteData - The expired quote
+ * @param {String} baseUrl - The base URL for the application
+ * @param {String} linkToken - Customer link token for the quote
+ * @returns {Promise} - Promise resolving to the email info
+ */
+async function sendQuoteExpiredEmail(customerData, vehicleData, quoteData, baseUrl, linkToken) {
+  const org = await organizationSettings.getSettings();
+  const requoteUrl = `${baseUrl}/quote/${linkToken}`;
+  const offerAmount = quoteData.offerAmount ? quoteData.offerAmount.toLocaleString() : 'N/A';
+
+  const mailOptions = {
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
+    to: customerData.email1,
+    subject: `${org.displayName}: Your Offer Has Expired - ${vehicleData.year} ${vehicleData.make} ${vehicleData.model}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #3b82f6;">${org.displayName}: Your Offer Has Expired</h2>
+        <p>Dear ${customerData.firstName} ${customerData.lastName},</p>
+        <p>Our offer of $${offerAmount} for your ${vehicleData.year} ${vehicleData.make} ${vehicleData.model} has expired.</p>
+        <p>Vehicle values change with the market, so we need to refresh the price before we can buy your vehicle. It only takes one click:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${requoteUrl}" style="background-color: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">Get an Updated Offer</a>
+        </div>
+        <p>Best regards,<br>The ${org.shortName} Team</p>
+      </div>
+    `
+  };
+
+  try {
+    const info = await sendEmail(mailOptions);
+    return info;
+  } catch (error) {
+    console.error('Error sending quote expired email:', error);
+    throw error;
+  }
+}
+
+/**
+ * Let the assigned estimator know one of their quotes expired without a decision
+ * @param {Object} estimatorData - The estimator (User or quote.estimator)
+ * @param {Object} customerData - The customer data
+ * @param {Object} vehicleData - The vehicle data
+ * @param {Object} quoteData - The expired quote
+ * @param {String} baseUrl - The base URL for the application
+ * @returns {Promise} - Promise resolving to the email info
+ */
+async function sendEstimatorQuoteExpiredNotification(estimatorData, customerData, vehicleData, quoteData, baseUrl) {
+  const org = await organizationSettings.getSettings();
+  const mailOptions = {
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
+    to: estimatorData.email,
+    subject: `${org.displayName}: Quote Expired - ${customerData.firstName} ${customerData.lastName}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #3b82f6;">${org.displayName}: Quote Expired</h2>
+        <p>Hello ${estimatorData.firstName || ''},</p>
+        <p>The quote for ${customerData.firstName} ${customerData.lastName}'s ${vehicleData.year} ${vehicleData.make} ${vehicleData.model} expired on ${new Date(quoteData.expiryDate || quoteData.expiredAt).toLocaleDateString()} without a decision.</p>
+        <div style="background: #f3f4f6; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Last Offer:</strong> $${quoteData.offerAmount ? quoteData.offerAmount.toLocaleString() : 'N/A'}</p>
+          ${vehicleData.vin ? `<p><strong>VIN:</strong> ${vehicleData.vin}</p>` : ''}
+        </div>
+        <p>The customer has been sent a link to request an updated offer. You can also re-quote the case with current market pricing:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${baseUrl}/estimator" style="background-color: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">Open Estimator Dashboard</a>
+        </div>
+        <p>Best regards,<br>The ${org.shortName} Team</p>
+      </div>
+    `
+  };
+
+  try {
+    const info = await sendEmail(mailOptions);
+    return info;
+  } catch (error) {
+    console.error('Error sending estimator quote expired notification:', error);
+    throw error;
+  }
+}
+
+/**
+ * Let an online seller know their instant offer has expired
+ * @param {Object} submission - The VehicleSubmission
+ * @param {String} baseUrl - The base URL for the application
+ * @returns {Promise} - Promise resolving to the email info
+ */
+async function sendOnlineOfferExpiredEmail(submission, baseUrl) {
+  const org = await organizationSettings.getSettings();
+  const vinOrPlate = submission.vinOrPlate || {};
+  const vehicleName = [vinOrPlate.year, vinOrPlate.make, vinOrPlate.model].filter(Boolean).join(' ') || 'vehicle';
+  const offerUrl = `${baseUrl}/offer/${submission._id}`;
+
+  const mailOptions = {
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
+    to: submission.contact.email,
+    subject: `${org.displayName}: Your Offer Has Expired - ${vehicleName}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #3b82f6;">${org.displayName}: Your Offer Has Expired</h2>
+        <p>Hello,</p>
+        <p>Your instant offer of $${submission.offer?.amount ? submission.offer.amount.toLocaleString() : 'N/A'} for your ${vehicleName} has expired.</p>
+        <p>Get an updated offer based on today's market in one click:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${offerUrl}" style="background-color: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">Get an Updated Offer</a>
+        </div>
+        <p>Best regards,<br>The ${org.shortName} Team</p>
+      </div>
+    `
+  };
+
+  try {
+    const info = await sendEmail(mailOptions);
+    return info;
+  } catch (error) {
+    console.error('Error sending online offer expired email:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remind staff that a case's payoff quote is about to lapse (or has) before the loan was paid off
+ * @param {Object} recipient - User to notify
+ * @param {Object} customerData - The customer data
+ * @param {Object} vehicleData - The vehicle data
+ * @param {Object} payoff - From payoff.summarizePayoff
+ * @param {String} baseUrl - The base URL for the application
+ * @returns {Promise} - Promise resolving to the email info
+ */
+async function sendPayoffQuoteLapsingNotification(recipient, customerData, vehicleData, payoff, baseUrl) {
+  const org = await organizationSettings.getSettings();
+  const customerName = [customerData.firstName, customerData.lastName].filter(Boolean).join(' ') || 'the seller';
+  const vehicleName = [vehicleData.year, vehicleData.make, vehicleData.model].filter(Boolean).join(' ') || 'vehicle';
+  const goodThrough = new Date(payoff.quote.goodThrough).toLocaleDateString();
+  const money = (amount) => (typeof amount === 'number' ? `$${amount.toLocaleString()}` : 'N/A');
+
+  const mailOptions = {
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
+    to: recipient.email,
+    subject: `${org.displayName}: Payoff Quote ${payoff.lapsed ? 'Lapsed' : 'Expiring'} - ${customerName}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #3b82f6;">${org.displayName}: Payoff Quote ${payoff.lapsed ? 'Lapsed' : 'Expiring'}</h2>
+        <p>Hello ${recipient.firstName || ''},</p>
+        <p>The payoff quote for ${customerName}'s ${vehicleName} ${payoff.lapsed ? 'was' : 'is'} good through ${goodThrough} and the loan has not been paid off yet.</p>
+        <div style="background: #f3f4f6; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Lender:</strong> ${payoff.lenderName || 'N/A'}</p>
+          ${payoff.loanNumber ? `<p><strong>Loan Number:</strong> ${payoff.loanNumber}</p>` : ''}
+          <p><strong>Quoted Payoff:</strong> ${money(payoff.quote.amount)}</p>
+          ${payoff.quote.perDiem ? `<p><strong>Per Diem:</strong> ${money(payoff.quote.perDiem)}</p>` : ''}
+          <p><strong>Payoff Due Today:</strong> ${money(payoff.expectedAmount)}</p>
+          ${vehicleData.vin ? `<p><strong>VIN:</strong> ${vehicleData.vin}</p>` : ''}
+        </div>
+        <p>${payoff.lapsed ? 'Request a new payoff quote from the lender before sending the payoff.' : 'Send the payoff before the quote lapses, or request an updated quote from the lender.'}</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${baseUrl}/estimator" style="background-color: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">Open Dashboard</a>
+        </div>
+        <p>Best regards,<br>The ${org.shortName} Team</p>
+      </div>
+    `
+  };
+
+  try {
+    const info = await sendEmail(mailOptions);
+    return info;
+  } catch (error) {
+    console.error('Error sending payoff quote reminder:', error);
+    throw error;
+  }
+}
+
 /**
  * Send password reset email
  * @param {String} userEmail - User's email address
@@ -1294,15 +1623,16 @@ async function sendDeclinedOfferFollowupEmail(customerData, vehicleData, quoteDa
  * @returns {Promise} - Promise resolving to the email info
  */
 const sendPasswordResetEmail = async (userEmail, userName, resetUrl) => {
+  const org = await organizationSettings.getSettings();
   const mailOptions = {
-    from: process.env.EMAIL_FROM || '"VIN On Spot" <no-reply@vossystem.com>',
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
     to: userEmail,
-    subject: 'VIN On Spot: Password Reset Request',
+    subject: `${org.displayName}: Password Reset Request`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #3b82f6;">VIN On Spot: Password Reset Request</h2>
+        <h2 style="color: #3b82f6;">${org.displayName}: Password Reset Request</h2>
         <p>Hello ${userName},</p>
-        <p>We received a request to reset your password for your VIN On Spot account.</p>
+        <p>We received a request to reset your password for your ${org.displayName} account.</p>
         
         <div style="background: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
           <h3 style="color: #1e293b; margin-top: 0;">Reset Your Password</h3>
@@ -1328,8 +1658,8 @@ const sendPasswordResetEmail = async (userEmail, userName, resetUrl) => {
           </p>
         </div>
         
-        <p>Thank you for using VIN On Spot!</p>
-        <p>Best regards,<br>The VOS Team</p>
+        <p>Thank you for using ${org.displayName}!</p>
+        <p>Best regards,<br>The ${org.shortName} Team</p>
         
         <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb; text-align: center; color: #6b7280; font-size: 12px;">
           <p>If the button above doesn't work, you can copy and paste this link into your browser:</p>
@@ -1355,15 +1685,16 @@ const sendPasswordResetEmail = async (userEmail, userName, resetUrl) => {
  * @returns {Promise} - Promise resolving to the email info
  */
 const sendPasswordResetConfirmationEmail = async (userEmail, userName) => {
+  const org = await organizationSettings.getSettings();
   const mailOptions = {
-    from: process.env.EMAIL_FROM || '"VIN On Spot" <no-reply@vossystem.com>',
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
     to: userEmail,
-    subject: 'VIN On Spot: Password Reset Confirmation',
+    subject: `${org.displayName}: Password Reset Confirmation`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #3b82f6;">VIN On Spot: Password Reset Confirmation</h2>
+        <h2 style="color: #3b82f6;">${org.displayName}: Password Reset Confirmation</h2>
         <p>Hello ${userName},</p>
-        <p>Your password has been successfully reset for your VIN On Spot account.</p>
+        <p>Your password has been successfully reset for your ${org.displayName} account.</p>
         
         <div style="background: #f0fdf4; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #22c55e;">
           <h3 style="color: #166534; margin-top: 0;">Password Reset Complete</h3>
@@ -1386,8 +1717,8 @@ const sendPasswordResetConfirmationEmail = async (userEmail, userName) => {
           </p>
         </div>
         
-        <p>Thank you for using VIN On Spot!</p>
-        <p>Best regards,<br>The VOS Team</p>
+        <p>Thank you for using ${org.displayName}!</p>
+        <p>Best regards,<br>The ${org.shortName} Team</p>
       </div>
     `
   };
@@ -1410,13 +1741,14 @@ const sendPasswordResetConfirmationEmail = async (userEmail, userName) => {
  * @returns {Promise} - Promise resolving to the email info
  */
 const sendDriverLicenseVerifiedEmail = async (customer, vehicle, caseData, frontendUrl) => {
+  const org = await organizationSettings.getSettings();
   const mailOptions = {
-    from: process.env.EMAIL_FROM || '"VIN On Spot" <no-reply@vossystem.com>',
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
     to: customer.email1,
-    subject: 'VIN On Spot: Driver\'s License Verification Approved',
+    subject: `${org.displayName}: Driver's License Verification Approved`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #3b82f6;">VIN On Spot: Driver's License Verification Approved</h2>
+        <h2 style="color: #3b82f6;">${org.displayName}: Driver's License Verification Approved</h2>
         <p>Hello ${customer.firstName} ${customer.lastName},</p>
         <p>Great news! Your driver's license verification has been approved.</p>
         
@@ -1438,8 +1770,8 @@ const sendDriverLicenseVerifiedEmail = async (customer, vehicle, caseData, front
           </p>
         </div>
         
-        <p>Thank you for using VIN On Spot!</p>
-        <p>Best regards,<br>The VOS Team</p>
+        <p>Thank you for using ${org.displayName}!</p>
+        <p>Best regards,<br>The ${org.shortName} Team</p>
       </div>
     `
   };
@@ -1462,13 +1794,14 @@ const sendDriverLicenseVerifiedEmail = async (customer, vehicle, caseData, front
  * @returns {Promise} - Promise resolving to the email info
  */
 const sendDriverLicenseDeclinedEmail = async (customer, vehicle, caseData, frontendUrl) => {
+  const org = await organizationSettings.getSettings();
   const mailOptions = {
-    from: process.env.EMAIL_FROM || '"VIN On Spot" <no-reply@vossystem.com>',
+    from: `"${org.emailSender.name}" <${org.emailSender.email}>`,
     to: customer.email1,
-    subject: 'VIN On Spot: Driver\'s License Verification Issue',
+    subject: `${org.displayName}: Driver's License Verification Issue`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #dc2626;">VIN On Spot: Driver's License Verification Issue</h2>
+        <h2 style="color: #dc2626;">${org.displayName}: Driver's License Verification Issue</h2>
         <p>Hello ${customer.firstName} ${customer.lastName},</p>
         <p>We encountered an issue with your driver's license verification.</p>
         
@@ -1500,8 +1833,8 @@ const sendDriverLicenseDeclinedEmail = async (customer, vehicle, caseData, front
           </p>
         </div>
         
-        <p>Thank you for using VIN On Spot!</p>
-        <p>Best regards,<br>The VOS Team</p>
+        <p>Thank you for using ${org.displayName}!</p>
+        <p>Best regards,<br>The ${org.shortName} Team</p>
       </div>
     `
   };
@@ -1518,6 +1851,8 @@ const sendDriverLicenseDeclinedEmail = async (customer, vehicle, caseData, front
 module.exports = {
   sendCustomerIntakeNotification,
   sendInspectionEmail,
+  sendInspectionCancelledEmail,
+  sendCustomerInspectionCancelledEmail,
   sendEstimatorEmail,
   sendCustomerConfirmationEmail,
   sendQuoteUpdateEmail,
@@ -1532,6 +1867,10 @@ module.exports = {
   sendEstimatorInspectionCompletedNotification,
   sendEstimatorAssignmentEmail,
   sendDeclinedOfferFollowupEmail,
+  sendQuoteExpiredEmail,
+  sendEstimatorQuoteExpiredNotification,
+  sendOnlineOfferExpiredEmail,
+  sendPayoffQuoteLapsingNotification,
   sendPasswordResetEmail,
   sendPasswordResetConfirmationEmail,
   sendDriverLicenseVerifiedEmail,
@@ -0,0 +1,165 @@
+const Case = require('../models/Case');
+const Inspection = require('../models/Inspection');
+const caseWorkflow = require('./caseWorkflow');
+const caseEvents = require('./caseEvents');
+const linkTokens = require('./linkTokens');
+const emailService = require('./email');
+const zapierService = require('./zapier');
+
+// Outcomes of an inspection that didn't happen
+const OUTCOMES = {
+  cancelled: { action: 'cancelled', label: 'cancelled', allowedFrom: ['scheduled', 'in-progress'] },
+  'no-show': { action: 'no-show', label: 'marked as a no-show', allowedFrom: ['scheduled'] }
+};
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Cancel a case's inspection or record that the customer didn't show up.
+ * Frees the inspector's time, moves the case back to scheduling so a new
+ * inspection can be booked, and tells the inspector, customer and Zapier.
+ * @param {Object} params
+ * @param {string} params.caseId
+ * @param {string} params.outcome - 'cancelled' or 'no-show'
+ * @param {string} params.reason - Why, shown to the inspector and customer
+ * @param {boolean} params.notifyCustomer - Email the customer (default true)
+ * @param {Object} params.actor - From caseEvents.actorFromRequest
+ * @returns {Promise<Object>} - { inspection, case }
+ */
+async function closeInspection({ caseId, outcome, reason, notifyCustomer = true, actor }) {
+  const config = OUTCOMES[outcome];
+  if (!config) {
+    throw createError(`Unknown inspection outcome '${outcome}'`, 400);
+  }
+  if (!reason || !String(reason).trim()) {
+    throw createError('A reason is required', 400);
+  }
+
+  const caseData = await Case.findById(caseId)
+    .populate('customer')
+    .populate('vehicle')
+    .populate('inspection');
+
+  if (!caseData) {
+    throw createError('Case not found', 404);
+  }
+  const inspection = caseData.inspection;
+  if (!inspection) {
+    throw createError('No inspection found for this case', 404);
+  }
+  if (!config.allowedFrom.includes(inspection.status)) {
+    throw createError(`An inspection that is ${inspection.status} cannot be ${config.label}`, 409);
+  }
+  if (outcome === 'no-show') {
+    const start = inspection.scheduledStart || inspection.scheduledDate;
+    if (start && new Date(start) > new Date()) {
+      throw createError('An inspection can only be marked as a no-show after its scheduled time', 400);
+    }
+  }
+
+  // Back to scheduling; without an inspection the case can't stay in the inspection stage
+  await caseWorkflow.assertTransition(caseId, { stage: 2, status: 'active' }, { hasInspection: false });
+
+  const userId = actor?.kind === 'user' ? actor.user : undefined;
+
+  // A cancelled or no-show inspection no longer blocks the inspector's calendar
+  const updatedInspection = await Inspection.findByIdAndUpdate(
+    inspection._id,
+    {
+      status: outcome,
+      cancellation: {
+        reason: String(reason).trim(),
+        recordedAt: new Date(),
+        recordedBy: userId
+      },
+      $inc: { 'calendarEvents.sequence': 1 }
+    },
+    { new: true }
+  );
+
+  // The inspector's emailed link stops working
+  await linkTokens.revokeResourceTokens('inspection', inspection._id, {
+    reason: outcome,
+    revokedBy: userId
+  });
+
+  const updatedCase = await caseWorkflow.transitionCase(caseId, { stage: 2, status: 'active' }, {
+    actor,
+    update: { inspection: null }
+  });
+
+  await caseEvents.recordCaseEvent({
+    caseId,
+    type: 'inspection',
+    action: config.action,
+    description: `Inspection ${config.label}: ${updatedInspection.cancellation.reason}`,
+    actor,
+    changes: caseEvents.diffFields(inspection, updatedInspection, caseEvents.AUDITED_FIELDS.inspection),
+    metadata: { inspection: inspection._id }
+  });
+
+  try {
+    await emailService.sendInspectionCancelledEmail(
+      updatedInspection,
+      caseData.customer,
+      caseData.vehicle,
+      updatedInspection.cancellation.reason,
+      { noShow: outcome === 'no-show' }
+    );
+  } catch (emailError) {
+    console.error('Error sending inspection cancelled email:', emailError);
+  }
+
+  if (notifyCustomer && caseData.customer?.email1) {
+    try {
+      await emailService.sendCustomerInspectionCancelledEmail(
+        caseData.customer,
+        caseData.vehicle,
+        updatedInspection,
+        { noShow: outcome === 'no-show' }
+      );
+    } catch (emailError) {
+      console.error('Error sending customer inspection cancelled email:', emailError);
+    }
+  }
+
+  await zapierService.cancelInspection(
+    updatedInspection,
+    { ...updatedCase.toObject(), customer: caseData.customer, vehicle: caseData.vehicle },
+    updatedInspection.cancellation.reason
+  );
+
+  return { inspection: updatedInspection, case: updatedCase };
+}
+
+/**
+ * Count inspections by outcome with cancellation and no-show rates
+ * @param {Array} inspections - Inspections with status
+ * @returns {Object} - Counts, and rates as percentages
+ */
+function summarizeOutcomes(inspections) {
+  const summary = { total: inspections.length, scheduled: 0, inProgress: 0, completed: 0, cancelled: 0, noShow: 0 };
+  inspections.forEach(inspection => {
+    if (inspection.status === 'completed' || inspection.completed) summary.completed += 1;
+    else if (inspection.status === 'no-show') summary.noShow += 1;
+    else if (inspection.status === 'cancelled') summary.cancelled += 1;
+    else if (inspection.status === 'in-progress') summary.inProgress += 1;
+    else summary.scheduled += 1;
+  });
+
+  // No-shows out of the appointments that were due to take place
+  const attended = summary.completed + summary.noShow;
+  summary.noShowRate = attended > 0 ? (summary.noShow / attended) * 100 : 0;
+  summary.cancellationRate = summary.total > 0 ? (summary.cancelled / summary.total) * 100 : 0;
+  return summary;
+}
+
+module.exports = {
+  OUTCOMES,
+  closeInspection,
+  summarizeOutcomes
+};
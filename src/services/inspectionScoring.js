@@ -0,0 +1,160 @@
+// Question types scored from their option points
+const OPTION_TYPES = ['radio', 'checkbox', 'yesno'];
+
+// Rating questions are answered on a 1-5 scale and score their value
+const MAX_RATING = 5;
+
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+const isAnswered = (answer) => {
+  if (answer === undefined || answer === null) return false;
+  if (typeof answer === 'string') return answer.trim() !== '';
+  if (Array.isArray(answer)) return answer.length > 0;
+  return true;
+};
+
+// The inspector app sends yes/no answers as booleans or as the option value
+const answerValues = (answer) => {
+  const values = Array.isArray(answer) ? answer : [answer];
+  return values
+    .filter(value => value !== undefined && value !== null)
+    .map(value => {
+      if (value === true) return 'yes';
+      if (value === false) return 'no';
+      if (typeof value === 'object' && value.value !== undefined) return String(value.value);
+      return String(value);
+    });
+};
+
+/**
+ * Score a single question (or sub-question) from its option points
+ * @param {Object} question - Question with type, options and answer
+ * @returns {Object} - { score, maxScore }
+ */
+function scoreQuestion(question) {
+  const options = question.options || [];
+
+  if (question.type === 'rating') {
+    const rating = Number(question.answer);
+    return {
+      score: Number.isFinite(rating) ? Math.min(Math.max(rating, 0), MAX_RATING) : 0,
+      maxScore: MAX_RATING
+    };
+  }
+
+  if (!OPTION_TYPES.includes(question.type) || options.length === 0) {
+    return { score: 0, maxScore: 0 };
+  }
+
+  const points = (option) => Number(option.points) || 0;
+  const selected = answerValues(question.answer);
+  const selectedOptions = options.filter(option => selected.includes(String(option.value)));
+
+  if (question.type === 'checkbox') {
+    return {
+      score: selectedOptions.reduce((sum, option) => sum + points(option), 0),
+      maxScore: options.reduce((sum, option) => sum + Math.max(points(option), 0), 0)
+    };
+  }
+
+  return {
+    score: selectedOptions.length > 0 ? points(selectedOptions[0]) : 0,
+    maxScore: Math.max(0, ...options.map(points))
+  };
+}
+
+/**
+ * Compute section and overall scores. Unanswered questions count towards the
+ * maximum but score nothing.
+ * @param {Array<Object>} sections - Inspection sections with answers
+ * @returns {Object} - { sections, overallScore, maxPossibleScore } with score/maxScore set on each section
+ */
+function scoreInspection(sections) {
+  let overallScore = 0;
+  let maxPossibleScore = 0;
+
+  const scoredSections = (sections || []).map(rawSection => {
+    const section = toPlain(rawSection);
+    let score = 0;
+    let maxScore = 0;
+
+    (section.questions || []).forEach(question => {
+      [question, ...(question.subQuestions || [])].forEach(item => {
+        const result = scoreQuestion(item);
+        score += result.score;
+        maxScore += result.maxScore;
+      });
+    });
+
+    overallScore += score;
+    maxPossibleScore += maxScore;
+
+    return { ...section, score, maxScore };
+  });
+
+  return { sections: scoredSections, overallScore, maxPossibleScore };
+}
+
+/**
+ * List the required answers and photos that are still missing
+ * @param {Array<Object>} sections - Inspection sections with answers
+ * @returns {Array<Object>} - [{ sectionId, sectionName, questionId, question, reason, required, provided, message }]
+ */
+function findMissingItems(sections) {
+  const missing = [];
+
+  (sections || []).forEach(rawSection => {
+    const section = toPlain(rawSection);
+    const sectionPhotos = (section.photos || []).length;
+
+    if (section.minPhotos && sectionPhotos < section.minPhotos) {
+      missing.push({
+        sectionId: section.id,
+        sectionName: section.name,
+        questionId: null,
+        question: null,
+        reason: 'photos',
+        required: section.minPhotos,
+        provided: sectionPhotos,
+        message: `${section.name} needs ${section.minPhotos} photo(s), ${sectionPhotos} attached`
+      });
+    }
+
+    (section.questions || []).forEach(question => {
+      if (question.required && !isAnswered(question.answer)) {
+        missing.push({
+          sectionId: section.id,
+          sectionName: section.name,
+          questionId: question.id,
+          question: question.question,
+          reason: 'answer',
+          required: 1,
+          provided: 0,
+          message: `${section.name}: "${question.question}" must be answered`
+        });
+      }
+
+      const photos = (question.photos || []).length;
+      if (question.minPhotos && photos < question.minPhotos) {
+        missing.push({
+          sectionId: section.id,
+          sectionName: section.name,
+          questionId: question.id,
+          question: question.question,
+          reason: 'photos',
+          required: question.minPhotos,
+          provided: photos,
+          message: `${section.name}: "${question.question}" needs ${question.minPhotos} photo(s), ${photos} attached`
+        });
+      }
+    });
+  });
+
+  return missing;
+}
+
+module.exports = {
+  scoreQuestion,
+  scoreInspection,
+  findMissingItems
+};
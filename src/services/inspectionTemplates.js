@@ -0,0 +1,417 @@
+const InspectionTemplate = require('../models/InspectionTemplate');
+
+// Template used for inspections unless another key is requested when scheduling
+const DEFAULT_TEMPLATE_KEY = 'standard';
+
+const conditionOptions = () => [
+  { value: 'excellent', label: 'Excellent', points: 4 },
+  { value: 'good', label: 'Good', points: 3 },
+  { value: 'fair', label: 'Fair', points: 2 },
+  { value: 'poor', label: 'Poor', points: 0 }
+];
+
+const yesNoOptions = (yesPoints, noPoints) => [
+  { value: 'yes', label: 'Yes', points: yesPoints },
+  { value: 'no', label: 'No', points: noPoints }
+];
+
+// Seeded as version 1 of the standard template the first time it is requested
+const DEFAULT_TEMPLATE = {
+  key: DEFAULT_TEMPLATE_KEY,
+  name: 'Standard Vehicle Inspection',
+  description: 'Default checklist for on-site vehicle inspections',
+  sections: [
+    {
+      id: 'exterior',
+      name: 'Exterior',
+      icon: 'car',
+      minPhotos: 4,
+      questions: [
+        { id: 'exterior-body', question: 'Overall body condition', type: 'radio', options: conditionOptions(), required: true },
+        { id: 'exterior-paint', question: 'Paint condition', type: 'radio', options: conditionOptions(), required: true },
+        { id: 'exterior-damage', question: 'Is there any visible body damage?', type: 'yesno', options: yesNoOptions(0, 4), required: true },
+        { id: 'exterior-glass', question: 'Windshield and glass condition', type: 'radio', options: conditionOptions(), required: true },
+        { id: 'exterior-notes', question: 'Exterior notes', type: 'text' }
+      ]
+    },
+    {
+      id: 'interior',
+      name: 'Interior',
+      icon: 'seat',
+      minPhotos: 2,
+      questions: [
+        { id: 'interior-seats', question: 'Seats and upholstery condition', type: 'radio', options: conditionOptions(), required: true },
+        { id: 'interior-dashboard', question: 'Dashboard and controls condition', type: 'radio', options: conditionOptions(), required: true },
+        { id: 'interior-warning-lights', question: 'Are any warning lights on?', type: 'yesno', options: yesNoOptions(0, 4), required: true },
+        { id: 'interior-odor', question: 'Any smoke, pet or mildew odor?', type: 'yesno', options: yesNoOptions(0, 2) },
+        { id: 'interior-odometer', question: 'Odometer reading', type: 'number', required: true, minPhotos: 1 }
+      ]
+    },
+    {
+      id: 'engine',
+      name: 'Engine & Transmission',
+      icon: 'engine',
+      appliesTo: 'non-electric',
+      questions: [
+        { id: 'engine-start', question: 'Does the engine start and idle smoothly?', type: 'yesno', options: yesNoOptions(4, 0), required: true },
+        { id: 'engine-leaks', question: 'Any visible fluid leaks?', type: 'yesno', options: yesNoOptions(0, 4), required: true },
+        { id: 'engine-noise', question: 'Any abnormal engine noise?', type: 'yesno', options: yesNoOptions(0, 4), required: true },
+        { id: 'transmission-shifting', question: 'Transmission shifting', type: 'radio', options: conditionOptions(), required: true }
+      ]
+    },
+    {
+      id: 'ev-battery',
+      name: 'Battery & Charging',
+      icon: 'battery',
+      appliesTo: 'electric',
+      minPhotos: 1,
+      questions: [
+        { id: 'ev-battery-health', question: 'Battery state of health (%)', type: 'number', required: true, minPhotos: 1 },
+        { id: 'ev-range', question: 'Displayed range at full charge (miles)', type: 'number' },
+        { id: 'ev-charge-port', question: 'Charge port and cable condition', type: 'radio', options: conditionOptions(), required: true },
+        { id: 'ev-charging-test', question: 'Does the vehicle accept a charge?', type: 'yesno', options: yesNoOptions(4, 0), required: true },
+        { id: 'ev-battery-warnings', question: 'Any high voltage or battery warnings?', type: 'yesno', options: yesNoOptions(0, 4), required: true }
+      ]
+    },
+    {
+      id: 'tires-brakes',
+      name: 'Tires & Brakes',
+      icon: 'tire',
+      questions: [
+        { id: 'tires-tread', question: 'Tire tread condition', type: 'radio', options: conditionOptions(), required: true },
+        { id: 'tires-matching', question: 'Are all four tires matching?', type: 'yesno', options: yesNoOptions(2, 0) },
+        { id: 'brakes-condition', question: 'Brake condition', type: 'radio', options: conditionOptions(), required: true }
+      ]
+    },
+    {
+      id: 'test-drive',
+      name: 'Test Drive',
+      icon: 'road',
+      questions: [
+        { id: 'test-drive-performed', question: 'Was a test drive performed?', type: 'yesno', options: yesNoOptions(0, 0), required: true },
+        { id: 'test-drive-handling', question: 'Steering and handling', type: 'radio', options: conditionOptions() },
+        { id: 'test-drive-notes', question: 'Test drive notes', type: 'text' }
+      ]
+    }
+  ]
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Check an id and its legacy ids against the ids already used in the template
+const checkIds = (item, itemPath, usedIds, errors) => {
+  if (item.legacyIds !== undefined && !(Array.isArray(item.legacyIds) && item.legacyIds.every(id => !isBlank(id)))) {
+    errors.push(`${itemPath}.legacyIds must be a list of ids`);
+    return;
+  }
+  (item.legacyIds || []).forEach(id => {
+    if (usedIds.has(id)) {
+      errors.push(`${itemPath} legacy id "${id}" is used more than once`);
+    }
+    usedIds.add(id);
+  });
+};
+
+/**
+ * Check a template definition before it is saved
+ * @param {Object} template - { name, sections }
+ * @returns {Array<string>} - Error messages, empty if valid
+ */
+function validateTemplate(template) {
+  const errors = [];
+
+  if (!template || typeof template !== 'object') {
+    return ['template must be an object'];
+  }
+  if (isBlank(template.name)) {
+    errors.push('name is required');
+  }
+  if (!Array.isArray(template.sections) || template.sections.length === 0) {
+    errors.push('sections must be a non-empty array');
+    return errors;
+  }
+
+  const sectionIds = new Set();
+  const questionIds = new Set();
+
+  template.sections.forEach((section, sectionIndex) => {
+    const sectionPath = `sections[${sectionIndex}]`;
+    if (isBlank(section.id) || isBlank(section.name)) {
+      errors.push(`${sectionPath} needs an id and a name`);
+    } else if (sectionIds.has(section.id)) {
+      errors.push(`${sectionPath} id "${section.id}" is used more than once`);
+    }
+    sectionIds.add(section.id);
+    checkIds(section, sectionPath, sectionIds, errors);
+
+    if (section.appliesTo && !['all', 'electric', 'non-electric'].includes(section.appliesTo)) {
+      errors.push(`${sectionPath}.appliesTo must be all, electric or non-electric`);
+    }
+
+    (section.questions || []).forEach((question, questionIndex) => {
+      const questionPath = `${sectionPath}.questions[${questionIndex}]`;
+      if (isBlank(question.id) || isBlank(question.question)) {
+        errors.push(`${questionPath} needs an id and a question`);
+      } else if (questionIds.has(question.id)) {
+        errors.push(`${questionPath} id "${question.id}" is used more than once`);
+      }
+      questionIds.add(question.id);
+      checkIds(question, questionPath, questionIds, errors);
+
+      if (!InspectionTemplate.QUESTION_TYPES.includes(question.type)) {
+        errors.push(`${questionPath}.type must be one of ${InspectionTemplate.QUESTION_TYPES.join(', ')}`);
+      }
+      if (['radio', 'checkbox'].includes(question.type) && (!Array.isArray(question.options) || question.options.length === 0)) {
+        errors.push(`${questionPath} needs options`);
+      }
+      (question.options || []).forEach((option, optionIndex) => {
+        if (isBlank(option.value)) {
+          errors.push(`${questionPath}.options[${optionIndex}] needs a value`);
+        }
+        if (option.points !== undefined && typeof option.points !== 'number') {
+          errors.push(`${questionPath}.options[${optionIndex}].points must be a number`);
+        }
+      });
+      if (question.minPhotos !== undefined && !(Number.isInteger(question.minPhotos) && question.minPhotos >= 0)) {
+        errors.push(`${questionPath}.minPhotos must be a whole number`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Get the active version of a template. The standard template is seeded from
+ * DEFAULT_TEMPLATE the first time it is needed.
+ * @param {string} key - Template key
+ * @returns {Promise<Object|null>} - InspectionTemplate document, or null if the key has no active version
+ */
+async function getActiveTemplate(key = DEFAULT_TEMPLATE_KEY) {
+  const normalizedKey = String(key).toLowerCase();
+  const template = await InspectionTemplate.findOne({ key: normalizedKey, active: true }).sort({ version: -1 });
+
+  if (template || normalizedKey !== DEFAULT_TEMPLATE_KEY) {
+    return template;
+  }
+
+  try {
+    return await InspectionTemplate.create({ ...DEFAULT_TEMPLATE, version: 1, notes: 'Default template' });
+  } catch (error) {
+    // Another request seeded it first
+    if (error.code === 11000) {
+      return InspectionTemplate.findOne({ key: normalizedKey, active: true }).sort({ version: -1 });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Save a new version of a template and make it the active one
+ * @param {string} key - Template key
+ * @param {Object} definition - { name, description, sections }
+ * @param {string} userId - Admin saving the template
+ * @param {string} notes - What changed
+ * @returns {Promise<Object>} - The new InspectionTemplate document
+ */
+async function saveTemplateVersion(key, definition, userId, notes) {
+  const normalizedKey = String(key || '').trim().toLowerCase();
+  const errors = isBlank(normalizedKey) ? ['key is required'] : validateTemplate(definition);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid inspection template: ${errors.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const latest = await InspectionTemplate.findOne({ key: normalizedKey }).sort({ version: -1 });
+
+  const template = await InspectionTemplate.create({
+    key: normalizedKey,
+    name: definition.name,
+    description: definition.description,
+    sections: definition.sections,
+    version: latest ? latest.version + 1 : 1,
+    active: true,
+    notes,
+    createdBy: userId
+  });
+
+  await InspectionTemplate.updateMany(
+    { key: normalizedKey, _id: { $ne: template._id }, active: true },
+    { active: false }
+  );
+
+  return template;
+}
+
+/**
+ * Sections of a template that apply to a vehicle
+ * @param {Object} template - InspectionTemplate document
+ * @param {Object} vehicle - Vehicle document (isElectric decides the EV sections)
+ * @returns {Array<Object>} - Template sections
+ */
+function sectionsForVehicle(template, vehicle) {
+  const isElectric = !!(vehicle && vehicle.isElectric);
+  return (template.sections || []).filter(section => {
+    if (section.appliesTo === 'electric') return isElectric;
+    if (section.appliesTo === 'non-electric') return !isElectric;
+    return true;
+  });
+}
+
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+// A question the template doesn't know, kept as sent with what storing it needs.
+// Points only come from templates, so its options don't score.
+const questionAsSent = (question) => ({
+  ...toPlain(question),
+  question: question.question || question.id,
+  type: InspectionTemplate.QUESTION_TYPES.includes(question.type) ? question.type : 'text',
+  options: (question.options || []).map(option => ({ value: option.value, label: option.label })),
+  subQuestions: (question.subQuestions || []).map(subQuestion => ({
+    ...subQuestion,
+    options: (subQuestion.options || []).map(option => ({ value: option.value, label: option.label }))
+  }))
+});
+
+const sectionAsSent = (section) => ({
+  ...section,
+  name: section.name || section.id,
+  questions: (section.questions || []).filter(q => q && q.id).map(questionAsSent)
+});
+
+// Template id for each id (current or legacy) of a list of sections or questions
+const idsByAlias = (items) => new Map(items.flatMap(item => [
+  [item.id, item.id],
+  ...(item.legacyIds || []).map(legacyId => [legacyId, item.id])
+]));
+
+/**
+ * Build an inspection's sections from its pinned template, taking only the
+ * inspector's answers, notes and photos from the submitted data. Question text,
+ * options and points always come from the template. Ids listed as a section's or
+ * question's legacyIds are read as that section or question; anything else the
+ * template doesn't know is kept as sent, without points, so answers from older
+ * app versions aren't lost.
+ * @param {Object} template - InspectionTemplate document the inspection is pinned to
+ * @param {Object} vehicle - Vehicle being inspected
+ * @param {Array<Object>} submittedSections - Sections sent by the inspector app (or stored on the inspection)
+ * @returns {Object} - { sections, unmatched } where unmatched describes what was kept as sent
+ */
+function buildInspectionSections(template, vehicle, submittedSections = []) {
+  const unmatched = [];
+  const templateSections = sectionsForVehicle(template, vehicle);
+  const sectionIds = idsByAlias(templateSections);
+
+  const submittedById = new Map();
+  const extraSections = [];
+  (submittedSections || []).forEach(section => {
+    if (!section || !section.id) {
+      return;
+    }
+    if (sectionIds.has(section.id)) {
+      submittedById.set(sectionIds.get(section.id), toPlain(section));
+    } else {
+      unmatched.push(`section "${section.id}"`);
+      extraSections.push(sectionAsSent(toPlain(section)));
+    }
+  });
+
+  const sections = templateSections.map(templateSection => {
+    const submitted = submittedById.get(templateSection.id) || {};
+    const questionIds = idsByAlias(templateSection.questions);
+
+    const submittedQuestions = new Map();
+    const extraQuestions = [];
+    (submitted.questions || []).filter(q => q && q.id).forEach(question => {
+      if (questionIds.has(question.id)) {
+        submittedQuestions.set(questionIds.get(question.id), question);
+      } else {
+        unmatched.push(`question "${question.id}" in section "${templateSection.id}"`);
+        extraQuestions.push(questionAsSent(question));
+      }
+    });
+
+    return {
+      id: templateSection.id,
+      name: templateSection.name,
+      description: templateSection.description || '',
+      icon: templateSection.icon || '',
+      minPhotos: templateSection.minPhotos || 0,
+      questions: templateSection.questions.map(templateQuestion => {
+        const answered = submittedQuestions.get(templateQuestion.id) || {};
+        const answeredSubQuestions = new Map(
+          (answered.subQuestions || []).filter(sq => sq && sq.id).map(sq => [sq.id, sq])
+        );
+
+        return {
+          id: templateQuestion.id,
+          question: templateQuestion.question,
+          type: templateQuestion.type,
+          options: toPlain(templateQuestion.options) || [],
+          required: templateQuestion.required || false,
+          minPhotos: templateQuestion.minPhotos || 0,
+          answer: answered.answer,
+          notes: answered.notes || '',
+          photos: Array.isArray(answered.photos) ? answered.photos : [],
+          subQuestions: (templateQuestion.subQuestions || []).map(templateSubQuestion => {
+            const answeredSub = answeredSubQuestions.get(templateSubQuestion.id) || {};
+            return {
+              id: templateSubQuestion.id,
+              question: templateSubQuestion.question,
+              type: templateSubQuestion.type,
+              options: toPlain(templateSubQuestion.options) || [],
+              answer: answeredSub.answer,
+              notes: answeredSub.notes || '',
+              photos: Array.isArray(answeredSub.photos) ? answeredSub.photos : []
+            };
+          })
+        };
+      }).concat(extraQuestions),
+      rating: submitted.rating || 0,
+      photos: Array.isArray(submitted.photos) ? submitted.photos : [],
+      score: submitted.score || 0,
+      maxScore: submitted.maxScore || 0,
+      completed: submitted.completed || false
+    };
+  });
+
+  return { sections: sections.concat(extraSections), unmatched };
+}
+
+/**
+ * Reference stored on an inspection to pin it to a template version
+ * @param {Object} template - InspectionTemplate document
+ * @returns {Object} - { id, key, version }
+ */
+function templateRef(template) {
+  return {
+    id: template._id,
+    key: template.key,
+    version: template.version
+  };
+}
+
+/**
+ * Get the template version an inspection is pinned to
+ * @param {Object} inspection - Inspection document
+ * @returns {Promise<Object|null>} - InspectionTemplate document, or null for inspections started before templates
+ */
+async function getTemplateForInspection(inspection) {
+  if (!inspection || !inspection.template || !inspection.template.id) {
+    return null;
+  }
+  return InspectionTemplate.findById(inspection.template.id);
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE_KEY,
+  DEFAULT_TEMPLATE,
+  validateTemplate,
+  getActiveTemplate,
+  saveTemplateVersion,
+  sectionsForVehicle,
+  buildInspectionSections,
+  templateRef,
+  getTemplateForInspection
+};
@@ -0,0 +1,504 @@
+const InspectorAvailability = require('../models/InspectorAvailability');
+const Inspection = require('../models/Inspection');
+const Location = require('../models/Location');
+const SlotHold = require('../models/SlotHold');
+const User = require('../models/User');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const DEFAULT_TIMEZONE = 'America/Chicago';
+
+// Hours offered as open slots until an inspector sets their own. Bookings made by
+// staff aren't held to them: inspectors without saved hours can be booked any time
+// they're not off or busy, as before hours could be set.
+const DEFAULT_WORKING_HOURS = [1, 2, 3, 4, 5].map(dayOfWeek => ({ dayOfWeek, start: '09:00', end: '17:00' }));
+
+// Open slots are offered every half hour
+const SLOT_STEP_MINUTES = 30;
+
+// Inspections that still hold the inspector's time
+const ACTIVE_STATUSES = ['scheduled', 'in-progress'];
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Parse "14:30", "2:30 PM" or "2 pm" into minutes after midnight
+ * @param {string} value - Time of day
+ * @returns {number|null} - Minutes, or null when the value isn't a time
+ */
+function parseTimeOfDay(value) {
+  if (!value) {
+    return null;
+  }
+
+  const match = String(value).trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+  if (!match) {
+    return null;
+  }
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const period = match[3] && match[3].toLowerCase();
+
+  if (!period && !match[2]) {
+    return null;
+  }
+  if (period) {
+    if (hours < 1 || hours > 12) {
+      return null;
+    }
+    if (period === 'pm' && hours !== 12) hours += 12;
+    if (period === 'am' && hours === 12) hours = 0;
+  }
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+  return hours * 60 + minutes;
+}
+
+/**
+ * Format minutes after midnight as "HH:mm"
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatTimeOfDay(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Calendar day of a scheduledDate as "YYYY-MM-DD". Date pickers send the day
+ * as a string, which is stored as midnight UTC.
+ * @param {string|Date} value
+ * @returns {string|null}
+ */
+function toDateKey(value) {
+  if (!value) {
+    return null;
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return value.slice(0, 10);
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+// Minutes the zone is ahead of UTC at an instant
+function zoneOffsetMinutes(instant, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(instant);
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'));
+  return Math.round((asUtc - Math.floor(instant.getTime() / MINUTE_MS) * MINUTE_MS) / MINUTE_MS);
+}
+
+/**
+ * The instant a wall clock time happens in a timezone
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @param {number} minutes - Minutes after midnight
+ * @param {string} timeZone - IANA zone
+ * @returns {Date}
+ */
+function zonedTime(dateKey, minutes, timeZone) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  // Check the offset again at the result in case a DST change falls in between
+  const firstGuess = wallClock - zoneOffsetMinutes(new Date(wallClock), timeZone) * MINUTE_MS;
+  return new Date(wallClock - zoneOffsetMinutes(new Date(firstGuess), timeZone) * MINUTE_MS);
+}
+
+// Day of the week of a calendar day, 0 = Sunday
+const dayOfWeek = (dateKey) => new Date(`${dateKey}T12:00:00Z`).getUTCDay();
+
+const addDays = (dateKey, days) => new Date(new Date(`${dateKey}T12:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+// Availability settings with defaults for anything not saved
+const withDefaults = (inspectorUser, saved, timezone) => ({
+  inspector: inspectorUser ? inspectorUser._id : null,
+  timezone: saved?.timezone || timezone || DEFAULT_TIMEZONE,
+  workingHours: saved?.workingHours?.length ? saved.workingHours : DEFAULT_WORKING_HOURS,
+  workingHoursSet: Boolean(saved?.workingHours?.length),
+  timeOff: saved?.timeOff || [],
+  travelBufferMinutes: saved?.travelBufferMinutes ?? 30,
+  inspectionDurationMinutes: saved?.inspectionDurationMinutes ?? 60,
+  updatedAt: saved?.updatedAt || null
+});
+
+const locationIdOf = (user) => user.locationId && (user.locationId._id || user.locationId);
+
+/**
+ * Availability settings of several inspectors, loaded together
+ * @param {Array<Object>} inspectorUsers - Inspector Users
+ * @returns {Promise<Map>} - Availability (as from getAvailability) by inspector _id string
+ */
+async function getAvailabilities(inspectorUsers) {
+  if (inspectorUsers.length === 0) {
+    return new Map();
+  }
+
+  const saved = await InspectorAvailability.find({ inspector: { $in: inspectorUsers.map(user => user._id) } }).lean();
+  const savedByInspector = new Map(saved.map(availability => [String(availability.inspector), availability]));
+
+  // Inspectors without their own timezone use their location's
+  const locationIds = inspectorUsers
+    .filter(user => !savedByInspector.get(String(user._id))?.timezone && locationIdOf(user))
+    .map(locationIdOf);
+  const timezones = new Map();
+  if (locationIds.length > 0) {
+    const found = await Location.find({ _id: { $in: locationIds } }).select('timezone');
+    found.forEach(location => timezones.set(String(location._id), location.timezone));
+  }
+
+  return new Map(inspectorUsers.map(user => [
+    String(user._id),
+    withDefaults(user, savedByInspector.get(String(user._id)), locationIdOf(user) && timezones.get(String(locationIdOf(user))))
+  ]));
+}
+
+/**
+ * Availability settings of an inspector, with defaults for anything not set
+ * @param {Object} inspectorUser - The inspector's User
+ * @returns {Promise<Object>}
+ */
+async function getAvailability(inspectorUser) {
+  if (!inspectorUser) {
+    return withDefaults(null, null, null);
+  }
+  return (await getAvailabilities([inspectorUser])).get(String(inspectorUser._id));
+}
+
+/**
+ * Start and end of an appointment
+ * @param {string|Date} scheduledDate - Calendar day
+ * @param {string} scheduledTime - Time of day
+ * @param {Object} availability - From getAvailability()
+ * @returns {Object|null} - { scheduledStart, scheduledEnd, scheduledTime }, null when the date or time can't be read
+ */
+function appointmentWindow(scheduledDate, scheduledTime, availability) {
+  const dateKey = toDateKey(scheduledDate);
+  const minutes = parseTimeOfDay(scheduledTime);
+  if (!dateKey || minutes === null) {
+    return null;
+  }
+
+  const scheduledStart = zonedTime(dateKey, minutes, availability.timezone);
+  return {
+    scheduledStart,
+    scheduledEnd: new Date(scheduledStart.getTime() + availability.inspectionDurationMinutes * MINUTE_MS),
+    scheduledTime: formatTimeOfDay(minutes)
+  };
+}
+
+/**
+ * Calendar day and time of day of an instant in a timezone
+ * @param {Date} instant
+ * @param {string} timeZone - IANA zone
+ * @returns {Object} - { date: "YYYY-MM-DD", time: "HH:mm" }
+ */
+function wallClock(instant, timeZone) {
+  const date = new Intl.DateTimeFormat('en-CA', { timeZone }).format(instant);
+  const minutes = Math.round((instant.getTime() - zonedTime(date, 0, timeZone).getTime()) / MINUTE_MS);
+  return { date, time: formatTimeOfDay(minutes) };
+}
+
+/**
+ * Appointments already booked for several inspectors between two instants, loaded
+ * together. Inspections booked before start and end times were stored are read
+ * from their date and time. Slots online sellers are holding count as booked too.
+ * @param {Array<Object>} inspectors - [{ user, email, availability }]; user is null for an unknown inspector
+ * @param {Date} from
+ * @param {Date} to
+ * @param {Object} exclude - { inspectionId, submissionId } being rescheduled or booked
+ * @returns {Promise<Map>} - Bookings ([{ inspection, hold, start, end }]) by inspector email
+ */
+async function bookedWindowsByInspector(inspectors, from, to, exclude = {}) {
+  const byEmail = new Map(inspectors.map(inspector => [inspector.email, []]));
+  if (inspectors.length === 0) {
+    return byEmail;
+  }
+
+  const filter = {
+    'inspector.email': { $in: inspectors.map(inspector => inspector.email) },
+    status: { $in: ACTIVE_STATUSES },
+    $or: [
+      { scheduledStart: { $lt: to }, scheduledEnd: { $gt: from } },
+      {
+        scheduledStart: null,
+        scheduledDate: { $gte: new Date(from.getTime() - DAY_MS), $lte: new Date(to.getTime() + DAY_MS) }
+      }
+    ]
+  };
+  if (exclude.inspectionId) {
+    filter._id = { $ne: exclude.inspectionId };
+  }
+
+  const inspections = await Inspection.find(filter).select('scheduledStart scheduledEnd scheduledDate scheduledTime caseId inspector.email');
+  const availabilityByEmail = new Map(inspectors.map(inspector => [inspector.email, inspector.availability]));
+
+  inspections.forEach(inspection => {
+    const email = inspection.inspector?.email;
+    let booking = null;
+    if (inspection.scheduledStart) {
+      booking = { inspection, start: inspection.scheduledStart, end: inspection.scheduledEnd };
+    } else {
+      const window = appointmentWindow(inspection.scheduledDate, inspection.scheduledTime, availabilityByEmail.get(email));
+      booking = window && { inspection, start: window.scheduledStart, end: window.scheduledEnd };
+    }
+    if (booking && booking.start < to && booking.end > from && byEmail.has(email)) {
+      byEmail.get(email).push(booking);
+    }
+  });
+
+  const known = inspectors.filter(inspector => inspector.user);
+  if (known.length === 0) {
+    return byEmail;
+  }
+
+  const holdFilter = {
+    inspector: { $in: known.map(inspector => inspector.user._id) },
+    status: 'held',
+    expiresAt: { $gt: new Date() },
+    scheduledStart: { $lt: to },
+    scheduledEnd: { $gt: from }
+  };
+  if (exclude.submissionId) {
+    holdFilter.submission = { $ne: exclude.submissionId };
+  }
+
+  const holds = await SlotHold.find(holdFilter).select('inspector scheduledStart scheduledEnd submission');
+  const emailById = new Map(known.map(inspector => [String(inspector.user._id), inspector.email]));
+  holds.forEach(hold => {
+    const email = emailById.get(String(hold.inspector));
+    if (email) {
+      byEmail.get(email).push({ hold, start: hold.scheduledStart, end: hold.scheduledEnd });
+    }
+  });
+
+  return byEmail;
+}
+
+/**
+ * Appointments already booked for an inspector between two instants
+ * @param {Object} inspectorUser - The inspector's User, null for an unknown inspector
+ * @param {string} email - Inspector email
+ * @param {Date} from
+ * @param {Date} to
+ * @param {Object} availability - From getAvailability()
+ * @param {Object} exclude - { inspectionId, submissionId } being rescheduled or booked
+ * @returns {Promise<Array>} - [{ inspection, hold, start, end }]
+ */
+async function bookedWindows(inspectorUser, email, from, to, availability, exclude = {}) {
+  const byEmail = await bookedWindowsByInspector([{ user: inspectorUser, email, availability }], from, to, exclude);
+  return byEmail.get(email);
+}
+
+/**
+ * Why a time can't be booked, or null when it can
+ * @param {Object} availability - From getAvailability()
+ * @param {Date} start
+ * @param {Date} end
+ * @param {Array} bookings - From bookedWindows()
+ * @param {Object} options
+ * @param {boolean} options.defaultHours - Hold inspectors without saved hours to DEFAULT_WORKING_HOURS
+ * @returns {Object|null} - { message, statusCode }
+ */
+function slotProblem(availability, start, end, bookings, { defaultHours = false } = {}) {
+  const dateKey = new Intl.DateTimeFormat('en-CA', { timeZone: availability.timezone }).format(start);
+  const dayStart = zonedTime(dateKey, 0, availability.timezone).getTime();
+  const startMinutes = Math.round((start.getTime() - dayStart) / MINUTE_MS);
+  const endMinutes = startMinutes + Math.round((end.getTime() - start.getTime()) / MINUTE_MS);
+
+  const withinHours = (!availability.workingHoursSet && !defaultHours) || availability.workingHours
+    .filter(hours => hours.dayOfWeek === dayOfWeek(dateKey))
+    .some(hours => parseTimeOfDay(hours.start) <= startMinutes && endMinutes <= parseTimeOfDay(hours.end));
+  if (!withinHours) {
+    return { message: 'Inspector is not working at that time', statusCode: 409 };
+  }
+
+  const timeOff = availability.timeOff.find(block => new Date(block.start) < end && new Date(block.end) > start);
+  if (timeOff) {
+    return { message: `Inspector is off at that time${timeOff.reason ? ` (${timeOff.reason})` : ''}`, statusCode: 409 };
+  }
+
+  const buffer = availability.travelBufferMinutes * MINUTE_MS;
+  const clash = bookings.find(booking =>
+    booking.start.getTime() < end.getTime() + buffer && booking.end.getTime() + buffer > start.getTime()
+  );
+  if (clash?.hold) {
+    return { message: 'That time is being held for another customer', statusCode: 409 };
+  }
+  if (clash) {
+    return {
+      message: `Inspector already has an inspection from ${formatTimeOfDay(Math.round((clash.start.getTime() - dayStart) / MINUTE_MS))} that day (including ${availability.travelBufferMinutes} minutes travel time)`,
+      statusCode: 409
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Make sure an inspector is free for an appointment and work out its start and end.
+ * Throws 400 for an unreadable date or time and 409 when the inspector isn't available.
+ * Working hours only apply once the inspector has saved them.
+ * @param {Object} params
+ * @param {Object} params.inspector - Inspector details with an email
+ * @param {string|Date} params.scheduledDate - Calendar day
+ * @param {string} params.scheduledTime - Time of day
+ * @param {string} params.excludeInspectionId - The inspection being rescheduled
+ * @param {string} params.excludeSubmissionId - Online submission whose own hold is being booked
+ * @returns {Promise<Object>} - { scheduledStart, scheduledEnd, scheduledTime }
+ */
+async function assertInspectorAvailable({ inspector, scheduledDate, scheduledTime, excludeInspectionId, excludeSubmissionId }) {
+  if (!inspector?.email) {
+    throw createError('Inspector email is required', 400);
+  }
+
+  const inspectorUser = await User.findOne({ email: inspector.email });
+  const availability = await getAvailability(inspectorUser);
+
+  const window = appointmentWindow(scheduledDate, scheduledTime, availability);
+  if (!window) {
+    throw createError('Scheduled date and time are required, e.g. 2025-06-01 and 14:30 or 2:30 PM', 400);
+  }
+
+  const bookings = await bookedWindows(
+    inspectorUser,
+    inspector.email,
+    new Date(window.scheduledStart.getTime() - DAY_MS),
+    new Date(window.scheduledEnd.getTime() + DAY_MS),
+    availability,
+    { inspectionId: excludeInspectionId, submissionId: excludeSubmissionId }
+  );
+
+  const problem = slotProblem(availability, window.scheduledStart, window.scheduledEnd, bookings);
+  if (problem) {
+    throw createError(problem.message, problem.statusCode);
+  }
+
+  return window;
+}
+
+/**
+ * Check again once an appointment has been written, since another booking for
+ * the same inspector may have been checked and written at the same moment.
+ * Undoes this write and rethrows when the time is no longer free.
+ * @param {Object} params - As for assertInspectorAvailable, excluding the inspection just written
+ * @param {Function} rollback - async () => undo the write
+ * @returns {Promise<Object>} - { scheduledStart, scheduledEnd, scheduledTime }
+ */
+async function assertStillAvailable(params, rollback) {
+  try {
+    return await assertInspectorAvailable(params);
+  } catch (error) {
+    await rollback();
+    throw error;
+  }
+}
+
+/**
+ * Open appointment slots of several inspectors for a number of days, loading
+ * their availability and bookings together
+ * @param {Array<Object>} inspectorUsers - Inspector Users
+ * @param {string} fromDate - First day, "YYYY-MM-DD"
+ * @param {number} days - Number of days
+ * @param {Object} options
+ * @param {string} options.excludeSubmissionId - Show the slot this online submission holds as open
+ * @returns {Promise<Array>} - One result per inspector, in order, as from openSlots()
+ */
+async function openSlotsForInspectors(inspectorUsers, fromDate, days = 1, { excludeSubmissionId } = {}) {
+  if (inspectorUsers.length === 0) {
+    return [];
+  }
+
+  const availabilities = await getAvailabilities(inspectorUsers);
+  const lastDate = addDays(fromDate, days - 1);
+
+  const ranges = inspectorUsers.map(user => {
+    const { timezone } = availabilities.get(String(user._id));
+    return { from: zonedTime(fromDate, 0, timezone), to: zonedTime(addDays(lastDate, 1), 0, timezone) };
+  });
+  const bookingsByEmail = await bookedWindowsByInspector(
+    inspectorUsers.map(user => ({ user, email: user.email, availability: availabilities.get(String(user._id)) })),
+    new Date(Math.min(...ranges.map(range => range.from.getTime()))),
+    new Date(Math.max(...ranges.map(range => range.to.getTime()))),
+    { submissionId: excludeSubmissionId }
+  );
+
+  return inspectorUsers.map(user => {
+    const availability = availabilities.get(String(user._id));
+    const bookings = bookingsByEmail.get(user.email);
+
+    const result = [];
+    for (let offset = 0; offset < days; offset++) {
+      const date = addDays(fromDate, offset);
+      const slots = [];
+
+      availability.workingHours
+        .filter(hours => hours.dayOfWeek === dayOfWeek(date))
+        .forEach(hours => {
+          const last = parseTimeOfDay(hours.end) - availability.inspectionDurationMinutes;
+          for (let minutes = parseTimeOfDay(hours.start); minutes <= last; minutes += SLOT_STEP_MINUTES) {
+            const start = zonedTime(date, minutes, availability.timezone);
+            const end = new Date(start.getTime() + availability.inspectionDurationMinutes * MINUTE_MS);
+            if (start > new Date() && !slotProblem(availability, start, end, bookings, { defaultHours: true })) {
+              slots.push({ start, end, time: formatTimeOfDay(minutes) });
+            }
+          }
+        });
+
+      result.push({ date, slots });
+    }
+
+    return {
+      timezone: availability.timezone,
+      durationMinutes: availability.inspectionDurationMinutes,
+      travelBufferMinutes: availability.travelBufferMinutes,
+      workingHoursSet: availability.workingHoursSet,
+      days: result
+    };
+  });
+}
+
+/**
+ * Open appointment slots of an inspector for a number of days
+ * @param {Object} inspectorUser - The inspector's User
+ * @param {string} fromDate - First day, "YYYY-MM-DD"
+ * @param {number} days - Number of days
+ * @param {Object} options
+ * @param {string} options.excludeSubmissionId - Show the slot this online submission holds as open
+ * @returns {Promise<Object>} - { timezone, durationMinutes, travelBufferMinutes, workingHoursSet, days: [{ date, slots: [{ start, end, time }] }] }
+ */
+async function openSlots(inspectorUser, fromDate, days = 1, options = {}) {
+  const [open] = await openSlotsForInspectors([inspectorUser], fromDate, days, options);
+  return open;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_WORKING_HOURS,
+  parseTimeOfDay,
+  formatTimeOfDay,
+  toDateKey,
+  zonedTime,
+  wallClock,
+  getAvailabilities,
+  getAvailability,
+  appointmentWindow,
+  assertInspectorAvailable,
+  assertStillAvailable,
+  openSlotsForInspectors,
+  openSlots
+};
@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const LinkToken = require('../models/LinkToken');
+const LinkAccessLog = require('../models/LinkAccessLog');
+const Inspection = require('../models/Inspection');
+const Quote = require('../models/Quote');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What each kind of recipient can do with their link
+const AUDIENCES = {
+  inspector: { resourceType: 'inspection', scopes: ['view', 'inspect'], path: 'inspection' },
+  estimator: { resourceType: 'quote', scopes: ['view', 'estimate', 'decide', 'sign', 'complete'], path: 'estimator' },
+  customer: { resourceType: 'quote', scopes: ['view', 'decide', 'sign'], path: 'quote' }
+};
+
+// The audience of the token stored as accessToken on each resource
+const PRIMARY_AUDIENCE = {
+  inspection: 'inspector',
+  quote: 'estimator'
+};
+
+const RESOURCE_MODELS = {
+  inspection: Inspection,
+  quote: Quote
+};
+
+// Days a link stays valid (counted from the inspection date for inspector links)
+const getLinkTtlDays = () => parseFloat(process.env.LINK_TOKEN_TTL_DAYS) || 14;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const generateToken = () => crypto.randomBytes(20).toString('hex');
+
+/**
+ * Default expiry for a new link
+ * @param {string} resourceType - 'inspection' or 'quote'
+ * @param {Object} resource - Inspection or Quote document
+ * @returns {Date}
+ */
+function defaultExpiry(resourceType, resource) {
+  let start = Date.now();
+  if (resourceType === 'inspection') {
+    [resource.scheduledDate, resource.dueByDate]
+      .filter(Boolean)
+      .forEach(date => { start = Math.max(start, new Date(date).getTime()); });
+  }
+  return new Date(start + getLinkTtlDays() * DAY_MS);
+}
+
+/**
+ * Frontend URL for a link
+ * @param {string} audience - 'inspector', 'estimator' or 'customer'
+ * @param {string} token - Raw link token
+ * @param {string} baseUrl - The base URL for the application
+ * @returns {string}
+ */
+function buildLinkUrl(audience, token, baseUrl = process.env.FRONTEND_URL) {
+  return `${baseUrl}/${AUDIENCES[audience].path}/${token}`;
+}
+
+/**
+ * Link details that are safe to return to staff (never the hash)
+ * @param {Object} linkToken - LinkToken document
+ * @returns {Object}
+ */
+function serializeLinkToken(linkToken) {
+  const { tokenHash, ...data } = linkToken.toObject ? linkToken.toObject() : linkToken;
+  return {
+    ...data,
+    expired: new Date(data.expiresAt).getTime() <= Date.now(),
+    revoked: !!data.revokedAt
+  };
+}
+
+/**
+ * Create a link to an inspection or quote
+ * @param {Object} options
+ * @param {string} options.resourceType - 'inspection' or 'quote'
+ * @param {Object} options.resource - Inspection or Quote document
+ * @param {string} options.audience - 'inspector', 'estimator' or 'customer'
+ * @param {Array<string>} options.scopes - Defaults to the audience's scopes
+ * @param {Date} options.expiresAt - Defaults to LINK_TOKEN_TTL_DAYS from now
+ * @param {string} options.token - Register an existing token instead of generating one
+ * @param {boolean} options.primary - Whether the token is the resource's accessToken
+ * @param {string} options.createdBy - User ID
+ * @returns {Promise<Object>} - { token, linkToken }; the raw token is not stored
+ */
+async function issueLinkToken({ resourceType, resource, audience, scopes, expiresAt, token, primary = false, createdBy }) {
+  const preset = AUDIENCES[audience];
+  if (!preset || preset.resourceType !== resourceType) {
+    const error = new Error(`Links for ${resourceType} cannot be issued to ${audience || 'an unknown audience'}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const grantedScopes = scopes && scopes.length > 0 ? scopes : preset.scopes;
+  const invalidScopes = grantedScopes.filter(scope => !LinkToken.LINK_SCOPES[resourceType].includes(scope));
+  if (invalidScopes.length > 0) {
+    const error = new Error(`Invalid scope(s) for ${resourceType} links: ${invalidScopes.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const expiry = expiresAt ? new Date(expiresAt) : defaultExpiry(resourceType, resource);
+  if (isNaN(expiry.getTime()) || expiry.getTime() <= Date.now()) {
+    const error = new Error('Link expiry must be in the future');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const rawToken = token || generateToken();
+  const linkToken = await LinkToken.create({
+    tokenHash: hashToken(rawToken),
+    tokenHint: rawToken.slice(-6),
+    resourceType,
+    resource: resource._id,
+    caseId: resource.caseId?._id || resource.caseId,
+    audience,
+    scopes: grantedScopes,
+    primary,
+    expiresAt: expiry,
+    createdBy
+  });
+
+  return { token: rawToken, linkToken };
+}
+
+/**
+ * Register the resource's accessToken as its primary link if it isn't yet
+ * @param {string} resourceType - 'inspection' or 'quote'
+ * @param {Object} resource - Inspection or Quote document
+ * @param {Object} options - { expiresAt, createdBy }
+ * @returns {Promise<Object>} - The LinkToken document
+ */
+async function ensurePrimaryToken(resourceType, resource, { expiresAt, createdBy } = {}) {
+  const existing = await LinkToken.findOne({ tokenHash: hashToken(resource.accessToken) });
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    const { linkToken } = await issueLinkToken({
+      resourceType,
+      resource,
+      audience: PRIMARY_AUDIENCE[resourceType],
+      token: resource.accessToken,
+      primary: true,
+      expiresAt,
+      createdBy
+    });
+    return linkToken;
+  } catch (error) {
+    // Registered by a concurrent request
+    if (error.code === 11000) {
+      return LinkToken.findOne({ tokenHash: hashToken(resource.accessToken) });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find the link for a token. Links emailed before links were tracked are
+ * registered on first use, valid for LINK_TOKEN_TTL_DAYS from then.
+ * @param {string} token - Raw token from the URL
+ * @param {string} resourceType - 'inspection' or 'quote'
+ * @returns {Promise<Object|null>} - LinkToken document, or null for an unknown token
+ */
+async function resolveLinkToken(token, resourceType) {
+  if (!token) {
+    return null;
+  }
+
+  const linkToken = await LinkToken.findOne({ tokenHash: hashToken(token) });
+  if (linkToken) {
+    return linkToken.resourceType === resourceType ? linkToken : null;
+  }
+
+  const resource = await RESOURCE_MODELS[resourceType].findOne({ accessToken: token });
+  if (!resource) {
+    return null;
+  }
+
+  return ensurePrimaryToken(resourceType, resource);
+}
+
+/**
+ * Whether a link grants a scope right now
+ * @param {Object} linkToken - LinkToken document
+ * @param {string} scope - Scope needed by the route
+ * @returns {string} - 'allowed', 'revoked', 'expired' or 'forbidden'
+ */
+function checkAccess(linkToken, scope) {
+  if (linkToken.revokedAt) {
+    return 'revoked';
+  }
+  if (new Date(linkToken.expiresAt).getTime() <= Date.now()) {
+    return 'expired';
+  }
+  if (!linkToken.scopes.includes(scope)) {
+    return 'forbidden';
+  }
+  return 'allowed';
+}
+
+/**
+ * Write an access log entry. Never throws, so logging can't break a request.
+ * @param {Object} linkToken - LinkToken document
+ * @param {Object} req - Express request
+ * @param {string} scope - Scope needed by the route
+ * @param {string} outcome - Result of checkAccess
+ * @returns {Promise<Object|null>} - The LinkAccessLog document
+ */
+async function recordAccess(linkToken, req, scope, outcome) {
+  try {
+    const entry = await LinkAccessLog.create({
+      linkToken: linkToken._id,
+      caseId: linkToken.caseId,
+      resourceType: linkToken.resourceType,
+      resource: linkToken.resource,
+      scope,
+      outcome,
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : undefined,
+      ip: req.ip,
+      userAgent: req.get ? req.get('user-agent') : undefined
+    });
+
+    if (outcome === 'allowed') {
+      await LinkToken.updateOne(
+        { _id: linkToken._id },
+        { lastAccessedAt: entry.createdAt, $inc: { accessCount: 1 } }
+      );
+    }
+
+    return entry;
+  } catch (error) {
+    console.error('Error recording link access:', error);
+    return null;
+  }
+}
+
+/**
+ * Revoke a single link
+ * @param {string} linkTokenId - The LinkToken ID
+ * @param {Object} options - { reason, revokedBy }
+ * @returns {Promise<Object|null>} - The revoked LinkToken, or null if it does not exist
+ */
+async function revokeLinkToken(linkTokenId, { reason, revokedBy } = {}) {
+  return LinkToken.findOneAndUpdate(
+    { _id: linkTokenId, revokedAt: null },
+    { revokedAt: new Date(), revokedBy, revokedReason: reason || 'revoked' },
+    { new: true }
+  );
+}
+
+/**
+ * Revoke every live link to a resource
+ * @param {string} resourceType - 'inspection' or 'quote'
+ * @param {string} resourceId - Inspection or Quote ID
+ * @param {Object} options - { audience, reason, revokedBy }
+ * @returns {Promise<number>} - Number of links revoked
+ */
+async function revokeResourceTokens(resourceType, resourceId, { audience, reason, revokedBy } = {}) {
+  const filter = { resourceType, resource: resourceId, revokedAt: null };
+  if (audience) {
+    filter.audience = audience;
+  }
+
+  const result = await LinkToken.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedBy,
+    revokedReason: reason || 'revoked'
+  });
+  return result.modifiedCount;
+}
+
+/**
+ * Replace the resource's accessToken, revoking the links of the same audience.
+ * Used when an inspection is rescheduled or a quote changes hands.
+ * @param {string} resourceType - 'inspection' or 'quote'
+ * @param {Object} resource - Inspection or Quote document
+ * @param {Object} options - { reason, createdBy, expiresAt }
+ * @returns {Promise<Object>} - { token, linkToken, resource } with the updated resource
+ */
+async function regeneratePrimaryToken(resourceType, resource, { reason, createdBy, expiresAt } = {}) {
+  const audience = PRIMARY_AUDIENCE[resourceType];
+
+  await revokeResourceTokens(resourceType, resource._id, {
+    audience,
+    reason: reason || 'regenerated',
+    revokedBy: createdBy
+  });
+
+  const token = generateToken();
+  const updatedResource = await RESOURCE_MODELS[resourceType].findByIdAndUpdate(
+    resource._id,
+    { accessToken: token },
+    { new: true }
+  );
+
+  const { linkToken } = await issueLinkToken({
+    resourceType,
+    resource: updatedResource,
+    audience,
+    token,
+    primary: true,
+    expiresAt,
+    createdBy
+  });
+
+  return { token, linkToken, resource: updatedResource };
+}
+
+module.exports = {
+  AUDIENCES,
+  PRIMARY_AUDIENCE,
+  getLinkTtlDays,
+  hashToken,
+  defaultExpiry,
+  buildLinkUrl,
+  serializeLinkToken,
+  issueLinkToken,
+  ensurePrimaryToken,
+  resolveLinkToken,
+  checkAccess,
+  recordAccess,
+  revokeLinkToken,
+  revokeResourceTokens,
+  regeneratePrimaryToken
+};
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+const User = require('../models/User');
+const organizationSettings = require('./organizationSettings');
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find a location by id, or by code or name for the old free-text location fields
+ * @param {string|Object} value - Location id, code or name
+ * @returns {Promise<Object|null>} - The Location
+ */
+async function findLocation(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (/^[0-9a-f]{24}$/i.test(String(value))) {
+    const byId = await Location.findById(value);
+    if (byId) {
+      return byId;
+    }
+  }
+
+  const text = String(value).trim();
+  if (!text) {
+    return null;
+  }
+  return Location.findOne({
+    $or: [
+      { code: text.toUpperCase() },
+      { name: new RegExp(`^${escapeRegex(text)}$`, 'i') }
+    ]
+  });
+}
+
+/**
+ * Validate a location id sent by a client
+ * @param {string} locationId - Location id from the request
+ * @param {Object} options - allowInactive: accept deactivated locations (reports)
+ * @returns {Promise<Object|null>} - The ObjectId, or null when none was sent
+ */
+async function resolveLocationId(locationId, { allowInactive = false } = {}) {
+  if (!locationId) {
+    return null;
+  }
+
+  const location = mongoose.Types.ObjectId.isValid(locationId) ? await Location.findById(locationId) : null;
+  if (!location || (!location.active && !allowInactive)) {
+    const error = new Error('Location not found or inactive');
+    error.statusCode = 400;
+    throw error;
+  }
+  return location._id;
+}
+
+/**
+ * The location a user works at. Users created before locations existed only
+ * have the free-text location, which is matched by code or name.
+ * @param {Object} user - The User
+ * @returns {Promise<Object|null>} - Location ObjectId
+ */
+async function locationIdForUser(user) {
+  if (!user) {
+    return null;
+  }
+  if (user.locationId) {
+    return user.locationId._id || user.locationId;
+  }
+  const location = await findLocation(user.location);
+  return location ? location._id : null;
+}
+
+/**
+ * The location whose buyer details are used for cases without a location
+ * @returns {Promise<Object|null>}
+ */
+function getDefaultLocation() {
+  return Location.findOne({ isDefault: true, active: true });
+}
+
+/**
+ * Bill of sale buyer fields. The location's legal entity, address and license
+ * are used where set, the organization settings for the rest.
+ * @param {Object} location - The Location, or null
+ * @param {Object} organization - From organizationSettings.getSettings()
+ * @returns {Object} - buyerName, buyerAddress, buyerCity, buyerState, buyerZip, buyerBusinessLicense
+ */
+function buyerDetails(location, organization) {
+  const address = [location?.legalEntity?.address, location?.address, organization.address]
+    .find(candidate => candidate?.street) || {};
+
+  return {
+    buyerName: location?.legalEntity?.name || organization.legalName,
+    buyerAddress: address.street || '',
+    buyerCity: address.city || '',
+    buyerState: address.state || '',
+    buyerZip: address.zipCode || '',
+    buyerBusinessLicense: location?.businessLicense?.number || organization.dealerLicense?.number || ''
+  };
+}
+
+/**
+ * Bill of sale buyer fields for a case, from its location or the default location
+ * @param {Object} caseData - The Case
+ * @returns {Promise<Object>}
+ */
+async function buyerDetailsForCase(caseData) {
+  const locationId = caseData?.location?._id || caseData?.location;
+  const location = (locationId && await Location.findById(locationId)) || await getDefaultLocation();
+  return buyerDetails(location, await organizationSettings.getSettings());
+}
+
+/**
+ * Refuse to assign an inspector from another store. Inspectors without a
+ * location, and cases without one, can be combined with anything.
+ * @param {Object} caseData - The Case
+ * @param {Object} inspector - Inspector details with at least an email
+ */
+async function assertInspectorAtLocation(caseData, inspector) {
+  const caseLocation = caseData?.location?._id || caseData?.location;
+  if (!caseLocation || !inspector?.email) {
+    return;
+  }
+
+  const inspectorUser = await User.findOne({ email: inspector.email });
+  const inspectorLocation = await locationIdForUser(inspectorUser);
+  if (inspectorLocation && inspectorLocation.toString() !== caseLocation.toString()) {
+    const error = new Error('Inspector works at a different location than this case');
+    error.statusCode = 400;
+    throw error;
+  }
+}
+
+/**
+ * Location filter for analytics. Agents at a location only see that location;
+ * everyone else sees all locations unless they pick one.
+ * @param {Object} user - The logged in User
+ * @param {string} locationId - Optional ?locationId= from the request
+ * @returns {Promise<Object>} - Case conditions
+ */
+async function analyticsLocationFilter(user, locationId) {
+  if (user?.role === 'agent') {
+    const ownLocation = await locationIdForUser(user);
+    if (ownLocation) {
+      return { location: ownLocation };
+    }
+  }
+  if (locationId) {
+    return { location: await resolveLocationId(locationId, { allowInactive: true }) };
+  }
+  return {};
+}
+
+module.exports = {
+  findLocation,
+  resolveLocationId,
+  locationIdForUser,
+  getDefaultLocation,
+  buyerDetails,
+  buyerDetailsForCase,
+  assertInspectorAtLocation,
+  analyticsLocationFilter
+};
@@ -0,0 +1,154 @@
+const axios = require('axios');
+
+/**
+ * Fetch vehicle pricing from MarketCheck API, trying price prediction, vehicle
+ * history and active listings in that order
+ * @param {string} vin - Vehicle identification number
+ * @returns {Promise<Object>} - { estimatedValue, source, ... }
+ */
+const fetchMarketCheckPricing = async (vin) => {
+  try {
+    const marketCheckApiKey = process.env.MARKETCHECK_API_KEY;
+    
+    if (!marketCheckApiKey) {
+      throw new Error('MarketCheck API key not configured. Please set MARKETCHECK_API_KEY environment variable.');
+    }
+
+    // 1. Try MarketCheck's vehicle specs endpoint first
+    const specsUrl = `https://mc-api.marketcheck.com/v2/decode/car/${encodeURIComponent(vin)}/specs?api_key=${marketCheckApiKey}`;
+    try {
+      const response = await axios.get(specsUrl);
+      const data = response.data;
+      
+      // Extract vehicle specs for pricing
+      const {
+        year,
+        make,
+        model,
+        trim,
+        transmission,
+        drivetrain,
+        fuel_type,
+        highway_mpg,
+        city_mpg,
+        engine_size,
+        engine_block,
+        cylinders,
+        doors
+      } = data;
+
+      // 2. Try MarketCheck's price prediction endpoint
+      const transmissionLower = transmission ? transmission.toLowerCase() : '';
+      
+      // Build query parameters, only including valid values
+      const queryParams = new URLSearchParams({
+        api_key: marketCheckApiKey,
+        car_type: "used",
+        year: year || '',
+        make: make || '',
+        model: model || '',
+        trim: trim || '',
+        transmission: transmissionLower === "manual" ? "Manual" : "Automatic",
+        drivetrain: drivetrain?.toLowerCase() === "fwd" ? "FWD" : drivetrain || '',
+        fuel_type: fuel_type || '',
+        latitude: 41.149358, // Default location
+        longitude: -96.145336, // Default location
+        miles: 20000 // Default mileage
+      });
+      
+      // Only add engine parameters if they have valid values
+      if (highway_mpg && !isNaN(parseInt(highway_mpg))) queryParams.append('highway_mpg', highway_mpg);
+      if (city_mpg && !isNaN(parseInt(city_mpg))) queryParams.append('city_mpg', city_mpg);
+      if (doors && !isNaN(parseInt(doors))) queryParams.append('doors', doors);
+      
+      // Extract engine size from engine string (e.g., "2.5L I4" -> "2.5")
+      if (data.engine) {
+        const engineMatch = data.engine.match(/(\d+\.?\d*)L/);
+        if (engineMatch) {
+          queryParams.append('engine_size', engineMatch[1]);
+        }
+      }
+
+      const priceUrl = `https://mc-api.marketcheck.com/v2/predict/car/price?${queryParams.toString()}`;
+      console.log('MarketCheck price prediction URL:', priceUrl);
+      
+      const priceResponse = await axios.get(priceUrl);
+      const priceData = priceResponse.data;
+      console.log('MarketCheck price response:', priceData);
+      
+      if (priceData?.price_range?.lower_bound) {
+        return {
+          estimatedValue: parseFloat(priceData.price_range.lower_bound),
+          source: 'MarketCheck API (Price Prediction)',
+          priceRange: priceData.price_range
+        };
+      }
+    } catch (error) {
+      console.error('MarketCheck specs/price endpoint error:', error.response?.data || error.message);
+    }
+
+    // 3. Try MarketCheck's vehicle history endpoint
+    const historyUrl = `https://mc-api.marketcheck.com/v2/history/car/${encodeURIComponent(vin)}?api_key=${marketCheckApiKey}`;
+    try {
+      const response = await axios.get(historyUrl);
+      const data = response.data;
+      console.log('MarketCheck history response:', data);
+      
+      if (data && Array.isArray(data) && data.length > 0) {
+        // Filter out unrealistic prices (e.g., > $100k for most vehicles)
+        const realisticListings = data.filter(listing => {
+          const price = parseFloat(listing.price);
+          return price && price > 1000 && price < 100000; // Reasonable price range
+        });
+        
+        if (realisticListings.length > 0) {
+          // Get the most recent realistic listing
+          const latestListing = realisticListings[0];
+          return {
+            estimatedValue: parseFloat(latestListing.price),
+            source: 'MarketCheck API (Vehicle History)',
+            listing: latestListing
+          };
+        }
+      }
+    } catch (error) {
+      console.error('MarketCheck history endpoint error:', error.response?.data || error.message);
+    }
+
+    // 4. Try MarketCheck's search endpoint
+    const searchUrl = `https://mc-api.marketcheck.com/v2/search/car/active?api_key=${marketCheckApiKey}&vin=${encodeURIComponent(vin)}`;
+    try {
+      const response = await axios.get(searchUrl);
+      const data = response.data;
+      
+      if (data && data.listings && data.listings.length > 0) {
+        const prices = data.listings
+          .filter(listing => {
+            const price = parseFloat(listing.price);
+            return price && price > 1000 && price < 100000; // Reasonable price range
+          })
+          .map(listing => parseFloat(listing.price));
+        
+        if (prices.length > 0) {
+          const averagePrice = prices.reduce((sum, price) => sum + price, 0) / prices.length;
+          return {
+            estimatedValue: Math.round(averagePrice),
+            source: 'MarketCheck API (Active Listings)'
+          };
+        }
+      }
+    } catch (error) {
+      console.error('MarketCheck search endpoint error:', error.response?.data || error.message);
+    }
+
+    throw new Error('No pricing data available from MarketCheck API');
+
+  } catch (error) {
+    console.error('Error fetching from MarketCheck API:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  fetchMarketCheckPricing
+};
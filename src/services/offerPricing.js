@@ -0,0 +1,321 @@
+const PricingRuleSet = require('../models/PricingRuleSet');
+
+/**
+ * Default deduction rules used until an admin saves a rule set.
+ * Percent values are applied against the base amount (not compounded) so every
+ * line of the breakdown can be explained independently to the customer.
+ */
+const DEFAULT_RULES = {
+  // Used when MarketCheck did not return an estimate for the vehicle
+  defaultBaseAmount: 15000,
+  roundTo: 100,
+  minimumOffer: 500,
+  mileage: {
+    milesPerYear: 12000,
+    deductionPerMile: 0.05,
+    maxDeductionPercent: 25
+  },
+  // Percent of base amount, keyed by condition.accidentHistory
+  accidentHistory: {
+    none: 0,
+    minor: 5,
+    moderate: 10,
+    major: 20
+  },
+  notDrivablePercent: 30,
+  // Flat dollar deductions per reported issue; `items` overrides `perItem` for a named issue
+  issueDeductions: {
+    mechanicalIssues: { perItem: 500, items: {} },
+    engineIssues: { perItem: 750, items: {} },
+    exteriorDamage: { perItem: 300, items: {} },
+    interiorCondition: { perItem: 200, items: {} },
+    techIssues: { perItem: 150, items: {} }
+  },
+  smokedIn: 500,
+  expectedKeyCount: 2,
+  perMissingKey: 250,
+  // condition.tiresReplaced is the number of tires that need replacing
+  perTireReplacement: 150,
+  // Percent of base amount, keyed by condition.titleStatus
+  titleStatus: {
+    clean: 0,
+    rebuilt: 25,
+    salvage: 40,
+    flood: 50,
+    lemon: 30,
+    junk: 70,
+    'not-sure': 10
+  }
+};
+
+const ISSUE_LABELS = {
+  mechanicalIssues: 'Mechanical issue',
+  engineIssues: 'Engine issue',
+  exteriorDamage: 'Exterior damage',
+  interiorCondition: 'Interior condition',
+  techIssues: 'Technology issue'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Keys that would reach an object's prototype instead of setting a rule
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Per-issue overrides are keyed by whatever issue names the intake form uses
+const isIssueItems = (path) => /^issueDeductions\.[^.]+\.items$/.test(path);
+
+// Whether an override key is a rule that exists at this path
+const isKnownRule = (base, key, path) => (
+  !UNSAFE_KEYS.includes(key) &&
+  (Object.prototype.hasOwnProperty.call(base, key) || isIssueItems(path))
+);
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+/**
+ * Deep merge rule overrides on top of an existing rule set. Only rules that
+ * exist in the base are taken; anything else in the overrides is ignored.
+ * @param {Object} base - The rules to start from
+ * @param {Object} overrides - Partial rules supplied by an admin
+ * @param {string} path - Path of base within the rules, used internally
+ * @returns {Object} - The merged rules
+ */
+function mergeRules(base, overrides = {}, path = '') {
+  const merged = { ...base };
+  Object.keys(overrides)
+    .filter(key => isKnownRule(base, key, path))
+    .forEach(key => {
+      if (isPlainObject(base[key]) && isPlainObject(overrides[key])) {
+        merged[key] = mergeRules(base[key], overrides[key], joinPath(path, key));
+      } else {
+        merged[key] = overrides[key];
+      }
+    });
+  return merged;
+}
+
+/**
+ * Paths of overrides that mergeRules would ignore
+ * @param {Object} base - The rules the overrides apply to
+ * @param {Object} overrides - Partial rules supplied by an admin
+ * @param {string} path - Path of base within the rules, used internally
+ * @returns {Array<string>}
+ */
+function unknownRules(base, overrides = {}, path = '') {
+  return Object.keys(overrides).flatMap(key => {
+    if (!isKnownRule(base, key, path)) {
+      return [joinPath(path, key)];
+    }
+    return isPlainObject(base[key]) && isPlainObject(overrides[key])
+      ? unknownRules(base[key], overrides[key], joinPath(path, key))
+      : [];
+  });
+}
+
+/**
+ * Validate that every numeric rule is a non-negative number (and roundTo positive)
+ * @param {Object} rules - The rules to validate
+ * @param {string} prefix - Path prefix used in error messages
+ * @returns {Array<string>} - List of validation errors (empty when valid)
+ */
+function validateRules(rules, prefix = '') {
+  const errors = [];
+  Object.keys(rules).forEach(key => {
+    const value = rules[key];
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      errors.push(...validateRules(value, fieldPath));
+    } else if (typeof value !== 'number' || isNaN(value) || value < 0) {
+      errors.push(`${fieldPath} must be a non-negative number`);
+    } else if (fieldPath === 'roundTo' && value === 0) {
+      // The offer is divided by roundTo, so 0 would make it NaN
+      errors.push('roundTo must be greater than 0');
+    }
+  });
+  return errors;
+}
+
+/**
+ * Get the active pricing rule set, falling back to the defaults
+ * @returns {Promise<Object>} - { id, version, rules }
+ */
+async function getActiveRuleSet() {
+  const ruleSet = await PricingRuleSet.findOne({ active: true }).sort({ version: -1 });
+
+  if (!ruleSet) {
+    return { id: null, version: 0, rules: DEFAULT_RULES };
+  }
+
+  return {
+    id: ruleSet._id,
+    version: ruleSet.version,
+    rules: mergeRules(DEFAULT_RULES, ruleSet.rules)
+  };
+}
+
+/**
+ * Save a new version of the pricing rules and make it the active one
+ * @param {Object} overrides - Partial rules to merge on top of the current active rules
+ * @param {string} userId - The admin saving the rules
+ * @param {string} notes - Optional reason for the change
+ * @returns {Promise<Object>} - The new PricingRuleSet document
+ */
+async function saveRuleSet(overrides, userId, notes) {
+  const current = await getActiveRuleSet();
+  const rules = mergeRules(current.rules, overrides);
+
+  const errors = [
+    ...unknownRules(current.rules, overrides).map(path => `${path} is not a pricing rule`),
+    ...validateRules(rules)
+  ];
+  if (errors.length > 0) {
+    const error = new Error(`Invalid pricing rules: ${errors.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // The unique version index lets only one of two concurrent saves take the next version
+  let ruleSet;
+  try {
+    ruleSet = await PricingRuleSet.create({
+      version: current.version + 1,
+      active: true,
+      rules,
+      notes,
+      createdBy: userId
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      const conflict = new Error('The pricing rules were changed by someone else in the meantime, please reload and try again');
+      conflict.statusCode = 409;
+      throw conflict;
+    }
+    throw error;
+  }
+
+  await PricingRuleSet.updateMany(
+    { _id: { $ne: ruleSet._id }, active: true },
+    { active: false }
+  );
+
+  return ruleSet;
+}
+
+const percentOf = (amount, percent) => Math.round(amount * percent) / 100;
+
+/**
+ * Calculate an itemised offer for a vehicle submission
+ * @param {Object} submission - The VehicleSubmission document
+ * @param {Object} ruleSet - Rule set as returned by getActiveRuleSet
+ * @returns {Object} - { amount, breakdown }
+ */
+function calculateOffer(submission, ruleSet) {
+  const rules = ruleSet.rules;
+  const vinOrPlate = submission.vinOrPlate || {};
+  const basics = submission.basics || {};
+  const condition = submission.condition || {};
+
+  const hasEstimate = vinOrPlate.estimatedPrice > 0;
+  const baseAmount = hasEstimate ? vinOrPlate.estimatedPrice : rules.defaultBaseAmount;
+  const adjustments = [];
+
+  const addDeduction = (key, label, amount, detail) => {
+    if (amount > 0) {
+      adjustments.push({ key, label, detail, amount: Math.round(amount) });
+    }
+  };
+
+  // Mileage above the expected miles for the vehicle's age
+  if (basics.mileage > 0) {
+    const vehicleAge = Math.max(1, new Date().getFullYear() - (vinOrPlate.year || new Date().getFullYear()));
+    const expectedMiles = vehicleAge * rules.mileage.milesPerYear;
+    const excessMiles = basics.mileage - expectedMiles;
+    if (excessMiles > 0) {
+      const cap = percentOf(baseAmount, rules.mileage.maxDeductionPercent);
+      addDeduction(
+        'mileage',
+        'High mileage',
+        Math.min(excessMiles * rules.mileage.deductionPerMile, cap),
+        `${excessMiles.toLocaleString()} miles over the expected ${expectedMiles.toLocaleString()}`
+      );
+    }
+  }
+
+  if (condition.accidentHistory) {
+    const percent = rules.accidentHistory[condition.accidentHistory] || 0;
+    addDeduction('accidentHistory', 'Accident history', percentOf(baseAmount, percent), `${condition.accidentHistory} (${percent}%)`);
+  }
+
+  if (condition.isDrivable === false) {
+    addDeduction('notDrivable', 'Vehicle not drivable', percentOf(baseAmount, rules.notDrivablePercent), `${rules.notDrivablePercent}%`);
+  }
+
+  Object.keys(ISSUE_LABELS).forEach(field => {
+    const issues = (condition[field] || []).filter(issue => issue && !/^none$/i.test(issue));
+    const issueRules = rules.issueDeductions[field];
+    if (!issueRules) return;
+    issues.forEach(issue => {
+      const amount = issueRules.items && issueRules.items[issue] !== undefined
+        ? issueRules.items[issue]
+        : issueRules.perItem;
+      addDeduction(field, ISSUE_LABELS[field], amount, issue);
+    });
+  });
+
+  if (condition.smokedIn) {
+    addDeduction('smokedIn', 'Smoked in', rules.smokedIn);
+  }
+
+  if (condition.keyCount !== undefined && condition.keyCount !== null && condition.keyCount < rules.expectedKeyCount) {
+    const missingKeys = rules.expectedKeyCount - condition.keyCount;
+    addDeduction('keys', 'Missing keys', missingKeys * rules.perMissingKey, `${missingKeys} missing`);
+  }
+
+  if (condition.tiresReplaced > 0) {
+    addDeduction('tires', 'Tire replacement', condition.tiresReplaced * rules.perTireReplacement, `${condition.tiresReplaced} tire(s)`);
+  }
+
+  if (condition.titleStatus) {
+    const percent = rules.titleStatus[condition.titleStatus] || 0;
+    addDeduction('titleStatus', 'Title status', percentOf(baseAmount, percent), `${condition.titleStatus} (${percent}%)`);
+  }
+
+  const totalDeductions = adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0);
+  const rounded = Math.round((baseAmount - totalDeductions) / rules.roundTo) * rules.roundTo;
+  const floorApplied = rounded < rules.minimumOffer;
+
+  return {
+    amount: floorApplied ? rules.minimumOffer : rounded,
+    breakdown: {
+      baseAmount,
+      baseSource: hasEstimate ? 'marketcheck' : 'default',
+      adjustments,
+      totalDeductions,
+      floorApplied,
+      ruleSet: ruleSet.id,
+      ruleSetVersion: ruleSet.version,
+      calculatedAt: new Date()
+    }
+  };
+}
+
+/**
+ * Price a vehicle submission with the currently active rules
+ * @param {Object} submission - The VehicleSubmission document
+ * @returns {Promise<Object>} - { amount, breakdown }
+ */
+async function generateOffer(submission) {
+  const ruleSet = await getActiveRuleSet();
+  return calculateOffer(submission, ruleSet);
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  mergeRules,
+  unknownRules,
+  validateRules,
+  getActiveRuleSet,
+  saveRuleSet,
+  calculateOffer,
+  generateOffer
+};
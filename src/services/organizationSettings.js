@@ -0,0 +1,152 @@
+const OrganizationSettings = require('../models/OrganizationSettings');
+
+// Settings are read for every email and PDF, so keep them for a minute
+const CACHE_MS = 60 * 1000;
+
+const EDITABLE_FIELDS = [
+  'legalName', 'displayName', 'shortName', 'address', 'dealerLicense', 'logoUrl',
+  'emailSender', 'supportPhone', 'supportEmail', 'website'
+];
+
+let cached = null;
+let cachedAt = 0;
+
+/**
+ * Values used until an admin saves settings, and for any field left empty
+ * @returns {Object}
+ */
+function defaultSettings() {
+  return {
+    legalName: 'VIN On Spot',
+    displayName: 'VIN On Spot',
+    shortName: 'VOS',
+    address: {},
+    dealerLicense: {},
+    logoUrl: '',
+    emailSender: {
+      name: 'VIN On Spot',
+      email: process.env.EMAIL_FROM || 'no-reply@vossystem.com'
+    },
+    supportPhone: '',
+    supportEmail: process.env.ADMIN_EMAIL || '',
+    website: process.env.FRONTEND_URL || ''
+  };
+}
+
+// Fill the gaps of a saved document with the defaults
+function withDefaults(saved = {}) {
+  const defaults = defaultSettings();
+  const merged = { ...defaults };
+
+  EDITABLE_FIELDS.forEach(field => {
+    const value = saved[field];
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+      const nested = { ...defaults[field] };
+      Object.entries(value).forEach(([key, nestedValue]) => {
+        if (nestedValue !== undefined && nestedValue !== null && nestedValue !== '') {
+          nested[key] = nestedValue;
+        }
+      });
+      merged[field] = nested;
+    } else if (value !== undefined && value !== null && value !== '') {
+      merged[field] = value;
+    }
+  });
+
+  merged.updatedAt = saved.updatedAt || null;
+  return merged;
+}
+
+/**
+ * Current organization settings with defaults filled in.
+ * Falls back to the defaults if the database can't be read, so emails still go out.
+ * @returns {Promise<Object>}
+ */
+async function getSettings() {
+  if (cached && Date.now() - cachedAt < CACHE_MS) {
+    return cached;
+  }
+
+  try {
+    const saved = await OrganizationSettings.findOne({ key: 'organization' }).lean();
+    cached = withDefaults(saved || {});
+    cachedAt = Date.now();
+    return cached;
+  } catch (error) {
+    console.error('Error loading organization settings:', error);
+    return withDefaults();
+  }
+}
+
+/**
+ * Save organization settings. Only the given fields are changed.
+ * @param {Object} fields - Any of the editable fields
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} - The settings with defaults filled in
+ */
+async function updateSettings(fields, userId) {
+  const update = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (fields[field] !== undefined) {
+      update[field] = fields[field];
+    }
+  });
+
+  if (update.emailSender?.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(update.emailSender.email)) {
+    const error = new Error('Email sender must be a valid email address');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const saved = await OrganizationSettings.findOneAndUpdate(
+    { key: 'organization' },
+    { ...update, updatedBy: userId },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  cached = withDefaults(saved);
+  cachedAt = Date.now();
+  return cached;
+}
+
+/**
+ * Single line address, e.g. for PDF footers
+ * @param {Object} address - street, city, state, zipCode
+ * @returns {string}
+ */
+function formatAddress(address = {}) {
+  const cityLine = [address.city, [address.state, address.zipCode].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+  return [address.street, cityLine].filter(Boolean).join(', ');
+}
+
+/**
+ * Organization block for outgoing webhook payloads
+ * @param {Object} settings - From getSettings()
+ * @returns {Object}
+ */
+function webhookOrganization(settings) {
+  return {
+    legal_name: settings.legalName,
+    display_name: settings.displayName,
+    address: {
+      street: settings.address.street || '',
+      city: settings.address.city || '',
+      state: settings.address.state || '',
+      zip: settings.address.zipCode || ''
+    },
+    dealer_license: settings.dealerLicense.number || '',
+    dealer_license_state: settings.dealerLicense.state || '',
+    support_phone: settings.supportPhone,
+    support_email: settings.supportEmail,
+    website: settings.website,
+    logo_url: settings.logoUrl
+  };
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  getSettings,
+  updateSettings,
+  formatAddress,
+  webhookOrganization
+};
@@ -0,0 +1,454 @@
+const mongoose = require('mongoose');
+const Case = require('../models/Case');
+const Lender = require('../models/Lender');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const caseEvents = require('./caseEvents');
+const emailService = require('./email');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Payoffs still waiting to be sent to the lender
+const OPEN_STATUSES = ['pending', 'confirmed'];
+
+// Days before a payoff quote's good-through date that staff are reminded
+const getReminderDays = () => parseFloat(process.env.PAYOFF_REMINDER_DAYS) || 2;
+
+// Minutes between reminder runs
+const getReminderIntervalMinutes = () => parseFloat(process.env.PAYOFF_REMINDER_INTERVAL_MINUTES) || 60;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Whole days a payment on `asOf` is past the quote's good-through date. The
+ * quote covers the whole good-through day.
+ * @param {Object} quote - Transaction.payoff.quote
+ * @param {Date} asOf
+ * @returns {number}
+ */
+function daysPastGoodThrough(quote, asOf) {
+  if (!quote?.goodThrough) {
+    return 0;
+  }
+  return Math.max(0, Math.floor((new Date(asOf).getTime() - new Date(quote.goodThrough).getTime()) / DAY_MS));
+}
+
+/**
+ * What the lender will want on a given day: the quoted amount, plus per-diem
+ * interest for each day past the good-through date
+ * @param {Object} quote - Transaction.payoff.quote
+ * @param {Date} asOf - Payment date, today by default
+ * @returns {number|null} - null without a quote
+ */
+function expectedPayoffAmount(quote, asOf = new Date()) {
+  if (!quote || typeof quote.amount !== 'number') {
+    return null;
+  }
+  return roundCents(quote.amount + (quote.perDiem || 0) * daysPastGoodThrough(quote, asOf));
+}
+
+/**
+ * Sale price of a case: the bill of sale price, or the accepted offer
+ * @param {Object} transaction
+ * @param {Object} quote - Case quote, when populated
+ * @returns {number|null}
+ */
+function salePriceOf(transaction, quote) {
+  const price = transaction?.billOfSale?.salePrice
+    || quote?.offerDecision?.finalAmount
+    || quote?.offerAmount;
+  return typeof price === 'number' ? price : null;
+}
+
+/**
+ * Where a transaction's payoff stands: expected vs actual amount, net proceeds
+ * to the seller and negative equity
+ * @param {Object} transaction - Transaction document
+ * @param {Object} options
+ * @param {Object} options.quote - Case quote, for the sale price before a bill of sale exists
+ * @param {Date} options.asOf - Payment date used for the expected amount, today by default
+ * @returns {Object}
+ */
+function summarizePayoff(transaction, { quote, asOf = new Date() } = {}) {
+  const payoff = transaction?.payoff || {};
+  const payoffQuote = payoff.quote?.amount !== undefined && payoff.quote?.amount !== null ? payoff.quote : null;
+  const paid = transaction?.payoffStatus === 'completed' && typeof payoff.actualAmount === 'number';
+
+  const salePrice = salePriceOf(transaction, quote);
+  const expectedAmount = expectedPayoffAmount(payoffQuote, paid && payoff.paidAt ? payoff.paidAt : asOf);
+  const payoffAmount = paid ? payoff.actualAmount : expectedAmount;
+  const netProceeds = salePrice !== null && payoffAmount !== null ? roundCents(salePrice - payoffAmount) : null;
+
+  let lapsesAt = null;
+  if (payoffQuote?.goodThrough) {
+    lapsesAt = new Date(new Date(payoffQuote.goodThrough).getTime() + DAY_MS);
+  }
+
+  return {
+    status: transaction?.payoffStatus || 'not_required',
+    lender: payoff.lender || null,
+    lenderName: payoff.lenderName || transaction?.bankDetails?.bankName || null,
+    loanNumber: payoff.loanNumber || transaction?.bankDetails?.loanNumber || null,
+    quote: payoffQuote,
+    salePrice,
+    expectedAmount,
+    actualAmount: typeof payoff.actualAmount === 'number' ? payoff.actualAmount : null,
+    // Actual minus expected once paid, e.g. extra interest the lender charged
+    difference: paid && expectedAmount !== null ? roundCents(payoff.actualAmount - expectedAmount) : null,
+    paidAt: payoff.paidAt || null,
+    paymentReference: payoff.paymentReference || null,
+    netProceeds,
+    negativeEquity: netProceeds !== null && netProceeds < 0,
+    // What the seller has to bring to cover the loan
+    shortfall: netProceeds !== null && netProceeds < 0 ? -netProceeds : 0,
+    lapsesAt,
+    lapsed: Boolean(lapsesAt) && !paid && lapsesAt.getTime() <= new Date(asOf).getTime(),
+    daysUntilLapse: lapsesAt && !paid ? Math.ceil((lapsesAt.getTime() - new Date(asOf).getTime()) / DAY_MS) : null
+  };
+}
+
+/**
+ * Load a case with the records payoff needs
+ * @param {string} caseId
+ * @returns {Promise<Object>} - Case with vehicle, quote and transaction populated
+ */
+async function loadCase(caseId) {
+  const caseData = await Case.findById(caseId)
+    .populate('vehicle', 'year make model vin loanStatus loanAmount')
+    .populate('quote', 'offerAmount offerDecision')
+    .populate('transaction');
+
+  if (!caseData) {
+    throw createError('Case not found', 404);
+  }
+  return caseData;
+}
+
+/**
+ * A case's payoff summary
+ * @param {string} caseId
+ * @param {Object} options
+ * @param {Date} options.asOf - Payment date for the expected amount
+ * @returns {Promise<Object>} - summarizePayoff with the lender populated and the vehicle's loan status
+ */
+async function getCasePayoff(caseId, { asOf } = {}) {
+  const caseData = await loadCase(caseId);
+  const transaction = caseData.transaction;
+  if (transaction?.payoff?.lender) {
+    await transaction.populate('payoff.lender');
+  }
+
+  return {
+    caseId: caseData._id,
+    loanStatus: caseData.vehicle?.loanStatus || null,
+    hasTransaction: Boolean(transaction),
+    ...summarizePayoff(transaction, { quote: caseData.quote, asOf })
+  };
+}
+
+const toNumber = (value, field, { required = false } = {}) => {
+  if (value === undefined || value === null || value === '') {
+    if (required) {
+      throw createError(`${field} is required`, 400);
+    }
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw createError(`${field} must be a non-negative number`, 400);
+  }
+  return roundCents(number);
+};
+
+const toDate = (value, field, { required = false } = {}) => {
+  if (!value) {
+    if (required) {
+      throw createError(`${field} is required`, 400);
+    }
+    return undefined;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw createError(`${field} must be a date`, 400);
+  }
+  return date;
+};
+
+/**
+ * Set the lender, loan number and/or a new payoff quote for a case. A new
+ * quote puts the payoff back to pending and re-arms the lapse reminder.
+ * @param {string} caseId
+ * @param {Object} fields - lender (id), loanNumber, quote: { amount, perDiem, goodThrough, quotedAt, reference }
+ * @param {Object} options
+ * @param {string} options.userId
+ * @param {Object} options.actor - Actor from caseEvents.actorFromRequest
+ * @returns {Promise<Object>} - The payoff summary
+ */
+async function updateCasePayoff(caseId, fields, { userId, actor } = {}) {
+  const caseData = await loadCase(caseId);
+  const transaction = caseData.transaction;
+  if (!transaction) {
+    throw createError('No transaction found for this case', 404);
+  }
+  if (transaction.payoffStatus === 'completed') {
+    throw createError('The payoff has already been completed', 409);
+  }
+
+  const update = {};
+
+  if (fields.lender !== undefined) {
+    if (!mongoose.Types.ObjectId.isValid(fields.lender)) {
+      throw createError('lender must be a lender id', 400);
+    }
+    const lender = await Lender.findOne({ _id: fields.lender, active: true });
+    if (!lender) {
+      throw createError('Lender not found', 404);
+    }
+    update['payoff.lender'] = lender._id;
+    update['payoff.lenderName'] = lender.name;
+    update['bankDetails.bankName'] = lender.name;
+  }
+
+  if (fields.loanNumber !== undefined) {
+    update['payoff.loanNumber'] = String(fields.loanNumber).trim();
+    update['bankDetails.loanNumber'] = update['payoff.loanNumber'];
+  }
+
+  if (fields.quote) {
+    const quote = {
+      amount: toNumber(fields.quote.amount, 'quote.amount', { required: true }),
+      perDiem: toNumber(fields.quote.perDiem, 'quote.perDiem') || 0,
+      goodThrough: toDate(fields.quote.goodThrough, 'quote.goodThrough', { required: true }),
+      quotedAt: toDate(fields.quote.quotedAt, 'quote.quotedAt') || new Date(),
+      reference: fields.quote.reference ? String(fields.quote.reference).trim() : undefined,
+      recordedBy: userId
+    };
+    update['payoff.quote'] = quote;
+    update['bankDetails.payoffAmount'] = quote.amount;
+    update.payoffStatus = 'pending';
+  }
+
+  if (Object.keys(update).length === 0) {
+    throw createError('Nothing to update: send lender, loanNumber or quote', 400);
+  }
+
+  let updatedTransaction = await Transaction.findByIdAndUpdate(transaction._id, { $set: update }, { new: true, runValidators: true });
+  const summary = summarizePayoff(updatedTransaction, { quote: caseData.quote });
+  if (summary.negativeEquity !== Boolean(updatedTransaction.payoff?.negativeEquity)) {
+    updatedTransaction = await Transaction.findByIdAndUpdate(
+      transaction._id,
+      { 'payoff.negativeEquity': summary.negativeEquity },
+      { new: true }
+    );
+  }
+
+  await caseEvents.recordCaseEvent({
+    caseId,
+    type: 'transaction',
+    action: fields.quote ? 'payoff-quote-recorded' : 'payoff-updated',
+    description: fields.quote
+      ? `Payoff quote of $${update['payoff.quote'].amount.toLocaleString()} good through ${update['payoff.quote'].goodThrough.toLocaleDateString()} recorded`
+      : 'Payoff lender details updated',
+    actor,
+    changes: caseEvents.diffFields(transaction, updatedTransaction, [
+      'payoff.lenderName', 'payoff.loanNumber', 'payoff.quote.amount', 'payoff.quote.perDiem', 'payoff.quote.goodThrough', 'payoffStatus'
+    ]),
+    metadata: { transaction: transaction._id }
+  });
+
+  if (summary.negativeEquity && !transaction.payoff?.negativeEquity) {
+    await caseEvents.recordCaseEvent({
+      caseId,
+      type: 'transaction',
+      action: 'payoff-negative-equity',
+      description: `Payoff exceeds the sale price by $${summary.shortfall.toLocaleString()}`,
+      actor,
+      metadata: { salePrice: summary.salePrice, payoffAmount: summary.expectedAmount, shortfall: summary.shortfall }
+    });
+  }
+
+  return getCasePayoff(caseId);
+}
+
+/**
+ * Fields to set when a payoff changes status (payoff-confirmation endpoint).
+ * Completing a payoff records what was actually paid.
+ * @param {Object} transaction - Current transaction
+ * @param {Object} body - payoffStatus, payoffNotes, actualAmount, paidAt, paymentReference
+ * @param {Object} options
+ * @param {Object} options.quote - Case quote, for the sale price
+ * @returns {Object} - Transaction update
+ */
+function payoffStatusUpdate(transaction, body, { quote } = {}) {
+  const { payoffStatus, payoffNotes } = body;
+  const statuses = Transaction.schema.path('payoffStatus').enumValues;
+  if (!statuses.includes(payoffStatus)) {
+    throw createError(`payoffStatus must be one of: ${statuses.join(', ')}`, 400);
+  }
+
+  const update = {
+    payoffStatus,
+    payoffNotes: payoffNotes || ''
+  };
+
+  if (payoffStatus === 'confirmed') {
+    update.payoffConfirmedAt = new Date();
+  } else if (payoffStatus === 'completed') {
+    update.payoffCompletedAt = new Date();
+    // If not already confirmed, set confirmed timestamp too
+    if (!transaction.payoffConfirmedAt) {
+      update.payoffConfirmedAt = new Date();
+    }
+
+    const paidAt = toDate(body.paidAt, 'paidAt') || new Date();
+    const expected = expectedPayoffAmount(transaction.payoff?.quote, paidAt);
+    const actualAmount = toNumber(body.actualAmount, 'actualAmount');
+    if (actualAmount === undefined && expected === null) {
+      throw createError('actualAmount is required when there is no payoff quote', 400);
+    }
+
+    update['payoff.actualAmount'] = actualAmount !== undefined ? actualAmount : expected;
+    update['payoff.paidAt'] = paidAt;
+    if (body.paymentReference) {
+      update['payoff.paymentReference'] = String(body.paymentReference).trim();
+    }
+
+    const salePrice = salePriceOf(transaction, quote);
+    update['payoff.negativeEquity'] = salePrice !== null && update['payoff.actualAmount'] > salePrice;
+  }
+
+  return update;
+}
+
+/**
+ * Staff to remind about a case's payoff: the assigned estimator and agent,
+ * or the admins when nobody is assigned
+ * @param {Object} caseData
+ * @returns {Promise<Array<Object>>}
+ */
+async function reminderRecipients(caseData) {
+  const ids = [caseData.estimatorId, caseData.createdBy].filter(Boolean);
+  const users = ids.length > 0
+    ? await User.find({ _id: { $in: ids } }).select('firstName lastName email')
+    : [];
+  if (users.length > 0) {
+    return users;
+  }
+  return User.find({ role: 'admin' }).select('firstName lastName email');
+}
+
+/**
+ * Remind staff about open payoffs whose quote lapses within PAYOFF_REMINDER_DAYS
+ * (or already has). Each quote is reminded about once; recording a new quote
+ * re-arms the reminder.
+ * @returns {Promise<number>} - Number of payoffs reminded about
+ */
+async function sendLapsingQuoteReminders() {
+  const now = new Date();
+  const transactions = await Transaction.find({
+    payoffStatus: { $in: OPEN_STATUSES },
+    'payoff.quote.goodThrough': { $lte: new Date(now.getTime() + getReminderDays() * DAY_MS) },
+    'payoff.quote.reminderSentAt': null
+  });
+
+  let reminded = 0;
+  for (const transaction of transactions) {
+    try {
+      // Claim the reminder first so overlapping runs don't send it twice
+      const claimed = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, 'payoff.quote.reminderSentAt': null },
+        { 'payoff.quote.reminderSentAt': now },
+        { new: true }
+      );
+      if (!claimed) {
+        continue;
+      }
+
+      const caseData = await Case.findOne({ transaction: transaction._id, deletedAt: null })
+        .populate('customer', 'firstName lastName')
+        .populate('vehicle', 'year make model vin')
+        .populate('quote', 'offerAmount offerDecision');
+      if (!caseData) {
+        continue;
+      }
+
+      const summary = summarizePayoff(claimed, { quote: caseData.quote, asOf: now });
+      const recipients = await reminderRecipients(caseData);
+      for (const recipient of recipients) {
+        try {
+          await emailService.sendPayoffQuoteLapsingNotification(
+            recipient,
+            caseData.customer || {},
+            caseData.vehicle || {},
+            summary,
+            process.env.FRONTEND_URL
+          );
+        } catch (error) {
+          console.error('Error sending payoff reminder email:', error);
+        }
+      }
+
+      await caseEvents.recordCaseEvent({
+        caseId: caseData._id,
+        type: 'transaction',
+        action: 'payoff-quote-reminder',
+        description: summary.lapsed
+          ? 'Payoff quote has lapsed; a new quote is needed'
+          : `Payoff quote lapses on ${summary.lapsesAt.toLocaleDateString()}`,
+        actor: { kind: 'system' },
+        metadata: { goodThrough: summary.quote.goodThrough, recipients: recipients.map(recipient => recipient.email) }
+      });
+      reminded += 1;
+    } catch (error) {
+      console.error(`Error sending payoff reminder for transaction ${transaction._id}:`, error);
+    }
+  }
+
+  return reminded;
+}
+
+/**
+ * Send payoff quote reminders every PAYOFF_REMINDER_INTERVAL_MINUTES
+ * @returns {NodeJS.Timer} - The interval handle
+ */
+function startReminderSchedule() {
+  const run = async () => {
+    try {
+      const reminded = await sendLapsingQuoteReminders();
+      if (reminded) {
+        console.log(`Sent payoff quote reminders for ${reminded} case(s)`);
+      }
+    } catch (error) {
+      console.error('Error running payoff reminders:', error);
+    }
+  };
+
+  // First run as soon as the database is available
+  if (mongoose.connection.readyState === 1) {
+    run();
+  } else {
+    mongoose.connection.once('open', run);
+  }
+
+  const interval = setInterval(run, getReminderIntervalMinutes() * 60 * 1000);
+  // Don't keep the process alive just for the reminders
+  interval.unref();
+  return interval;
+}
+
+module.exports = {
+  OPEN_STATUSES,
+  expectedPayoffAmount,
+  summarizePayoff,
+  getCasePayoff,
+  updateCasePayoff,
+  payoffStatusUpdate,
+  sendLapsingQuoteReminders,
+  startReminderSchedule
+};
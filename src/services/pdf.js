@@ -1,27 +1,55 @@
 const PDFDocument = require('pdfkit');
-const fs = require('fs');
 const fsp = require('fs').promises;
 const path = require('path');
 const moment = require('moment');
 const { PDFDocument: PDFLib } = require('pdf-lib');
 const axios = require('axios');
 const htmlPdf = require('html-pdf-node');
+const quoteExpiry = require('./quoteExpiry');
+const organizationSettings = require('./organizationSettings');
+const storage = require('./storage');
 
 
+/**
+ * Store a generated PDF under pdfs/
+ * @param {string} fileName
+ * @param {Buffer} buffer - PDF content
+ * @returns {Promise<Object>} - { key, fileName, buffer }
+ */
+async function storePDF(fileName, buffer) {
+  const key = await storage.putObject(`pdfs/${fileName}`, buffer, { contentType: 'application/pdf' });
+  return { key, fileName, buffer };
+}
+
+/**
+ * Collect a PDFKit document into a buffer and store it when it ends
+ * @param {PDFDocument} doc - The PDFKit document instance
+ * @param {string} fileName
+ * @returns {Promise<Object>} - { key, fileName, buffer }
+ */
+function storePDFDocument(doc, fileName) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('error', reject);
+    doc.on('end', () => {
+      storePDF(fileName, Buffer.concat(chunks)).then(resolve, reject);
+    });
+  });
+}
+
 /**
  * Generate a PDF Bill of Sale using the template and data
  * @param {Object} caseData - The case data containing customer, vehicle and transaction info
- * @returns {Promise<Object>} - Promise resolving to the PDF file path and name
+ * @returns {Promise<Object>} - Promise resolving to the PDF storage key, file name and content
  */
-function generateBillOfSalePDF(caseData) {
+async function generateBillOfSalePDF(caseData) {
   try {
-    // Create upload directory if it doesn't exist
-    const pdfDir = path.join(__dirname, '../../uploads/pdfs');
-    fsp.mkdir(pdfDir, { recursive: true });
+    const org = await organizationSettings.getSettings();
+    const logo = await loadLogo(org);
 
     // Create a unique filename
     const fileName = `bill-of-sale-${caseData._id}-${Date.now()}.pdf`;
-    const filePath = path.join(pdfDir, fileName);
 
     // Get the required data
     const customer = caseData.customer || {};
@@ -40,26 +68,17 @@ function generateBillOfSalePDF(caseData) {
       }
     });
 
-    // Pipe the PDF into a file
-    const stream = fs.createWriteStream(filePath);
-    doc.pipe(stream);
+    // Collect the PDF and store it once it's finished
+    const stored = storePDFDocument(doc, fileName);
+    addLogo(doc, logo);
 
     // Add content to the PDF
-    addBillOfSaleContent(doc, customer, vehicle, billOfSale);
+    addBillOfSaleContent(doc, customer, vehicle, billOfSale, org);
 
     // Finalize the PDF and end the stream
     doc.end();
 
-    // Wait for the stream to finish
-    return new Promise((resolve, reject) => {
-      stream.on('finish', () => {
-        resolve({
-          filePath,
-          fileName
-        });
-      });
-      stream.on('error', reject);
-    });
+    return stored;
   } catch (error) {
     console.error('Error generating Bill of Sale PDF:', error);
     throw error;
@@ -69,17 +88,15 @@ function generateBillOfSalePDF(caseData) {
 /**
  * Generate complete case PDF with all documents
  * @param {Object} caseData - The case data containing all information
- * @returns {Promise<Object>} - Promise resolving to the PDF file path and name
+ * @returns {Promise<Object>} - Promise resolving to the PDF storage key, file name and content
  */
-function generateCasePDF(caseData) {
+async function generateCasePDF(caseData) {
   try {
-    // Create upload directory if it doesn't exist
-    const pdfDir = path.join(__dirname, '../../uploads/pdfs');
-    fsp.mkdir(pdfDir, { recursive: true });
+    const org = await organizationSettings.getSettings();
+    const logo = await loadLogo(org);
 
     // Create a unique filename
     const fileName = `case-${caseData._id}-${Date.now()}.pdf`;
-    const filePath = path.join(pdfDir, fileName);
 
     // Get the required data
     const customer = caseData.customer || {};
@@ -99,12 +116,12 @@ function generateCasePDF(caseData) {
       }
     });
 
-    // Pipe the PDF into a file
-    const stream = fs.createWriteStream(filePath);
-    doc.pipe(stream);
+    // Collect the PDF and store it once it's finished
+    const stored = storePDFDocument(doc, fileName);
+    addLogo(doc, logo);
 
     // Add case overview
-    doc.fontSize(20).text('Vehicle Offer Service - Case Summary', {align: 'center'});
+    doc.fontSize(20).text(`${org.displayName} - Case Summary`, {align: 'center'});
     doc.moveDown();
     doc.fontSize(12).text(`Case ID: ${caseData._id}`);
     doc.text(`Created: ${moment(caseData.createdAt).format('MMMM D, YYYY')}`);
@@ -144,7 +161,7 @@ function generateCasePDF(caseData) {
     
     // Add bill of sale
     doc.addPage();
-    addBillOfSaleContent(doc, customer, vehicle, transaction.billOfSale || {});
+    addBillOfSaleContent(doc, customer, vehicle, transaction.billOfSale || {}, org);
     
     // Add inspection summary if available
     if (inspection && inspection.sections && inspection.sections.length > 0) {
@@ -165,16 +182,7 @@ function generateCasePDF(caseData) {
     // Finalize the PDF and end the stream
     doc.end();
 
-    // Wait for the stream to finish
-    return new Promise((resolve, reject) => {
-      stream.on('finish', () => {
-        resolve({
-          filePath,
-          fileName
-        });
-      });
-      stream.on('error', reject);
-    });
+    return stored;
   } catch (error) {
     console.error('Error generating Case PDF:', error);
     throw error;
@@ -182,19 +190,17 @@ function generateCasePDF(caseData) {
 };
 
 /**
- * Generate Quote Summary PDF with VOS Vehicle Summary format
+ * Generate Quote Summary PDF in the Vehicle Summary format
  * @param {Object} caseData - The case data containing all information
- * @returns {Promise<Object>} - Promise resolving to the PDF file path and name
+ * @returns {Promise<Object>} - Promise resolving to the PDF storage key, file name and content
  */
-function generateQuoteSummaryPDF(caseData) {
+async function generateQuoteSummaryPDF(caseData) {
   try {
-    // Create upload directory if it doesn't exist
-    const pdfDir = path.join(__dirname, '../../uploads/pdfs');
-    fsp.mkdir(pdfDir, { recursive: true });
+    const org = await organizationSettings.getSettings();
+    const logo = await loadLogo(org);
 
     // Create a unique filename
     const fileName = `vos-vehicle-summary-${caseData._id}-${Date.now()}.pdf`;
-    const filePath = path.join(pdfDir, fileName);
 
     // Get the required data
     const customer = caseData.customer || {};
@@ -213,12 +219,12 @@ function generateQuoteSummaryPDF(caseData) {
       }
     });
 
-    // Pipe the PDF into a file
-    const stream = fs.createWriteStream(filePath);
-    doc.pipe(stream);
+    // Collect the PDF and store it once it's finished
+    const stored = storePDFDocument(doc, fileName);
+    addLogo(doc, logo);
 
     // ===== HEADER =====
-    doc.fontSize(24).text('VOS VEHICLE SUMMARY', {align: 'center'});
+    doc.fontSize(24).text(`${org.shortName.toUpperCase()} VEHICLE SUMMARY`, {align: 'center'});
     doc.moveDown(2);
 
     // ===== VEHICLE IDENTIFICATION =====
@@ -333,16 +339,7 @@ function generateQuoteSummaryPDF(caseData) {
     // Finalize the PDF and end the stream
     doc.end();
 
-    // Wait for the stream to finish
-    return new Promise((resolve, reject) => {
-      stream.on('finish', () => {
-        resolve({
-          filePath,
-          fileName
-        });
-      });
-      stream.on('error', reject);
-    });
+    return stored;
   } catch (error) {
     console.error('Error generating Quote Summary PDF:', error);
     throw error;
@@ -355,8 +352,11 @@ function generateQuoteSummaryPDF(caseData) {
  * @param {Object} customer - Customer data
  * @param {Object} vehicle - Vehicle data
  * @param {Object} billOfSale - Bill of Sale data
+ * @param {Object} org - Organization settings
  */
-function addBillOfSaleContent(doc, customer, vehicle, billOfSale) {
+function addBillOfSaleContent(doc, customer, vehicle, billOfSale, org) {
+  const buyer = billOfSale.buyerName || org.legalName;
+
   // Header
   doc.fontSize(20).text('VEHICLE BILL OF SALE', {align: 'center'});
   doc.moveDown(1.5);
@@ -398,13 +398,17 @@ function addBillOfSaleContent(doc, customer, vehicle, billOfSale) {
   doc.fontSize(16).text('2. Buyer Information', {underline: true});
   doc.moveDown(0.5);
   doc.fontSize(12);
-  doc.text(`Buyer Name: VOS (VIN On Spot)`);
+  doc.text(`Buyer Name: ${buyer}`);
   doc.text(`Agent Name: ${billOfSale.agentName || 'Not Specified'}`, {indent: 10});
   doc.moveDown(0.8);
   
   doc.text(`Address:`);
-  doc.text(`${billOfSale.buyerAddress || '123 Business Ave'}`, {indent: 10});
-  doc.text(`${billOfSale.buyerCity || 'Business City'}, ${billOfSale.buyerState || 'BC'}, ${billOfSale.buyerZip || '12345'}`, {indent: 10});
+  doc.text(`${billOfSale.buyerAddress || 'Not Provided'}`, {indent: 10});
+  doc.text(`${[billOfSale.buyerCity, billOfSale.buyerState, billOfSale.buyerZip].filter(Boolean).join(', ') || 'Not Provided'}`, {indent: 10});
+  doc.moveDown(0.8);
+
+  doc.text(`Dealer / Business License:`);
+  doc.text(`${billOfSale.buyerBusinessLicense || org.dealerLicense.number || 'Not Provided'}`, {indent: 10});
   doc.moveDown(1.5);
 
   // 3. Vehicle Information
@@ -499,17 +503,17 @@ function addBillOfSaleContent(doc, customer, vehicle, billOfSale) {
   doc.fontSize(16).text('9. Transfer of Ownership and Condition', {underline: true});
   doc.moveDown(0.5);
   doc.fontSize(12);
-  doc.text(`The Seller agrees to transfer full ownership of the above-described vehicle to VOS upon receipt of the full purchase price and completion of all required documentation, including the vehicle title.`, {continued: false});
+  doc.text(`The Seller agrees to transfer full ownership of the above-described vehicle to ${buyer} upon receipt of the full purchase price and completion of all required documentation, including the vehicle title.`, {continued: false});
   doc.moveDown(0.8);
   
-  doc.text(`The vehicle is sold in "AS-IS, WHERE-IS" condition, unless otherwise specified in a separate written agreement. The Buyer acknowledges that they have had the opportunity to inspect the vehicle (via VOS's inspection process).`, {continued: false});
+  doc.text(`The vehicle is sold in "AS-IS, WHERE-IS" condition, unless otherwise specified in a separate written agreement. The Buyer acknowledges that they have had the opportunity to inspect the vehicle (via ${org.shortName}'s inspection process).`, {continued: false});
   doc.moveDown(1.5);
 
   // 10. Acknowledgment of Title Transfer Requirement
   doc.fontSize(16).text('10. Acknowledgment of Title Transfer Requirement', {underline: true});
   doc.moveDown(0.5);
   doc.fontSize(12);
-  doc.text(`The Seller understands and acknowledges that the official transfer of vehicle ownership to VOS is contingent upon the Seller providing a valid, clear, and transferable vehicle title within 48 hours of accepting VOS's offer. Failure to provide the title within this timeframe may result in the voiding of the current offer and potentially require a new inspection and renegotiation of the purchase price.`);
+  doc.text(`The Seller understands and acknowledges that the official transfer of vehicle ownership to ${buyer} is contingent upon the Seller providing a valid, clear, and transferable vehicle title within 48 hours of accepting ${org.shortName}'s offer. Failure to provide the title within this timeframe may result in the voiding of the current offer and potentially require a new inspection and renegotiation of the purchase price.`);
   doc.moveDown(1.5);
 
   // 11. Signatures
@@ -544,20 +548,59 @@ function addBillOfSaleContent(doc, customer, vehicle, billOfSale) {
   doc.moveDown(1.5);
   
   // Buyer signature section
-  doc.text(`FOR VOS (BUYER):`);
+  doc.text(`FOR ${buyer.toUpperCase()} (BUYER):`);
   doc.moveDown();
   
-  // VOS representative signature with underline
+  // Buyer representative signature with underline
   doc.text(`Authorized Signature: `, {continued: true});
   doc.text(`_______________________________`, {underline: true});
   doc.moveDown(0.5);
-  doc.text(`${billOfSale.agentName || '[Printed Name and Title of VOS Representative]'}`);
+  doc.text(`${billOfSale.agentName || `[Printed Name and Title of ${org.shortName} Representative]`}`);
   doc.moveDown(0.5);
   doc.text(`Date: `, {continued: true});
   doc.text(`____________________`, {underline: true});
   doc.moveDown();
 }
 
+/**
+ * Download the organization logo for PDFKit. A missing or broken logo
+ * shouldn't stop a PDF from being generated.
+ * @param {Object} org - Organization settings
+ * @returns {Promise<Buffer|null>}
+ */
+async function loadLogo(org) {
+  if (!org.logoUrl) {
+    return null;
+  }
+
+  try {
+    const response = await axios.get(org.logoUrl, { responseType: 'arraybuffer', timeout: 5000 });
+    return Buffer.from(response.data);
+  } catch (error) {
+    console.error('Error loading organization logo:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Helper function to draw the logo at the top of the first page
+ * @param {PDFDocument} doc - The PDFKit document instance
+ * @param {Buffer} logo - From loadLogo()
+ */
+function addLogo(doc, logo) {
+  if (!logo) {
+    return;
+  }
+
+  try {
+    doc.image(logo, doc.page.width / 2 - 60, doc.y, { fit: [120, 50], align: 'center' });
+    doc.moveDown(4);
+  } catch (error) {
+    // PDFKit only supports PNG and JPEG
+    console.error('Error drawing organization logo:', error.message);
+  }
+}
+
 /**
  * Helper function to convert source code to human-readable label
  * @param {String} sourceKey - The source key from the customer object
@@ -628,24 +671,20 @@ function getRiskLevel(score) {
 }
 
 /**
- * Generate a complete PDF package containing VOS Vehicle Offer Summary using HTML template
+ * Generate a complete PDF package containing the Vehicle Offer Summary using HTML template
  * @param {Object} caseData - The case data containing all information
- * @returns {Promise<Object>} - Promise resolving to the PDF file path and name
+ * @returns {Promise<Object>} - Promise resolving to the PDF storage key, file name and content
  */
 async function generateCompletePDFPackage(caseData) {
   try {
-    // Create upload directory if it doesn't exist
-    const pdfDir = path.join(__dirname, '../../uploads/pdfs');
-    await fsp.mkdir(pdfDir, { recursive: true });
-
     // Create a unique filename
     const fileName = `vos-vehicle-offer-summary-${caseData._id}-${Date.now()}.pdf`;
-    const filePath = path.join(pdfDir, fileName);
 
     // Get the required data
     const customer = caseData.customer || {};
     const vehicle = caseData.vehicle || {};
     const quote = caseData.quote || {};
+    const org = await organizationSettings.getSettings();
 
     // Read the HTML template
     const templatePath = path.join(__dirname, '../templates/vehicle-offer-summary.html');
@@ -653,7 +692,8 @@ async function generateCompletePDFPackage(caseData) {
 
     // Prepare data for template replacement
     const offerDate = quote.generatedAt ? moment(quote.generatedAt) : moment();
-    const expirationDate = offerDate.clone().add(48, 'hours');
+    const expiry = quoteExpiry.getQuoteExpiry(quote);
+    const expirationDate = expiry ? moment(expiry) : offerDate.clone().add(quoteExpiry.getQuoteValidityHours(), 'hours');
 
     const templateData = {
       'customer.firstName': customer.firstName || '',
@@ -667,7 +707,12 @@ async function generateCompletePDFPackage(caseData) {
       'estimatedValue': vehicle.estimatedValue ? `$${vehicle.estimatedValue.toLocaleString()}` : '',
       'offerAmount': quote.offerAmount ? `$${quote.offerAmount.toLocaleString()}` : '',
       'offerDate': offerDate.format('MMMM D, YYYY'),
-      'offerExpirationDate': expirationDate.format('MMMM D, YYYY')
+      'offerExpirationDate': expirationDate.format('MMMM D, YYYY'),
+      'organization.displayName': org.displayName,
+      'organization.shortName': org.shortName,
+      'organization.legalName': org.legalName,
+      'organization.logo': org.logoUrl ? `<img src="${org.logoUrl}" alt="${org.displayName}" class="logo">` : '',
+      'organization.contact': [organizationSettings.formatAddress(org.address), org.supportPhone, org.supportEmail].filter(Boolean).join(' | ')
     };
 
     // Replace template variables with actual data
@@ -694,13 +739,7 @@ async function generateCompletePDFPackage(caseData) {
     const file = { content: htmlContent };
     const pdfBuffer = await htmlPdf.generatePdf(file, options);
 
-    // Write PDF to file
-    await fsp.writeFile(filePath, pdfBuffer);
-
-    return {
-      filePath,
-      fileName
-    };
+    return storePDF(fileName, pdfBuffer);
   } catch (error) {
     console.error('Error generating Complete PDF Package:', error);
     throw error;
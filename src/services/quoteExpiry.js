@@ -0,0 +1,441 @@
+const mongoose = require('mongoose');
+const Quote = require('../models/Quote');
+const Case = require('../models/Case');
+const Vehicle = require('../models/Vehicle');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const VehicleSubmission = require('../models/customer/customer');
+const caseEvents = require('./caseEvents');
+const emailService = require('./email');
+const offerPricing = require('./offerPricing');
+const quoteNegotiation = require('./quoteNegotiation');
+const reconditioning = require('./reconditioning');
+const linkTokens = require('./linkTokens');
+const organizationSettings = require('./organizationSettings');
+const { fetchMarketCheckPricing } = require('./marketCheck');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Days an online instant offer stays valid
+const ONLINE_OFFER_VALIDITY_DAYS = 7;
+
+// Offers are re-quoted in whole steps of this many dollars
+const OFFER_ROUNDING = 25;
+
+// Statuses a quote can no longer expire from
+const FINAL_STATUSES = ['expired', 'accepted', 'declined'];
+
+// Hours a quote stays valid when no expiry date was set
+const getQuoteValidityHours = () => parseFloat(process.env.QUOTE_VALIDITY_HOURS) || 48;
+
+// Minutes between expiry runs
+const getExpiryIntervalMinutes = () => parseFloat(process.env.QUOTE_EXPIRY_INTERVAL_MINUTES) || 60;
+
+/**
+ * Expiry date for a quote issued now
+ * @returns {Date}
+ */
+function defaultExpiryDate() {
+  return new Date(Date.now() + getQuoteValidityHours() * HOUR_MS);
+}
+
+/**
+ * When a quote stops being valid. Quotes saved without an expiry date are
+ * valid for QUOTE_VALIDITY_HOURS from when they were generated.
+ * @param {Object} quote - Quote document
+ * @returns {Date|null} - Expiry date, or null for quotes that were never issued
+ */
+function getQuoteExpiry(quote) {
+  if (quote.expiryDate) {
+    return new Date(quote.expiryDate);
+  }
+  const issuedAt = quote.generatedAt || quote.createdAt;
+  return issuedAt ? new Date(new Date(issuedAt).getTime() + getQuoteValidityHours() * HOUR_MS) : null;
+}
+
+/**
+ * Whether the customer can still act on a quote
+ * @param {Object} quote - Quote document
+ * @returns {boolean} - true when the quote is expired or past its expiry without a decision
+ */
+function isQuoteExpired(quote) {
+  if (quote.status === 'expired') {
+    return true;
+  }
+  if (FINAL_STATUSES.includes(quote.status) || !quote.offerAmount) {
+    return false;
+  }
+  const decision = quote.offerDecision?.decision || 'pending';
+  if (!['pending', 'negotiating'].includes(decision)) {
+    return false;
+  }
+  const expiry = getQuoteExpiry(quote);
+  return !!expiry && expiry.getTime() <= Date.now();
+}
+
+/**
+ * Email the customer and the assigned estimator about an expired quote
+ * @param {Object} quote - Expired quote populated with customer and vehicle
+ */
+async function notifyQuoteExpired(quote) {
+  const baseUrl = process.env.FRONTEND_URL;
+
+  if (quote.customer?.email1) {
+    try {
+      // The customer gets their own link, which can't edit the quote
+      const { token } = await linkTokens.issueLinkToken({
+        resourceType: 'quote',
+        resource: quote,
+        audience: 'customer'
+      });
+      await emailService.sendQuoteExpiredEmail(quote.customer, quote.vehicle, quote, baseUrl, token);
+    } catch (error) {
+      console.error('Error sending quote expired email:', error);
+    }
+  }
+
+  const caseData = await Case.findById(quote.caseId).select('estimatorId');
+  const estimator = caseData?.estimatorId
+    ? await User.findById(caseData.estimatorId).select('firstName lastName email')
+    : null;
+  const recipient = estimator || quote.estimator;
+
+  if (recipient?.email) {
+    try {
+      await emailService.sendEstimatorQuoteExpiredNotification(recipient, quote.customer, quote.vehicle, quote, baseUrl);
+    } catch (error) {
+      console.error('Error sending estimator quote expired notification:', error);
+    }
+  }
+}
+
+/**
+ * Mark a quote as expired and notify the customer and estimator. Safe to call
+ * more than once: only the call that changes the status sends notifications.
+ * @param {Object} quote - Quote document
+ * @param {Object} actor - Actor from caseEvents.actorFromRequest, defaults to the system
+ * @returns {Promise<Object|null>} - The expired quote, or null if it was already final
+ */
+async function expireQuote(quote, actor = { kind: 'system' }) {
+  const expiredQuote = await Quote.findOneAndUpdate(
+    { _id: quote._id, status: { $nin: FINAL_STATUSES } },
+    { status: 'expired', expiredAt: new Date() },
+    { new: true }
+  ).populate('customer vehicle');
+
+  if (!expiredQuote) {
+    return null;
+  }
+
+  const expiry = getQuoteExpiry(expiredQuote);
+  await caseEvents.recordCaseEvent({
+    caseId: expiredQuote.caseId,
+    type: 'quote',
+    action: 'expired',
+    description: `Offer of $${(expiredQuote.offerAmount || 0).toLocaleString()} expired${expiry ? ` on ${expiry.toLocaleDateString()}` : ''}`,
+    actor,
+    changes: [{ field: 'status', before: quote.status, after: 'expired' }],
+    metadata: { quoteId: expiredQuote._id, expiryDate: expiry }
+  });
+
+  await notifyQuoteExpired(expiredQuote);
+
+  return expiredQuote;
+}
+
+/**
+ * Give open quotes issued without an expiry date (those from before quotes
+ * expired) a fresh one, so they aren't all expired and emailed about at once
+ * @returns {Promise<number>} - Number of quotes given an expiry date
+ */
+async function backfillQuoteExpiry() {
+  const result = await Quote.updateMany(
+    {
+      status: { $nin: FINAL_STATUSES },
+      offerAmount: { $gt: 0 },
+      'offerDecision.decision': { $in: ['pending', 'negotiating', null] },
+      expiryDate: null
+    },
+    { expiryDate: defaultExpiryDate() }
+  );
+  return result.modifiedCount || 0;
+}
+
+/**
+ * Expire every issued quote that passed its expiry date without a decision.
+ * Only quotes with an expiry date are swept; see backfillQuoteExpiry.
+ * @returns {Promise<number>} - Number of quotes expired
+ */
+async function expireStaleQuotes() {
+  const now = new Date();
+  const activeCaseIds = await Case.find({ deletedAt: null }).distinct('_id');
+
+  const candidates = await Quote.find({
+    caseId: { $in: activeCaseIds },
+    status: { $nin: FINAL_STATUSES },
+    offerAmount: { $gt: 0 },
+    'offerDecision.decision': { $in: ['pending', 'negotiating', null] },
+    expiryDate: { $lte: now }
+  });
+
+  let expired = 0;
+  for (const quote of candidates) {
+    if (!isQuoteExpired(quote)) {
+      continue;
+    }
+    try {
+      if (await expireQuote(quote)) {
+        expired++;
+      }
+    } catch (error) {
+      console.error(`Error expiring quote ${quote._id}:`, error);
+    }
+  }
+
+  return expired;
+}
+
+/**
+ * Whether an online instant offer has lapsed
+ * @param {Object} submission - VehicleSubmission
+ * @returns {boolean}
+ */
+function isOfferExpired(submission) {
+  const offer = submission.offer || {};
+  if (offer.expired) {
+    return true;
+  }
+  return !!(offer.generated && offer.expiresAt && new Date(offer.expiresAt).getTime() <= Date.now());
+}
+
+/**
+ * Expire online instant offers past their expiresAt and email the seller
+ * @returns {Promise<number>} - Number of offers expired
+ */
+async function expireStaleOffers() {
+  const submissions = await VehicleSubmission.find({
+    'offer.generated': true,
+    'offer.expired': { $ne: true },
+    'offer.expiresAt': { $lte: new Date() }
+  });
+
+  let expired = 0;
+  for (const submission of submissions) {
+    const updated = await VehicleSubmission.findOneAndUpdate(
+      { _id: submission._id, 'offer.expired': { $ne: true } },
+      { $set: { 'offer.expired': true, 'offer.expiredAt': new Date() } },
+      { new: true }
+    );
+    if (!updated) {
+      continue;
+    }
+    expired++;
+
+    if (updated.contact?.email) {
+      try {
+        await emailService.sendOnlineOfferExpiredEmail(updated, process.env.FRONTEND_URL);
+      } catch (error) {
+        console.error('Error sending online offer expired email:', error);
+      }
+    }
+  }
+
+  return expired;
+}
+
+/**
+ * Re-pull MarketCheck pricing for a vehicle and store it on the vehicle
+ * @param {Object} vehicle - Vehicle document
+ * @returns {Promise<number|null>} - New estimated value, or null when pricing is unavailable
+ */
+async function refreshVehiclePricing(vehicle) {
+  if (!vehicle?.vin) {
+    return null;
+  }
+
+  try {
+    const pricingData = await fetchMarketCheckPricing(vehicle.vin);
+    if (!pricingData || !(pricingData.estimatedValue > 0)) {
+      return null;
+    }
+
+    await Vehicle.updateOne(
+      { _id: vehicle._id },
+      {
+        estimatedValue: pricingData.estimatedValue,
+        pricingSource: pricingData.source,
+        pricingLastUpdated: new Date()
+      }
+    );
+    return pricingData.estimatedValue;
+  } catch (error) {
+    console.error('Error refreshing MarketCheck pricing:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Issue a new revision of a quote at current market pricing. The estimator's
+ * deduction from the previous market value is kept; if MarketCheck is
+ * unavailable the previous amount is re-offered with a new expiry date.
+ * @param {Object} quote - Quote document
+ * @param {Object} options
+ * @param {Object} options.actor - Actor from caseEvents.actorFromRequest
+ * @param {Object} options.author - Negotiation author for the new offer
+ * @returns {Promise<Object>} - { quote, previousAmount, marketValue }
+ */
+async function requoteQuote(quote, { actor, author } = {}) {
+  const vehicle = await Vehicle.findById(quote.vehicle?._id || quote.vehicle);
+  const previousAmount = quote.offerAmount;
+  const previousValue = quote.estimatedValue || vehicle?.estimatedValue;
+
+  const marketValue = await refreshVehiclePricing(vehicle);
+
+  let offerAmount = previousAmount;
+  if (marketValue && previousValue && previousAmount) {
+    const deduction = Math.max(previousValue - previousAmount, 0);
+    offerAmount = Math.max(Math.floor((marketValue - deduction) / OFFER_ROUNDING) * OFFER_ROUNDING, 0);
+  } else if (marketValue && !previousAmount) {
+    offerAmount = Math.floor(marketValue / OFFER_ROUNDING) * OFFER_ROUNDING;
+  }
+
+  if (!offerAmount) {
+    const error = new Error('Unable to price this vehicle, please enter an offer manually');
+    error.statusCode = 422;
+    throw error;
+  }
+
+  await Quote.updateOne(
+    { _id: quote._id },
+    {
+      estimatedValue: marketValue || previousValue,
+      offerAmount,
+      expiryDate: defaultExpiryDate(),
+      expiredAt: null,
+      status: 'ready',
+      generatedAt: new Date(),
+      emailSent: false,
+      offerDecision: { decision: 'pending' }
+    }
+  );
+
+  await quoteNegotiation.appendEntry(quote._id, {
+    kind: 'offer',
+    amount: offerAmount,
+    author: author || { kind: 'estimator', name: (await organizationSettings.getSettings()).displayName },
+    message: 'Re-quoted after the previous offer expired'
+  });
+
+  await Transaction.updateOne({ quote: quote._id }, { 'billOfSale.salePrice': offerAmount });
+  await reconditioning.refreshQuoteReconditioning(quote._id);
+
+  const updatedQuote = await Quote.findById(quote._id).populate('customer vehicle');
+
+  await caseEvents.recordCaseEvent({
+    caseId: updatedQuote.caseId,
+    type: 'quote',
+    action: 'requoted',
+    description: `Re-quoted at $${offerAmount.toLocaleString()}${marketValue ? ' with current market pricing' : ''}`,
+    actor,
+    changes: [{ field: 'offerAmount', before: previousAmount, after: offerAmount }],
+    metadata: { quoteId: updatedQuote._id, marketValue, previousValue }
+  });
+
+  try {
+    await emailService.sendQuoteEmail(updatedQuote.customer, updatedQuote.vehicle, updatedQuote, process.env.FRONTEND_URL);
+    await Quote.updateOne({ _id: updatedQuote._id }, { emailSent: true });
+  } catch (emailError) {
+    console.error('Error sending quote email:', emailError);
+  }
+
+  return { quote: updatedQuote, previousAmount, marketValue };
+}
+
+/**
+ * Generate a fresh online instant offer at current market pricing
+ * @param {Object} submission - VehicleSubmission document
+ * @returns {Promise<Object>} - The updated VehicleSubmission
+ */
+async function requoteSubmissionOffer(submission) {
+  const vin = submission.vinOrPlate?.vin;
+  if (vin) {
+    try {
+      const pricingData = await fetchMarketCheckPricing(vin);
+      if (pricingData && pricingData.estimatedValue > 0) {
+        submission.vinOrPlate.estimatedPrice = pricingData.estimatedValue;
+      }
+    } catch (error) {
+      console.error('Error refreshing MarketCheck pricing:', error.message);
+    }
+  }
+
+  const { amount, breakdown } = await offerPricing.generateOffer(submission);
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + ONLINE_OFFER_VALIDITY_DAYS);
+
+  return VehicleSubmission.findByIdAndUpdate(
+    submission._id,
+    {
+      $set: {
+        'vinOrPlate.estimatedPrice': submission.vinOrPlate?.estimatedPrice || 0,
+        'offer.amount': amount,
+        'offer.breakdown': breakdown,
+        'offer.expiresAt': expiresAt,
+        'offer.expired': false,
+        'offer.expiredAt': null,
+        'offer.generated': true,
+        'offer.generatedAt': new Date()
+      }
+    },
+    { new: true, runValidators: true }
+  );
+}
+
+/**
+ * Expire stale quotes and online offers every QUOTE_EXPIRY_INTERVAL_MINUTES
+ * @returns {NodeJS.Timer} - The interval handle
+ */
+function startExpirySchedule() {
+  const run = async () => {
+    try {
+      const backfilled = await backfillQuoteExpiry();
+      if (backfilled) {
+        console.log(`Gave ${backfilled} open quote(s) without an expiry date a fresh one`);
+      }
+      const quotes = await expireStaleQuotes();
+      const offers = await expireStaleOffers();
+      if (quotes || offers) {
+        console.log(`Expired ${quotes} quote(s) and ${offers} online offer(s)`);
+      }
+    } catch (error) {
+      console.error('Error running quote expiry:', error);
+    }
+  };
+
+  // First run as soon as the database is available
+  if (mongoose.connection.readyState === 1) {
+    run();
+  } else {
+    mongoose.connection.once('open', run);
+  }
+
+  const interval = setInterval(run, getExpiryIntervalMinutes() * 60 * 1000);
+  // Don't keep the process alive just for the expiry run
+  interval.unref();
+  return interval;
+}
+
+module.exports = {
+  getQuoteValidityHours,
+  defaultExpiryDate,
+  getQuoteExpiry,
+  isQuoteExpired,
+  backfillQuoteExpiry,
+  isOfferExpired,
+  expireQuote,
+  expireStaleQuotes,
+  expireStaleOffers,
+  requoteQuote,
+  requoteSubmissionOffer,
+  startExpirySchedule
+};
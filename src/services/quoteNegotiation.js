@@ -0,0 +1,162 @@
+const Quote = require('../models/Quote');
+
+// Attempts at appending an entry before giving up on concurrent writers
+const MAX_APPEND_ATTEMPTS = 3;
+
+const estimatorName = (quote) => [quote.estimator?.firstName, quote.estimator?.lastName].filter(Boolean).join(' ');
+
+/**
+ * The negotiation thread for a quote, oldest first. Quotes created before the
+ * thread existed get their single offer shown as version 1.
+ * @param {Object} quote - Quote document
+ * @returns {Array<Object>} - Negotiation entries
+ */
+function getHistory(quote) {
+  const entries = quote.negotiation ? quote.negotiation.map(entry => (entry.toObject ? entry.toObject() : entry)) : [];
+
+  if (entries.length === 0 && quote.offerAmount) {
+    return [{
+      version: 1,
+      kind: 'offer',
+      amount: quote.offerAmount,
+      author: { kind: 'estimator', name: estimatorName(quote), email: quote.estimator?.email },
+      message: quote.notes || '',
+      createdAt: quote.generatedAt || quote.createdAt
+    }];
+  }
+
+  return entries;
+}
+
+/**
+ * The amount currently on the table: the latest entry of the thread
+ * @param {Object} quote - Quote document
+ * @param {string} kind - Only consider 'offer' (estimator) or 'counter' (customer) entries
+ * @returns {Object|null} - Latest entry, or null when nothing has been offered yet
+ */
+function getCurrentOffer(quote, kind = null) {
+  const history = getHistory(quote).filter(entry => !kind || entry.kind === kind);
+  return history.length > 0 ? history[history.length - 1] : null;
+}
+
+/**
+ * Build a thread entry
+ * @param {number} version - Position in the thread, starting at 1
+ * @param {Object} entry - { kind, amount, author, message }
+ * @returns {Object} - Entry as stored on Quote.negotiation
+ */
+function buildEntry(version, { kind, amount, author, message }) {
+  const numericAmount = Number(amount);
+  if (!Number.isFinite(numericAmount) || numericAmount <= 0) {
+    const error = new Error('Amount must be a positive number');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return {
+    version,
+    kind,
+    amount: numericAmount,
+    author,
+    message: message || '',
+    createdAt: new Date()
+  };
+}
+
+/**
+ * Append an offer or counter to the thread. Writes are conditional on the
+ * thread length so two concurrent entries never get the same version.
+ * @param {string} quoteId - The quote ID
+ * @param {Object} entry
+ * @param {string} entry.kind - 'offer' (estimator) or 'counter' (customer)
+ * @param {number} entry.amount - Amount offered
+ * @param {Object} entry.author - { kind, name, email, user }
+ * @param {string} entry.message - Optional message to the other side
+ * @returns {Promise<Object>} - { quote, entry } with the updated Quote document
+ */
+async function appendEntry(quoteId, { kind, amount, author, message }) {
+  for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+    const quote = await Quote.findById(quoteId);
+    if (!quote) {
+      const error = new Error('Quote not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const stored = quote.negotiation || [];
+
+    // Keep the offer made before the thread existed as the first entry
+    const legacy = stored.length === 0 && quote.offerAmount ? [getHistory(quote)[0]] : [];
+
+    const newEntry = buildEntry(stored.length + legacy.length + 1, { kind, amount, author, message });
+
+    // Re-saving the same amount without a message is not a new round
+    const latest = legacy[0] || stored[stored.length - 1];
+    const isRepeat = !!latest && latest.kind === kind && latest.amount === newEntry.amount && !message;
+
+    const toPush = isRepeat ? legacy : [...legacy, newEntry];
+    if (toPush.length === 0) {
+      return { quote, entry: null };
+    }
+
+    const lengthFilter = stored.length === 0
+      ? { $or: [{ negotiation: { $exists: false } }, { negotiation: { $size: 0 } }] }
+      : { negotiation: { $size: stored.length } };
+
+    const updated = await Quote.findOneAndUpdate(
+      { _id: quoteId, ...lengthFilter },
+      { $push: { negotiation: { $each: toPush } } },
+      { new: true }
+    );
+
+    if (updated) {
+      return { quote: updated, entry: isRepeat ? null : newEntry };
+    }
+  }
+
+  const error = new Error('The quote was changed by someone else, please try again');
+  error.statusCode = 409;
+  throw error;
+}
+
+/**
+ * Author details for an estimator offer
+ * @param {Object} req - Express request; req.user is set for logged in estimators
+ * @param {Object} quote - Quote document, used when the estimator works from a token link
+ * @returns {Object} - author
+ */
+function estimatorAuthor(req, quote) {
+  if (req.user) {
+    return {
+      kind: 'estimator',
+      name: [req.user.firstName, req.user.lastName].filter(Boolean).join(' '),
+      email: req.user.email,
+      user: req.user.id || req.user._id
+    };
+  }
+  return { kind: 'estimator', name: estimatorName(quote), email: quote.estimator?.email };
+}
+
+/**
+ * Author details for a customer counter
+ * @param {Object} req - Express request; req.user is set when staff record it for the customer
+ * @param {Object} customer - Customer document, if populated
+ * @returns {Object} - author
+ */
+function customerAuthor(req, customer) {
+  return {
+    kind: 'customer',
+    name: customer && customer.firstName ? `${customer.firstName} ${customer.lastName || ''}`.trim() : undefined,
+    email: customer?.email1,
+    user: req.user ? (req.user.id || req.user._id) : undefined
+  };
+}
+
+module.exports = {
+  getHistory,
+  getCurrentOffer,
+  buildEntry,
+  appendEntry,
+  estimatorAuthor,
+  customerAuthor
+};
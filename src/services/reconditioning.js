@@ -0,0 +1,162 @@
+const Quote = require('../models/Quote');
+const Case = require('../models/Case');
+const Vehicle = require('../models/Vehicle');
+const Inspection = require('../models/Inspection');
+
+// Offers are proposed in whole steps of this many dollars
+const OFFER_ROUNDING = 25;
+
+/**
+ * Parse a repair cost string such as "$75 - $400", "$1,200" or "75-400"
+ * @param {string|number} value - Cost as stored on OBD2 codes
+ * @returns {Object|null} - { low, high }, or null when there is no number in it
+ */
+function parseCostRange(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? { low: value, high: value } : null;
+  }
+
+  const amounts = String(value || '')
+    .replace(/,/g, '')
+    .match(/\d+(\.\d+)?/g);
+
+  if (!amounts) {
+    return null;
+  }
+
+  const numbers = amounts.map(Number);
+  return {
+    low: Math.min(...numbers),
+    high: Math.max(...numbers)
+  };
+}
+
+/**
+ * Add up the repair costs found during the inspection and the OBD2 scan
+ * @param {Object} inspection - Inspection with safetyIssues and maintenanceItems
+ * @param {Object} quote - Quote with obd2Scan.criticalCodes
+ * @returns {Object} - { low, high, items, unpricedItems, calculatedAt }
+ */
+function estimateReconditioning(inspection, quote) {
+  const items = [];
+  let unpricedItems = 0;
+
+  const addItem = (source, description, cost) => {
+    const range = parseCostRange(cost);
+    if (!range) {
+      unpricedItems++;
+      return;
+    }
+    items.push({ source, description: description || '', low: range.low, high: range.high });
+  };
+
+  (inspection?.safetyIssues || []).forEach(issue => {
+    const label = [issue.description, issue.location && `(${issue.location})`, issue.severity && `[${issue.severity}]`]
+      .filter(Boolean)
+      .join(' ');
+    addItem('safety', label, issue.estimatedCost);
+  });
+
+  (inspection?.maintenanceItems || []).forEach(item => {
+    addItem('maintenance', item.description, item.estimatedCost);
+  });
+
+  (quote?.obd2Scan?.criticalCodes || []).forEach(code => {
+    addItem('obd2', `${code.code} ${code.description || ''}`.trim(), code.estimatedRepairCost);
+  });
+
+  return {
+    low: items.reduce((sum, item) => sum + item.low, 0),
+    high: items.reduce((sum, item) => sum + item.high, 0),
+    items,
+    unpricedItems,
+    calculatedAt: new Date()
+  };
+}
+
+/**
+ * Suggest an offer after taking reconditioning costs off the vehicle value.
+ * The midpoint of the repair range is deducted; the estimator decides the final offer.
+ * @param {number} baseAmount - Vehicle value before repairs
+ * @param {Object} estimate - Result of estimateReconditioning
+ * @returns {number|null} - Proposed offer, or null without a base amount
+ */
+function proposeAdjustedOffer(baseAmount, estimate) {
+  if (!baseAmount || baseAmount <= 0) {
+    return null;
+  }
+
+  const deduction = (estimate.low + estimate.high) / 2;
+  const proposed = Math.floor((baseAmount - deduction) / OFFER_ROUNDING) * OFFER_ROUNDING;
+  return Math.max(proposed, 0);
+}
+
+/**
+ * Vehicle value before repairs for a quote: the value on the quote, else the
+ * pricing value of the case or vehicle. Never the offer amount, which may
+ * already have repairs taken off.
+ * @param {Object} quote - Quote document
+ * @returns {Promise<number|null>}
+ */
+async function quoteBaseAmount(quote) {
+  if (quote.estimatedValue > 0) {
+    return quote.estimatedValue;
+  }
+
+  const caseId = quote.caseId?._id || quote.caseId;
+  const caseData = caseId ? await Case.findById(caseId).select('estimatedValue vehicle') : null;
+  if (caseData?.estimatedValue > 0) {
+    return caseData.estimatedValue;
+  }
+
+  const vehicleId = quote.vehicle?._id || quote.vehicle || caseData?.vehicle;
+  const vehicle = vehicleId ? await Vehicle.findById(vehicleId).select('estimatedValue') : null;
+  return vehicle?.estimatedValue > 0 ? vehicle.estimatedValue : null;
+}
+
+/**
+ * Calculate the reconditioning estimate for a quote without storing it
+ * @param {Object} quote - Quote document
+ * @returns {Promise<Object>} - Estimate with baseAmount and proposedOffer
+ */
+async function calculateQuoteReconditioning(quote) {
+  const inspection = quote.inspection
+    ? await Inspection.findById(quote.inspection._id || quote.inspection)
+    : await Inspection.findOne({ caseId: quote.caseId }).sort({ createdAt: -1 });
+
+  const estimate = estimateReconditioning(inspection, quote);
+  const baseAmount = await quoteBaseAmount(quote);
+  return {
+    ...estimate,
+    baseAmount,
+    proposedOffer: proposeAdjustedOffer(baseAmount, estimate)
+  };
+}
+
+/**
+ * Recalculate the reconditioning estimate for a quote and store it. Called
+ * whenever its inputs change: the quote is saved, an OBD2 scan is uploaded or
+ * the inspection is submitted.
+ * @param {string} quoteId - The quote ID
+ * @returns {Promise<Object|null>} - The stored estimate, or null if the quote does not exist
+ */
+async function refreshQuoteReconditioning(quoteId) {
+  const quote = await Quote.findById(quoteId);
+  if (!quote) {
+    return null;
+  }
+
+  const reconditioning = await calculateQuoteReconditioning(quote);
+  await Quote.updateOne({ _id: quote._id }, { reconditioning });
+
+  return reconditioning;
+}
+
+module.exports = {
+  parseCostRange,
+  estimateReconditioning,
+  proposeAdjustedOffer,
+  quoteBaseAmount,
+  calculateQuoteReconditioning,
+  refreshQuoteReconditioning
+};
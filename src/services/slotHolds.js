@@ -0,0 +1,347 @@
+const SlotHold = require('../models/SlotHold');
+const Case = require('../models/Case');
+const Inspection = require('../models/Inspection');
+const User = require('../models/User');
+const inspectorAvailability = require('./inspectorAvailability');
+const inspectionTemplates = require('./inspectionTemplates');
+const caseWorkflow = require('./caseWorkflow');
+const caseEvents = require('./caseEvents');
+const linkTokens = require('./linkTokens');
+const locations = require('./locations');
+const emailService = require('./email');
+const zapierService = require('./zapier');
+
+// How long a slot stays reserved while the seller finishes the form
+const HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES, 10) || 15;
+
+const CUSTOMER_ACTOR = { kind: 'customer' };
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Inspectors who can take appointments at a location. Inspectors without a
+ * location cover every store.
+ * @param {string} locationId - Location _id, or null for any store
+ * @returns {Promise<Array>} - Inspector Users
+ */
+async function inspectorsForLocation(locationId) {
+  const inspectors = await User.find({ role: 'inspector' }).select('firstName lastName email phone locationId location');
+  if (!locationId) {
+    return inspectors;
+  }
+
+  // Inspectors of the same store share the lookup of its name
+  const byStoreName = new Map();
+  const result = [];
+  for (const inspector of inspectors) {
+    const key = inspector.locationId ? null : inspector.location || '';
+    if (key !== null && !byStoreName.has(key)) {
+      byStoreName.set(key, await locations.locationIdForUser(inspector));
+    }
+    const inspectorLocation = key === null ? inspector.locationId._id || inspector.locationId : byStoreName.get(key);
+    if (!inspectorLocation || inspectorLocation.toString() === locationId.toString()) {
+      result.push(inspector);
+    }
+  }
+  return result;
+}
+
+/**
+ * The slot a submission currently holds, if it hasn't expired
+ * @param {string} submissionId
+ * @returns {Promise<Object|null>} - SlotHold document
+ */
+async function activeHold(submissionId) {
+  return SlotHold.findOne({
+    submission: submissionId,
+    status: 'held',
+    expiresAt: { $gt: new Date() }
+  });
+}
+
+/**
+ * Give up the slot a submission holds
+ * @param {string} submissionId
+ * @returns {Promise<number>} - Number of holds released
+ */
+async function releaseHold(submissionId) {
+  const result = await SlotHold.updateMany(
+    { submission: submissionId, status: 'held' },
+    { status: 'released', expiresAt: new Date() }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Open slots offered to an online seller, pooled over the inspectors of a location.
+ * Inspectors aren't named; a slot is open when at least one of them is free.
+ * Without any inspectors the seller can't self-schedule and staff book the
+ * inspection after the appointment request comes in.
+ * @param {Object} params
+ * @param {string} params.submissionId - The seller's own hold is shown as open
+ * @param {string} params.locationId - Location _id, or null for any store
+ * @param {string} params.date - First day, "YYYY-MM-DD"
+ * @param {number} params.days - Number of days
+ * @returns {Promise<Object>} - { timezone, holdMinutes, selfScheduling, days: [{ date, slots: [{ start, end, time }] }] }
+ */
+async function customerSlots({ submissionId, locationId, date, days }) {
+  const inspectors = await inspectorsForLocation(locationId);
+  const openByInspector = await inspectorAvailability.openSlotsForInspectors(inspectors, date, days, {
+    excludeSubmissionId: submissionId
+  });
+
+  let timezone = null;
+  const byDate = new Map();
+
+  for (const open of openByInspector) {
+    timezone = timezone || open.timezone;
+
+    open.days.forEach(day => {
+      const slots = byDate.get(day.date) || new Map();
+      day.slots.forEach(slot => {
+        const key = slot.start.toISOString();
+        if (!slots.has(key)) {
+          slots.set(key, slot);
+        }
+      });
+      byDate.set(day.date, slots);
+    });
+  }
+
+  if (!timezone && locationId) {
+    const location = await locations.findLocation(locationId.toString());
+    timezone = location?.timezone;
+  }
+
+  return {
+    timezone: timezone || inspectorAvailability.DEFAULT_TIMEZONE,
+    holdMinutes: HOLD_MINUTES,
+    selfScheduling: inspectors.length > 0,
+    days: [...byDate.keys()].sort().map(day => ({
+      date: day,
+      slots: [...byDate.get(day).values()].sort((a, b) => a.start - b.start)
+    }))
+  };
+}
+
+/**
+ * Try to hold a start time with one inspector
+ * @returns {Promise<Object|null>} - SlotHold document, null when the inspector isn't free
+ */
+async function holdWithInspector(inspector, submissionId, locationId, start) {
+  const availability = await inspectorAvailability.getAvailability(inspector);
+  const { date, time } = inspectorAvailability.wallClock(start, availability.timezone);
+  const check = {
+    inspector: { email: inspector.email },
+    scheduledDate: date,
+    scheduledTime: time,
+    excludeSubmissionId: submissionId
+  };
+
+  let window;
+  try {
+    window = await inspectorAvailability.assertInspectorAvailable(check);
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return null;
+    }
+    throw error;
+  }
+
+  // Expired holds are only removed by MongoDB about once a minute
+  await SlotHold.updateMany(
+    { inspector: inspector._id, scheduledStart: window.scheduledStart, status: 'held', expiresAt: { $lte: new Date() } },
+    { status: 'released' }
+  );
+
+  let hold;
+  try {
+    hold = await SlotHold.create({
+      submission: submissionId,
+      inspector: inspector._id,
+      location: locationId || null,
+      scheduledDate: date,
+      scheduledTime: window.scheduledTime,
+      scheduledStart: window.scheduledStart,
+      scheduledEnd: window.scheduledEnd,
+      expiresAt: new Date(Date.now() + HOLD_MINUTES * 60 * 1000)
+    });
+  } catch (error) {
+    // Another seller took the same start a moment ago
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+
+  // An overlapping hold may have been made at the same moment; back off and try the next inspector
+  try {
+    await inspectorAvailability.assertInspectorAvailable(check);
+  } catch (error) {
+    await SlotHold.deleteOne({ _id: hold._id });
+    if (error.statusCode === 409) {
+      return null;
+    }
+    throw error;
+  }
+
+  return hold;
+}
+
+/**
+ * Hold a start time for an online seller with the first inspector who is free.
+ * Any slot the submission held before is released. Throws 409 when nobody is free.
+ * @param {Object} params
+ * @param {string} params.submissionId
+ * @param {string} params.locationId - Location _id, or null for any store
+ * @param {string|Date} params.start - Appointment start
+ * @returns {Promise<Object|null>} - SlotHold document, null when the location has no inspectors to hold with
+ */
+async function holdSlot({ submissionId, locationId, start }) {
+  const startDate = new Date(start);
+  if (isNaN(startDate.getTime())) {
+    throw createError('A valid appointment start time is required', 400);
+  }
+  if (startDate <= new Date()) {
+    throw createError('Appointment time must be in the future', 400);
+  }
+
+  const current = await activeHold(submissionId);
+  if (current && current.scheduledStart.getTime() === startDate.getTime() &&
+      String(current.location || '') === String(locationId || '')) {
+    current.expiresAt = new Date(Date.now() + HOLD_MINUTES * 60 * 1000);
+    await current.save();
+    return current;
+  }
+
+  const inspectors = await inspectorsForLocation(locationId);
+  if (inspectors.length === 0) {
+    return null;
+  }
+
+  for (const inspector of inspectors) {
+    const hold = await holdWithInspector(inspector, submissionId, locationId, startDate);
+    if (hold) {
+      await SlotHold.updateMany(
+        { submission: submissionId, status: 'held', _id: { $ne: hold._id } },
+        { status: 'released', expiresAt: new Date() }
+      );
+      return hold;
+    }
+  }
+
+  throw createError('That time is no longer available, please pick another slot', 409);
+}
+
+/**
+ * Turn a held slot into a scheduled inspection of the case created for the submission.
+ * Does nothing when the case already has an inspection.
+ * @param {Object} hold - SlotHold document
+ * @param {Object} caseResult - From createCaseFromSubmission
+ * @returns {Promise<Object|null>} - The Inspection, or null when one already existed
+ */
+async function bookHold(hold, caseResult) {
+  const caseId = caseResult.case._id;
+  const existing = await Case.findById(caseId).select('inspection');
+  if (existing?.inspection) {
+    return null;
+  }
+
+  const inspectorUser = await User.findById(hold.inspector);
+  if (!inspectorUser) {
+    throw createError('The inspector holding this slot no longer exists', 409);
+  }
+  const inspector = {
+    firstName: inspectorUser.firstName,
+    lastName: inspectorUser.lastName,
+    email: inspectorUser.email,
+    phone: inspectorUser.phone
+  };
+
+  const appointment = await inspectorAvailability.assertInspectorAvailable({
+    inspector,
+    scheduledDate: hold.scheduledDate,
+    scheduledTime: hold.scheduledTime,
+    excludeSubmissionId: hold.submission
+  });
+
+  await caseWorkflow.assertTransition(caseId, { stage: 3, status: 'scheduled' }, { hasInspection: true });
+
+  const template = await inspectionTemplates.getActiveTemplate(inspectionTemplates.DEFAULT_TEMPLATE_KEY);
+  if (!template) {
+    throw createError('No active inspection template found', 500);
+  }
+
+  const inspection = await Inspection.create({
+    caseId,
+    vehicle: caseResult.vehicle._id,
+    customer: caseResult.customer._id,
+    inspector,
+    scheduledDate: hold.scheduledDate,
+    ...appointment,
+    status: 'scheduled',
+    template: inspectionTemplates.templateRef(template)
+  });
+
+  // Staff may have booked the inspector into the same time meanwhile
+  await inspectorAvailability.assertStillAvailable(
+    {
+      inspector,
+      scheduledDate: hold.scheduledDate,
+      scheduledTime: hold.scheduledTime,
+      excludeInspectionId: inspection._id,
+      excludeSubmissionId: hold.submission
+    },
+    () => Inspection.deleteOne({ _id: inspection._id })
+  );
+
+  await linkTokens.ensurePrimaryToken('inspection', inspection);
+
+  const updatedCase = await caseWorkflow.transitionCase(caseId, { stage: 3, status: 'scheduled' }, {
+    actor: CUSTOMER_ACTOR,
+    update: { inspection: inspection._id }
+  });
+
+  await caseEvents.recordCaseEvent({
+    caseId,
+    type: 'inspection',
+    action: 'scheduled',
+    description: `Inspection booked online for ${hold.scheduledDate} ${appointment.scheduledTime}`,
+    actor: CUSTOMER_ACTOR,
+    changes: caseEvents.diffFields(null, inspection, caseEvents.AUDITED_FIELDS.inspection),
+    metadata: { inspection: inspection._id, slotHold: hold._id }
+  });
+
+  await SlotHold.updateOne(
+    { _id: hold._id },
+    { status: 'booked', inspection: inspection._id, $unset: { expiresAt: 1 } }
+  );
+
+  try {
+    await emailService.sendInspectionEmail(inspection, caseResult.customer, caseResult.vehicle, process.env.FRONTEND_URL);
+  } catch (emailError) {
+    console.error('Error sending inspection email:', emailError);
+  }
+
+  try {
+    const caseData = { ...updatedCase.toObject(), customer: caseResult.customer, vehicle: caseResult.vehicle };
+    await zapierService.scheduleInspection(inspection, caseData, false);
+  } catch (zapierError) {
+    console.error('Zapier webhook error (non-blocking):', zapierError);
+  }
+
+  return inspection;
+}
+
+module.exports = {
+  HOLD_MINUTES,
+  activeHold,
+  releaseHold,
+  customerSlots,
+  holdSlot,
+  bookHold
+};
@@ -0,0 +1,160 @@
+const path = require('path');
+const crypto = require('crypto');
+const { createLocalDriver } = require('./local');
+const { createS3Driver } = require('./s3');
+
+// Where the local driver keeps files; also where uploads made before storage keys live
+const DEFAULT_LOCAL_ROOT = path.join(__dirname, '../../../uploads');
+
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.json': 'application/json'
+};
+
+let driver = null;
+
+/**
+ * The configured driver: STORAGE_DRIVER=local (default) or s3. Production servers
+ * lose their disk on every deploy, so the local driver is refused there unless
+ * STORAGE_ALLOW_LOCAL=true says the disk is persistent.
+ * @returns {Object}
+ */
+function getDriver() {
+  if (driver) {
+    return driver;
+  }
+
+  const name = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+  if (name === 's3') {
+    driver = createS3Driver({
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === undefined
+        ? undefined
+        : process.env.S3_FORCE_PATH_STYLE === 'true'
+    });
+  } else if (name === 'local') {
+    if (process.env.NODE_ENV === 'production' && process.env.STORAGE_ALLOW_LOCAL !== 'true') {
+      throw new Error('Local file storage is not allowed in production; set STORAGE_DRIVER=s3 and the S3_* variables');
+    }
+    driver = createLocalDriver({ root: process.env.STORAGE_LOCAL_ROOT || DEFAULT_LOCAL_ROOT });
+  } else {
+    throw new Error(`Unknown STORAGE_DRIVER '${name}'`);
+  }
+  return driver;
+}
+
+/**
+ * Content type from a key's extension
+ * @param {string} key
+ * @returns {string}
+ */
+function contentTypeFor(key) {
+  return CONTENT_TYPES[path.extname(key || '').toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * New unique key for a file, e.g. "documents/1700000000000-3f9a1c2b-title.pdf"
+ * @param {string} folder - e.g. 'documents', 'pdfs', 'obd2'
+ * @param {string} fileName - Original file name, only kept for readability
+ * @returns {string}
+ */
+function buildKey(folder, fileName) {
+  const safeName = path.basename(fileName || 'file')
+    .replace(/[^A-Za-z0-9._-]+/g, '-')
+    .replace(/-+\./g, '.')
+    .replace(/^-+|-+$/g, '') || 'file';
+  return `${folder}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${safeName}`;
+}
+
+/**
+ * Storage key of a stored value. Records from before storage keys hold
+ * "/uploads/..." paths or absolute file paths; both map onto the same key.
+ * @param {string} value - Key, "/uploads/..." path or absolute path
+ * @returns {string|null} - Key, or null for external URLs (e.g. Cloudinary)
+ */
+function keyFromPath(value) {
+  if (!value || /^https?:\/\//i.test(value)) {
+    return null;
+  }
+
+  const normalized = String(value).replace(/\\/g, '/');
+  const index = normalized.lastIndexOf('/uploads/');
+  const key = index >= 0 ? normalized.slice(index + '/uploads/'.length) : normalized.replace(/^\/+/, '');
+  return key.split('/').some(part => part === '..' || part === '') ? null : key;
+}
+
+/**
+ * Store a file
+ * @param {string} key
+ * @param {Buffer|string} body
+ * @param {Object} options
+ * @param {string} options.contentType - Taken from the key's extension when missing
+ * @returns {Promise<string>} - The key
+ */
+async function putObject(key, body, { contentType } = {}) {
+  await getDriver().putObject(key, body, { contentType: contentType || contentTypeFor(key) });
+  return key;
+}
+
+/**
+ * Read a whole file
+ * @param {string} key
+ * @returns {Promise<Buffer|null>} - null when it doesn't exist
+ */
+async function getObject(key) {
+  return getDriver().getObject(key);
+}
+
+/**
+ * Stream a file
+ * @param {string} key
+ * @returns {Promise<Object|null>} - { stream, size, contentType }, null when it doesn't exist
+ */
+async function getObjectStream(key) {
+  const result = await getDriver().getObjectStream(key);
+  if (!result) {
+    return null;
+  }
+  return { ...result, contentType: result.contentType || contentTypeFor(key) };
+}
+
+/**
+ * @param {string} key
+ * @returns {Promise<boolean>}
+ */
+async function exists(key) {
+  return getDriver().exists(key);
+}
+
+/**
+ * Delete a file; missing files are ignored
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+async function deleteObject(key) {
+  return getDriver().deleteObject(key);
+}
+
+module.exports = {
+  getDriver,
+  contentTypeFor,
+  buildKey,
+  keyFromPath,
+  putObject,
+  getObject,
+  getObjectStream,
+  exists,
+  deleteObject
+};
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+
+/**
+ * Stores objects as files under a root directory. Keys are relative paths.
+ * @param {Object} options
+ * @param {string} options.root - Directory holding the files
+ * @returns {Object} - Storage driver
+ */
+function createLocalDriver({ root }) {
+  const resolvedRoot = path.resolve(root);
+
+  // Keys never leave the root directory
+  const filePath = (key) => {
+    const resolved = path.resolve(resolvedRoot, key);
+    if (!resolved.startsWith(resolvedRoot + path.sep)) {
+      const error = new Error('Invalid storage key');
+      error.statusCode = 400;
+      throw error;
+    }
+    return resolved;
+  };
+
+  const notFound = (error) => error.code === 'ENOENT' || error.code === 'EISDIR';
+
+  return {
+    name: 'local',
+
+    async putObject(key, body) {
+      const target = filePath(key);
+      await fsp.mkdir(path.dirname(target), { recursive: true });
+      await fsp.writeFile(target, body);
+    },
+
+    async getObject(key) {
+      try {
+        return await fsp.readFile(filePath(key));
+      } catch (error) {
+        if (notFound(error)) return null;
+        throw error;
+      }
+    },
+
+    async getObjectStream(key) {
+      const target = filePath(key);
+      try {
+        const stats = await fsp.stat(target);
+        if (!stats.isFile()) return null;
+        return { stream: fs.createReadStream(target), size: stats.size };
+      } catch (error) {
+        if (notFound(error)) return null;
+        throw error;
+      }
+    },
+
+    async exists(key) {
+      try {
+        const stats = await fsp.stat(filePath(key));
+        return stats.isFile();
+      } catch (error) {
+        if (notFound(error)) return false;
+        throw error;
+      }
+    },
+
+    async deleteObject(key) {
+      try {
+        await fsp.unlink(filePath(key));
+      } catch (error) {
+        if (!notFound(error)) throw error;
+      }
+    }
+  };
+}
+
+module.exports = { createLocalDriver };
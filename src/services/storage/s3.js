@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Empty request bodies (GET, HEAD, DELETE) are signed with the hash of ''
+const EMPTY_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// S3 expects RFC 3986 encoding, which is stricter than encodeURIComponent
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const byName = ([a], [b]) => (a < b ? -1 : a > b ? 1 : 0);
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {Object} params
+ * @param {string} params.method - HTTP method
+ * @param {string} params.url - Full URL, path already encoded
+ * @param {Object} params.headers - Headers to sign besides host and the x-amz ones
+ * @param {string} params.payloadHash - Hex SHA-256 of the body
+ * @param {string} params.region
+ * @param {string} params.accessKeyId
+ * @param {string} params.secretAccessKey
+ * @param {Date} params.date - Signing time, now by default
+ * @returns {Object} - Headers to send, including Authorization
+ */
+function signRequest({ method, url, headers = {}, payloadHash, region, accessKeyId, secretAccessKey, date = new Date() }) {
+  const parsed = new URL(url);
+  const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+  const signed = {
+    ...headers,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+
+  const canonicalHeaders = Object.entries({ ...signed, host: parsed.host })
+    .map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')])
+    .sort(byName);
+  const signedHeaders = canonicalHeaders.map(([name]) => name).join(';');
+
+  const canonicalQuery = [...parsed.searchParams]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(byName)
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method.toUpperCase(),
+    parsed.pathname,
+    canonicalQuery,
+    canonicalHeaders.map(([name, value]) => `${name}:${value}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signed,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+/**
+ * Stores objects in an S3 compatible bucket (AWS S3, MinIO, R2, ...)
+ * @param {Object} options
+ * @param {string} options.endpoint - e.g. http://localhost:9000 for MinIO; AWS when empty
+ * @param {string} options.region
+ * @param {string} options.bucket
+ * @param {string} options.accessKeyId
+ * @param {string} options.secretAccessKey
+ * @param {boolean} options.forcePathStyle - Bucket in the path instead of the host name
+ * @returns {Object} - Storage driver
+ */
+function createS3Driver({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, forcePathStyle }) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const pathStyle = forcePathStyle ?? Boolean(endpoint);
+
+  const objectUrl = (key) => {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    return pathStyle
+      ? `${base.protocol}//${base.host}/${bucket}/${encodedKey}`
+      : `${base.protocol}//${bucket}.${base.host}/${encodedKey}`;
+  };
+
+  const send = async (method, key, { body, headers = {}, responseType = 'arraybuffer' } = {}) => {
+    const url = objectUrl(key);
+    const signedHeaders = signRequest({
+      method,
+      url,
+      headers,
+      payloadHash: body ? sha256(body) : EMPTY_HASH,
+      region,
+      accessKeyId,
+      secretAccessKey
+    });
+
+    return axios({
+      method,
+      url,
+      data: body,
+      headers: signedHeaders,
+      responseType,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus: () => true,
+      timeout: 30000
+    });
+  };
+
+  const failed = (method, key, response) => new Error(`S3 ${method} ${key} failed with status ${response.status}`);
+
+  return {
+    name: 's3',
+
+    async putObject(key, body, { contentType } = {}) {
+      const data = Buffer.isBuffer(body) ? body : Buffer.from(body);
+      const response = await send('PUT', key, {
+        body: data,
+        headers: contentType ? { 'content-type': contentType } : {}
+      });
+      if (response.status >= 300) throw failed('PUT', key, response);
+    },
+
+    async getObject(key) {
+      const response = await send('GET', key);
+      if (response.status === 404) return null;
+      if (response.status >= 300) throw failed('GET', key, response);
+      return Buffer.from(response.data);
+    },
+
+    async getObjectStream(key) {
+      const response = await send('GET', key, { responseType: 'stream' });
+      if (response.status >= 300) {
+        response.data.destroy();
+        if (response.status === 404) return null;
+        throw failed('GET', key, response);
+      }
+      return {
+        stream: response.data,
+        size: parseInt(response.headers['content-length'], 10) || undefined,
+        contentType: response.headers['content-type']
+      };
+    },
+
+    async exists(key) {
+      const response = await send('HEAD', key);
+      if (response.status === 404) return false;
+      if (response.status >= 300) throw failed('HEAD', key, response);
+      return true;
+    },
+
+    async deleteObject(key) {
+      const response = await send('DELETE', key);
+      if (response.status >= 300 && response.status !== 404) throw failed('DELETE', key, response);
+    }
+  };
+}
+
+module.exports = { createS3Driver, signRequest };
@@ -0,0 +1,71 @@
+const net = require('net');
+
+// clamd reads INSTREAM data in length-prefixed chunks
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Scans files with a ClamAV daemon (clamd) over TCP using the INSTREAM command.
+ * Locally: docker run -p 3310:3310 clamav/clamav
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} options.port
+ * @param {number} options.timeoutMs - Give up on an unresponsive daemon
+ * @returns {Object} - Scanner
+ */
+function createClamavScanner({ host = '127.0.0.1', port = 3310, timeoutMs = 30000 } = {}) {
+  return {
+    name: 'clamav',
+
+    /**
+     * @param {Buffer} buffer
+     * @returns {Promise<Object>} - { clean, signature }
+     */
+    scan(buffer) {
+      return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port });
+        const replies = [];
+        let settled = false;
+
+        const finish = (error, result) => {
+          if (settled) return;
+          settled = true;
+          socket.destroy();
+          if (error) reject(error);
+          else resolve(result);
+        };
+
+        socket.setTimeout(timeoutMs, () => finish(new Error(`ClamAV at ${host}:${port} timed out`)));
+        socket.on('error', error => finish(new Error(`ClamAV at ${host}:${port} is unavailable: ${error.message}`)));
+        socket.on('data', data => replies.push(data));
+
+        socket.on('connect', () => {
+          socket.write('zINSTREAM\0');
+          for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+            const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(chunk.length, 0);
+            socket.write(length);
+            socket.write(chunk);
+          }
+          // A zero length chunk ends the stream
+          socket.write(Buffer.alloc(4));
+        });
+
+        // clamd answers "stream: OK", "stream: <signature> FOUND" or "<message> ERROR"
+        socket.on('end', () => {
+          const reply = Buffer.concat(replies).toString('utf8').replace(/\0/g, '').trim();
+          if (/:\s*OK$/.test(reply)) {
+            return finish(null, { clean: true });
+          }
+          const found = reply.match(/:\s*(.+)\s+FOUND$/);
+          if (found) {
+            return finish(null, { clean: false, signature: found[1] });
+          }
+          finish(new Error(`ClamAV scan failed: ${reply || 'no reply'}`));
+        });
+      });
+    }
+  };
+}
+
+module.exports = { createClamavScanner };
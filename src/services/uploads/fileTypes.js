@@ -0,0 +1,48 @@
+// File types accepted anywhere, recognized by their first bytes rather than
+// the browser's mimetype or the file name
+const FILE_TYPES = {
+  pdf: { mimetype: 'application/pdf', extension: 'pdf', label: 'PDF' },
+  jpeg: { mimetype: 'image/jpeg', extension: 'jpg', label: 'JPEG', image: true },
+  png: { mimetype: 'image/png', extension: 'png', label: 'PNG', image: true },
+  webp: { mimetype: 'image/webp', extension: 'webp', label: 'WebP', image: true },
+  heic: { mimetype: 'image/heic', extension: 'heic', label: 'HEIC', image: true }
+};
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+// ISO base media brands used by HEIC/HEIF photos
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+/**
+ * Detect a file's type from its content
+ * @param {Buffer} buffer
+ * @returns {Object|null} - { type, mimetype, extension, label, image }, null when not recognized
+ */
+function detectFileType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) {
+    return null;
+  }
+
+  let type = null;
+  if (startsWith(buffer, ascii('%PDF-'))) {
+    type = 'pdf';
+  } else if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+    type = 'jpeg';
+  } else if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    type = 'png';
+  } else if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) {
+    type = 'webp';
+  } else if (startsWith(buffer, ascii('ftyp'), 4) && HEIC_BRANDS.includes(buffer.toString('latin1', 8, 12))) {
+    type = 'heic';
+  }
+
+  return type ? { type, ...FILE_TYPES[type] } : null;
+}
+
+module.exports = {
+  FILE_TYPES,
+  detectFileType
+};
@@ -0,0 +1,179 @@
+const axios = require('axios');
+
+// Longest side of stored photos and of their thumbnails, in pixels
+const getMaxDimension = () => parseInt(process.env.UPLOAD_IMAGE_MAX_DIMENSION, 10) || 2048;
+const getThumbnailSize = () => parseInt(process.env.UPLOAD_THUMBNAIL_SIZE, 10) || 320;
+
+// canvas is a native module; only load it once a photo has to be processed
+const loadCanvas = () => require('canvas');
+
+// Cloudinary is only needed for photos canvas can't decode: HEIC, and WebP on
+// canvas builds without WebP support
+const loadCloudinary = () => require('../../config/cloudinary');
+
+const canConvertWithCloudinary = () => Boolean(
+  process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET
+);
+
+/**
+ * Convert a photo canvas can't decode, such as HEIC (iPhone default), to JPEG
+ * through Cloudinary. The converted copy is deleted from Cloudinary once downloaded.
+ * @param {Buffer} buffer - Image content
+ * @returns {Promise<Buffer>} - JPEG content
+ */
+async function convertWithCloudinary(buffer) {
+  const { uploadToCloudinary, deleteFromCloudinary } = loadCloudinary();
+  const result = await uploadToCloudinary(buffer, { folder: 'vos-photo-conversion', format: 'jpg' });
+
+  try {
+    const response = await axios.get(result.secure_url, { responseType: 'arraybuffer', timeout: 30000 });
+    return Buffer.from(response.data);
+  } finally {
+    try {
+      await deleteFromCloudinary(result.public_id);
+    } catch (error) {
+      console.error(`Could not delete converted photo ${result.public_id} from Cloudinary:`, error.message);
+    }
+  }
+}
+
+/**
+ * Orientation tag (1-8) of a JPEG's EXIF data. Phones save photos sideways
+ * and rely on this tag to display them upright.
+ * @param {Buffer} buffer - JPEG content
+ * @returns {number} - 1 when there is no tag
+ */
+function jpegOrientation(buffer) {
+  let offset = 2;
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    // Image data starts here; metadata always comes before it
+    if (marker === 0xda) {
+      break;
+    }
+    if (marker === 0xe1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+      return tiffOrientation(buffer, offset + 10, Math.min(offset + 2 + length, buffer.length));
+    }
+    offset += 2 + length;
+  }
+  return 1;
+}
+
+function tiffOrientation(buffer, start, end) {
+  if (start + 8 > end) {
+    return 1;
+  }
+
+  const littleEndian = buffer.toString('latin1', start, start + 2) === 'II';
+  const readUInt16 = offset => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const readUInt32 = offset => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+  const ifd = start + readUInt32(start + 4);
+  if (ifd + 2 > end) {
+    return 1;
+  }
+
+  const entries = readUInt16(ifd);
+  for (let index = 0; index < entries; index++) {
+    const entry = ifd + 2 + index * 12;
+    if (entry + 12 > end) {
+      break;
+    }
+    if (readUInt16(entry) === 0x0112) {
+      const value = readUInt16(entry + 8);
+      return value >= 1 && value <= 8 ? value : 1;
+    }
+  }
+  return 1;
+}
+
+/**
+ * Draw an image upright and scaled onto a new canvas
+ * @param {Object} image - canvas Image
+ * @param {number} orientation - EXIF orientation
+ * @param {number} scale - 1 keeps the original size
+ * @param {string} background - Fill color for formats without transparency
+ * @returns {Object} - canvas Canvas
+ */
+function renderUpright(image, orientation, scale, background) {
+  const { createCanvas } = loadCanvas();
+  const { width, height } = image;
+  const sideways = orientation >= 5;
+
+  const canvas = createCanvas(
+    Math.max(1, Math.round((sideways ? height : width) * scale)),
+    Math.max(1, Math.round((sideways ? width : height) * scale))
+  );
+  const context = canvas.getContext('2d');
+
+  if (background) {
+    context.fillStyle = background;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+  }
+
+  context.scale(scale, scale);
+  switch (orientation) {
+    case 2: context.transform(-1, 0, 0, 1, width, 0); break;
+    case 3: context.transform(-1, 0, 0, -1, width, height); break;
+    case 4: context.transform(1, 0, 0, -1, 0, height); break;
+    case 5: context.transform(0, 1, 1, 0, 0, 0); break;
+    case 6: context.transform(0, 1, -1, 0, height, 0); break;
+    case 7: context.transform(0, -1, -1, 0, height, width); break;
+    case 8: context.transform(0, -1, 1, 0, 0, width); break;
+    default: break;
+  }
+  context.drawImage(image, 0, 0);
+  return canvas;
+}
+
+/**
+ * Re-encode a photo upright, without its EXIF data (GPS position, device...),
+ * no larger than UPLOAD_IMAGE_MAX_DIMENSION, plus a JPEG thumbnail.
+ * PNGs stay PNG, everything else becomes JPEG.
+ * @param {Buffer} buffer - Image content
+ * @param {string} type - Detected type, from detectFileType
+ * @returns {Promise<Object>} - { buffer, type, width, height, thumbnail }; rejects with
+ *   error.unreadable set when the content can't be decoded
+ */
+async function normalizeImage(buffer, type) {
+  const { loadImage } = loadCanvas();
+
+  let image;
+  try {
+    image = await loadImage(buffer);
+  } catch (error) {
+    const unreadable = new Error(`Unreadable image: ${error.message}`);
+    unreadable.unreadable = true;
+    throw unreadable;
+  }
+
+  const orientation = type === 'jpeg' ? jpegOrientation(buffer) : 1;
+  const longestSide = Math.max(image.width, image.height);
+  const outputType = type === 'png' ? 'png' : 'jpeg';
+
+  const normalized = renderUpright(
+    image,
+    orientation,
+    Math.min(1, getMaxDimension() / longestSide),
+    outputType === 'jpeg' ? '#ffffff' : null
+  );
+  const thumbnail = renderUpright(image, orientation, Math.min(1, getThumbnailSize() / longestSide), '#ffffff');
+
+  return {
+    buffer: outputType === 'png'
+      ? normalized.toBuffer('image/png')
+      : normalized.toBuffer('image/jpeg', { quality: 0.9 }),
+    type: outputType,
+    width: normalized.width,
+    height: normalized.height,
+    thumbnail: thumbnail.toBuffer('image/jpeg', { quality: 0.8 })
+  };
+}
+
+module.exports = {
+  canConvertWithCloudinary,
+  convertWithCloudinary,
+  jpegOrientation,
+  normalizeImage
+};
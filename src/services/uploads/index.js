@@ -0,0 +1,269 @@
+const path = require('path');
+const storage = require('../storage');
+const { FILE_TYPES, detectFileType } = require('./fileTypes');
+const images = require('./images');
+const scanners = require('./scanners');
+
+// Same limit as the express-fileupload and multer middleware
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+// Types accepted by each kind of upload
+const DOCUMENT_TYPES = ['pdf', 'jpeg', 'png', 'webp'];
+// HEIC photos are converted to JPEG, which needs Cloudinary to be configured;
+// so are WebP photos when canvas can't decode them
+const PHOTO_TYPES = ['jpeg', 'png', 'webp', 'heic'];
+
+// Why an upload can be refused, and the status sent back
+const REJECTIONS = {
+  'malformed-upload': 400,
+  'missing-file': 400,
+  'empty-file': 400,
+  'too-large': 413,
+  'unsupported-type': 415,
+  'unreadable-image': 422,
+  infected: 422,
+  'scan-failed': 503,
+  'conversion-failed': 503
+};
+
+/**
+ * Error refusing an upload; send it with sendRejection
+ * @param {string} reason - One of REJECTIONS
+ * @param {string} message - Shown to the user
+ * @param {string} field - Form field of the file
+ * @returns {Error}
+ */
+function rejectUpload(reason, message, field) {
+  const error = new Error(message);
+  error.statusCode = REJECTIONS[reason];
+  error.uploadRejection = { reason, field };
+  return error;
+}
+
+const tooLarge = (field) => rejectUpload('too-large', `Files can be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB`, field);
+
+const isRejection = (error) => Boolean(error && error.uploadRejection);
+
+/**
+ * Rejection for an error raised by multer while reading the request
+ * @param {Error} error - multer.MulterError
+ * @param {string} field - Form field of the file
+ * @returns {Error}
+ */
+function fromMulterError(error, field) {
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return tooLarge(error.field || field);
+  }
+  return rejectUpload('malformed-upload', error.message, error.field || field);
+}
+
+/**
+ * Respond to a refused upload. Every upload route answers with this shape:
+ * { success: false, error, reason, field }
+ * @param {Object} res - Express response
+ * @param {Error} error - From rejectUpload
+ */
+function sendRejection(res, error) {
+  return res.status(error.statusCode).json({
+    success: false,
+    error: error.message,
+    reason: error.uploadRejection.reason,
+    field: error.uploadRejection.field
+  });
+}
+
+// "PDF, JPEG, PNG or WebP"
+const typeList = (types) => {
+  const labels = types.map(type => FILE_TYPES[type].label);
+  return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}` : labels[0];
+};
+
+/**
+ * An uploaded file from express-fileupload (req.files) or multer (req.file)
+ * @param {Object} file
+ * @returns {Object|null} - { buffer, name }
+ */
+function uploadedFile(file) {
+  if (Array.isArray(file)) {
+    file = file[0];
+  }
+  if (!file) {
+    return null;
+  }
+  return {
+    buffer: file.data || file.buffer,
+    name: file.name || file.originalname || 'file'
+  };
+}
+
+/**
+ * Normalize a WebP photo canvas couldn't decode, once Cloudinary converted it to JPEG
+ * @param {Buffer} buffer - WebP content
+ * @param {string} field - Form field of the file
+ * @returns {Promise<Object>} - As from normalizeImage
+ */
+async function normalizeConverted(buffer, field) {
+  let converted;
+  try {
+    converted = await images.convertWithCloudinary(buffer);
+  } catch (error) {
+    console.error('WebP conversion failed:', error.message);
+    throw rejectUpload('conversion-failed', 'The WebP photo could not be converted, please try again later', field);
+  }
+
+  try {
+    return await images.normalizeImage(converted, 'jpeg');
+  } catch (error) {
+    if (!error.unreadable) {
+      throw error;
+    }
+    throw rejectUpload('unreadable-image', 'The image could not be read', field);
+  }
+}
+
+/**
+ * Check an upload and get it ready to store: the type is detected from the
+ * content, the file is virus scanned, and photos are turned upright, stripped
+ * of EXIF data, resized and given a thumbnail. HEIC photos, and WebP photos
+ * canvas can't decode, are converted to JPEG through Cloudinary. Throws
+ * rejectUpload errors.
+ * @param {Object} file - From express-fileupload or multer
+ * @param {Object} options
+ * @param {string} options.field - Form field, reported back on rejection
+ * @param {Array<string>} options.allowed - DOCUMENT_TYPES, PHOTO_TYPES or a subset of FILE_TYPES
+ * @returns {Promise<Object>} - { buffer, type, mimetype, fileName, originalName, size, thumbnail }
+ */
+async function prepareUpload(file, { field, allowed }) {
+  const upload = uploadedFile(file);
+  if (!upload || !upload.buffer) {
+    throw rejectUpload('missing-file', 'No file was uploaded', field);
+  }
+  if (upload.buffer.length === 0) {
+    throw rejectUpload('empty-file', 'The uploaded file is empty', field);
+  }
+  if (upload.buffer.length > MAX_UPLOAD_BYTES) {
+    throw tooLarge(field);
+  }
+
+  const detected = detectFileType(upload.buffer);
+  if (!detected || !allowed.includes(detected.type)) {
+    throw rejectUpload(
+      'unsupported-type',
+      `Only ${typeList(allowed)} files are allowed${detected ? `, this is a ${detected.label} file` : ''}`,
+      field
+    );
+  }
+
+  let scan;
+  try {
+    scan = await scanners.getScanner().scan(upload.buffer);
+  } catch (error) {
+    console.error('Virus scan failed:', error.message);
+    throw rejectUpload('scan-failed', 'The file could not be checked for viruses, please try again later', field);
+  }
+  if (!scan.clean) {
+    console.warn(`Rejected upload ${upload.name} in ${field}: ${scan.signature}`);
+    throw rejectUpload('infected', 'The file was rejected by the virus scanner', field);
+  }
+
+  // The original name is only kept for display; the extension comes from the content
+  const baseName = path.basename(upload.name, path.extname(upload.name)) || 'file';
+
+  if (!detected.image) {
+    return {
+      buffer: upload.buffer,
+      type: detected.type,
+      mimetype: detected.mimetype,
+      fileName: `${baseName}.${detected.extension}`,
+      originalName: upload.name,
+      size: upload.buffer.length,
+      thumbnail: null
+    };
+  }
+
+  let imageBuffer = upload.buffer;
+  let imageType = detected.type;
+  if (detected.type === 'heic') {
+    if (!images.canConvertWithCloudinary()) {
+      const others = allowed.filter(type => type !== 'heic');
+      throw rejectUpload(
+        'unsupported-type',
+        `HEIC photos can't be converted at the moment${others.length ? `, please upload a ${typeList(others)} file` : ''}`,
+        field
+      );
+    }
+    try {
+      imageBuffer = await images.convertWithCloudinary(upload.buffer);
+      imageType = 'jpeg';
+    } catch (error) {
+      console.error('HEIC conversion failed:', error.message);
+      throw rejectUpload('conversion-failed', 'The HEIC photo could not be converted, please try again later', field);
+    }
+  }
+
+  let image;
+  try {
+    image = await images.normalizeImage(imageBuffer, imageType);
+  } catch (error) {
+    if (!error.unreadable) {
+      throw error;
+    }
+    if (imageType !== 'webp' || !images.canConvertWithCloudinary()) {
+      throw rejectUpload('unreadable-image', 'The image could not be read', field);
+    }
+    image = await normalizeConverted(imageBuffer, field);
+  }
+
+  const output = FILE_TYPES[image.type];
+  return {
+    buffer: image.buffer,
+    type: image.type,
+    mimetype: output.mimetype,
+    fileName: `${baseName}.${output.extension}`,
+    originalName: upload.name,
+    size: image.buffer.length,
+    thumbnail: image.thumbnail
+  };
+}
+
+/**
+ * Storage key of a file's thumbnail
+ * @param {string} key
+ * @returns {string}
+ */
+function thumbnailKeyFor(key) {
+  return `${key.replace(/\.[^./]+$/, '')}.thumb.jpg`;
+}
+
+/**
+ * Store a prepared upload, and its thumbnail next to it
+ * @param {string} folder - e.g. 'documents', `driver-licenses/${caseId}`
+ * @param {Object} prepared - From prepareUpload
+ * @returns {Promise<Object>} - { key, thumbnailKey }
+ */
+async function storeUpload(folder, prepared) {
+  const key = await storage.putObject(storage.buildKey(folder, prepared.fileName), prepared.buffer, {
+    contentType: prepared.mimetype
+  });
+
+  let thumbnailKey = null;
+  if (prepared.thumbnail) {
+    thumbnailKey = await storage.putObject(thumbnailKeyFor(key), prepared.thumbnail, { contentType: 'image/jpeg' });
+  }
+
+  return { key, thumbnailKey };
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  DOCUMENT_TYPES,
+  PHOTO_TYPES,
+  rejectUpload,
+  tooLarge,
+  isRejection,
+  fromMulterError,
+  sendRejection,
+  prepareUpload,
+  thumbnailKeyFor,
+  storeUpload
+};
@@ -0,0 +1,49 @@
+const { createClamavScanner } = require('./clamav');
+
+// Virus scanners selectable with VIRUS_SCANNER. A scanner is { name, scan(buffer) }
+// where scan resolves { clean, signature } and rejects when it couldn't scan.
+const factories = {
+  none: () => ({
+    name: 'none',
+    scan: async () => ({ clean: true })
+  }),
+  clamav: () => createClamavScanner({
+    host: process.env.CLAMAV_HOST || '127.0.0.1',
+    port: parseInt(process.env.CLAMAV_PORT, 10) || 3310,
+    timeoutMs: parseInt(process.env.CLAMAV_TIMEOUT_MS, 10) || 30000
+  })
+};
+
+let scanner = null;
+
+/**
+ * Add a scanner, e.g. a cloud scanning API
+ * @param {string} name - Value of VIRUS_SCANNER that selects it
+ * @param {Function} factory - Returns the scanner
+ */
+function registerScanner(name, factory) {
+  factories[name] = factory;
+  scanner = null;
+}
+
+/**
+ * The configured scanner: VIRUS_SCANNER=none (default) or clamav
+ * @returns {Object}
+ */
+function getScanner() {
+  if (scanner) {
+    return scanner;
+  }
+
+  const name = (process.env.VIRUS_SCANNER || 'none').toLowerCase();
+  if (!factories[name]) {
+    throw new Error(`Unknown VIRUS_SCANNER '${name}'`);
+  }
+  scanner = factories[name]();
+  return scanner;
+}
+
+module.exports = {
+  registerScanner,
+  getScanner
+};
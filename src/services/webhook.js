@@ -1,7 +1,5 @@
 const axios = require('axios');
-const { uploadToCloudinary } = require('../config/cloudinary');
-const fs = require('fs').promises;
-const path = require('path');
+const organizationSettings = require('./organizationSettings');
 
 class WebhookService {
   constructor() {
@@ -12,36 +10,25 @@ class WebhookService {
    * Send PDF package to webhook with case details
    * @param {Object} caseData - The case data containing all information
    * @param {Object} buyer - The buyer information (estimator/agent handling the case)
-   * @param {string} pdfFilePath - Path to the generated PDF file
+   * @param {string} pdfUrl - Signed download URL of the generated PDF
    * @returns {Promise<Object>} - Promise resolving to webhook response
    */
-  async sendPDFPackageToWebhook(caseData, buyer, pdfFilePath) {
+  async sendPDFPackageToWebhook(caseData, buyer, pdfUrl) {
     console.log('=== WEBHOOK PDF PACKAGE START ===');
     console.log('Webhook URL:', this.webhookUrl);
     console.log('Case ID:', caseData._id);
     console.log('Buyer:', buyer);
-    console.log('PDF File Path:', pdfFilePath);
-
+    console.log('PDF URL:', pdfUrl);
+    
     if (!this.webhookUrl) {
       console.warn('Webhook URL not configured. Skipping PDF package webhook.');
       return null;
     }
 
     try {
-      // Upload PDF to Cloudinary
-      console.log('Uploading PDF to Cloudinary...');
-      const pdfBuffer = await fs.readFile(pdfFilePath);
-      const cloudinaryResult = await uploadToCloudinary(pdfBuffer, {
-        resource_type: 'raw',
-        folder: 'vos-pdf-packages',
-        public_id: `case-${caseData._id}-package-${Date.now()}`,
-        format: 'pdf'
-      });
-
-      console.log('PDF uploaded to Cloudinary:', cloudinaryResult.secure_url);
-
       // Build webhook data
-      const webhookData = this.buildPDFPackageWebhookData(caseData, buyer, cloudinaryResult.secure_url);
+      const organization = await organizationSettings.getSettings();
+      const webhookData = this.buildPDFPackageWebhookData(caseData, buyer, pdfUrl, organization);
 
       console.log('=== WEBHOOK DATA ===');
       console.log('Full webhook data being sent:');
@@ -71,8 +58,7 @@ class WebhookService {
       return {
         success: true,
         webhookResponse: response.data,
-        pdfUrl: cloudinaryResult.secure_url,
-        publicId: cloudinaryResult.public_id
+        pdfUrl
       };
 
     } catch (error) {
@@ -109,10 +95,11 @@ class WebhookService {
    * Build webhook data for PDF package
    * @param {Object} caseData - The case data
    * @param {Object} buyer - The buyer information
-   * @param {string} pdfUrl - The Cloudinary URL of the PDF
+   * @param {string} pdfUrl - Download URL of the PDF
+   * @param {Object} organization - Organization settings
    * @returns {Object} - The webhook data structure
    */
-  buildPDFPackageWebhookData(caseData, buyer, pdfUrl) {
+  buildPDFPackageWebhookData(caseData, buyer, pdfUrl, organization) {
     const customer = caseData.customer || {};
     const vehicle = caseData.vehicle || {};
     const quote = caseData.quote || {};
@@ -124,6 +111,9 @@ class WebhookService {
       case_id: caseData._id.toString(),
       case_status: caseData.status,
       case_created_at: caseData.createdAt,
+
+      // Company buying the vehicle
+      organization: organizationSettings.webhookOrganization(organization),
       
       // Buyer information (estimator/agent handling the case)
       buyer: {
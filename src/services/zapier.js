@@ -1,4 +1,5 @@
 const axios = require('axios');
+const organizationSettings = require('./organizationSettings');
 
 class ZapierService {
   constructor() {
@@ -26,7 +27,8 @@ class ZapierService {
     }
 
     try {
-      const eventData = this.buildCalendarEventData(inspection, caseData, isReschedule);
+      const organization = await organizationSettings.getSettings();
+      const eventData = this.buildCalendarEventData(inspection, caseData, isReschedule, organization);
       
       console.log('=== ZAPIER WEBHOOK DATA ===');
       console.log('Full event data being sent to Zapier:');
@@ -83,10 +85,49 @@ class ZapierService {
     }
   }
 
+  /**
+   * Send inspection cancellation (or no-show) webhook to Zapier so the calendar events are removed
+   */
+  async cancelInspection(inspection, caseData, reason) {
+    if (!this.webhookUrl) {
+      console.warn('Zapier webhook URL not configured. Skipping calendar event cancellation.');
+      return;
+    }
+
+    try {
+      const organization = await organizationSettings.getSettings();
+      const eventData = {
+        ...this.buildCalendarEventData(inspection, caseData, false, organization),
+        action: inspection.status === 'no-show' ? 'no_show_inspection' : 'cancel_inspection',
+        cancellation: {
+          status: inspection.status,
+          reason: reason || '',
+          recorded_at: inspection.cancellation?.recordedAt || new Date().toISOString(),
+          inspector_event_id: inspection.calendarEvents?.inspectorEventId || '',
+          estimator_event_id: inspection.calendarEvents?.estimatorEventId || ''
+        }
+      };
+
+      const response = await axios.post(this.webhookUrl, eventData, {
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        timeout: 10000,
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('Error sending Zapier cancellation webhook:', error.message);
+      console.error('Inspection ID:', inspection._id);
+      // Don't throw error - the cancellation is already saved
+      return null;
+    }
+  }
+
   /**
    * Build calendar event data for Zapier
    */
-  buildCalendarEventData(inspection, caseData, isReschedule = false) {
+  buildCalendarEventData(inspection, caseData, isReschedule = false, organization) {
     console.log('=== BUILDING CALENDAR EVENT DATA ===');
     console.log('Input inspection:', {
       scheduledDate: inspection.scheduledDate,
@@ -143,6 +184,7 @@ class ZapierService {
       action: isReschedule ? 'reschedule_inspection' : 'schedule_inspection',
       inspection_id: inspection._id.toString(),
       case_id: caseData._id.toString(),
+      organization: organizationSettings.webhookOrganization(organization),
       customer: {
         name: `${caseData.customer?.firstName || ''} ${caseData.customer?.lastName || ''}`.trim(),
         email: caseData.customer?.email1 || '',
@@ -0,0 +1,125 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeQuery, mockResponse, objectId } = require('./helpers');
+const Case = require('../src/models/Case');
+const Customer = require('../src/models/Customer');
+const Inspection = require('../src/models/Inspection');
+const caseAccess = require('../src/services/caseAccess');
+const { requireCaseAccess } = require('../src/middleware/auth');
+
+describe('case access', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('caseScopeFilter', () => {
+    it('lets admins see every case', async () => {
+      assert.deepEqual(await caseAccess.caseScopeFilter({ _id: objectId(), role: 'admin' }), {});
+    });
+
+    it('shows customers the cases of their own customer records', async () => {
+      const user = { _id: objectId(), role: 'customer' };
+      const customerIds = [objectId(), objectId()];
+      const find = mock.method(Customer, 'find', () => fakeQuery(customerIds));
+
+      assert.deepEqual(await caseAccess.caseScopeFilter(user), { customer: { $in: customerIds } });
+      assert.deepEqual(find.mock.calls[0].arguments[0], { customerId: user._id });
+    });
+
+    it('shows inspectors the cases whose inspection is theirs', async () => {
+      const inspectionIds = [objectId()];
+      const find = mock.method(Inspection, 'find', () => fakeQuery(inspectionIds));
+
+      const filter = await caseAccess.caseScopeFilter({ _id: objectId(), role: 'inspector', email: 'ann@example.com' });
+
+      assert.deepEqual(filter, { inspection: { $in: inspectionIds } });
+      assert.deepEqual(find.mock.calls[0].arguments[0], { 'inspector.email': 'ann@example.com' });
+    });
+
+    it('shows estimators the cases assigned to them', async () => {
+      const user = { _id: objectId(), role: 'estimator' };
+      assert.deepEqual(await caseAccess.caseScopeFilter(user), { estimatorId: user._id });
+    });
+
+    it('shows agents their location plus cases without one from their store', async () => {
+      const locationId = objectId();
+      const customerIds = [objectId()];
+      const find = mock.method(Customer, 'find', () => fakeQuery(customerIds));
+
+      const filter = await caseAccess.caseScopeFilter({ _id: objectId(), role: 'agent', locationId, location: 'Dallas' });
+
+      assert.deepEqual(filter, {
+        $or: [
+          { location: locationId },
+          { location: null, customer: { $in: customerIds } }
+        ]
+      });
+      assert.deepEqual(find.mock.calls[0].arguments[0], { storeLocation: { $in: ['Dallas', null, ''] } });
+    });
+
+    it('does not restrict agents of single store setups', async () => {
+      assert.deepEqual(await caseAccess.caseScopeFilter({ _id: objectId(), role: 'agent' }), {});
+    });
+
+    it('shows nothing to unknown roles or without a user', async () => {
+      assert.deepEqual(await caseAccess.caseScopeFilter({ _id: objectId(), role: 'seller' }), { _id: null });
+      assert.deepEqual(await caseAccess.caseScopeFilter(null), { _id: null });
+    });
+  });
+
+  describe('scopeCaseQuery', () => {
+    it('adds the scope to the caller\'s conditions', async () => {
+      const user = { _id: objectId(), role: 'estimator' };
+      assert.deepEqual(
+        await caseAccess.scopeCaseQuery(user, { deletedAt: null }),
+        { $and: [{ deletedAt: null }, { estimatorId: user._id }] }
+      );
+    });
+
+    it('leaves admin queries as they are', async () => {
+      assert.deepEqual(await caseAccess.scopeCaseQuery({ role: 'admin' }, { deletedAt: null }), { deletedAt: null });
+    });
+  });
+
+  describe('requireCaseAccess', () => {
+    const run = async (user, caseId) => {
+      const req = { user, params: { caseId } };
+      const res = mockResponse();
+      let passed = false;
+      await requireCaseAccess()(req, res, () => { passed = true; });
+      return { res, passed };
+    };
+
+    // Case.exists answers true for the case itself and for the scoped lookup only when `visible`
+    const stubCase = (visible) => mock.method(Case, 'exists', async (filter) => (filter.$and ? visible : true));
+
+    it('lets a user through to a case in their scope', async () => {
+      stubCase(true);
+      const { res, passed } = await run({ _id: objectId(), role: 'estimator' }, String(objectId()));
+      assert.equal(passed, true);
+      assert.equal(res.body, undefined);
+    });
+
+    it('answers 403 for a case outside the user\'s scope', async () => {
+      const exists = stubCase(false);
+      const user = { _id: objectId(), role: 'estimator' };
+      const caseId = String(objectId());
+
+      const { res, passed } = await run(user, caseId);
+
+      assert.equal(passed, false);
+      assert.equal(res.statusCode, 403);
+      assert.deepEqual(exists.mock.calls[1].arguments[0], { $and: [{ _id: caseId }, { estimatorId: user._id }] });
+    });
+
+    it('answers 404 for a case that does not exist', async () => {
+      mock.method(Case, 'exists', async () => null);
+      const { res, passed } = await run({ _id: objectId(), role: 'admin' }, String(objectId()));
+      assert.equal(passed, false);
+      assert.equal(res.statusCode, 404);
+    });
+
+    it('answers 400 for a malformed case id and 401 without a user', async () => {
+      assert.equal((await run({ _id: objectId(), role: 'admin' }, 'not-an-id')).res.statusCode, 400);
+      assert.equal((await run(null, String(objectId()))).res.statusCode, 401);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeQuery, objectId } = require('./helpers');
+const Case = require('../src/models/Case');
+const caseEvents = require('../src/services/caseEvents');
+const caseWorkflow = require('../src/services/caseWorkflow');
+
+const { planTransition, CaseTransitionError } = caseWorkflow;
+
+const caseAt = (currentStage, status, extra = {}) => ({ _id: objectId(), currentStage, status, ...extra });
+
+const acceptedQuote = { offerDecision: { decision: 'accepted' } };
+const completedInspection = { completed: true, status: 'completed' };
+
+describe('case workflow', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('planTransition', () => {
+    it('starts new cases in scheduling with intake done', () => {
+      assert.deepEqual(caseWorkflow.initialState(), {
+        currentStage: 2,
+        status: 'new',
+        stageStatuses: { 1: 'complete', 2: 'active', 3: 'pending', 4: 'pending', 5: 'pending', 6: 'pending' }
+      });
+    });
+
+    it('moves a case into the inspection stage once an inspection is scheduled', () => {
+      const update = planTransition(caseAt(2, 'new'), { stage: 3, status: 'scheduled' }, { hasInspection: true });
+
+      assert.equal(update.currentStage, 3);
+      assert.equal(update.status, 'scheduled');
+      assert.deepEqual(update.stageStatuses, { 1: 'complete', 2: 'complete', 3: 'active', 4: 'pending', 5: 'pending', 6: 'pending' });
+    });
+
+    it('refuses to skip stages', () => {
+      assert.throws(
+        () => planTransition(caseAt(2, 'new'), { stage: 4 }),
+        error => error instanceof CaseTransitionError && error.statusCode === 409 && /stage 2 .* to stage 4/.test(error.message)
+      );
+    });
+
+    it('refuses to schedule a case without an inspection', () => {
+      assert.throws(
+        () => planTransition(caseAt(2, 'new'), { stage: 3, status: 'scheduled' }),
+        { message: 'An inspection must be scheduled before the inspection stage' }
+      );
+    });
+
+    it('refuses the quote stage before the inspection is completed', () => {
+      assert.throws(
+        () => planTransition(caseAt(3, 'scheduled', { inspection: { status: 'in-progress' } }), { stage: 4, status: 'quote-ready' }),
+        { message: 'The inspection must be completed before the quote stage' }
+      );
+    });
+
+    it('completes a case with an accepted offer', () => {
+      const update = planTransition(
+        caseAt(5, 'negotiating', { inspection: completedInspection, quote: acceptedQuote }),
+        { stage: 6, status: 'completed' }
+      );
+
+      assert.equal(update.status, 'completed');
+      assert.equal(update.stageStatuses[6], 'complete');
+    });
+
+    it('only completes a case when the offer was accepted', () => {
+      assert.throws(
+        () => planTransition(caseAt(4, 'quote-ready', { quote: { offerDecision: { decision: 'pending' } } }), { stage: 6, status: 'completed' }),
+        CaseTransitionError
+      );
+    });
+
+    it('takes the decision from the quote status when offerDecision is still pending', () => {
+      const facts = caseWorkflow.getCaseFacts({ quote: { status: 'declined', offerDecision: { decision: 'pending' } } });
+      assert.equal(facts.quoteDecision, 'declined');
+    });
+
+    it('keeps completed cases completed', () => {
+      assert.throws(
+        () => planTransition(caseAt(6, 'completed', { quote: acceptedQuote }), { status: 'active' }),
+        { message: 'Cannot change case status from \'completed\' to \'active\'' }
+      );
+    });
+
+    it('refuses a status that does not belong in the stage', () => {
+      assert.throws(
+        () => planTransition(caseAt(3, 'scheduled', { inspection: completedInspection }), { status: 'quote-ready' }),
+        { message: 'A case with status \'quote-ready\' cannot be in stage 3 (inspection)' }
+      );
+    });
+
+    it('rejects unknown stages and statuses', () => {
+      assert.throws(() => planTransition(caseAt(2, 'new'), { stage: 9 }), /Invalid stage 9/);
+      assert.throws(() => planTransition(caseAt(2, 'new'), { status: 'archived' }), /Invalid status 'archived'/);
+    });
+
+    it('leaves paperwork pending when a declined case is closed', () => {
+      const update = planTransition(
+        caseAt(4, 'quote-declined', { quote: { offerDecision: { decision: 'declined' } } }),
+        { stage: 6, status: 'cancelled' }
+      );
+
+      assert.equal(update.stageStatuses[5], 'pending');
+      assert.equal(update.stageStatuses[6], 'complete');
+    });
+  });
+
+  describe('transitionCase', () => {
+    it('writes the move guarded by the stage and status it was checked against, and logs it', async () => {
+      const caseData = caseAt(2, 'new');
+      mock.method(Case, 'findById', () => fakeQuery(caseData));
+      const update = mock.method(Case, 'findOneAndUpdate', (filter, changes) => fakeQuery({ ...caseData, ...changes }));
+      const recorded = mock.method(caseEvents, 'recordCaseEvent', async () => null);
+
+      const updated = await caseWorkflow.transitionCase(caseData._id, { status: 'active' }, { update: { notes: 'called' } });
+
+      assert.equal(updated.status, 'active');
+      const [filter, changes] = update.mock.calls[0].arguments;
+      assert.deepEqual(filter, { _id: caseData._id, currentStage: 2, status: 'new' });
+      assert.equal(changes.notes, 'called');
+      assert.equal(recorded.mock.callCount(), 1);
+      assert.deepEqual(recorded.mock.calls[0].arguments[0].changes, [{ field: 'status', before: 'new', after: 'active' }]);
+    });
+
+    it('fails with 409 when another request moved the case first', async () => {
+      mock.method(Case, 'findById', () => fakeQuery(caseAt(2, 'new')));
+      mock.method(Case, 'findOneAndUpdate', () => fakeQuery(null));
+      const recorded = mock.method(caseEvents, 'recordCaseEvent', async () => null);
+
+      await assert.rejects(
+        caseWorkflow.transitionCase(objectId(), { status: 'active' }),
+        { statusCode: 409, message: 'Case was modified by another request, please reload and try again' }
+      );
+      assert.equal(recorded.mock.callCount(), 0);
+    });
+
+    it('answers 404 for a case that does not exist', async () => {
+      mock.method(Case, 'findById', () => fakeQuery(null));
+
+      await assert.rejects(caseWorkflow.transitionCase(objectId(), { status: 'active' }), { statusCode: 404 });
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeQuery, mockResponse, objectId } = require('./helpers');
+const Case = require('../src/models/Case');
+const Quote = require('../src/models/Quote');
+const OrganizationSettings = require('../src/models/OrganizationSettings');
+const caseEvents = require('../src/services/caseEvents');
+const documentChecklist = require('../src/services/documentChecklist');
+const controllers = require('../src/controllers/allcontrollers');
+
+// A purchase ready to complete except for its paperwork
+function acceptedCase(extra = {}) {
+  const caseData = {
+    _id: objectId(),
+    currentStage: 5,
+    status: 'negotiating',
+    inspection: { status: 'completed', completed: true },
+    quote: { offerDecision: { decision: 'accepted' } },
+    vehicle: { titleStatus: 'clean', loanStatus: 'paid-off' },
+    transaction: null,
+    submission: null,
+    documents: {},
+    ...extra
+  };
+  caseData.toObject = () => ({ ...caseData });
+  caseData.populate = async () => caseData;
+  return caseData;
+}
+
+const allDocuments = () => ({
+  documents: {
+    driverLicenseFront: { key: 'driver-licenses/front.jpg' },
+    driverLicenseRear: { key: 'driver-licenses/rear.jpg' },
+    vehicleTitle: { key: 'documents/title.pdf' }
+  },
+  transaction: { documents: { signedBillOfSale: { key: 'documents/bill-of-sale.pdf' } } }
+});
+
+const request = (caseData, extra = {}) => ({
+  params: { caseId: String(caseData._id) },
+  body: {},
+  user: { id: objectId(), role: 'admin' },
+  ...extra
+});
+
+describe('document checklist', () => {
+  let caseData;
+  let transitions;
+
+  beforeEach(() => {
+    caseData = acceptedCase();
+    mock.method(Case, 'findById', () => fakeQuery(() => caseData));
+    mock.method(OrganizationSettings, 'findOne', () => fakeQuery(null));
+    transitions = mock.method(Case, 'findOneAndUpdate', (filter, update) => fakeQuery(Object.assign(caseData, update)));
+    mock.method(caseEvents, 'recordCaseEvent', async () => null);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('getCaseChecklist', () => {
+    it('lists what is missing for a purchase', async () => {
+      const checklist = await documentChecklist.getCaseChecklist(caseData._id);
+
+      assert.equal(checklist.complete, false);
+      assert.deepEqual(checklist.missing.map(item => item.id), ['driverLicenseFront', 'driverLicenseRear', 'vehicleTitle', 'signedBillOfSale']);
+    });
+
+    it('only asks for the lien release and payoff letter when there is a loan', async () => {
+      caseData = acceptedCase({ ...allDocuments(), vehicle: { loanStatus: 'still-has-loan' } });
+
+      const checklist = await documentChecklist.getCaseChecklist(caseData._id);
+
+      assert.deepEqual(checklist.missing.map(item => item.id), ['lienRelease', 'payoffLetter']);
+    });
+
+    it('accepts the signed SignNow copy for the bill of sale', async () => {
+      caseData = acceptedCase({
+        ...allDocuments(),
+        transaction: null,
+        signnow: { signedDocumentUrl: 'https://files.example.com/signed.pdf' }
+      });
+
+      const checklist = await documentChecklist.getCaseChecklist(caseData._id);
+
+      assert.equal(checklist.complete, true);
+      assert.equal(checklist.requirements.find(item => item.id === 'signedBillOfSale').satisfiedBy, 'signedSigningPackage');
+    });
+  });
+
+  describe('completing a case with missing documents', () => {
+    const refused = (res) => {
+      assert.equal(res.statusCode, 409);
+      assert.equal(res.body.success, false);
+      assert.match(res.body.error, /^Missing required documents: /);
+      assert.deepEqual(res.body.missing.map(item => item.id), ['driverLicenseFront', 'driverLicenseRear', 'vehicleTitle', 'signedBillOfSale']);
+      assert.equal(transitions.mock.callCount(), 0);
+    };
+
+    it('is refused by POST /cases/:caseId/complete', async () => {
+      const res = mockResponse();
+      await controllers.completeCase(request(caseData), res);
+      refused(res);
+    });
+
+    it('is refused by PUT /cases/:caseId/status', async () => {
+      const res = mockResponse();
+      await controllers.updateCaseStatus(request(caseData, { body: { status: 'completed' } }), res);
+      // Completing through a status change also has to move to stage 6, which isn't allowed here
+      assert.equal(res.statusCode, 409);
+      assert.equal(transitions.mock.callCount(), 0);
+    });
+
+    it('is refused by PUT /cases/:caseId/status from the completion stage', async () => {
+      caseData = acceptedCase({ currentStage: 6 });
+      const res = mockResponse();
+      await controllers.updateCaseStatus(request(caseData, { body: { status: 'completed' } }), res);
+      refused(res);
+    });
+
+    it('is refused by POST /quote/:token/complete', async () => {
+      const quote = { _id: objectId(), caseId: caseData, toObject: () => ({}) };
+      mock.method(Quote, 'findById', () => fakeQuery(quote));
+      mock.method(console, 'log', () => {});
+      mock.method(console, 'error', () => {});
+
+      const res = mockResponse();
+      await controllers.completeCaseWithToken(request(caseData, { linkToken: { resource: quote._id } }), res);
+      refused(res);
+    });
+
+    it('is refused by POST /cases/:caseId/complete-estimator', async () => {
+      mock.method(console, 'log', () => {});
+      mock.method(console, 'error', () => {});
+
+      const res = mockResponse();
+      await controllers.completeCaseByCaseId(request(caseData), res);
+      refused(res);
+    });
+
+    it('is refused by POST /cases/:caseId/completion', async () => {
+      mock.method(console, 'log', () => {});
+      mock.method(console, 'error', () => {});
+
+      const res = mockResponse();
+      await controllers.saveCompletionData(request(caseData, { body: { thankYouSent: true } }), res);
+      refused(res);
+    });
+  });
+
+  it('lets a case with every document through', async () => {
+    caseData = acceptedCase({ ...allDocuments(), currentStage: 6 });
+
+    const res = mockResponse();
+    await controllers.updateCaseStatus(request(caseData, { body: { status: 'completed' } }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.status, 'completed');
+    assert.equal(transitions.mock.callCount(), 1);
+  });
+
+  it('does not ask for documents when a declined case is closed', async () => {
+    caseData = acceptedCase({ currentStage: 4, status: 'quote-declined', quote: { offerDecision: { decision: 'declined' } } });
+    mock.method(console, 'log', () => {});
+
+    const res = mockResponse();
+    await controllers.saveCompletionData(request(caseData), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.status, 'cancelled');
+  });
+});
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Tests never connect to MongoDB; a query that wasn't stubbed fails right away instead of waiting
+mongoose.set('bufferCommands', false);
+
+/**
+ * Stand-in for a mongoose Query: every chained call returns the query and
+ * awaiting it gives the result (a function is called each time it's awaited)
+ * @param {*} result
+ * @returns {Object}
+ */
+function fakeQuery(result) {
+  const resolve = () => Promise.resolve(typeof result === 'function' ? result() : result);
+  const query = {
+    exec: resolve,
+    then: (onFulfilled, onRejected) => resolve().then(onFulfilled, onRejected),
+    catch: (onRejected) => resolve().catch(onRejected)
+  };
+  ['populate', 'select', 'sort', 'limit', 'skip', 'lean', 'session', 'collation', 'distinct'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+}
+
+/**
+ * Express response that records what the handler sent
+ * @returns {Object} - { statusCode, body, headers, redirectedTo }
+ */
+function mockResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    redirectedTo: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    redirect(url) {
+      this.statusCode = 302;
+      this.redirectedTo = url;
+    }
+  };
+}
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+module.exports = {
+  fakeQuery,
+  mockResponse,
+  objectId
+};
@@ -0,0 +1,110 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeQuery, mockResponse, objectId } = require('./helpers');
+const Case = require('../src/models/Case');
+const inspectionTemplates = require('../src/services/inspectionTemplates');
+const inspectorAvailability = require('../src/services/inspectorAvailability');
+const caseWorkflow = require('../src/services/caseWorkflow');
+const locations = require('../src/services/locations');
+const controllers = require('../src/controllers/allcontrollers');
+
+const { DEFAULT_TEMPLATE, buildInspectionSections, validateTemplate } = inspectionTemplates;
+
+// The standard template as saved, with the ids the first inspector app used
+const template = {
+  ...DEFAULT_TEMPLATE,
+  version: 3,
+  sections: DEFAULT_TEMPLATE.sections.map(section => (section.id === 'exterior'
+    ? {
+      ...section,
+      legacyIds: ['body'],
+      questions: section.questions.map(question => (question.id === 'exterior-paint' ? { ...question, legacyIds: ['paint'] } : question))
+    }
+    : section))
+};
+
+const gasCar = { isElectric: false };
+
+describe('inspection templates', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('buildInspectionSections', () => {
+    it('takes question text and points from the template and only answers from the app', () => {
+      const { sections, unmatched } = buildInspectionSections(template, gasCar, [{
+        id: 'exterior',
+        questions: [{ id: 'exterior-body', question: 'Renamed', options: [{ value: 'good', points: 100 }], answer: 'good' }]
+      }]);
+
+      const body = sections.find(section => section.id === 'exterior').questions.find(question => question.id === 'exterior-body');
+      assert.equal(body.question, 'Overall body condition');
+      assert.equal(body.answer, 'good');
+      assert.equal(body.options.find(option => option.value === 'good').points, 3);
+      assert.deepEqual(unmatched, []);
+    });
+
+    it('reads legacy section and question ids as the template\'s', () => {
+      const { sections, unmatched } = buildInspectionSections(template, gasCar, [{
+        id: 'body',
+        questions: [{ id: 'paint', answer: 'fair', notes: 'Faded roof' }]
+      }]);
+
+      const paint = sections.find(section => section.id === 'exterior').questions.find(question => question.id === 'exterior-paint');
+      assert.equal(paint.answer, 'fair');
+      assert.equal(paint.notes, 'Faded roof');
+      assert.equal(sections.some(section => section.id === 'body'), false);
+      assert.deepEqual(unmatched, []);
+    });
+
+    it('keeps answers the template does not know, without their points', () => {
+      const { sections, unmatched } = buildInspectionSections(template, gasCar, [
+        { id: 'exterior', questions: [{ id: 'roof-rack', type: 'yesno', options: [{ value: 'yes', label: 'Yes', points: 50 }], answer: 'yes' }] },
+        { id: 'paperwork', questions: [{ id: 'service-book', answer: 'yes' }] }
+      ]);
+
+      assert.deepEqual(unmatched, ['section "paperwork"', 'question "roof-rack" in section "exterior"']);
+
+      const roofRack = sections.find(section => section.id === 'exterior').questions.find(question => question.id === 'roof-rack');
+      assert.equal(roofRack.answer, 'yes');
+      assert.deepEqual(roofRack.options, [{ value: 'yes', label: 'Yes' }]);
+
+      const paperwork = sections[sections.length - 1];
+      assert.equal(paperwork.name, 'paperwork');
+      assert.deepEqual(paperwork.questions.map(question => [question.id, question.question, question.type]), [['service-book', 'service-book', 'text']]);
+    });
+  });
+
+  describe('validateTemplate', () => {
+    it('refuses a legacy id that is already used', () => {
+      const errors = validateTemplate({
+        name: 'Standard',
+        sections: [
+          { id: 'exterior', name: 'Exterior', questions: [] },
+          { id: 'interior', name: 'Interior', legacyIds: ['exterior'], questions: [] }
+        ]
+      });
+
+      assert.deepEqual(errors, ['sections[1] legacy id "exterior" is used more than once']);
+    });
+  });
+
+  describe('scheduleInspection', () => {
+    it('names the template it looked for when none is active', async () => {
+      const caseData = { _id: objectId(), customer: { _id: objectId() }, vehicle: { _id: objectId() } };
+      mock.method(Case, 'findById', () => fakeQuery(caseData));
+      mock.method(locations, 'assertInspectorAtLocation', async () => {});
+      mock.method(inspectorAvailability, 'assertInspectorAvailable', async () => ({}));
+      mock.method(caseWorkflow, 'assertTransition', async () => ({}));
+      mock.method(inspectionTemplates, 'getActiveTemplate', async () => null);
+
+      const res = mockResponse();
+      await controllers.scheduleInspection({
+        params: { caseId: String(caseData._id) },
+        body: { inspector: { email: 'ann@example.com' }, scheduledDate: '2030-01-08', scheduledTime: '10:00' },
+        user: { id: objectId(), role: 'admin' }
+      }, res);
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.error, 'No active inspection template found for "standard"');
+    });
+  });
+});
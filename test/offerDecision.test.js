@@ -0,0 +1,62 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeQuery, mockResponse, objectId } = require('./helpers');
+const Case = require('../src/models/Case');
+const Quote = require('../src/models/Quote');
+const controllers = require('../src/controllers/allcontrollers');
+
+describe('offer decisions', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('POST /quote/:token/decision', () => {
+    const decide = async (body) => {
+      const res = mockResponse();
+      await controllers.updateOfferDecision({ body, linkToken: { resource: objectId() }, headers: {} }, res);
+      return res;
+    };
+
+    it('answers 400 without a decision, before loading the quote', async () => {
+      const find = mock.method(Quote, 'findById', () => fakeQuery(null));
+
+      const res = await decide({});
+
+      assert.equal(res.statusCode, 400);
+      assert.deepEqual(res.body, { success: false, error: 'offerDecision is required' });
+      assert.equal(find.mock.callCount(), 0);
+    });
+
+    it('answers 400 for a decision it does not know', async () => {
+      const res = await decide({ offerDecision: { decision: 'maybe' } });
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.error, 'offerDecision.decision must be one of accepted, negotiating, declined, pending');
+    });
+  });
+
+  it('answers 400 without a decision on PUT /cases/:caseId/offer-decision', async () => {
+    const find = mock.method(Case, 'findById', () => fakeQuery(null));
+    mock.method(console, 'log', () => {});
+
+    const res = mockResponse();
+    await controllers.updateOfferDecisionByCaseId({ params: { caseId: String(objectId()) }, body: {}, user: { id: objectId(), role: 'estimator' } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it('does not let a quote save record the customer\'s decision', async () => {
+    mock.method(Quote, 'findById', () => fakeQuery(null));
+    const update = mock.method(Quote, 'findByIdAndUpdate', () => fakeQuery(null));
+
+    const res = mockResponse();
+    await controllers.submitQuote({
+      body: { offerAmount: 15000, offerDecision: { decision: 'accepted', finalAmount: 15000 } },
+      linkToken: { resource: objectId() },
+      headers: {}
+    }, res);
+
+    const [, changes] = update.mock.calls[0].arguments;
+    assert.equal(changes.offerAmount, 15000);
+    assert.equal('offerDecision' in changes, false);
+  });
+});
@@ -0,0 +1,160 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeQuery, objectId } = require('./helpers');
+const PricingRuleSet = require('../src/models/PricingRuleSet');
+const offerPricing = require('../src/services/offerPricing');
+
+const { DEFAULT_RULES, calculateOffer, mergeRules } = offerPricing;
+
+const defaults = { id: null, version: 0, rules: DEFAULT_RULES };
+const thisYear = new Date().getFullYear();
+
+const amountsByKey = (offer) => Object.fromEntries(offer.breakdown.adjustments.map(adjustment => [adjustment.key, adjustment.amount]));
+
+describe('offer pricing', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('calculateOffer', () => {
+    it('itemises each deduction against the MarketCheck estimate and rounds the offer', () => {
+      const offer = calculateOffer({
+        vinOrPlate: { estimatedPrice: 20000, year: thisYear - 3 },
+        basics: { mileage: 46000 },
+        condition: {
+          accidentHistory: 'minor',
+          exteriorDamage: ['Dent', 'None'],
+          keyCount: 1,
+          tiresReplaced: 2,
+          titleStatus: 'clean'
+        }
+      }, defaults);
+
+      assert.deepEqual(amountsByKey(offer), {
+        mileage: 500,
+        accidentHistory: 1000,
+        exteriorDamage: 300,
+        keys: 250,
+        tires: 300
+      });
+      assert.equal(offer.breakdown.baseAmount, 20000);
+      assert.equal(offer.breakdown.baseSource, 'marketcheck');
+      assert.equal(offer.breakdown.totalDeductions, 2350);
+      // 17,650 rounded to the nearest 100
+      assert.equal(offer.amount, 17700);
+      assert.equal(offer.breakdown.floorApplied, false);
+    });
+
+    it('caps the mileage deduction at a percentage of the base amount', () => {
+      const offer = calculateOffer({
+        vinOrPlate: { estimatedPrice: 10000, year: thisYear - 1 },
+        basics: { mileage: 212000 }
+      }, defaults);
+
+      // 200,000 excess miles would be $10,000; capped at 25% of $10,000
+      assert.equal(amountsByKey(offer).mileage, 2500);
+      assert.equal(offer.amount, 7500);
+    });
+
+    it('uses the default base amount without an estimate and never goes below the minimum offer', () => {
+      const offer = calculateOffer({
+        condition: { isDrivable: false, titleStatus: 'junk' }
+      }, defaults);
+
+      assert.equal(offer.breakdown.baseAmount, DEFAULT_RULES.defaultBaseAmount);
+      assert.equal(offer.breakdown.baseSource, 'default');
+      assert.equal(offer.breakdown.floorApplied, true);
+      assert.equal(offer.amount, DEFAULT_RULES.minimumOffer);
+    });
+
+    it('prices a named issue with its own amount', () => {
+      const rules = mergeRules(DEFAULT_RULES, {
+        issueDeductions: { engineIssues: { items: { 'Check engine light': 1200 } } }
+      });
+
+      const offer = calculateOffer({
+        vinOrPlate: { estimatedPrice: 12000 },
+        condition: { engineIssues: ['Check engine light', 'Oil leak'] }
+      }, { id: objectId(), version: 2, rules });
+
+      assert.deepEqual(offer.breakdown.adjustments.map(adjustment => adjustment.amount), [1200, 750]);
+      assert.equal(offer.amount, 10100);
+      assert.equal(offer.breakdown.ruleSetVersion, 2);
+    });
+  });
+
+  describe('mergeRules', () => {
+    it('merges nested overrides without losing sibling rules', () => {
+      const rules = mergeRules(DEFAULT_RULES, { mileage: { deductionPerMile: 0.1 } });
+
+      assert.equal(rules.mileage.deductionPerMile, 0.1);
+      assert.equal(rules.mileage.milesPerYear, DEFAULT_RULES.mileage.milesPerYear);
+      assert.equal(DEFAULT_RULES.mileage.deductionPerMile, 0.05);
+    });
+
+    it('ignores keys that are not rules, including prototype keys', () => {
+      const rules = mergeRules(DEFAULT_RULES, JSON.parse('{"__proto__": {"polluted": true}, "bogus": 1, "smokedIn": 400}'));
+
+      assert.equal(rules.smokedIn, 400);
+      assert.equal(rules.bogus, undefined);
+      assert.equal(rules.polluted, undefined);
+      assert.equal({}.polluted, undefined);
+      assert.deepEqual(
+        offerPricing.unknownRules(DEFAULT_RULES, JSON.parse('{"__proto__": {}, "bogus": 1, "mileage": {"perMile": 1}}')),
+        ['__proto__', 'bogus', 'mileage.perMile']
+      );
+    });
+  });
+
+  describe('validateRules', () => {
+    it('rejects negative numbers, non-numbers and a zero roundTo', () => {
+      const rules = mergeRules(DEFAULT_RULES, { roundTo: 0, smokedIn: -5, mileage: { milesPerYear: 'lots' } });
+
+      assert.deepEqual(offerPricing.validateRules(rules), [
+        'roundTo must be greater than 0',
+        'mileage.milesPerYear must be a non-negative number',
+        'smokedIn must be a non-negative number'
+      ]);
+    });
+  });
+
+  describe('saveRuleSet', () => {
+    const activeVersion = (version) => mock.method(PricingRuleSet, 'findOne', () => fakeQuery({
+      _id: objectId(),
+      version,
+      rules: DEFAULT_RULES
+    }));
+
+    it('saves the next version and deactivates the others', async () => {
+      activeVersion(3);
+      const create = mock.method(PricingRuleSet, 'create', async (doc) => ({ _id: objectId(), ...doc }));
+      const deactivate = mock.method(PricingRuleSet, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+      const ruleSet = await offerPricing.saveRuleSet({ smokedIn: 600 }, objectId(), 'Smoke costs more');
+
+      assert.equal(ruleSet.version, 4);
+      assert.equal(create.mock.calls[0].arguments[0].rules.smokedIn, 600);
+      assert.deepEqual(deactivate.mock.calls[0].arguments, [{ _id: { $ne: ruleSet._id }, active: true }, { active: false }]);
+    });
+
+    it('answers 409 when another save took the version first', async () => {
+      activeVersion(3);
+      mock.method(PricingRuleSet, 'create', async () => {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      });
+      const deactivate = mock.method(PricingRuleSet, 'updateMany', async () => ({}));
+
+      await assert.rejects(offerPricing.saveRuleSet({ smokedIn: 600 }, objectId()), { statusCode: 409 });
+      assert.equal(deactivate.mock.callCount(), 0);
+    });
+
+    it('answers 400 for unknown or invalid rules without saving', async () => {
+      activeVersion(1);
+      const create = mock.method(PricingRuleSet, 'create', async () => ({}));
+
+      await assert.rejects(
+        offerPricing.saveRuleSet({ roundTo: 0, discount: 10 }, objectId()),
+        { statusCode: 400, message: 'Invalid pricing rules: discount is not a pricing rule, roundTo must be greater than 0' }
+      );
+      assert.equal(create.mock.callCount(), 0);
+    });
+  });
+});
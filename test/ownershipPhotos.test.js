@@ -0,0 +1,67 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeQuery, mockResponse, objectId } = require('./helpers');
+const VehicleSubmission = require('../src/models/customer/customer');
+const caseDocuments = require('../src/services/caseDocuments');
+const { getSignedOwnershipPhoto } = require('../src/controllers/documents');
+
+describe('ownership photo links', () => {
+  const secret = process.env.DOCUMENT_URL_SECRET;
+
+  before(() => {
+    process.env.DOCUMENT_URL_SECRET = 'test-secret';
+  });
+
+  after(() => {
+    process.env.DOCUMENT_URL_SECRET = secret;
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  // Request for a signed link as the seller form would follow it
+  const requestFor = (url) => {
+    const parsed = new URL(url, 'http://localhost');
+    const [, id, type] = parsed.pathname.match(/vehicle-submission\/([^/]+)\/ownership-photo\/([^/]+)$/);
+    return { params: { id, type }, query: Object.fromEntries(parsed.searchParams) };
+  };
+
+  it('only accepts a link for the submission and photo it was made for', () => {
+    const submissionId = String(objectId());
+    const { url } = caseDocuments.signedOwnershipPhotoUrl(submissionId, 'odometer');
+    const { query } = requestFor(url);
+
+    assert.equal(caseDocuments.verifyOwnershipPhotoUrl(submissionId, 'odometer', query), 'allowed');
+    assert.equal(caseDocuments.verifyOwnershipPhotoUrl(submissionId, 'photoID', query), 'invalid');
+    assert.equal(caseDocuments.verifyOwnershipPhotoUrl(String(objectId()), 'odometer', query), 'invalid');
+  });
+
+  it('refuses expired links', () => {
+    const submissionId = String(objectId());
+    const { url } = caseDocuments.signedOwnershipPhotoUrl(submissionId, 'photoID', { expiresInHours: -1 });
+
+    assert.equal(caseDocuments.verifyOwnershipPhotoUrl(submissionId, 'photoID', requestFor(url).query), 'expired');
+  });
+
+  it('still sends older submissions on to their Cloudinary photo', async () => {
+    const cloudinaryUrl = 'https://res.cloudinary.com/demo/image/upload/odometer.jpg';
+    const submissionId = String(objectId());
+    mock.method(VehicleSubmission, 'findById', () => fakeQuery({ ownership: { odometerPhoto: cloudinaryUrl } }));
+
+    const res = mockResponse();
+    await getSignedOwnershipPhoto(requestFor(caseDocuments.signedOwnershipPhotoUrl(submissionId, 'odometer').url), res);
+
+    assert.equal(res.redirectedTo, cloudinaryUrl);
+  });
+
+  it('answers 403 for a tampered link without loading the submission', async () => {
+    const find = mock.method(VehicleSubmission, 'findById', () => fakeQuery(null));
+    const req = requestFor(caseDocuments.signedOwnershipPhotoUrl(String(objectId()), 'odometer').url);
+    req.query.signature = req.query.signature.replace(/^./, char => (char === 'a' ? 'b' : 'a'));
+
+    const res = mockResponse();
+    await getSignedOwnershipPhoto(req, res);
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeQuery, objectId } = require('./helpers');
+const Case = require('../src/models/Case');
+const Vehicle = require('../src/models/Vehicle');
+const Inspection = require('../src/models/Inspection');
+const reconditioning = require('../src/services/reconditioning');
+
+// $500 - $1,500 of repairs, so $1,000 comes off
+const inspection = {
+  safetyIssues: [{ description: 'Worn brake pads', severity: 'high', estimatedCost: '$500 - $1,500' }],
+  maintenanceItems: [{ description: 'Oil change', estimatedCost: 'ask shop' }]
+};
+
+describe('reconditioning', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('parses repair cost ranges as stored on OBD2 codes', () => {
+    assert.deepEqual(reconditioning.parseCostRange('$75 - $400'), { low: 75, high: 400 });
+    assert.deepEqual(reconditioning.parseCostRange('$1,200'), { low: 1200, high: 1200 });
+    assert.equal(reconditioning.parseCostRange('ask shop'), null);
+  });
+
+  it('takes the midpoint of the repairs off the value, rounded down', () => {
+    const estimate = reconditioning.estimateReconditioning(inspection, null);
+
+    assert.equal(estimate.unpricedItems, 1);
+    assert.equal(reconditioning.proposeAdjustedOffer(20010, estimate), 19000);
+    assert.equal(reconditioning.proposeAdjustedOffer(0, estimate), null);
+  });
+
+  describe('calculateQuoteReconditioning', () => {
+    const quoteFor = (extra) => ({ _id: objectId(), caseId: objectId(), vehicle: objectId(), inspection: objectId(), ...extra });
+
+    it('works from the quote\'s vehicle value', async () => {
+      mock.method(Inspection, 'findById', () => fakeQuery(inspection));
+
+      const estimate = await reconditioning.calculateQuoteReconditioning(quoteFor({ estimatedValue: 20000, offerAmount: 19000 }));
+
+      assert.equal(estimate.baseAmount, 20000);
+      assert.equal(estimate.proposedOffer, 19000);
+    });
+
+    it('does not take repairs off an offer that already had them taken off', async () => {
+      mock.method(Inspection, 'findById', () => fakeQuery(inspection));
+      mock.method(Case, 'findById', () => fakeQuery({ estimatedValue: 20000 }));
+
+      // The estimator already accepted the $19,000 suggestion as the offer
+      const estimate = await reconditioning.calculateQuoteReconditioning(quoteFor({ offerAmount: 19000 }));
+
+      assert.equal(estimate.baseAmount, 20000);
+      assert.equal(estimate.proposedOffer, 19000);
+    });
+
+    it('falls back to the vehicle\'s value, and proposes nothing without one', async () => {
+      mock.method(Inspection, 'findById', () => fakeQuery(inspection));
+      mock.method(Case, 'findById', () => fakeQuery({ estimatedValue: 0 }));
+      const findVehicle = mock.method(Vehicle, 'findById', () => fakeQuery({ estimatedValue: 15000 }));
+
+      assert.equal((await reconditioning.calculateQuoteReconditioning(quoteFor({ offerAmount: 14000 }))).proposedOffer, 14000);
+
+      findVehicle.mock.mockImplementation(() => fakeQuery(null));
+      const estimate = await reconditioning.calculateQuoteReconditioning(quoteFor({ offerAmount: 14000 }));
+      assert.equal(estimate.baseAmount, null);
+      assert.equal(estimate.proposedOffer, null);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { mockResponse } = require('./helpers');
+const { applyRoutePolicies, assertPoliced } = require('../src/middleware/routePolicy');
+
+const handler = (req, res) => res.json({ success: true });
+
+// Run a route's middleware chain the way Express would, stopping at the first response
+async function call(router, method, path, req = {}) {
+  const layer = router.stack.find(entry => entry.route?.path === path && entry.route.methods[method]);
+  const res = mockResponse();
+  for (const step of layer.route.stack.map(entry => entry.handle)) {
+    let next = false;
+    await step({ headers: {}, params: {}, ...req }, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+describe('route policies', () => {
+  it('refuses a router with a route that has no policy', () => {
+    const router = express.Router();
+    router.get('/rules', handler);
+    router.put('/rules', handler);
+
+    assert.throws(
+      () => applyRoutePolicies(router, { 'GET /rules': { roles: ['admin'] } }, 'pricing'),
+      /Route policies for pricing are incomplete:\n {2}no policy declared for PUT \/rules/
+    );
+  });
+
+  it('refuses a policy for a route that does not exist', () => {
+    const router = express.Router();
+    router.get('/rules', handler);
+
+    assert.throws(
+      () => applyRoutePolicies(router, { 'GET /rules': { roles: ['admin'] }, 'GET /rules/history': { roles: ['admin'] } }, 'pricing'),
+      /policy declared for missing route GET \/rules\/history/
+    );
+  });
+
+  it('refuses public routes without a reason', () => {
+    const router = express.Router();
+    router.get('/feed', handler);
+
+    assert.throws(() => applyRoutePolicies(router, { 'GET /feed': { public: true } }, 'calendar'), /gives no reason/);
+  });
+
+  it('checks the login before the route\'s own middleware', async () => {
+    const router = express.Router();
+    router.get('/rules', handler);
+    applyRoutePolicies(router, { 'GET /rules': { roles: ['admin'] } }, 'pricing');
+
+    const res = await call(router, 'get', '/rules');
+
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('leaves public routes open', async () => {
+    const router = express.Router();
+    router.get('/organization', handler);
+    applyRoutePolicies(router, { 'GET /organization': { public: true, reason: 'Seller pages' } }, 'settings');
+
+    const res = await call(router, 'get', '/organization');
+
+    assert.deepEqual(res.body, { success: true });
+  });
+
+  describe('assertPoliced', () => {
+    it('refuses routers, including mounted ones, that skipped their policies', () => {
+      const inner = express.Router();
+      inner.get('/slots', handler);
+      const outer = express.Router();
+      outer.get('/', handler);
+      outer.use('/customer', inner);
+      applyRoutePolicies(outer, { 'GET /': { public: true, reason: 'Status page' } }, 'outer');
+
+      assert.throws(() => assertPoliced(express.Router(), 'calendar'), /Router calendar has no route policies/);
+      assert.throws(() => assertPoliced(outer, 'outer'), /Router outer .*customer.* has no route policies/);
+
+      applyRoutePolicies(inner, { 'GET /slots': { public: true, reason: 'Seller form' } }, 'inner');
+      assert.equal(assertPoliced(outer, 'outer'), outer);
+    });
+
+    it('passes every router the server mounts', () => {
+      ['auth', 'obd2', 'pricing', 'inspectionTemplates', 'linkTokens', 'locations', 'lenders', 'settings', 'inspectors', 'calendar', 'allroutes']
+        .forEach(name => assertPoliced(require(`../src/routes/${name}`), name));
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeQuery, objectId } = require('./helpers');
+const User = require('../src/models/User');
+const Location = require('../src/models/Location');
+const Inspection = require('../src/models/Inspection');
+const InspectorAvailability = require('../src/models/InspectorAvailability');
+const SlotHold = require('../src/models/SlotHold');
+const inspectorAvailability = require('../src/services/inspectorAvailability');
+const slotHolds = require('../src/services/slotHolds');
+
+const { DEFAULT_TIMEZONE, toDateKey, zonedTime } = inspectorAvailability;
+
+// A Tuesday next week, so every slot is in the future and within the default hours
+function nextTuesday() {
+  const day = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  day.setUTCDate(day.getUTCDate() + ((9 - day.getUTCDay()) % 7));
+  return toDateKey(day);
+}
+
+const inspector = (firstName) => ({
+  _id: objectId(),
+  firstName,
+  lastName: 'Inspector',
+  email: `${firstName.toLowerCase()}@example.com`,
+  locationId: null
+});
+
+const heldBy = (user, start, extra = {}) => ({
+  _id: objectId(),
+  inspector: user._id,
+  submission: objectId(),
+  scheduledStart: start,
+  scheduledEnd: new Date(start.getTime() + 60 * 60 * 1000),
+  ...extra
+});
+
+describe('slot holds', () => {
+  const date = nextTuesday();
+  const start = zonedTime(date, 10 * 60, DEFAULT_TIMEZONE);
+  const submissionId = objectId();
+
+  let inspectors;
+  let holds;
+  let created;
+  let deleted;
+
+  beforeEach(() => {
+    inspectors = [inspector('Ann'), inspector('Bob')];
+    holds = [];
+    created = [];
+    deleted = [];
+
+    mock.method(User, 'find', () => fakeQuery(() => inspectors));
+    mock.method(User, 'findOne', (filter) => fakeQuery(() => inspectors.find(user => user.email === filter.email) || null));
+    mock.method(InspectorAvailability, 'find', () => fakeQuery([]));
+    mock.method(InspectorAvailability, 'findOne', () => fakeQuery(null));
+    mock.method(Location, 'find', () => fakeQuery([]));
+    mock.method(Inspection, 'find', () => fakeQuery([]));
+    mock.method(SlotHold, 'find', () => fakeQuery(() => holds));
+    mock.method(SlotHold, 'findOne', () => fakeQuery(null));
+    mock.method(SlotHold, 'updateMany', async () => ({ modifiedCount: 0 }));
+    mock.method(SlotHold, 'deleteOne', async (filter) => {
+      deleted.push(filter._id);
+      return { deletedCount: 1 };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const slotStarts = (slots) => slots.days.find(day => day.date === date).slots.map(slot => slot.start.getTime());
+
+  describe('customerSlots', () => {
+    it('offers a time while any inspector is free, loading every inspector together', async () => {
+      holds = [heldBy(inspectors[0], start)];
+
+      const slots = await slotHolds.customerSlots({ submissionId, locationId: null, date, days: 1 });
+
+      assert.equal(slots.selfScheduling, true);
+      assert.ok(slotStarts(slots).includes(start.getTime()));
+      assert.equal(InspectorAvailability.find.mock.callCount(), 1);
+      assert.equal(Inspection.find.mock.callCount(), 1);
+      assert.equal(SlotHold.find.mock.callCount(), 1);
+    });
+
+    it('stops offering a time once every inspector is held', async () => {
+      holds = inspectors.map(user => heldBy(user, start));
+
+      const slots = await slotHolds.customerSlots({ submissionId, locationId: null, date, days: 1 });
+
+      assert.ok(!slotStarts(slots).includes(start.getTime()));
+    });
+
+    it('turns self-scheduling off without any inspectors', async () => {
+      inspectors = [];
+
+      const slots = await slotHolds.customerSlots({ submissionId, locationId: null, date, days: 1 });
+
+      assert.equal(slots.selfScheduling, false);
+      assert.deepEqual(slots.days, []);
+    });
+  });
+
+  describe('holdSlot', () => {
+    beforeEach(() => {
+      mock.method(SlotHold, 'create', async (doc) => {
+        const hold = { _id: objectId(), ...doc };
+        created.push(hold);
+        return hold;
+      });
+    });
+
+    it('holds the time with the first free inspector', async () => {
+      const hold = await slotHolds.holdSlot({ submissionId, locationId: null, start });
+
+      assert.equal(hold.inspector, inspectors[0]._id);
+      assert.equal(hold.scheduledStart.getTime(), start.getTime());
+      assert.equal(hold.scheduledTime, '10:00');
+    });
+
+    it('moves on to the next inspector when another seller took the same start first', async () => {
+      SlotHold.create.mock.mockImplementationOnce(async () => {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      });
+
+      const hold = await slotHolds.holdSlot({ submissionId, locationId: null, start });
+
+      assert.equal(hold.inspector, inspectors[1]._id);
+    });
+
+    it('gives the time back when an overlapping hold was made at the same moment', async () => {
+      SlotHold.create.mock.mockImplementationOnce(async (doc) => {
+        const hold = { _id: objectId(), ...doc };
+        created.push(hold);
+        // Another seller held half an hour later with the same inspector meanwhile
+        holds = [heldBy(inspectors[0], new Date(start.getTime() + 30 * 60 * 1000))];
+        return hold;
+      });
+
+      const hold = await slotHolds.holdSlot({ submissionId, locationId: null, start });
+
+      assert.deepEqual(deleted, [created[0]._id]);
+      assert.equal(hold.inspector, inspectors[1]._id);
+    });
+
+    it('answers 409 when nobody is free', async () => {
+      holds = inspectors.map(user => heldBy(user, start));
+
+      await assert.rejects(
+        slotHolds.holdSlot({ submissionId, locationId: null, start }),
+        { statusCode: 409, message: 'That time is no longer available, please pick another slot' }
+      );
+      assert.equal(created.length, 0);
+    });
+
+    it('holds nothing without any inspectors, so staff can schedule the inspection', async () => {
+      inspectors = [];
+
+      assert.equal(await slotHolds.holdSlot({ submissionId, locationId: null, start }), null);
+      assert.equal(created.length, 0);
+    });
+
+    it('refuses times in the past', async () => {
+      await assert.rejects(
+        slotHolds.holdSlot({ submissionId, locationId: null, start: new Date(Date.now() - 60 * 1000) }),
+        { statusCode: 400 }
+      );
+    });
+  });
+});
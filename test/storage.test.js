@@ -0,0 +1,42 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../src/services/storage');
+
+describe('storage', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  describe('keyFromPath', () => {
+    it('maps old "/uploads/..." and absolute paths onto storage keys', () => {
+      assert.equal(storage.keyFromPath('/uploads/documents/title.pdf'), 'documents/title.pdf');
+      assert.equal(storage.keyFromPath('/srv/app/uploads/pdfs/quote.pdf'), 'pdfs/quote.pdf');
+      assert.equal(storage.keyFromPath('documents/title.pdf'), 'documents/title.pdf');
+    });
+
+    it('leaves external URLs and paths leaving the storage root alone', () => {
+      assert.equal(storage.keyFromPath('https://res.cloudinary.com/demo/image/upload/car.jpg'), null);
+      assert.equal(storage.keyFromPath('/uploads/../server.js'), null);
+    });
+  });
+
+  describe('getDriver', () => {
+    it('refuses local storage in production', () => {
+      process.env.NODE_ENV = 'production';
+      delete process.env.STORAGE_DRIVER;
+      delete process.env.STORAGE_ALLOW_LOCAL;
+
+      assert.throws(() => storage.getDriver(), /Local file storage is not allowed in production/);
+    });
+
+    it('allows local storage in production on a persistent disk', () => {
+      process.env.NODE_ENV = 'production';
+      process.env.STORAGE_DRIVER = 'local';
+      process.env.STORAGE_ALLOW_LOCAL = 'true';
+
+      assert.equal(typeof storage.getDriver().putObject, 'function');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const images = require('../src/services/uploads/images');
+const uploads = require('../src/services/uploads');
+
+// Just enough of a WebP file for its type to be detected
+const webp = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBPVP8 '), Buffer.alloc(32)]);
+const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10]);
+
+const unreadable = () => Object.assign(new Error('Unreadable image: Unsupported image type'), { unreadable: true });
+
+const normalized = (type) => ({ buffer: Buffer.from('normalized'), type, width: 10, height: 10, thumbnail: Buffer.from('thumb') });
+
+describe('uploads', () => {
+  const cloudinary = ['CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET'];
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    cloudinary.forEach(name => { process.env[name] = 'set'; });
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    mock.restoreAll();
+  });
+
+  const prepare = () => uploads.prepareUpload({ name: 'car.webp', data: webp }, { field: 'photo', allowed: uploads.PHOTO_TYPES });
+
+  describe('WebP photos', () => {
+    it('are normalized by canvas when it can decode them', async () => {
+      mock.method(images, 'normalizeImage', async () => normalized('jpeg'));
+      const convert = mock.method(images, 'convertWithCloudinary', async () => jpeg);
+
+      const photo = await prepare();
+
+      assert.equal(photo.fileName, 'car.jpg');
+      assert.equal(convert.mock.callCount(), 0);
+    });
+
+    it('are converted through Cloudinary when canvas can\'t decode them', async () => {
+      const normalize = mock.method(images, 'normalizeImage', async (buffer, type) => {
+        if (type === 'webp') throw unreadable();
+        return normalized('jpeg');
+      });
+      mock.method(images, 'convertWithCloudinary', async () => jpeg);
+
+      const photo = await prepare();
+
+      assert.equal(photo.mimetype, 'image/jpeg');
+      assert.deepEqual(normalize.mock.calls.map(call => call.arguments[1]), ['webp', 'jpeg']);
+      assert.equal(normalize.mock.calls[1].arguments[0], jpeg);
+    });
+
+    it('are refused as unreadable when canvas can\'t decode them and Cloudinary isn\'t set up', async () => {
+      delete process.env.CLOUDINARY_API_SECRET;
+      mock.method(images, 'normalizeImage', async () => { throw unreadable(); });
+
+      await assert.rejects(prepare(), { statusCode: 422, uploadRejection: { reason: 'unreadable-image', field: 'photo' } });
+    });
+
+    it('are refused with 503 when the conversion fails', async () => {
+      mock.method(images, 'normalizeImage', async () => { throw unreadable(); });
+      mock.method(images, 'convertWithCloudinary', async () => { throw new Error('timeout'); });
+      mock.method(console, 'error', () => {});
+
+      await assert.rejects(prepare(), { statusCode: 503, uploadRejection: { reason: 'conversion-failed', field: 'photo' } });
+    });
+  });
+});